@@ -0,0 +1,979 @@
+/**
+ * Shared implementation for local (non-Supabase) backends
+ *
+ * Implements the full CRM database surface on top of a handful of
+ * row-level primitives. Subclasses provide storage:
+ *
+ *   _rows(table, query?)      - this agent's rows matching a query (all without one)
+ *   _find(table, id)          - one row for this agent, or undefined
+ *   _insert(table, row)       - insert a complete row, returns it with its id
+ *   _update(table, id, patch) - update a row for this agent, returns it or undefined
+ *   _remove(table, id)        - delete a row for this agent
+ *
+ * Rows passed in and out are plain objects with snake_case columns,
+ * exactly as Supabase returns them.
+ *
+ * A query is { where?, filter?, orderBy?, limit?, offset? }:
+ *   where:   conditions that must all hold, each { column, op, value } or
+ *            { or: [conditions] }. Operators: eq, neq, gt, gte, lt, lte
+ *            (never match null), in (a list), null, notNull, overlaps (an
+ *            array column shares a value with a list) and before (keyset
+ *            position { value, id } in (column desc, id desc) order)
+ *   filter:  predicate for what conditions can't express (text search)
+ *   orderBy: [{ column, desc?, nullsLast?, nocase? }] - nulls sort first
+ *            ascending and last descending unless nullsLast
+ * applyQuery() runs one in JavaScript; SQLiteDB compiles it to SQL.
+ */
+
+import { TABLES, CONTACT_CHILD_TABLES, applyDefaults } from './schema.js';
+import { CONTACT_FIELDS, COMPANY_FIELDS, DEAL_FIELDS, INTERACTION_FIELDS, TASK_FIELDS, RULE_FIELDS } from '../fields.js';
+import { matchesFilter, contactMatchesTerm, interactionMatchesTerm } from '../search.js';
+import { isAfterCursor } from '../pagination.js';
+import { CrmNotFoundError, resourceName } from '../errors.js';
+
+// ============ QUERIES ============
+
+/**
+ * Whether a row meets a query condition
+ */
+export function matchesCondition(row, condition) {
+  if (condition.or) {
+    return condition.or.some(c => matchesCondition(row, c));
+  }
+  const actual = row[condition.column] ?? null;
+  const { value } = condition;
+  switch (condition.op) {
+    case 'eq': return actual === value;
+    case 'neq': return actual !== value;
+    case 'gt': return actual !== null && actual > value;
+    case 'gte': return actual !== null && actual >= value;
+    case 'lt': return actual !== null && actual < value;
+    case 'lte': return actual !== null && actual <= value;
+    case 'in': return value.includes(actual);
+    case 'null': return actual === null;
+    case 'notNull': return actual !== null;
+    case 'overlaps': return (actual || []).some(item => value.includes(item));
+    case 'before': return actual !== null && isAfterCursor(row, condition.column, value);
+    default: throw new Error(`Unknown query operator: ${condition.op}`);
+  }
+}
+
+/**
+ * Comparator for a query's orderBy
+ */
+export function compareRows(orderBy) {
+  return (a, b) => {
+    for (const { column, desc, nullsLast, nocase } of orderBy) {
+      let x = a[column] ?? null;
+      let y = b[column] ?? null;
+      if (x === y) continue;
+      if (x === null || y === null) {
+        const nullsFirst = !nullsLast && !desc;
+        return (x === null) === nullsFirst ? -1 : 1;
+      }
+      if (nocase) {
+        x = String(x).toLowerCase();
+        y = String(y).toLowerCase();
+      }
+      if (x !== y) {
+        return (x < y ? -1 : 1) * (desc ? -1 : 1);
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Run a query over rows in JavaScript
+ */
+export function applyQuery(rows, query = {}) {
+  let result = rows.filter(row => (query.where || []).every(condition => matchesCondition(row, condition)));
+  if (query.filter) {
+    result = result.filter(query.filter);
+  }
+  if (query.orderBy) {
+    result.sort(compareRows(query.orderBy));
+  }
+  const offset = query.offset || 0;
+  return query.limit ? result.slice(offset, offset + query.limit) : result.slice(offset);
+}
+
+const LIVE = { column: 'deleted_at', op: 'null' };
+
+// Newest first by a timestamp column, ties broken by id
+const newestFirst = column => [{ column, desc: true }, { column: 'id', desc: true }];
+
+export class LocalDB {
+  constructor(agentId) {
+    this.agentId = agentId;
+  }
+
+  // ============ HELPERS ============
+
+  // Trashed rows count as missing everywhere except the trash methods
+  _require(table, id) {
+    const row = this._find(table, id);
+    if (!row || row.deleted_at) {
+      throw new CrmNotFoundError(resourceName(table), id);
+    }
+    return row;
+  }
+
+  _live(table, query = {}) {
+    return this._rows(table, { ...query, where: [LIVE, ...(query.where || [])] });
+  }
+
+  _create(table, row) {
+    return this._insert(table, applyDefaults(table, { ...row, agent_id: this.agentId }));
+  }
+
+  _pick(row, fields) {
+    if (!row) return null;
+    const picked = {};
+    for (const field of fields) {
+      picked[field] = row[field];
+    }
+    return picked;
+  }
+
+  // Emulates Supabase's embedded `crm_stages(name, color)` select
+  _withStage(contact) {
+    const stage = contact.stage_id ? this._find('crm_stages', contact.stage_id) : null;
+    return { ...contact, crm_stages: this._pick(stage, ['name', 'color']) };
+  }
+
+  // Emulates Supabase's embedded `crm_contacts(name, email, company)` select
+  _withContact(row) {
+    const contact = row.contact_id ? this._find('crm_contacts', row.contact_id) : null;
+    return { ...row, crm_contacts: this._pick(contact, ['name', 'email', 'company']) };
+  }
+
+  _withStageAndContact(deal) {
+    return this._withContact(this._withStage(deal));
+  }
+
+  // Applies `on delete` rules for every column referencing the deleted row
+  _cascade(table, id) {
+    for (const [childTable, columns] of Object.entries(TABLES)) {
+      for (const [name, column] of Object.entries(columns)) {
+        if (column.references !== table) continue;
+
+        for (const child of this._rows(childTable, { where: [{ column: name, op: 'eq', value: id }] })) {
+          if (column.onDelete === 'cascade') {
+            this._delete(childTable, child.id);
+          } else if (column.onDelete === 'set null') {
+            this._update(childTable, child.id, { [name]: null });
+          }
+        }
+      }
+    }
+  }
+
+  _delete(table, id) {
+    this._cascade(table, id);
+    this._remove(table, id);
+  }
+
+  _mapFields(updates, fieldMap) {
+    const mapped = {};
+    for (const [key, value] of Object.entries(updates)) {
+      if (fieldMap[key]) {
+        mapped[fieldMap[key]] = value;
+      }
+    }
+    return mapped;
+  }
+
+  // limit and offset for a query; an offset without a limit pages by 20
+  _page(options) {
+    if (options.offset) {
+      return { offset: options.offset, limit: options.limit || 20 };
+    }
+    return options.limit ? { limit: options.limit } : {};
+  }
+
+  // ============ STAGES ============
+
+  async listStages() {
+    return this._live('crm_stages', { orderBy: [{ column: 'position' }, { column: 'id' }] });
+  }
+
+  async createStage(stage) {
+    return this._create('crm_stages', {
+      name: stage.name,
+      position: stage.position,
+      color: stage.color || null,
+      win_probability: stage.winProbability ?? null
+    });
+  }
+
+  async updateStage(id, updates) {
+    this._require('crm_stages', id);
+    return this._update('crm_stages', id, updates);
+  }
+
+  async deleteStage(id) {
+    this._delete('crm_stages', id);
+    return { deleted: true };
+  }
+
+  async reorderStages(stageIds) {
+    for (const [index, id] of stageIds.entries()) {
+      await this.updateStage(id, { position: index + 1 });
+    }
+    return this.listStages();
+  }
+
+  // ============ CONTACTS ============
+
+  async listContacts(options = {}) {
+    const where = [];
+
+    if (options.stageId) {
+      where.push({ column: 'stage_id', op: 'eq', value: options.stageId });
+    }
+    if (options.companyId) {
+      where.push({ column: 'company_id', op: 'eq', value: options.companyId });
+    }
+    if (options.isActive !== undefined) {
+      where.push({ column: 'is_active', op: 'eq', value: options.isActive });
+    }
+    if (options.assignedTo) {
+      where.push({ column: 'assigned_to', op: 'eq', value: options.assignedTo });
+    }
+    if (options.tags && options.tags.length > 0) {
+      where.push({ column: 'tags', op: 'overlaps', value: options.tags });
+    }
+    if (options.createdSince) {
+      where.push({ column: 'created_at', op: 'gte', value: options.createdSince });
+    }
+    if (options.createdUntil) {
+      where.push({ column: 'created_at', op: 'lte', value: options.createdUntil });
+    }
+    if (options.minScore !== undefined) {
+      where.push({ column: 'score', op: 'gte', value: options.minScore });
+    }
+    if (options.maxScore !== undefined) {
+      where.push({ column: 'score', op: 'lte', value: options.maxScore });
+    }
+    if (options.after) {
+      where.push({ column: 'updated_at', op: 'before', value: options.after });
+    }
+
+    // By score, equal scores newest first and unscored contacts last
+    const orderBy = options.sort === 'score'
+      ? [{ column: 'score', desc: true, nullsLast: true }, ...newestFirst('updated_at')]
+      : newestFirst('updated_at');
+
+    return this._live('crm_contacts', { where, orderBy, ...this._page(options) }).map(c => this._withStage(c));
+  }
+
+  async getContact(id) {
+    return this._withStage(this._require('crm_contacts', id));
+  }
+
+  async createContact(contact) {
+    const created = this._create('crm_contacts', {
+      name: contact.name,
+      email: contact.email || null,
+      phone: contact.phone || null,
+      company: contact.company || null,
+      company_id: contact.companyId || null,
+      role: contact.role || null,
+      stage_id: contact.stageId || null,
+      stage_entered_at: contact.stageId ? new Date().toISOString() : null,
+      source: contact.source || null,
+      source_detail: contact.sourceDetail || null,
+      assigned_to: contact.assignedTo || null,
+      tags: contact.tags || [],
+      custom_fields: contact.customFields || {},
+      deal_value: contact.dealValue || null,
+      currency: contact.currency || 'AUD',
+      expected_close_at: contact.expectedCloseAt || null,
+      is_active: contact.isActive !== false
+    });
+    return this._withStage(created);
+  }
+
+  async updateContact(id, updates) {
+    this._require('crm_contacts', id);
+
+    const updateData = {
+      updated_at: new Date().toISOString(),
+      ...this._mapFields(updates, CONTACT_FIELDS)
+    };
+
+    return this._withStage(this._update('crm_contacts', id, updateData));
+  }
+
+  async updateContactScore(id, { score, reasons }) {
+    this._update('crm_contacts', id, { score, score_reasons: reasons, scored_at: new Date().toISOString() });
+  }
+
+  async moveContactStage(id, stageId) {
+    this._require('crm_contacts', id);
+
+    const now = new Date().toISOString();
+    const updated = this._update('crm_contacts', id, {
+      stage_id: stageId,
+      stage_entered_at: now,
+      updated_at: now
+    });
+    return this._withStage(updated);
+  }
+
+  async deleteContact(id) {
+    this._delete('crm_contacts', id);
+    return { deleted: true };
+  }
+
+  async searchContacts(query, options = {}) {
+    const term = query.toLowerCase();
+    const fields = ['name', 'email', 'company', 'phone'];
+
+    const contacts = this._live('crm_contacts', {
+      filter: c => fields.some(field => c[field] && c[field].toLowerCase().includes(term)),
+      orderBy: newestFirst('updated_at'),
+      limit: options.limit
+    });
+
+    return contacts.map(c => this._withStage(c));
+  }
+
+  async queryContacts(criteria, options = {}) {
+    const matchesTerm = (contact, term) => {
+      const hit = contactMatchesTerm(contact, term.text) || (term.contactIds || []).includes(contact.id);
+      return term.negate ? !hit : hit;
+    };
+
+    const contacts = this._live('crm_contacts', {
+      filter: c => criteria.filters.every(filter => matchesFilter(c, filter)) &&
+        criteria.terms.every(term => matchesTerm(c, term)),
+      orderBy: newestFirst('updated_at'),
+      limit: options.limit
+    });
+
+    return contacts.map(c => this._withStage(c));
+  }
+
+  async reassignContact(fromContactIds, toContactId) {
+    const counts = {};
+    for (const table of ['crm_deals', 'crm_interactions', 'crm_tasks', 'crm_stage_transitions']) {
+      const rows = this._rows(table, { where: [{ column: 'contact_id', op: 'in', value: fromContactIds }] });
+      rows.forEach(row => this._update(table, row.id, { contact_id: toContactId }));
+      counts[table] = rows.length;
+    }
+    return counts;
+  }
+
+  // ============ COMPANIES ============
+
+  async listCompanies(options = {}) {
+    const term = options.search?.toLowerCase();
+    const industry = options.industry?.toLowerCase();
+
+    return this._live('crm_companies', {
+      ...((term || industry) && {
+        filter: c => (!term || [c.name, c.domain].some(value => value && value.toLowerCase().includes(term))) &&
+          (!industry || (c.industry && c.industry.toLowerCase() === industry))
+      }),
+      orderBy: [{ column: 'name', nocase: true }, { column: 'id' }],
+      limit: options.limit
+    });
+  }
+
+  async getCompany(id) {
+    return this._require('crm_companies', id);
+  }
+
+  async createCompany(company) {
+    return this._create('crm_companies', {
+      name: company.name,
+      domain: company.domain || null,
+      industry: company.industry || null,
+      size: company.size || null,
+      address: company.address || null,
+      custom_fields: company.customFields || {}
+    });
+  }
+
+  async updateCompany(id, updates) {
+    this._require('crm_companies', id);
+
+    return this._update('crm_companies', id, {
+      updated_at: new Date().toISOString(),
+      ...this._mapFields(updates, COMPANY_FIELDS)
+    });
+  }
+
+  async deleteCompany(id) {
+    this._delete('crm_companies', id);
+    return { deleted: true };
+  }
+
+  // ============ DEALS ============
+
+  async listDeals(options = {}) {
+    const where = [];
+
+    if (options.contactId) {
+      where.push({ column: 'contact_id', op: 'eq', value: options.contactId });
+    }
+    if (options.companyId) {
+      where.push({ column: 'company_id', op: 'eq', value: options.companyId });
+    }
+    if (options.stageId) {
+      where.push({ column: 'stage_id', op: 'eq', value: options.stageId });
+    }
+    if (options.status) {
+      where.push({ column: 'status', op: 'eq', value: options.status });
+    }
+    if (options.owner) {
+      where.push({ column: 'owner', op: 'eq', value: options.owner });
+    }
+    if (options.createdSince) {
+      where.push({ column: 'created_at', op: 'gte', value: options.createdSince });
+    }
+    if (options.createdUntil) {
+      where.push({ column: 'created_at', op: 'lte', value: options.createdUntil });
+    }
+    if (options.after) {
+      where.push({ column: 'updated_at', op: 'before', value: options.after });
+    }
+
+    const deals = this._live('crm_deals', { where, orderBy: newestFirst('updated_at'), limit: options.limit });
+    return deals.map(d => this._withStageAndContact(d));
+  }
+
+  async getDeal(id) {
+    return this._withStageAndContact(this._require('crm_deals', id));
+  }
+
+  async createDeal(deal) {
+    this._require('crm_contacts', deal.contactId);
+
+    const created = this._create('crm_deals', {
+      contact_id: deal.contactId,
+      company_id: deal.companyId || null,
+      title: deal.title,
+      stage_id: deal.stageId || null,
+      stage_entered_at: deal.stageId ? new Date().toISOString() : null,
+      value: deal.value ?? null,
+      currency: deal.currency || 'AUD',
+      expected_close_at: deal.expectedCloseAt || null,
+      status: deal.status || 'open',
+      lost_reason: deal.lostReason || null,
+      owner: deal.owner || null,
+      closed_at: deal.closedAt || null,
+      custom_fields: deal.customFields || {}
+    });
+    return this._withStageAndContact(created);
+  }
+
+  async updateDeal(id, updates) {
+    this._require('crm_deals', id);
+
+    return this._withStageAndContact(this._update('crm_deals', id, {
+      updated_at: new Date().toISOString(),
+      ...this._mapFields(updates, DEAL_FIELDS)
+    }));
+  }
+
+  async deleteDeal(id) {
+    this._delete('crm_deals', id);
+    return { deleted: true };
+  }
+
+  // ============ INTERACTIONS ============
+
+  async listInteractions(options = {}) {
+    const where = [];
+
+    if (options.contactId) {
+      where.push({ column: 'contact_id', op: 'eq', value: options.contactId });
+    }
+    if (options.type) {
+      where.push({ column: 'type', op: 'eq', value: options.type });
+    }
+    if (options.createdBy) {
+      where.push({ column: 'created_by', op: 'eq', value: options.createdBy });
+    }
+    if (options.scheduled) {
+      where.push({ column: 'scheduled_at', op: 'notNull' });
+    }
+    if (options.externalIds) {
+      where.push({ column: 'external_id', op: 'in', value: options.externalIds });
+    }
+    if (options.after) {
+      where.push({ column: 'created_at', op: 'before', value: options.after });
+    }
+
+    const interactions = this._live('crm_interactions', { where, orderBy: newestFirst('created_at'), limit: options.limit });
+    return interactions.map(i => this._withContact(i));
+  }
+
+  async getInteraction(id) {
+    return this._withContact(this._require('crm_interactions', id));
+  }
+
+  async searchInteractions(text, options = {}) {
+    const interactions = this._live('crm_interactions', {
+      filter: i => interactionMatchesTerm(i, text),
+      orderBy: newestFirst('created_at'),
+      limit: options.limit
+    });
+
+    return interactions.map(i => this._withContact(i));
+  }
+
+  async addInteraction(interaction) {
+    this._require('crm_contacts', interaction.contactId);
+
+    const created = this._create('crm_interactions', {
+      contact_id: interaction.contactId,
+      type: interaction.type,
+      subject: interaction.subject || null,
+      content: interaction.content || null,
+      created_by: interaction.createdBy,
+      created_by_type: interaction.createdByType || 'agent',
+      scheduled_at: interaction.scheduledAt || null,
+      completed_at: interaction.completedAt || null,
+      metadata: interaction.metadata || {},
+      external_id: interaction.externalId || null,
+      created_at: interaction.occurredAt
+    });
+
+    // Update contact's last_contact_at, unless this happened before it
+    const contact = this._find('crm_contacts', interaction.contactId);
+    const occurredAt = created.created_at;
+    if (!contact.last_contact_at || contact.last_contact_at < occurredAt) {
+      await this.updateContact(interaction.contactId, { lastContactAt: occurredAt });
+    }
+
+    return this._withContact(created);
+  }
+
+  async updateInteraction(id, updates) {
+    this._require('crm_interactions', id);
+
+    const updateData = this._mapFields(updates, INTERACTION_FIELDS);
+
+    return this._withContact(this._update('crm_interactions', id, updateData));
+  }
+
+  async deleteInteraction(id) {
+    this._delete('crm_interactions', id);
+    return { deleted: true };
+  }
+
+  // ============ TASKS ============
+
+  async listTasks(options = {}) {
+    const where = [];
+
+    if (options.contactId) {
+      where.push({ column: 'contact_id', op: 'eq', value: options.contactId });
+    }
+    if (options.completed !== undefined) {
+      where.push({ column: 'completed', op: 'eq', value: options.completed });
+    }
+    if (options.assignedTo) {
+      where.push({ column: 'assigned_to', op: 'eq', value: options.assignedTo });
+    }
+    if (options.priority) {
+      where.push({ column: 'priority', op: 'eq', value: options.priority });
+    }
+    if (options.dueBefore) {
+      where.push({ column: 'due_at', op: 'lte', value: options.dueBefore });
+    }
+    if (options.seriesId) {
+      where.push({ or: [{ column: 'id', op: 'eq', value: options.seriesId }, { column: 'series_id', op: 'eq', value: options.seriesId }] });
+    }
+    if (options.externalIds) {
+      where.push({ column: 'external_id', op: 'in', value: options.externalIds });
+    }
+    if (options.after) {
+      where.push({ column: 'created_at', op: 'before', value: options.after });
+    }
+
+    // Default order: incomplete first, then by due date (no due date last)
+    const orderBy = options.sort === 'created'
+      ? newestFirst('created_at')
+      : [{ column: 'completed' }, { column: 'due_at', nullsLast: true }, { column: 'id' }];
+
+    return this._live('crm_tasks', { where, orderBy, limit: options.limit }).map(t => this._withContact(t));
+  }
+
+  async getTask(id) {
+    return this._withContact(this._require('crm_tasks', id));
+  }
+
+  async addTask(task) {
+    if (task.contactId) {
+      this._require('crm_contacts', task.contactId);
+    }
+
+    const created = this._create('crm_tasks', {
+      contact_id: task.contactId || null,
+      title: task.title,
+      description: task.description || null,
+      due_at: task.dueAt || null,
+      assigned_to: task.assignedTo || null,
+      priority: task.priority || 'medium',
+      recurrence: task.recurrence || null,
+      series_id: task.seriesId || null,
+      occurrence: task.occurrence || 1,
+      external_id: task.externalId || null
+    });
+    return this._withContact(created);
+  }
+
+  async completeTask(id) {
+    this._require('crm_tasks', id);
+
+    const updated = this._update('crm_tasks', id, {
+      completed: true,
+      completed_at: new Date().toISOString()
+    });
+    return this._withContact(updated);
+  }
+
+  async uncompleteTask(id) {
+    this._require('crm_tasks', id);
+
+    const updated = this._update('crm_tasks', id, {
+      completed: false,
+      completed_at: null
+    });
+    return this._withContact(updated);
+  }
+
+  async updateTask(id, updates) {
+    this._require('crm_tasks', id);
+
+    const updateData = this._mapFields(updates, TASK_FIELDS);
+
+    return this._withContact(this._update('crm_tasks', id, updateData));
+  }
+
+  async deleteTask(id) {
+    this._delete('crm_tasks', id);
+    return { deleted: true };
+  }
+
+  // ============ STAGE TRANSITIONS ============
+
+  async addStageTransition(transition) {
+    return this._create('crm_stage_transitions', {
+      contact_id: transition.contactId,
+      deal_id: transition.dealId || null,
+      from_stage_id: transition.fromStageId || null,
+      to_stage_id: transition.toStageId || null,
+      actor: transition.actor || null
+    });
+  }
+
+  async listStageTransitions(options = {}) {
+    const where = [];
+
+    if (options.contactId) {
+      where.push({ column: 'contact_id', op: 'eq', value: options.contactId });
+    }
+    if (options.dealId) {
+      where.push({ column: 'deal_id', op: 'eq', value: options.dealId });
+    }
+    if (options.since) {
+      where.push({ column: 'created_at', op: 'gte', value: options.since });
+    }
+
+    return this._rows('crm_stage_transitions', { where, orderBy: [{ column: 'created_at' }, { column: 'id' }] });
+  }
+
+  // ============ RULES ============
+
+  async listRules(options = {}) {
+    const where = [];
+
+    if (options.enabled !== undefined) {
+      where.push({ column: 'enabled', op: 'eq', value: options.enabled });
+    }
+    if (options.triggerType) {
+      where.push({ column: 'trigger_type', op: 'eq', value: options.triggerType });
+    }
+
+    return this._rows('crm_rules', { where, orderBy: [{ column: 'id' }] });
+  }
+
+  async getRule(id) {
+    return this._require('crm_rules', id);
+  }
+
+  async createRule(rule) {
+    return this._create('crm_rules', {
+      name: rule.name,
+      trigger_type: rule.triggerType,
+      trigger_params: rule.triggerParams || {},
+      conditions: rule.conditions || [],
+      actions: rule.actions || [],
+      enabled: rule.enabled ?? true
+    });
+  }
+
+  async updateRule(id, updates) {
+    this._require('crm_rules', id);
+
+    const updateData = {
+      ...this._mapFields(updates, RULE_FIELDS),
+      updated_at: new Date().toISOString()
+    };
+
+    return this._update('crm_rules', id, updateData);
+  }
+
+  async deleteRule(id) {
+    this._delete('crm_rules', id);
+    return { deleted: true };
+  }
+
+  async addRuleRun(run) {
+    return this._create('crm_rule_runs', {
+      rule_id: run.ruleId,
+      event_type: run.eventType || null,
+      contact_id: run.contactId || null,
+      subject_key: run.subjectKey || null,
+      status: run.status,
+      actions: run.actions || [],
+      error: run.error || null
+    });
+  }
+
+  async listRuleRuns(options = {}) {
+    const where = [];
+
+    if (options.ruleId) {
+      where.push({ column: 'rule_id', op: 'eq', value: options.ruleId });
+    }
+    if (options.contactId) {
+      where.push({ column: 'contact_id', op: 'eq', value: options.contactId });
+    }
+    if (options.subjectKey) {
+      where.push({ column: 'subject_key', op: 'eq', value: options.subjectKey });
+    }
+    if (options.status) {
+      where.push({ column: 'status', op: 'eq', value: options.status });
+    }
+
+    return this._rows('crm_rule_runs', { where, orderBy: newestFirst('created_at'), limit: options.limit });
+  }
+
+  // ============ SETTINGS ============
+
+  _setting(key) {
+    return this._rows('crm_settings', { where: [{ column: 'key', op: 'eq', value: key }] })[0];
+  }
+
+  async getSetting(key) {
+    const row = this._setting(key);
+    return row ? row.value : null;
+  }
+
+  async setSetting(key, value) {
+    const row = this._setting(key);
+    if (row) {
+      this._update('crm_settings', row.id, { value, updated_at: new Date().toISOString() });
+    } else {
+      this._create('crm_settings', { key, value });
+    }
+    return value;
+  }
+
+  // ============ EXCHANGE RATES ============
+
+  async listExchangeRates(options = {}) {
+    const where = [];
+
+    if (options.currency) {
+      where.push({ or: [
+        { column: 'base_currency', op: 'eq', value: options.currency },
+        { column: 'quote_currency', op: 'eq', value: options.currency }
+      ] });
+    }
+    if (options.until) {
+      where.push({ column: 'rate_date', op: 'lte', value: options.until });
+    }
+
+    return this._rows('crm_exchange_rates', { where, orderBy: newestFirst('rate_date'), limit: options.limit });
+  }
+
+  async saveExchangeRate(rate) {
+    const [existing] = this._rows('crm_exchange_rates', { where: [
+      { column: 'base_currency', op: 'eq', value: rate.base },
+      { column: 'quote_currency', op: 'eq', value: rate.quote },
+      { column: 'rate_date', op: 'eq', value: rate.date }
+    ] });
+    const row = { rate: rate.rate, source: rate.source || null, updated_at: new Date().toISOString() };
+
+    if (existing) {
+      return this._update('crm_exchange_rates', existing.id, row);
+    }
+    return this._create('crm_exchange_rates', {
+      ...row,
+      base_currency: rate.base,
+      quote_currency: rate.quote,
+      rate_date: rate.date
+    });
+  }
+
+  async deleteExchangeRate(id) {
+    this._require('crm_exchange_rates', id);
+    this._delete('crm_exchange_rates', id);
+    return { deleted: true };
+  }
+
+  // ============ TRASH ============
+
+  async trash(table, id, deletedBy) {
+    this._require(table, id);
+    const stamp = { deleted_at: new Date().toISOString(), deleted_by: deletedBy || null };
+
+    // A contact's deals, interactions and tasks go with it, with the same stamp
+    if (table === 'crm_contacts') {
+      for (const child of CONTACT_CHILD_TABLES) {
+        this._live(child, { where: [{ column: 'contact_id', op: 'eq', value: id }] })
+          .forEach(row => this._update(child, row.id, stamp));
+      }
+    }
+    return this._update(table, id, stamp);
+  }
+
+  async restore(table, id) {
+    const row = this._find(table, id);
+    if (!row || !row.deleted_at) {
+      throw new CrmNotFoundError(`deleted ${resourceName(table)}`, id);
+    }
+
+    const restored = { deleted_at: null, deleted_by: null };
+    if (table === 'crm_contacts') {
+      for (const child of CONTACT_CHILD_TABLES) {
+        this._rows(child, { where: [
+          { column: 'contact_id', op: 'eq', value: id },
+          { column: 'deleted_at', op: 'eq', value: row.deleted_at }
+        ] }).forEach(r => this._update(child, r.id, restored));
+      }
+    }
+    return this._update(table, id, restored);
+  }
+
+  async listDeleted(table, options = {}) {
+    const where = [{ column: 'deleted_at', op: 'notNull' }];
+    if (options.id) {
+      where.push({ column: 'id', op: 'eq', value: options.id });
+    }
+    if (options.contactId) {
+      where.push({ column: 'contact_id', op: 'eq', value: options.contactId });
+    }
+    if (options.deletedBefore) {
+      where.push({ column: 'deleted_at', op: 'lt', value: options.deletedBefore });
+    }
+    return this._rows(table, { where, orderBy: newestFirst('deleted_at'), limit: options.limit });
+  }
+
+  // ============ AUDIT LOG ============
+
+  async addAuditEntries(entries) {
+    return entries.map(entry => this._create('crm_audit_log', {
+      entity: entry.entity,
+      entity_id: entry.entityId,
+      action: entry.action,
+      field: entry.field || null,
+      old_value: entry.oldValue ?? null,
+      new_value: entry.newValue ?? null,
+      actor: entry.actor || null
+    }));
+  }
+
+  async listAuditLog(options = {}) {
+    const where = [];
+
+    if (options.entity) {
+      where.push({ column: 'entity', op: 'eq', value: options.entity });
+    }
+    if (options.entityId) {
+      where.push({ column: 'entity_id', op: 'eq', value: options.entityId });
+    }
+    if (options.field) {
+      where.push({ column: 'field', op: 'eq', value: options.field });
+    }
+    if (options.actor) {
+      where.push({ column: 'actor', op: 'eq', value: options.actor });
+    }
+    if (options.since) {
+      where.push({ column: 'created_at', op: 'gte', value: options.since });
+    }
+    if (options.until) {
+      where.push({ column: 'created_at', op: 'lte', value: options.until });
+    }
+
+    return this._rows('crm_audit_log', { where, orderBy: newestFirst('created_at'), limit: options.limit });
+  }
+
+  // ============ STATS ============
+
+  async getActivityStats(days = 30) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+    const sinceIso = since.toISOString();
+    const recent = table => this._live(table, { where: [{ column: 'created_at', op: 'gte', value: sinceIso }] });
+
+    const interactions = recent('crm_interactions');
+    const tasks = recent('crm_tasks');
+    const contacts = recent('crm_contacts');
+
+    // Count interactions by type
+    const interactionsByType = {};
+    interactions.forEach(i => {
+      interactionsByType[i.type] = (interactionsByType[i.type] || 0) + 1;
+    });
+
+    return {
+      period: `${days} days`,
+      interactions: {
+        total: interactions.length,
+        byType: interactionsByType
+      },
+      tasks: {
+        created: tasks.length,
+        completed: tasks.filter(t => t.completed).length
+      },
+      contacts: {
+        created: contacts.length,
+        active: contacts.filter(c => c.is_active).length
+      }
+    };
+  }
+
+  async getOverdueTask() {
+    const now = new Date().toISOString();
+
+    const tasks = this._live('crm_tasks', {
+      where: [
+        { column: 'completed', op: 'eq', value: false },
+        { column: 'due_at', op: 'lt', value: now }
+      ],
+      orderBy: [{ column: 'due_at' }, { column: 'id' }]
+    });
+    return tasks.map(t => this._withContact(t));
+  }
+
+  // ============ UTILITIES ============
+
+  async ready() {
+    // Local databases are checked when they open
+  }
+
+  close() {
+    // Subclasses override if they hold resources
+  }
+}
+
+export default LocalDB;
@@ -0,0 +1,65 @@
+/**
+ * In-memory backend for CRM
+ * Nothing is persisted - useful for tests, demos and throwaway agents
+ */
+
+import { LocalDB, applyQuery } from './local.js';
+import { TABLES } from './schema.js';
+
+export class MemoryDB extends LocalDB {
+  /**
+   * @param {string} agentId - Multi-tenant agent ID
+   * @param {Object} store - Optional shared store, so several agents can see one dataset
+   */
+  constructor(agentId, store = MemoryDB.createStore()) {
+    super(agentId);
+    this.store = store;
+  }
+
+  static createStore() {
+    const store = {};
+    for (const table of Object.keys(TABLES)) {
+      store[table] = { rows: [], nextId: 1 };
+    }
+    return store;
+  }
+
+  _table(table) {
+    // Tables added after the store was created start out empty
+    if (!this.store[table]) {
+      this.store[table] = { rows: [], nextId: 1 };
+    }
+    return this.store[table];
+  }
+
+  _rows(table, query) {
+    const rows = this._table(table).rows.filter(row => row.agent_id === this.agentId);
+    return applyQuery(rows, query).map(row => structuredClone(row));
+  }
+
+  _find(table, id) {
+    const row = this._table(table).rows.find(r => r.id === id && r.agent_id === this.agentId);
+    return row ? structuredClone(row) : undefined;
+  }
+
+  _insert(table, row) {
+    const t = this._table(table);
+    const created = { id: t.nextId++, ...structuredClone(row) };
+    t.rows.push(created);
+    return structuredClone(created);
+  }
+
+  _update(table, id, patch) {
+    const row = this._table(table).rows.find(r => r.id === id && r.agent_id === this.agentId);
+    if (!row) return undefined;
+    Object.assign(row, structuredClone(patch));
+    return structuredClone(row);
+  }
+
+  _remove(table, id) {
+    const t = this._table(table);
+    t.rows = t.rows.filter(r => !(r.id === id && r.agent_id === this.agentId));
+  }
+}
+
+export default MemoryDB;
@@ -0,0 +1,234 @@
+/**
+ * Table definitions shared by the local (SQLite / in-memory) backends
+ * Mirrors the schema built by src/migrations: a new column needs both
+ * an entry here and a migration
+ *
+ * Column types:
+ *   serial      - auto-incrementing integer primary key
+ *   text        - string
+ *   integer     - whole number
+ *   decimal     - floating point number
+ *   boolean     - true/false (stored as 0/1 in SQLite)
+ *   timestamptz - ISO 8601 string
+ *   json        - object (stored as JSON text in SQLite)
+ *   array       - array of strings (stored as JSON text in SQLite)
+ */
+
+// Rows trashed and restored along with their contact
+export const CONTACT_CHILD_TABLES = ['crm_deals', 'crm_interactions', 'crm_tasks'];
+
+export const TABLES = {
+  crm_stages: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    name: { type: 'text', notNull: true },
+    position: { type: 'integer', notNull: true },
+    color: { type: 'text' },
+    win_probability: { type: 'integer' },
+    created_at: { type: 'timestamptz', default: 'now' },
+    deleted_at: { type: 'timestamptz' },
+    deleted_by: { type: 'text' }
+  },
+
+  crm_companies: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    name: { type: 'text', notNull: true },
+    domain: { type: 'text' },
+    industry: { type: 'text' },
+    size: { type: 'text' },
+    address: { type: 'text' },
+    custom_fields: { type: 'json', default: {} },
+    created_at: { type: 'timestamptz', default: 'now' },
+    updated_at: { type: 'timestamptz', default: 'now' },
+    deleted_at: { type: 'timestamptz' },
+    deleted_by: { type: 'text' }
+  },
+
+  crm_contacts: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    name: { type: 'text', notNull: true },
+    email: { type: 'text' },
+    phone: { type: 'text' },
+    company: { type: 'text' },
+    role: { type: 'text' },
+    stage_id: { type: 'integer', references: 'crm_stages', onDelete: 'set null' },
+    stage_entered_at: { type: 'timestamptz', default: 'now' },
+    source: { type: 'text' },
+    source_detail: { type: 'text' },
+    assigned_to: { type: 'text' },
+    tags: { type: 'array', default: [] },
+    custom_fields: { type: 'json', default: {} },
+    deal_value: { type: 'decimal' },
+    currency: { type: 'text', default: 'AUD' },
+    expected_close_at: { type: 'timestamptz' },
+    is_active: { type: 'boolean', default: true },
+    lost_reason: { type: 'text' },
+    created_at: { type: 'timestamptz', default: 'now' },
+    updated_at: { type: 'timestamptz', default: 'now' },
+    last_contact_at: { type: 'timestamptz' },
+    deleted_at: { type: 'timestamptz' },
+    deleted_by: { type: 'text' },
+    company_id: { type: 'integer', references: 'crm_companies', onDelete: 'set null' },
+    score: { type: 'integer' },
+    score_reasons: { type: 'json', default: [] },
+    scored_at: { type: 'timestamptz' }
+  },
+
+  crm_deals: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    contact_id: { type: 'integer', references: 'crm_contacts', onDelete: 'cascade' },
+    company_id: { type: 'integer', references: 'crm_companies', onDelete: 'set null' },
+    title: { type: 'text', notNull: true },
+    stage_id: { type: 'integer', references: 'crm_stages', onDelete: 'set null' },
+    stage_entered_at: { type: 'timestamptz' },
+    value: { type: 'decimal' },
+    currency: { type: 'text', default: 'AUD' },
+    expected_close_at: { type: 'timestamptz' },
+    status: { type: 'text', notNull: true, default: 'open' },
+    lost_reason: { type: 'text' },
+    owner: { type: 'text' },
+    closed_at: { type: 'timestamptz' },
+    custom_fields: { type: 'json', default: {} },
+    created_at: { type: 'timestamptz', default: 'now' },
+    updated_at: { type: 'timestamptz', default: 'now' },
+    deleted_at: { type: 'timestamptz' },
+    deleted_by: { type: 'text' }
+  },
+
+  crm_interactions: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    contact_id: { type: 'integer', references: 'crm_contacts', onDelete: 'cascade' },
+    type: { type: 'text', notNull: true },
+    subject: { type: 'text' },
+    content: { type: 'text' },
+    created_by: { type: 'text', notNull: true },
+    created_by_type: { type: 'text' },
+    scheduled_at: { type: 'timestamptz' },
+    completed_at: { type: 'timestamptz' },
+    metadata: { type: 'json', default: {} },
+    created_at: { type: 'timestamptz', default: 'now' },
+    deleted_at: { type: 'timestamptz' },
+    deleted_by: { type: 'text' },
+    external_id: { type: 'text' }
+  },
+
+  crm_tasks: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    contact_id: { type: 'integer', references: 'crm_contacts', onDelete: 'cascade' },
+    title: { type: 'text', notNull: true },
+    description: { type: 'text' },
+    due_at: { type: 'timestamptz' },
+    assigned_to: { type: 'text' },
+    priority: { type: 'text', default: 'medium' },
+    completed: { type: 'boolean', default: false },
+    completed_at: { type: 'timestamptz' },
+    recurrence: { type: 'text' },
+    series_id: { type: 'integer' },
+    occurrence: { type: 'integer', default: 1 },
+    created_at: { type: 'timestamptz', default: 'now' },
+    deleted_at: { type: 'timestamptz' },
+    deleted_by: { type: 'text' },
+    external_id: { type: 'text' }
+  },
+
+  crm_stage_transitions: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    contact_id: { type: 'integer', references: 'crm_contacts', onDelete: 'cascade' },
+    from_stage_id: { type: 'integer', references: 'crm_stages', onDelete: 'set null' },
+    to_stage_id: { type: 'integer', references: 'crm_stages', onDelete: 'set null' },
+    actor: { type: 'text' },
+    created_at: { type: 'timestamptz', default: 'now' },
+    deal_id: { type: 'integer', references: 'crm_deals', onDelete: 'cascade' }
+  },
+
+  crm_rules: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    name: { type: 'text', notNull: true },
+    trigger_type: { type: 'text', notNull: true },
+    trigger_params: { type: 'json', default: {} },
+    conditions: { type: 'json', default: [] },
+    actions: { type: 'json', default: [] },
+    enabled: { type: 'boolean', default: true },
+    created_at: { type: 'timestamptz', default: 'now' },
+    updated_at: { type: 'timestamptz', default: 'now' }
+  },
+
+  crm_rule_runs: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    rule_id: { type: 'integer', references: 'crm_rules', onDelete: 'cascade' },
+    event_type: { type: 'text' },
+    contact_id: { type: 'integer', references: 'crm_contacts', onDelete: 'set null' },
+    subject_key: { type: 'text' },
+    status: { type: 'text', notNull: true },
+    actions: { type: 'json', default: [] },
+    error: { type: 'text' },
+    created_at: { type: 'timestamptz', default: 'now' }
+  },
+
+  crm_audit_log: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    entity: { type: 'text', notNull: true },
+    entity_id: { type: 'integer' },
+    action: { type: 'text', notNull: true },
+    field: { type: 'text' },
+    old_value: { type: 'json' },
+    new_value: { type: 'json' },
+    actor: { type: 'text' },
+    created_at: { type: 'timestamptz', default: 'now' }
+  },
+
+  crm_settings: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    key: { type: 'text', notNull: true },
+    value: { type: 'json' },
+    updated_at: { type: 'timestamptz', default: 'now' }
+  },
+
+  crm_exchange_rates: {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    base_currency: { type: 'text', notNull: true },
+    quote_currency: { type: 'text', notNull: true },
+    rate: { type: 'decimal', notNull: true },
+    rate_date: { type: 'timestamptz', notNull: true },
+    source: { type: 'text' },
+    created_at: { type: 'timestamptz', default: 'now' },
+    updated_at: { type: 'timestamptz', default: 'now' }
+  }
+};
+
+/**
+ * Build a complete row for a table, filling in column defaults
+ * for anything not provided (id is left to the backend)
+ */
+export function applyDefaults(table, row) {
+  const columns = TABLES[table];
+  const now = new Date().toISOString();
+  const result = {};
+
+  for (const [name, column] of Object.entries(columns)) {
+    if (column.type === 'serial') continue;
+
+    if (row[name] !== undefined) {
+      result[name] = row[name];
+    } else if (column.default === 'now') {
+      result[name] = now;
+    } else if (column.default !== undefined) {
+      result[name] = structuredClone(column.default);
+    } else {
+      result[name] = null;
+    }
+  }
+
+  return result;
+}
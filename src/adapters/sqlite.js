@@ -0,0 +1,215 @@
+/**
+ * SQLite backend for CRM
+ * Stores everything in a single local file - no network required
+ *
+ * Requires the optional `better-sqlite3` dependency.
+ * Schema migrations are applied when the file is opened, unless
+ * autoMigrate is false.
+ */
+
+import { createRequire } from 'module';
+import { LocalDB, applyQuery } from './local.js';
+import { CrmBackendError } from '../errors.js';
+import { TABLES } from './schema.js';
+import { SQLiteDriver, migrateSQLite, sqliteVersions } from '../migrate.js';
+
+const require = createRequire(import.meta.url);
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    throw new CrmBackendError(`The sqlite backend requires better-sqlite3 (npm install better-sqlite3): ${err.message}`);
+  }
+}
+
+export class SQLiteDB extends LocalDB {
+  /**
+   * @param {string} agentId - Multi-tenant agent ID
+   * @param {string} file - Path to the database file (':memory:' for a temporary database)
+   * @param {Object} options - { autoMigrate? } (default: true)
+   */
+  constructor(agentId, file = 'crm.db', options = {}) {
+    super(agentId);
+    const Database = loadDriver();
+    this.file = file;
+    try {
+      this.sqlite = new Database(file);
+    } catch (err) {
+      throw new CrmBackendError(`Cannot open SQLite database ${file}: ${err.message}`, err);
+    }
+    this.sqlite.pragma('journal_mode = WAL');
+    if (options.autoMigrate !== false) {
+      migrateSQLite(new SQLiteDriver(this.sqlite));
+    }
+  }
+
+  /**
+   * Applied migration versions, or null if the file isn't versioned
+   */
+  schemaVersions() {
+    return sqliteVersions(new SQLiteDriver(this.sqlite));
+  }
+
+  _serialize(table, row) {
+    const columns = TABLES[table];
+    const values = {};
+    for (const [name, value] of Object.entries(row)) {
+      const column = columns[name];
+      if (!column) continue;
+      if (value === null || value === undefined) {
+        values[name] = null;
+      } else if (column.type === 'json' || column.type === 'array') {
+        values[name] = JSON.stringify(value);
+      } else if (column.type === 'boolean') {
+        values[name] = value ? 1 : 0;
+      } else {
+        values[name] = value;
+      }
+    }
+    return values;
+  }
+
+  _deserialize(table, row) {
+    if (!row) return undefined;
+    const columns = TABLES[table];
+    const result = {};
+    for (const [name, value] of Object.entries(row)) {
+      const column = columns[name];
+      if (column && value !== null && (column.type === 'json' || column.type === 'array')) {
+        result[name] = JSON.parse(value);
+      } else if (column && value !== null && column.type === 'boolean') {
+        result[name] = value === 1;
+      } else {
+        result[name] = value;
+      }
+    }
+    return result;
+  }
+
+  // A query column, checked against the schema since it's spliced into SQL
+  _column(table, column) {
+    if (!TABLES[table][column]) {
+      throw new Error(`Unknown column ${table}.${column}`);
+    }
+    return column;
+  }
+
+  // A query value as stored: booleans are 0/1
+  _param(table, column, value) {
+    return TABLES[table][column].type === 'boolean' ? (value ? 1 : 0) : value;
+  }
+
+  // SQL for one query condition, or null for one only JavaScript can test
+  _condition(table, condition, params) {
+    if (condition.or) {
+      const parts = condition.or.map(c => this._condition(table, c, params));
+      return parts.includes(null) ? null : `(${parts.join(' or ')})`;
+    }
+    const column = this._column(table, condition.column);
+    const param = value => {
+      params.push(this._param(table, column, value));
+      return '?';
+    };
+    const list = values => values.map(param).join(', ');
+    const comparisons = { eq: '=', neq: 'is not', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+    if (condition.op === 'eq' && condition.value === null) {
+      return `${column} is null`;
+    }
+    if (comparisons[condition.op]) {
+      return `${column} ${comparisons[condition.op]} ${param(condition.value)}`;
+    }
+    switch (condition.op) {
+      case 'in':
+        return condition.value.length > 0 ? `${column} in (${list(condition.value)})` : '0';
+      case 'null':
+        return `${column} is null`;
+      case 'notNull':
+        return `${column} is not null`;
+      case 'overlaps':
+        return condition.value.length > 0
+          ? `exists (select 1 from json_each(${table}.${column}) where json_each.value in (${list(condition.value)}))`
+          : '0';
+      case 'before': {
+        const { value, id } = condition.value;
+        return `(${column} < ${param(value)} or (${column} = ${param(value)} and id < ${param(id)}))`;
+      }
+      default:
+        return null;
+    }
+  }
+
+  _rows(table, query = {}) {
+    const params = [this.agentId];
+    const where = ['agent_id = ?'];
+    // Conditions SQL can't express, and any filter, run in JavaScript after
+    // the query - and then so do limit and offset
+    const fallback = [];
+    for (const condition of query.where || []) {
+      const sql = this._condition(table, condition, params);
+      if (sql === null) {
+        fallback.push(condition);
+      } else {
+        where.push(sql);
+      }
+    }
+    const inSql = fallback.length === 0 && !query.filter;
+
+    let sql = `select * from ${table} where ${where.join(' and ')}`;
+    if (query.orderBy?.length) {
+      sql += ' order by ' + query.orderBy.map(({ column, desc, nullsLast, nocase }) => {
+        const name = this._column(table, column);
+        return `${nullsLast ? `${name} is null, ` : ''}${name}${nocase ? ' collate nocase' : ''}${desc ? ' desc' : ''}`;
+      }).join(', ');
+    }
+    if (inSql && (query.limit || query.offset)) {
+      sql += ` limit ${query.limit ? Number(query.limit) : -1} offset ${Number(query.offset) || 0}`;
+    }
+
+    const rows = this.sqlite.prepare(sql).all(...params).map(row => this._deserialize(table, row));
+    if (inSql) {
+      return rows;
+    }
+    return applyQuery(rows, { where: fallback, filter: query.filter, limit: query.limit, offset: query.offset });
+  }
+
+  _find(table, id) {
+    const row = this.sqlite
+      .prepare(`select * from ${table} where id = ? and agent_id = ?`)
+      .get(id, this.agentId);
+    return this._deserialize(table, row);
+  }
+
+  _insert(table, row) {
+    const values = this._serialize(table, row);
+    const names = Object.keys(values);
+    const result = this.sqlite
+      .prepare(`insert into ${table} (${names.join(', ')}) values (${names.map(n => '@' + n).join(', ')})`)
+      .run(values);
+    return this._find(table, Number(result.lastInsertRowid));
+  }
+
+  _update(table, id, patch) {
+    const values = this._serialize(table, patch);
+    const names = Object.keys(values);
+    if (names.length > 0) {
+      this.sqlite
+        .prepare(`update ${table} set ${names.map(n => `${n} = @${n}`).join(', ')} where id = @__id and agent_id = @__agent`)
+        .run({ ...values, __id: id, __agent: this.agentId });
+    }
+    return this._find(table, id);
+  }
+
+  _remove(table, id) {
+    this.sqlite
+      .prepare(`delete from ${table} where id = ? and agent_id = ?`)
+      .run(id, this.agentId);
+  }
+
+  close() {
+    this.sqlite.close();
+  }
+}
+
+export default SQLiteDB;
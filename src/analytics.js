@@ -0,0 +1,292 @@
+/**
+ * Pipeline analytics
+ * Pure functions over rows returned by the database layer
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const sumValues = deals => deals.reduce((sum, d) => sum + (parseFloat(d.value) || 0), 0);
+
+/**
+ * Open deals and their value in each stage
+ * @param {Object[]} deals - open crm_deals rows
+ * @param {Object[]} stages - crm_stages rows
+ */
+export function pipelineStats(deals, stages) {
+  const pipeline = stages.map(stage => {
+    const stageDeals = deals.filter(d => d.stage_id === stage.id);
+    return {
+      id: stage.id,
+      name: stage.name,
+      color: stage.color,
+      position: stage.position,
+      winProbability: stage.win_probability,
+      count: stageDeals.length,
+      value: sumValues(stageDeals),
+      weightedValue: sumValues(stageDeals) * (stage.win_probability || 0) / 100
+    };
+  });
+
+  const unstaged = deals.filter(d => !d.stage_id);
+  if (unstaged.length > 0) {
+    pipeline.unshift({
+      id: null,
+      name: 'Unstaged',
+      color: '#888888',
+      position: 0,
+      winProbability: 0,
+      count: unstaged.length,
+      value: sumValues(unstaged),
+      weightedValue: 0
+    });
+  }
+
+  return {
+    stages: pipeline,
+    totalDeals: deals.length,
+    totalContacts: new Set(deals.map(d => d.contact_id)).size,
+    totalValue: sumValues(deals),
+    weightedValue: pipeline.reduce((sum, s) => sum + s.weightedValue, 0)
+  };
+}
+
+/**
+ * Split transitions into stints: one per (deal, stage) visit
+ * Transitions recorded before deals existed are grouped by contact.
+ * @param {Object[]} transitions - crm_stage_transitions rows, oldest first
+ * @param {Date} now - End time for stints that are still open
+ * @returns {Object[]} { dealId, contactId, stageId, enteredAt, exitedAt, durationMs }
+ */
+export function stageStints(transitions, now = new Date()) {
+  const byDeal = new Map();
+  for (const t of transitions) {
+    const key = t.deal_id ?? `contact:${t.contact_id}`;
+    if (!byDeal.has(key)) byDeal.set(key, []);
+    byDeal.get(key).push(t);
+  }
+
+  const stints = [];
+  for (const list of byDeal.values()) {
+    list.forEach((t, index) => {
+      if (!t.to_stage_id) return;
+      const next = list[index + 1];
+      const exitedAt = next ? new Date(next.created_at) : null;
+      stints.push({
+        dealId: t.deal_id ?? null,
+        contactId: t.contact_id,
+        stageId: t.to_stage_id,
+        enteredAt: new Date(t.created_at),
+        exitedAt,
+        durationMs: (exitedAt || now) - new Date(t.created_at)
+      });
+    });
+  }
+  return stints;
+}
+
+/**
+ * Average and median time spent in each stage
+ * @param {Object[]} transitions - crm_stage_transitions rows, oldest first
+ * @param {Object[]} stages - crm_stages rows
+ * @param {Object} options - { includeOpen?, now? }
+ *   includeOpen: count time in the current stage up to now (default: completed stints only)
+ */
+export function stageVelocity(transitions, stages, options = {}) {
+  const stints = stageStints(transitions, options.now);
+
+  return stages.map(stage => {
+    const stageStintList = stints.filter(s => s.stageId === stage.id);
+    const completed = stageStintList.filter(s => s.exitedAt);
+    const measured = options.includeOpen ? stageStintList : completed;
+    const durations = measured.map(s => s.durationMs);
+
+    return {
+      id: stage.id,
+      name: stage.name,
+      position: stage.position,
+      entered: stageStintList.length,
+      exited: completed.length,
+      current: stageStintList.length - completed.length,
+      averageMs: average(durations),
+      medianMs: median(durations),
+      averageDays: durations.length ? average(durations) / DAY_MS : null,
+      medianDays: durations.length ? median(durations) / DAY_MS : null
+    };
+  });
+}
+
+/**
+ * Stage-to-stage conversion for a cohort of deals
+ *
+ * A deal has reached a stage if it was ever moved there, or if it
+ * currently sits at or beyond that stage's position. Won deals, and
+ * deals that reached the last stage (highest position), count as won.
+ * A stage's dropOff is the deals that reached it, didn't move on and are
+ * no longer open there: deals still in the stage aren't counted.
+ *
+ * @param {Object[]} deals - crm_deals rows in the cohort
+ * @param {Object[]} transitions - crm_stage_transitions rows (any order)
+ * @param {Object[]} stages - crm_stages rows
+ */
+export function funnel(deals, transitions, stages) {
+  const ordered = [...stages].sort((a, b) => a.position - b.position);
+  const positionOf = new Map(ordered.map(s => [s.id, s.position]));
+  const finalPosition = ordered.length ? ordered[ordered.length - 1].position : 0;
+
+  // Furthest position each deal reached (null = never staged; a stage can be at position 0)
+  const furthest = new Map(deals.map(d => [d.id, d.status === 'won' ? finalPosition : positionOf.get(d.stage_id) ?? null]));
+  for (const t of transitions) {
+    if (!furthest.has(t.deal_id)) continue;
+    const position = positionOf.get(t.to_stage_id) ?? null;
+    const current = furthest.get(t.deal_id);
+    if (position !== null && (current === null || position > current)) {
+      furthest.set(t.deal_id, position);
+    }
+  }
+  const isStaged = d => furthest.get(d.id) !== null;
+
+  const isLost = d => d.status === 'lost';
+  const lostAt = position => deals.filter(d => isLost(d) && furthest.get(d.id) === position);
+  const reasons = lost => {
+    const breakdown = {};
+    lost.forEach(d => {
+      const reason = d.lost_reason || 'Unspecified';
+      breakdown[reason] = (breakdown[reason] || 0) + 1;
+    });
+    return breakdown;
+  };
+
+  const reachedCount = position => deals.filter(d => isStaged(d) && furthest.get(d.id) >= position).length;
+
+  const funnelStages = ordered.map((stage, index) => {
+    const reached = reachedCount(stage.position);
+    const next = ordered[index + 1];
+    const converted = next ? reachedCount(next.position) : null;
+    const lost = lostAt(stage.position);
+    const inProgress = deals.filter(d => d.status === 'open' && furthest.get(d.id) === stage.position).length;
+
+    return {
+      id: stage.id,
+      name: stage.name,
+      position: stage.position,
+      reached,
+      reachedRate: deals.length ? reached / deals.length : null,
+      converted,
+      conversionRate: next && reached ? converted / reached : null,
+      dropOff: next ? reached - converted - inProgress : null,
+      lost: lost.length,
+      lostReasons: reasons(lost),
+      inProgress
+    };
+  });
+
+  const unstagedLost = lostAt(null);
+  const finalStage = ordered[ordered.length - 1];
+  const won = finalStage ? reachedCount(finalStage.position) : deals.filter(d => d.status === 'won').length;
+  const lostTotal = deals.filter(d => isLost(d) && (!finalStage || !isStaged(d) || furthest.get(d.id) < finalStage.position)).length;
+
+  return {
+    cohortSize: deals.length,
+    unstaged: {
+      count: deals.filter(d => !isStaged(d)).length,
+      lost: unstagedLost.length,
+      lostReasons: reasons(unstagedLost)
+    },
+    stages: funnelStages,
+    won,
+    lost: lostTotal,
+    winRate: deals.length ? won / deals.length : null,
+    closedWinRate: won + lostTotal ? won / (won + lostTotal) : null
+  };
+}
+
+/**
+ * Key and bounds of the month or quarter containing a date (UTC)
+ * @param {Date} date
+ * @param {string} period - 'month' | 'quarter'
+ */
+export function periodOf(date, period) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  if (period === 'quarter') {
+    const quarter = Math.floor(month / 3);
+    return {
+      key: `${year}-Q${quarter + 1}`,
+      start: new Date(Date.UTC(year, quarter * 3, 1)).toISOString(),
+      end: new Date(Date.UTC(year, quarter * 3 + 3, 1)).toISOString()
+    };
+  }
+
+  return {
+    key: `${year}-${String(month + 1).padStart(2, '0')}`,
+    start: new Date(Date.UTC(year, month, 1)).toISOString(),
+    end: new Date(Date.UTC(year, month + 1, 1)).toISOString()
+  };
+}
+
+/**
+ * Revenue forecast bucketed by expected close period
+ *
+ * weighted:  deal value x stage win probability
+ * bestCase:  every open deal closes
+ * worstCase: only deals in stages with 100% probability close
+ *
+ * @param {Object[]} deals - open crm_deals rows
+ * @param {Object[]} stages - crm_stages rows
+ * @param {Object} options - { period? } - 'month' (default) or 'quarter'
+ */
+export function forecast(deals, stages, options = {}) {
+  const period = options.period || 'month';
+  const probabilityOf = new Map(stages.map(s => [s.id, s.win_probability || 0]));
+  const buckets = new Map();
+  const emptyTotals = () => ({ count: 0, value: 0, weighted: 0, bestCase: 0, worstCase: 0 });
+  const unscheduled = emptyTotals();
+  const totals = emptyTotals();
+
+  const add = (target, value, probability) => {
+    target.count += 1;
+    target.value += value;
+    target.weighted += value * probability / 100;
+    target.bestCase += value;
+    target.worstCase += probability >= 100 ? value : 0;
+  };
+
+  for (const deal of deals) {
+    const value = parseFloat(deal.value) || 0;
+    if (!value) continue;
+    const probability = probabilityOf.get(deal.stage_id) || 0;
+
+    add(totals, value, probability);
+
+    if (!deal.expected_close_at) {
+      add(unscheduled, value, probability);
+      continue;
+    }
+
+    const { key, start, end } = periodOf(new Date(deal.expected_close_at), period);
+    if (!buckets.has(key)) {
+      buckets.set(key, { period: key, start, end, ...emptyTotals() });
+    }
+    add(buckets.get(key), value, probability);
+  }
+
+  return {
+    period,
+    buckets: [...buckets.values()].sort((a, b) => a.start.localeCompare(b.start)),
+    unscheduled,
+    totals
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Field-level audit log
+ *
+ * Every change event for a stage, company, contact, deal, interaction or task becomes
+ * one audit entry per changed column, with the old and new values and
+ * who made the change. Creations, deletions and restores get a single
+ * entry without values:
+ *
+ *   { entity, entityId, action, field, oldValue, newValue, actor }
+ *
+ * action: created, updated, trashed, deleted (permanently) or restored
+ */
+
+export const AUDITED_ENTITIES = ['stage', 'company', 'contact', 'deal', 'interaction', 'task'];
+
+// The action each event kind records; anything else (stage_changed,
+// lost, won, merged...) is already covered by the matching *.updated event
+const ACTIONS = {
+  created: 'created',
+  added: 'created',
+  updated: 'updated',
+  completed: 'updated',
+  reopened: 'updated',
+  restored: 'restored'
+};
+
+/**
+ * Audit entries for a change event
+ * @param {Object} event - from createEvent()
+ * @returns {Object[]} camelCase entries for addAuditEntries()
+ */
+export function auditEntries(event) {
+  const [entity, kind] = event.type.split('.');
+  if (!AUDITED_ENTITIES.includes(entity)) return [];
+
+  const { before, after, changes } = event.data;
+  const entry = (entityId, action, field = null, oldValue = null, newValue = null) =>
+    ({ entity, entityId, action, field, oldValue, newValue, actor: event.actor });
+
+  if (kind === 'reordered') {
+    return after
+      .map(stage => [before.find(s => s.id === stage.id), stage])
+      .filter(([old, stage]) => old && old.position !== stage.position)
+      .map(([old, stage]) => entry(stage.id, 'updated', 'position', old.position, stage.position));
+  }
+  if (kind === 'deleted') {
+    return [entry(before.id, event.data.permanent === false ? 'trashed' : 'deleted')];
+  }
+
+  const action = ACTIONS[kind];
+  if (!action) return [];
+  if (action !== 'updated') {
+    return [entry(after.id, action)];
+  }
+  return changes.map(field => entry(after.id, action, field, before[field] ?? null, after[field] ?? null));
+}
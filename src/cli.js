@@ -4,8 +4,36 @@
  */
 
 import { CRM } from './crm.js';
-import { readFileSync } from 'fs';
-import { resolve } from 'path';
+import { CrmError, CrmValidationError, CrmNotFoundError } from './errors.js';
+import { createClient } from '@supabase/supabase-js';
+import { SQLiteDB } from './adapters/sqlite.js';
+import { readSchemaMigrations } from './db.js';
+import {
+  Migrator,
+  PostgresDriver,
+  SQLiteDriver,
+  migrationStatus,
+  migrationScript,
+  pendingMigrations,
+  revertibleMigrations
+} from './migrate.js';
+import { MIGRATIONS } from './migrations/index.js';
+import { readFileSync, writeFileSync, readdirSync, statSync, existsSync } from 'fs';
+import { resolve, join } from 'path';
+import { createInterface } from 'readline/promises';
+import { parseCsvRecords, formatCsv } from './csv.js';
+import { OUTPUT_FORMATS, formatOutput, parseFields, snakeCaseKeys } from './output.js';
+import { parseFieldMap, recordsToContactEntries, contactsToRecords, interactionsToRecords, tasksToRecords } from './records.js';
+import { vcardsToContactEntries, contactsToVCards } from './vcard.js';
+import { parseMailFile } from './email.js';
+import { icalendarToEntries, toICalendar, isTimeZone } from './ical.js';
+import { describeRecurrence } from './recurrence.js';
+import { formatMoney, recordsToExchangeRates } from './currency.js';
+import { createEvent } from './events.js';
+import { WebhookDispatcher, readDeadLetters, DEFAULT_DEAD_LETTER_FILE } from './webhooks.js';
+import { createServer, parseApiKeys } from './server.js';
+import { serveMcp, toolDefinitions } from './mcp.js';
+import { parseTrigger, parseCondition, parseAction, describeTrigger, describeCondition, describeAction } from './rules.js';
 
 // Load environment variables from .env if exists
 try {
@@ -30,50 +58,283 @@ CRM Module CLI
 Agent ID: ${agentId}
 
 Usage:
-  crm stages [list|create|reorder|delete]
-  crm contacts [list|get|create|update|delete|search|move]
-  crm interactions [list|add|update|delete]
-  crm tasks [list|add|complete|delete]
-  crm stats [pipeline|activity|all]
+  crm stages [list|create|update|reorder|delete]
+  crm contacts [list|get|next|create|update|delete|search|move|history|dedupe|merge|import|export]
+  crm companies [list|get|create|update|link|unlink|group|delete]
+  crm deals [list|get|create|update|move|won|lost|reopen|delete|history]
+  crm interactions [list|add|update|delete|export]
+  crm tasks [list|add|complete|stop|delete|export]
+  crm import email <path>
+  crm calendar [export|import]
+  crm stats [pipeline|activity|velocity|funnel|forecast|all]
+  crm fx [list|set|import|currency|convert|delete]
+  crm scores [recompute|explain|model]
+  crm webhooks [list|test|dead-letters|retry]
+  crm trash [list|restore|purge]
+  crm audit [<entity> [<id>]] [filters]
+  crm rules [list|add|test|enable|disable|delete|log|run]
+  crm serve [--port 8080]  -- Serve the REST API
+  crm mcp [tools]  -- Serve tools to LLM agents over MCP (stdio)
   crm init  -- Initialize default pipeline stages
 
+Global options:
+  --backend supabase|sqlite|memory   Storage backend (default: CRM_BACKEND or supabase)
+  --db <file>                        SQLite database file (default: CRM_SQLITE_FILE or crm.db)
+  --output text|json|ndjson|csv|table
+                                     Output format (default: text). Fields are snake_case (rows keep their
+                                     stored names); csv and table flatten nested ones (crm_stages.name).
+                                     Under json and ndjson, errors are printed to stderr as JSON too.
+  --fields <a,b,...>                 Fields to show, in order, e.g. --fields id,name,crm_stages.name
+
 Stages:
   crm stages list
-  crm stages create <name> [--color #hex]
-  crm stages delete <id>
+  crm stages create <name> [--color #hex] [--probability 0-100]
+  crm stages update <id> [--name X] [--color #hex] [--probability 0-100]
+  crm stages delete <id> [--permanent]
 
 Contacts:
-  crm contacts list [--stage <id>] [--active] [--limit N]
+  crm contacts list [--stage <id>] [--company <id>] [--active] [--assigned <user>] [--tags a,b]
+                    [--min-score N] [--max-score N] [--sort score] [--limit N] [--cursor [X] | --all]
   crm contacts get <id>
-  crm contacts create <name> [--email X] [--phone X] [--company X] [--stage <id>]
-  crm contacts update <id> [--name X] [--email X] [--stage <id>] [--value X]
-  crm contacts delete <id>
-  crm contacts search <query>
-  crm contacts move <id> <stage_id>
+  crm contacts next [--limit 10] [--assigned <user>] [--min-score N]   Highest scores first, with reasons
+  crm contacts create <name> [--email X] [--phone X] [--company X | --company-id <id>] [--stage <id>] [--value X] [--currency AUD] [--close <date>]
+  crm contacts update <id> [--name X] [--email X] [--phone X] [--stage <id>] [--value X] [--currency AUD] [--close <date>]
+      Phone numbers are stored as E.164 (+61412345678) where possible; local numbers use CRM_DEFAULT_COUNTRY_CODE
+  crm contacts delete <id> [--permanent]
+  crm contacts search '<query>' [--limit N]
+      e.g. 'tag:vip stage:Proposal value>5000 owner:louis "pricing plan"'
+  crm contacts move <id> <stage_id> [--by <user>]
+  crm contacts history <id>
+  crm contacts dedupe [--threshold 0.5] [--strategy fill|primary|newest] [--list]
+  crm contacts merge <primary_id> <duplicate_id...> [--strategy fill|primary|newest]
+  crm contacts import <file.csv|file.vcf> [--format csv|vcf] [--map "Header=field,..."] [--dry-run] [--on-duplicate skip|update]
+  crm contacts export [<id>|--all] [--format csv|vcf] [--vcard-version 3.0|4.0] [--out <file>] [list filters]
+
+Companies:
+  crm companies list [--search X] [--industry X] [--limit N]   With contacts, open deals and tasks
+  crm companies get <id>
+  crm companies create <name> [--domain acme.com] [--industry X] [--size X] [--address X]
+  crm companies update <id> [--name X] [--domain X] [--industry X] [--size X] [--address X]
+  crm companies link <company_id> <contact_id...>
+  crm companies unlink <contact_id...>
+  crm companies group [--dry-run]    Create companies from contacts' company names and link them
+  crm companies delete <id> [--permanent]
+
+Deals:
+  crm deals list [--contact <id>] [--company <id>] [--stage <id>] [--status open|won|lost] [--owner <user>]
+                 [--limit N] [--cursor [X] | --all]
+  crm deals get <id>
+  crm deals create <contact_id> <title> [--stage <id>] [--value X] [--currency AUD] [--close <date>] [--owner <user>] [--company-id <id>]
+  crm deals update <id> [--title X] [--stage <id>] [--value X] [--currency AUD] [--close <date>] [--owner <user>] [--company-id <id>]
+  crm deals move <id> <stage_id> [--by <user>]
+  crm deals won <id>
+  crm deals lost <id> [--reason X]
+  crm deals reopen <id>
+  crm deals delete <id> [--permanent]
+  crm deals history <id>
+      Contacts with a single deal keep their stage, value and close date in step with it
 
 Interactions:
-  crm interactions list [--contact <id>] [--type X] [--limit N]
-  crm interactions add <contact_id> <type> <content> [--by <user>]
-  crm interactions delete <id>
+  crm interactions list [--contact <id>] [--type X] [--limit N] [--cursor [X] | --all]
+  crm interactions add <contact_id> <type> <content> [--by <user>] [--subject X] [--at <date>]
+      --at: when it's scheduled for (shows in crm calendar export)
+      type: call, email, meeting, note, demo, proposal, or one listed in CRM_INTERACTION_TYPES
+  crm interactions delete <id> [--permanent]
+  crm interactions export [--format csv] [--out <file>] [--contact <id>] [--type X]
+
+Calendar:
+  crm calendar export [--assigned <user>] [--contact <id>] [--timezone <zone>] [--out crm.ics]
+      Open tasks as to-dos and scheduled interactions as events; --assigned matches a task's
+      assignee and an interaction's author. Times are in --timezone (default: TZ, or the system's).
+  crm calendar import <file.ics> [--assigned <user>] [--by <user>] [--dry-run]
+      Events become meetings on every contact invited (matched by email); open to-dos become
+      tasks (--assigned for those with no assignee). Revised invites update the meeting.
+
+Email import:
+  crm import email <file.eml|mailbox.mbox|dir> [--me a@x.com,b@x.com] [--create-contacts] [--dry-run] [--by <user>]
+      Logs each message as an email interaction on every contact it was from, to or cc'd to.
+      --me: your own addresses (default: CRM_EMAIL_ADDRESSES); messages from them are outbound.
+      --create-contacts: add unknown senders of inbound messages as contacts (needs --me).
+      Messages already imported are skipped, so a mailbox can be imported again as it grows.
 
 Tasks:
-  crm tasks list [--pending] [--overdue] [--contact <id>]
-  crm tasks add <title> [--contact <id>] [--due <date>] [--priority high|medium|low]
-  crm tasks complete <id>
-  crm tasks delete <id>
+  crm tasks list [--pending] [--overdue] [--contact <id>] [--assigned <user>] [--priority X] [--series <id>]
+                 [--limit N] [--cursor [X] | --all]
+  crm tasks add <title> [--contact <id>] [--due <date>] [--priority high|medium|low] [--repeat <rule>]
+      --repeat: daily, weekly, monthly, yearly, weekdays or an RRULE,
+                e.g. "weekly;byday=MO", "monthly;bymonthday=-1;count=12", "FREQ=DAILY;INTERVAL=2"
+                (needs --due)
+  crm tasks complete <id>            (recurring tasks schedule their next occurrence)
+  crm tasks stop <id>                (stop a recurring series)
+  crm tasks delete <id> [--permanent]
+  crm tasks export [--format csv] [--out <file>] [list filters]
 
 Stats:
-  crm stats pipeline
+  crm stats pipeline [--currency USD]
   crm stats activity [--days N]
+  crm stats velocity [--since <date>] [--include-open]
+  crm stats funnel [--since <date>] [--until <date>] [--assigned <user>]
+  crm stats forecast [--period month|quarter] [--currency USD]
   crm stats all
+      Values are converted to the reporting currency (crm fx currency) at today's rates
+
+Lead Scores:
+  crm scores recompute [<contact_id...>]  Rescore contacts (scores decay, so run daily from cron)
+  crm scores explain <contact_id>         Show how a contact's score adds up
+  crm scores model [--file model.json | --reset]   Show or set the scoring model
+
+Exchange Rates:
+  crm fx list [--currency X] [--limit N]
+  crm fx set <base> <quote> <rate> [--date YYYY-MM-DD] [--source X]   1 base = rate quote, from that date
+  crm fx import <rates.csv> [--dry-run]    Columns: date, base, quote, rate[, source]
+  crm fx currency [<code>]                 Show or set this agent's reporting currency
+  crm fx convert <amount> <currency> [--to X] [--date YYYY-MM-DD]
+  crm fx delete <id>
+
+Rules:
+  crm rules list
+  crm rules add <name> --when <trigger> [--if <condition>]... --then <action>... [--file rule.json]
+      --when: stage:<name>, contact_created, interaction[:<type>], task_overdue, no_contact:<days>
+      --if:   dealValue>=5000, stage=Proposal, tags~vip, source!=referral, email, !phone
+      --then: "task:<title>;due=3d;priority=high;assign=<user>", tag:<tag>, assign:<user>,
+              stage:<name>, note:<text>   ({{name}}, {{company}}... are filled in)
+  crm rules test <id> --contact <id>  Show whether a rule would fire, without running it
+  crm rules enable|disable|delete <id>
+  crm rules log [--rule <id>] [--contact <id>] [--errors] [--limit N]
+  crm rules run [--now <date>]        Run task_overdue / no_contact rules (e.g. from cron)
+
+Trash:
+  Deleting a stage, company, contact, interaction or task moves it to the trash (a contact takes
+  its interactions and tasks with it). Add --permanent to any delete to skip the trash.
+  crm trash list [--entity contact|company|deal|interaction|task|stage] [--older-than 30d] [--limit N]
+  crm trash restore <entity> <id>
+  crm trash purge (--older-than 30d | --all) [--entity X]   Delete trashed rows for good
+
+Audit log:
+  crm audit [<entity> [<id>]] [--field X] [--actor <user>] [--since <date>] [--until <date>] [--limit N]
+      Field-level changes, newest first, e.g. crm audit contact 12 --field deal_value
+
+Webhooks:
+  crm webhooks list                   Show configured endpoints
+  crm webhooks test [--url <url>]     Send a signed 'ping' event
+  crm webhooks dead-letters           List deliveries that failed for good
+  crm webhooks retry                  Redeliver dead letters (still-failing ones stay in the log)
+
+REST API:
+  crm serve [--port 8080] [--host 127.0.0.1] [--cors <origin>] [--trust-actor-header]
+      Serves /v1/contacts, /v1/stages, /v1/interactions, /v1/tasks and /v1/stats as JSON,
+      with an OpenAPI 3 document at /openapi.json. Needs CRM_API_KEYS; each key's
+      requests only see its own agent's data, and are logged as that agent unless
+      --trust-actor-header lets them name the user in X-Actor. Stop with Ctrl-C.
+
+MCP (agent tools):
+  crm mcp [--by <actor>]
+      Serves CRM tools (search_contacts, create_contact, add_note, add_task, ...) and
+      resources over the Model Context Protocol on stdin/stdout, for MCP clients to launch.
+      --by: author recorded on changes (default: agent)
+  crm mcp tools [--format mcp|openai|anthropic] [--out tools.json]
+      Print the same tool definitions for function calling without MCP
+
+Migrations:
+  crm migrate status                 Show applied and pending schema migrations
+  crm migrate up [--to <version>] [--dry-run]
+  crm migrate down [--steps N | --to <version>] [--dry-run]
+      Postgres/Supabase needs CRM_DATABASE_URL; --dry-run prints the SQL instead
+      (e.g. to paste into the Supabase SQL editor), offline if no database is configured.
+      SQLite files migrate on open.
 
 Environment:
-  SUPABASE_URL    - Supabase project URL (required)
-  SUPABASE_KEY    - Supabase anon key (required)
+  CRM_BACKEND     - Storage backend: supabase, sqlite or memory (default: 'supabase')
+  SUPABASE_URL    - Supabase project URL (required for supabase backend)
+  SUPABASE_KEY    - Supabase anon key (required for supabase backend)
+  CRM_SQLITE_FILE - SQLite database file (default: 'crm.db')
   CRM_AGENT_ID    - Multi-tenant agent ID (default: 'default')
+  CRM_DATABASE_URL        - Postgres connection string for migrations (or DATABASE_URL)
+  CRM_AUTO_MIGRATE        - 'off' to stop SQLite files migrating on open
+  CRM_SCHEMA_CHECK        - 'off' to skip the startup schema version check
+  CRM_WEBHOOK_URLS        - Comma-separated webhook endpoints
+  CRM_WEBHOOK_SECRET      - HMAC signing secret (required with CRM_WEBHOOK_URLS)
+  CRM_WEBHOOK_EVENTS      - Event patterns to send, e.g. 'contact.*,task.completed' (default: all)
+  CRM_WEBHOOK_DEAD_LETTER - Dead-letter log file (default: 'crm-webhooks-dead.jsonl')
+  CRM_DEFAULT_COUNTRY_CODE - Calling code for phone numbers without one, e.g. 61
+  CRM_PHONE_VALIDATION     - 'strict' to reject phone numbers that can't be stored as E.164
+  CRM_INTERACTION_TYPES    - Extra interaction types, comma-separated, e.g. 'sms,linkedin'
+  CRM_EMAIL_ADDRESSES      - Your own email addresses for crm import email, comma-separated
+  CRM_API_KEYS             - API keys for crm serve and the agent each belongs to, e.g. 'k3y1:sales,k3y2:support'
+  CRM_CORS_ORIGIN          - Allowed browser origin for crm serve, e.g. https://app.example.com or *
+  CRM_TRUST_ACTOR_HEADER   - 'on' to let crm serve take the actor from X-Actor (as --trust-actor-header)
+
+Exit codes:
+  0  success
+  1  any other error
+  2  bad usage - unknown command or option, missing argument or configuration
+  3  invalid input - each problem is listed by field
+  4  not found
+  5  conflict with existing data (e.g. a duplicate stage name)
+  6  backend failure - the database is unreachable, out of date or returned an error
 `);
 }
 
+// Bad arguments or missing configuration; exits with 2
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.code = 'usage';
+  }
+}
+
+// --output and --fields, read before any command runs
+let output = { format: 'text', fields: null };
+
+function readOutputOptions(opts) {
+  const format = opts.output === undefined ? 'text' : opts.output;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new UsageError(`Unknown output format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  if (opts.fields === true) {
+    throw new UsageError('--fields needs a list of fields, e.g. --fields id,name,email');
+  }
+  return { format, fields: parseFields(opts.fields) };
+}
+
+// Default --output table columns; the other formats show every field
+const TABLE_COLUMNS = {
+  stage: ['id', 'position', 'name', 'color', 'win_probability'],
+  contact: ['id', 'name', 'email', 'company', 'crm_stages.name', 'deal_value', 'currency', 'score', 'assigned_to', 'is_active'],
+  company: ['id', 'name', 'domain', 'industry', 'rollup.contacts', 'rollup.open_deals', 'rollup.open_deal_value', 'rollup.open_tasks'],
+  deal: ['id', 'title', 'status', 'crm_stages.name', 'crm_contacts.name', 'value', 'currency', 'expected_close_at', 'owner'],
+  interaction: ['id', 'created_at', 'type', 'subject', 'crm_contacts.name', 'created_by', 'scheduled_at'],
+  task: ['id', 'title', 'completed', 'due_at', 'priority', 'crm_contacts.name', 'assigned_to', 'recurrence'],
+  transition: ['created_at', 'from_stage_name', 'to_stage_name', 'time_in_stage_ms', 'actor']
+};
+
+/**
+ * Print a command's result: for people with text() under --output text
+ * (the default), otherwise the data itself (see src/output.js)
+ * @param {*} data - the result
+ * @param {Function} text - prints the human-readable version
+ * @param {Object} options - { rows?, columns?, keepKeys? } the rows for ndjson,
+ *   csv and table when data isn't a list, the default table columns, and
+ *   whether to leave keys as they are rather than snake_case them
+ */
+function emit(data, text, options = {}) {
+  if (output.format === 'text') {
+    text();
+    return;
+  }
+  let formatted;
+  try {
+    formatted = formatOutput(data, output.format, { ...options, fields: output.fields });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  process.stdout.write(formatted);
+}
+
+function emitDeleted(entity, id, permanent) {
+  emit({ entity, id, permanent: Boolean(permanent) }, () => console.log(formatDeleted(entity, id, permanent)));
+}
+
 function parseArgs(args) {
   const opts = {};
   let positional = [];
@@ -82,7 +343,8 @@ function parseArgs(args) {
     if (args[i].startsWith('--')) {
       const key = args[i].slice(2);
       const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : true;
-      opts[key] = value;
+      // Repeated flags (--if a --if b) collect into an array
+      opts[key] = opts[key] === undefined ? value : [].concat(opts[key], value);
     } else {
       positional.push(args[i]);
     }
@@ -91,13 +353,172 @@ function parseArgs(args) {
   return { opts, positional };
 }
 
+// A single argument is the whole query. Otherwise the shell has already
+// stripped quotes, so arguments containing spaces are quoted again to
+// keep phrases together: search tag:vip "pricing plan"
+function searchQuery(args) {
+  if (args.length === 1) return args[0];
+  return args.map(arg => {
+    if (!/\s/.test(arg) || arg.includes('"')) return arg;
+    const [, prefix = '', value] = arg.match(/^(-?[A-Za-z][\w.]*(?::|>=|<=|>|<|=))?(.*)$/s);
+    return `${prefix}"${value}"`;
+  }).join(' ');
+}
+
+function contactFilters(opts) {
+  return {
+    stageId: opts.stage ? parseInt(opts.stage) : undefined,
+    companyId: opts.company ? parseInt(opts.company) : undefined,
+    isActive: opts.active ? true : undefined,
+    assignedTo: opts.assigned,
+    tags: opts.tags ? opts.tags.split(',') : undefined,
+    minScore: opts['min-score'] !== undefined ? parseInt(opts['min-score']) : undefined,
+    maxScore: opts['max-score'] !== undefined ? parseInt(opts['max-score']) : undefined,
+    sort: opts.sort
+  };
+}
+
+function taskFilters(opts) {
+  const filters = {};
+  if (opts.pending) filters.completed = false;
+  if (opts.contact) filters.contactId = parseInt(opts.contact);
+  if (opts.overdue) filters.dueBefore = new Date().toISOString();
+  if (opts.assigned) filters.assignedTo = opts.assigned;
+  if (opts.priority) filters.priority = opts.priority;
+  if (opts.series) filters.seriesId = parseInt(opts.series);
+  return filters;
+}
+
+async function collect(iterator) {
+  const rows = [];
+  for await (const row of iterator) rows.push(row);
+  return rows;
+}
+
+/**
+ * Print a list command's rows
+ *   --all             every matching row, fetched a page at a time
+ *   --cursor [token]  one page; prints the cursor for the next one
+ *   otherwise         the first --limit rows (default 20)
+ * Under --output json, --cursor prints { items, next_cursor }; the other
+ * formats print the rows and the cursor goes to stderr.
+ */
+async function printList(opts, title, format, { list, page, iterate }, columns) {
+  const limit = opts.limit ? parseInt(opts.limit) : 20;
+  if (output.format !== 'text') {
+    if (opts.cursor) {
+      const result = await page({ limit, cursor: opts.cursor === true ? undefined : opts.cursor });
+      emit({ items: result.items, nextCursor: result.nextCursor }, null, { rows: result.items, columns });
+      if (output.format !== 'json' && result.nextCursor) {
+        console.error(`Next page: --cursor ${result.nextCursor}`);
+      }
+    } else {
+      const rows = opts.all ? await collect(iterate({ pageSize: 100 })) : await list({ limit });
+      emit(rows, null, { columns });
+    }
+    return;
+  }
+
+  if (opts.all) {
+    let count = 0;
+    console.log(`\n${title}:`);
+    for await (const row of iterate({ pageSize: 100 })) {
+      console.log('  ' + format(row));
+      count++;
+    }
+    console.log(`\n${count} ${title.toLowerCase()}`);
+  } else if (opts.cursor) {
+    const result = await page({ limit, cursor: opts.cursor === true ? undefined : opts.cursor });
+    console.log(`\n${title} (${result.items.length}):`);
+    result.items.forEach(row => console.log('  ' + format(row)));
+    if (result.nextCursor) {
+      console.log(`\nNext page: --cursor ${result.nextCursor}`);
+    }
+  } else {
+    const rows = await list({ limit });
+    console.log(`\n${title} (${rows.length}):`);
+    rows.forEach(row => console.log('  ' + format(row)));
+  }
+}
+
+function checkFormat(format, supported) {
+  if (!supported.includes(format)) {
+    throw new UsageError(`Unsupported format: ${format} (expected ${supported.join(' or ')})`);
+  }
+}
+
+function writeOutput(opts, content, count) {
+  if (opts.out) {
+    writeFileSync(opts.out, content);
+    console.error(`Exported ${count} records to ${opts.out}`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+function writeCsvExport(opts, { columns, records }) {
+  checkFormat(opts.format || 'csv', ['csv']);
+  writeOutput(opts, formatCsv(records, columns), records.length);
+}
+
+/**
+ * Read messages for crm import email from a .eml file, an mbox mailbox or
+ * a directory of them (read recursively, skipping dotfiles)
+ * @returns {Object[]} entries - { row, message, errors? } for CRM#importEmails();
+ *   row names the file, and the message's number within an mbox
+ */
+function readMailEntries(path) {
+  if (statSync(path).isDirectory()) {
+    return readdirSync(path)
+      .filter(name => !name.startsWith('.'))
+      .sort()
+      .flatMap(name => readMailEntries(join(path, name)));
+  }
+  try {
+    const messages = parseMailFile(readFileSync(path, 'latin1'));
+    return messages.map((message, i) => ({ row: messages.length > 1 ? `${path}#${i + 1}` : path, message }));
+  } catch (err) {
+    return [{ row: path, message: null, errors: [err.message] }];
+  }
+}
+
+// Amounts in their own currency, formatted for CRM_LOCALE (default: the system locale)
+function money(amount, currency, options = {}) {
+  return formatMoney(amount, currency, { locale: process.env.CRM_LOCALE || undefined, ...options });
+}
+
 function formatContact(c) {
   const stage = c.crm_stages?.name || 'Unstaged';
-  const value = c.deal_value ? ` | $${c.deal_value}` : '';
+  const value = c.deal_value ? ` | ${money(c.deal_value, c.currency)}` : '';
   const email = c.email ? ` <${c.email}>` : '';
   const company = c.company ? ` @ ${c.company}` : '';
   const status = c.is_active ? '' : ' [LOST]';
-  return `[${c.id}] ${c.name}${email}${company} | ${stage}${value}${status}`;
+  const score = c.score !== null && c.score !== undefined ? ` | score ${c.score}` : '';
+  return `[${c.id}] ${c.name}${email}${company} | ${stage}${value}${score}${status}`;
+}
+
+function formatReasons(reasons) {
+  return reasons.map(r => `${r.points > 0 ? '+' : ''}${r.points} ${r.reason}`).join(', ');
+}
+
+function formatCompany(c) {
+  const domain = c.domain ? ` (${c.domain})` : '';
+  const industry = c.industry ? ` | ${c.industry}` : '';
+  if (!c.rollup) return `[${c.id}] ${c.name}${domain}${industry}`;
+  const { contacts, openDeals, openDealValue, openTasks, overdueTasks, lastInteractionAt } = c.rollup;
+  const deals = openDeals ? ` | ${openDeals} open deal${openDeals === 1 ? '' : 's'} ${money(openDealValue, c.rollup.currency, { whole: true })}` : '';
+  const tasks = openTasks ? ` | ${openTasks} task${openTasks === 1 ? '' : 's'}${overdueTasks ? ` (${overdueTasks} overdue)` : ''}` : '';
+  const last = lastInteractionAt ? ` | last contact ${new Date(lastInteractionAt).toLocaleDateString()}` : '';
+  return `[${c.id}] ${c.name}${domain}${industry} | ${contacts} contact${contacts === 1 ? '' : 's'}${deals}${tasks}${last}`;
+}
+
+function formatDeal(d) {
+  const status = d.status === 'open' ? '' : ` [${d.status.toUpperCase()}]`;
+  const stage = d.crm_stages?.name ? ` [${d.crm_stages.name}]` : '';
+  const contact = d.crm_contacts?.name ? ` | ${d.crm_contacts.name}` : '';
+  const value = d.value ? ` | ${money(d.value, d.currency)}` : '';
+  const close = d.expected_close_at ? ` | close ${new Date(d.expected_close_at).toLocaleDateString()}` : '';
+  return `[${d.id}] ${d.title}${status}${stage}${contact}${value}${close}`;
 }
 
 function formatTask(t) {
@@ -105,7 +526,47 @@ function formatTask(t) {
   const due = t.due_at ? ` (due: ${new Date(t.due_at).toLocaleDateString()})` : '';
   const contact = t.crm_contacts?.name ? ` [${t.crm_contacts.name}]` : '';
   const priority = t.priority !== 'medium' ? ` [${t.priority.toUpperCase()}]` : '';
-  return `${status} [${t.id}] ${t.title}${contact}${due}${priority}`;
+  const repeat = t.recurrence ? ` ↻ ${describeRecurrence(t.recurrence)}` : '';
+  return `${status} [${t.id}] ${t.title}${contact}${due}${priority}${repeat}`;
+}
+
+// Per-currency subtotals of converted stats, when deals are in more than one currency
+function printCurrencySubtotals(stats) {
+  if (stats.byCurrency.length < 2 && stats.missingRates.length === 0) return;
+  console.log(`\n  By Currency:`);
+  stats.byCurrency.forEach(c => {
+    const converted = c.converted === null ? 'no exchange rate' : `= ${money(c.converted, stats.currency, { whole: true })}`;
+    console.log(`    ${c.currency}  ${String(c.count).padStart(3)} deal${c.count === 1 ? ' ' : 's'} ${money(c.value, c.currency, { whole: true }).padStart(14)}  ${converted}`);
+  });
+  if (stats.missingRates.length > 0) {
+    console.log(`  Not in the totals (set a rate with crm fx set): ${stats.missingRates.join(', ')}`);
+  }
+}
+
+function printStageHistory(history) {
+  console.log(`\nStage History (${history.length}):`);
+  if (history.length === 0) {
+    console.log('  No stage changes recorded');
+  }
+  history.forEach(h => {
+    const date = new Date(h.created_at).toLocaleString();
+    const from = h.from_stage_name || (h.from_stage_id ? `#${h.from_stage_id}` : 'Unstaged');
+    const to = h.to_stage_name || (h.to_stage_id ? `#${h.to_stage_id}` : 'Unstaged');
+    const duration = h.time_in_stage_ms === null ? 'current' : formatDuration(h.time_in_stage_ms);
+    console.log(`  ${date} | ${from} → ${to} | ${duration} | by ${h.actor || 'unknown'}`);
+  });
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  const hours = ms / (60 * 60 * 1000);
+  if (hours < 1) return `${Math.round(ms / 60000)}m`;
+  if (hours < 48) return `${hours.toFixed(1)}h`;
+  return `${(hours / 24).toFixed(1)}d`;
+}
+
+function formatPercent(rate) {
+  return rate === null || rate === undefined ? '-' : `${(rate * 100).toFixed(1)}%`;
 }
 
 function formatInteraction(i) {
@@ -115,34 +576,219 @@ function formatInteraction(i) {
   return `[${i.id}] ${date} | ${i.type.toUpperCase()}${subject} | ${contact} | by ${i.created_by}`;
 }
 
+function formatRule(r, stages) {
+  const status = r.enabled ? '✓' : '✗';
+  const conditions = r.conditions.length > 0 ? ` | if ${r.conditions.map(describeCondition).join(' and ')}` : '';
+  const actions = r.actions.map(a => describeAction(a, stages)).join(', ');
+  return `${status} [${r.id}] ${r.name} | when ${describeTrigger(r, stages)}${conditions} | then ${actions}`;
+}
+
+function formatDeleted(entity, id, permanent) {
+  return permanent
+    ? `Permanently deleted ${entity} ${id}`
+    : `Moved ${entity} ${id} to the trash (undo: crm trash restore ${entity} ${id})`;
+}
+
+function formatTrashed(row) {
+  const label = row.name || row.title || [row.type?.toUpperCase(), row.subject].filter(Boolean).join(': ');
+  const by = row.deleted_by ? ` by ${row.deleted_by}` : '';
+  return `${row.entity} [${row.id}] ${label} | deleted ${new Date(row.deleted_at).toLocaleString()}${by}`;
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return '(empty)';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function formatAuditEntry(e) {
+  const date = new Date(e.created_at).toLocaleString();
+  const change = e.field
+    ? `${e.field}: ${formatAuditValue(e.old_value)} → ${formatAuditValue(e.new_value)}`
+    : e.action;
+  return `${date} | ${e.entity} [${e.entity_id}] ${change} | by ${e.actor || e.agent_id}`;
+}
+
+function formatDelivery(result) {
+  const status = result.status ? ` HTTP ${result.status}` : '';
+  const outcome = result.delivered ? 'OK' : `FAILED${status} - ${result.error}`;
+  return `${result.url}: ${outcome} (${result.attempts} attempt${result.attempts === 1 ? '' : 's'})`;
+}
+
+/**
+ * crm migrate status|up|down
+ * Runs against the configured backend's database without the startup
+ * schema check, which would otherwise refuse to connect. --dry-run only
+ * reads the database when a connection is configured; without one it
+ * prints the SQL for a new database (up) or a fully migrated one (down).
+ */
+async function migrate(subCmd, opts, backend) {
+  const databaseUrl = process.env.CRM_DATABASE_URL || process.env.DATABASE_URL;
+  const file = opts.db || process.env.CRM_SQLITE_FILE || 'crm.db';
+  const dryRun = Boolean(opts['dry-run']) && (subCmd === 'up' || subCmd === 'down');
+  const dialect = backend === 'sqlite' ? 'sqlite' : 'postgres';
+  let driver = null;
+  let readApplied;
+
+  if (backend !== 'sqlite' && backend !== 'supabase') {
+    throw new UsageError(`The ${backend} backend has no schema to migrate`);
+  }
+
+  if (backend === 'sqlite' && !(dryRun && !existsSync(file))) {
+    const db = new SQLiteDB('default', file, { autoMigrate: false });
+    driver = new SQLiteDriver(db.sqlite);
+  } else if (backend === 'supabase' && databaseUrl) {
+    driver = new PostgresDriver(databaseUrl);
+  } else if (backend === 'supabase' && process.env.SUPABASE_URL && process.env.SUPABASE_KEY) {
+    // Without a direct connection the tracking table can still be read over REST
+    const client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+    readApplied = async () => (await readSchemaMigrations(client)) || [];
+  } else if (dryRun) {
+    const assumed = subCmd === 'up' ? 'a new database' : 'a fully migrated database';
+    console.error(`No database to read: printing the SQL for ${assumed}`);
+    readApplied = async () => subCmd === 'up' ? [] : MIGRATIONS.map(({ version }) => ({ version }));
+  } else if (backend === 'supabase') {
+    throw new UsageError('CRM_DATABASE_URL, or SUPABASE_URL and SUPABASE_KEY, are required\n' +
+      `       (or print the SQL without a database: crm migrate up --dry-run)`);
+  }
+
+  const migrator = driver && new Migrator(driver);
+  readApplied ??= () => migrator.applied();
+  const range = {
+    to: opts.to !== undefined ? parseInt(opts.to) : undefined,
+    steps: opts.steps ? parseInt(opts.steps) : undefined
+  };
+
+  try {
+    if (subCmd === 'status') {
+      const status = migrationStatus(await readApplied());
+      emit(status, () => {
+        console.log('\nSchema Migrations:');
+        status.forEach(m => {
+          const state = m.applied ? `applied ${m.appliedAt ? new Date(m.appliedAt).toLocaleString() : ''}` : 'pending';
+          console.log(`  ${String(m.version).padStart(3, '0')} ${m.name.padEnd(24)} ${state}`);
+        });
+        const pending = status.filter(m => !m.applied).length;
+        console.log(pending ? `\n${pending} pending - run: crm migrate up` : '\nSchema is up to date');
+      });
+    } else if (subCmd === 'up' || subCmd === 'down') {
+      const versions = (await readApplied()).map(row => row.version);
+      const migrations = subCmd === 'up' ? pendingMigrations(versions, range) : revertibleMigrations(versions, range);
+
+      if (opts['dry-run']) {
+        process.stdout.write(migrationScript(migrations, subCmd, dialect));
+        return;
+      }
+      if (!driver) {
+        throw new UsageError(`crm migrate ${subCmd} needs a direct Postgres connection: set CRM_DATABASE_URL\n` +
+          '       (Supabase: Project Settings > Database > Connection string),\n' +
+          `       or print the SQL with: crm migrate ${subCmd} --dry-run`);
+      }
+
+      const done = subCmd === 'up' ? await migrator.up(range) : await migrator.down(range);
+      emit(done.map(({ version, name }) => ({ version, name })), () => {
+        if (done.length === 0) {
+          console.log(subCmd === 'up' ? 'Schema is up to date' : 'Nothing to revert');
+        }
+        done.forEach(m => console.log(`${subCmd === 'up' ? 'Applied' : 'Reverted'}: ${String(m.version).padStart(3, '0')} ${m.name}`));
+      });
+    } else {
+      throw new UsageError(`Unknown migrate command: ${subCmd}`);
+    }
+  } finally {
+    await driver?.close();
+  }
+}
+
+async function serve(opts, backend) {
+  const apiKeys = parseApiKeys(process.env.CRM_API_KEYS);
+  if (apiKeys.size === 0) {
+    throw new UsageError('crm serve needs API keys: set CRM_API_KEYS, e.g. CRM_API_KEYS="<key>:<agentId>"');
+  }
+  const port = opts.port === undefined ? 8080 : parseInt(opts.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new UsageError(`Invalid port: ${opts.port}`);
+  }
+  const host = opts.host || '127.0.0.1';
+
+  const server = createServer({
+    apiKeys,
+    crmConfig: { backend, file: opts.db },
+    corsOrigin: opts.cors || process.env.CRM_CORS_ORIGIN,
+    trustActorHeader: Boolean(opts['trust-actor-header']) || process.env.CRM_TRUST_ACTOR_HEADER === 'on',
+    logger: line => console.log(`${new Date().toISOString()} ${line}`)
+  });
+  await new Promise((resolvePromise, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolvePromise);
+  });
+  const agents = [...new Set(apiKeys.values())];
+  console.log(`CRM API listening on http://${host}:${server.address().port}/v1 (OpenAPI: /openapi.json)`);
+  console.log(`${apiKeys.size} API key(s) for agent(s): ${agents.join(', ')}`);
+
+  // Serve until interrupted, then finish open requests and close the databases
+  await new Promise(resolvePromise => {
+    process.once('SIGINT', resolvePromise);
+    process.once('SIGTERM', resolvePromise);
+  });
+  console.log('Shutting down');
+  await server.closeAll();
+}
+
 async function main() {
   if (!command || command === 'help' || command === '--help') {
     printUsage();
     process.exit(0);
   }
 
+  const { opts, positional } = parseArgs(args.slice(1));
+  const backend = opts.backend || process.env.CRM_BACKEND || 'supabase';
+  output = readOutputOptions(opts);
+
+  if (command === 'migrate') {
+    await migrate(positional[0] || 'status', opts, backend);
+    return;
+  }
+
+  // Tool definitions don't need a database
+  if (command === 'mcp' && positional[0] === 'tools') {
+    const format = opts.format || 'mcp';
+    if (!['mcp', 'openai', 'anthropic'].includes(format)) {
+      throw new UsageError(`Unknown format: ${format} (expected mcp, openai or anthropic)`);
+    }
+    const tools = toolDefinitions(format);
+    writeOutput(opts, JSON.stringify(tools, null, 2) + '\n', tools.length);
+    return;
+  }
+
   // Check for required env vars
-  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
-    console.error('Error: SUPABASE_URL and SUPABASE_KEY environment variables are required');
-    process.exit(1);
+  if (backend === 'supabase' && (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY)) {
+    throw new UsageError('SUPABASE_URL and SUPABASE_KEY environment variables are required\n' +
+      '       (or use a local backend: CRM_BACKEND=sqlite)');
   }
 
-  const { opts, positional } = parseArgs(args.slice(1));
-  const crm = new CRM();
+  if (command === 'serve') {
+    await serve(opts, backend);
+    return;
+  }
+
+  const crm = new CRM({ backend, file: opts.db });
 
   try {
+    await crm.ready();
     switch (command) {
       // ============ INIT ============
       case 'init': {
         const result = await crm.initializeDefaultStages();
-        if (result.status === 'already_initialized') {
-          console.log('Pipeline already initialized. Existing stages:');
-        } else {
-          console.log('Initialized default pipeline stages:');
-        }
-        result.stages.forEach(s => {
-          console.log(`  [${s.id}] ${s.name} (${s.color || 'no color'})`);
-        });
+        emit(result, () => {
+          if (result.status === 'already_initialized') {
+            console.log('Pipeline already initialized. Existing stages:');
+          } else {
+            console.log('Initialized default pipeline stages:');
+          }
+          result.stages.forEach(s => {
+            console.log(`  [${s.id}] ${s.name} (${s.color || 'no color'})`);
+          });
+        }, { rows: result.stages, columns: TABLE_COLUMNS.stage });
         break;
       }
 
@@ -152,33 +798,49 @@ async function main() {
         
         if (subCmd === 'list') {
           const stages = await crm.listStages();
-          console.log('\nPipeline Stages:');
-          if (stages.length === 0) {
-            console.log('  No stages defined. Run: crm init');
-          } else {
-            stages.forEach(s => {
-              console.log(`  [${s.id}] ${s.position}. ${s.name} (${s.color || 'no color'})`);
-            });
-          }
+          emit(stages, () => {
+            console.log('\nPipeline Stages:');
+            if (stages.length === 0) {
+              console.log('  No stages defined. Run: crm init');
+            } else {
+              stages.forEach(s => {
+                const probability = s.win_probability != null ? ` ${s.win_probability}%` : '';
+                console.log(`  [${s.id}] ${s.position}. ${s.name} (${s.color || 'no color'})${probability}`);
+              });
+            }
+          }, { columns: TABLE_COLUMNS.stage });
         } else if (subCmd === 'create') {
           const name = positional[1];
           if (!name) {
-            console.error('Error: Stage name required');
-            process.exit(1);
+            throw new UsageError('Stage name required');
           }
           const stage = await crm.createStage({
             name,
-            color: opts.color
+            color: opts.color,
+            winProbability: opts.probability !== undefined ? parseFloat(opts.probability) : undefined
           });
-          console.log(`Created stage: [${stage.id}] ${stage.name}`);
+          emit(stage, () => console.log(`Created stage: [${stage.id}] ${stage.name}`), { columns: TABLE_COLUMNS.stage });
+        } else if (subCmd === 'update') {
+          const id = parseInt(positional[1]);
+          if (!id) {
+            throw new UsageError('Stage ID required');
+          }
+          const updates = {};
+          if (opts.name) updates.name = opts.name;
+          if (opts.color) updates.color = opts.color;
+          if (opts.probability !== undefined) updates.winProbability = parseFloat(opts.probability);
+          
+          const stage = await crm.updateStage(id, updates);
+          emit(stage, () => console.log(`Updated stage: [${stage.id}] ${stage.name}`), { columns: TABLE_COLUMNS.stage });
         } else if (subCmd === 'delete') {
           const id = parseInt(positional[1]);
           if (!id) {
-            console.error('Error: Stage ID required');
-            process.exit(1);
+            throw new UsageError('Stage ID required');
           }
-          await crm.deleteStage(id);
-          console.log(`Deleted stage ${id}`);
+          await crm.deleteStage(id, { permanent: Boolean(opts.permanent) });
+          emitDeleted('stage', id, opts.permanent);
+        } else {
+          throw new UsageError(`Unknown stages command: ${subCmd}`);
         }
         break;
       }
@@ -188,80 +850,394 @@ async function main() {
         const subCmd = positional[0] || 'list';
         
         if (subCmd === 'list') {
-          const contacts = await crm.listContacts({
-            stageId: opts.stage ? parseInt(opts.stage) : undefined,
-            isActive: opts.active ? true : undefined,
-            limit: opts.limit ? parseInt(opts.limit) : 20
-          });
-          console.log(`\nContacts (${contacts.length}):`);
-          contacts.forEach(c => console.log('  ' + formatContact(c)));
+          const filters = contactFilters(opts);
+          await printList(opts, 'Contacts', formatContact, {
+            list: options => crm.listContacts({ ...filters, ...options }),
+            page: options => crm.pageContacts({ ...filters, ...options }),
+            iterate: options => crm.iterateContacts({ ...filters, ...options })
+          }, TABLE_COLUMNS.contact);
         } else if (subCmd === 'get') {
           const id = parseInt(positional[1]);
           if (!id) {
-            console.error('Error: Contact ID required');
-            process.exit(1);
+            throw new UsageError('Contact ID required');
           }
           const contact = await crm.getContact(id);
-          console.log('\nContact Details:');
-          console.log(JSON.stringify(contact, null, 2));
+          emit(contact, () => {
+            console.log('\nContact Details:');
+            console.log(JSON.stringify(contact, null, 2));
+          }, { columns: TABLE_COLUMNS.contact });
+        } else if (subCmd === 'next') {
+          const contacts = await crm.nextContacts({
+            limit: opts.limit ? parseInt(opts.limit) : undefined,
+            assignedTo: opts.assigned,
+            minScore: opts['min-score'] !== undefined ? parseInt(opts['min-score']) : undefined
+          });
+          emit(contacts, () => {
+            console.log(`\nWork on next (${contacts.length}):`);
+            contacts.forEach((c, i) => {
+              console.log(`  ${String(i + 1).padStart(2)}. ${formatContact(c)}`);
+              if (c.score_reasons?.length) console.log(`      ${formatReasons(c.score_reasons)}`);
+            });
+            if (contacts.some(c => c.score === null)) {
+              console.log('\n  Some contacts have no score yet: run crm scores recompute');
+            }
+          }, { columns: TABLE_COLUMNS.contact });
         } else if (subCmd === 'create') {
           const name = positional[1];
           if (!name) {
-            console.error('Error: Contact name required');
-            process.exit(1);
+            throw new UsageError('Contact name required');
           }
           const contact = await crm.createContact({
             name,
             email: opts.email,
             phone: opts.phone,
             company: opts.company,
+            companyId: opts['company-id'] ? parseInt(opts['company-id']) : undefined,
             stageId: opts.stage ? parseInt(opts.stage) : undefined,
             dealValue: opts.value ? parseFloat(opts.value) : undefined,
+            expectedCloseAt: opts.close,
+            currency: opts.currency,
             source: opts.source,
             tags: opts.tags ? opts.tags.split(',') : []
           });
-          console.log(`Created contact: ${formatContact(contact)}`);
+          emit(contact, () => console.log(`Created contact: ${formatContact(contact)}`), { columns: TABLE_COLUMNS.contact });
         } else if (subCmd === 'update') {
           const id = parseInt(positional[1]);
           if (!id) {
-            console.error('Error: Contact ID required');
-            process.exit(1);
+            throw new UsageError('Contact ID required');
           }
           const updates = {};
           if (opts.name) updates.name = opts.name;
           if (opts.email) updates.email = opts.email;
           if (opts.phone) updates.phone = opts.phone;
           if (opts.company) updates.company = opts.company;
+          if (opts['company-id']) updates.companyId = parseInt(opts['company-id']);
           if (opts.stage) updates.stageId = parseInt(opts.stage);
           if (opts.value) updates.dealValue = parseFloat(opts.value);
+          if (opts.currency) updates.currency = opts.currency;
+          if (opts.close) updates.expectedCloseAt = opts.close;
           
           const contact = await crm.updateContact(id, updates);
-          console.log(`Updated: ${formatContact(contact)}`);
+          emit(contact, () => console.log(`Updated: ${formatContact(contact)}`), { columns: TABLE_COLUMNS.contact });
         } else if (subCmd === 'delete') {
           const id = parseInt(positional[1]);
           if (!id) {
-            console.error('Error: Contact ID required');
-            process.exit(1);
+            throw new UsageError('Contact ID required');
           }
-          await crm.deleteContact(id);
-          console.log(`Deleted contact ${id}`);
+          await crm.deleteContact(id, { permanent: Boolean(opts.permanent) });
+          emitDeleted('contact', id, opts.permanent);
         } else if (subCmd === 'search') {
-          const query = positional.slice(1).join(' ');
+          const query = searchQuery(positional.slice(1));
           if (!query) {
-            console.error('Error: Search query required');
-            process.exit(1);
+            throw new UsageError('Search query required');
           }
-          const results = await crm.searchContacts(query);
-          console.log(`\nSearch Results (${results.length}):`);
-          results.forEach(c => console.log('  ' + formatContact(c)));
+          const results = await crm.search(query, { limit: opts.limit ? parseInt(opts.limit) : undefined });
+          emit(results, () => {
+            console.log(`\nSearch Results (${results.length}):`);
+            results.forEach(c => {
+              console.log(`  ${formatContact(c)}  (relevance ${c.search_score})`);
+              c.search_matches.forEach(m => {
+                console.log(`      ${m.type} #${m.id}${m.subject ? ` ${m.subject}` : ''}: ${m.snippet}`);
+              });
+            });
+          }, { columns: [...TABLE_COLUMNS.contact, 'search_score'] });
         } else if (subCmd === 'move') {
           const [, contactId, stageId] = positional;
           if (!contactId || !stageId) {
-            console.error('Error: Contact ID and Stage ID required');
-            process.exit(1);
+            throw new UsageError('Contact ID and Stage ID required');
+          }
+          const contact = await crm.moveStage(parseInt(contactId), parseInt(stageId), { actor: opts.by });
+          emit(contact, () => console.log(`Moved: ${formatContact(contact)}`), { columns: TABLE_COLUMNS.contact });
+        } else if (subCmd === 'dedupe') {
+          const pairs = await crm.findDuplicates({
+            threshold: opts.threshold ? parseFloat(opts.threshold) : undefined
+          });
+          if (output.format !== 'text') {
+            // Machine-readable output only lists the pairs
+            emit(pairs, null, {
+              rows: pairs.map(({ contacts: [a, b], score, reasons }) => ({
+                score, reasons, a_id: a.id, a_name: a.name, b_id: b.id, b_name: b.name
+              }))
+            });
+            break;
+          }
+          console.log(`\nPossible Duplicates (${pairs.length}):`);
+          
+          // Review interactively on a terminal, otherwise just list
+          const interactive = process.stdin.isTTY && !opts.list;
+          const rl = interactive ? createInterface({ input: process.stdin, output: process.stdout }) : null;
+          const merged = new Set();
+          
+          try {
+            for (const { contacts: [a, b], score, reasons } of pairs) {
+              if (merged.has(a.id) || merged.has(b.id)) continue;
+              
+              console.log(`\n  ${(score * 100).toFixed(0)}% match (${reasons.join(', ')})`);
+              console.log(`    A: ${formatContact(a)}`);
+              console.log(`    B: ${formatContact(b)}`);
+              if (!rl) continue;
+              
+              const answer = (await rl.question('  Merge? [a] keep A, [b] keep B, [n] skip, [q] quit: ')).trim().toLowerCase();
+              if (answer === 'q') break;
+              if (answer !== 'a' && answer !== 'b') continue;
+              
+              const [primary, duplicate] = answer === 'a' ? [a, b] : [b, a];
+              const result = await crm.mergeContacts(primary.id, [duplicate.id], { fieldStrategy: opts.strategy });
+              merged.add(duplicate.id);
+              console.log(`  Merged [${duplicate.id}] into ${formatContact(result.contact)}`);
+            }
+          } finally {
+            rl?.close();
+          }
+        } else if (subCmd === 'merge') {
+          const [primaryId, ...duplicateIds] = positional.slice(1).map(id => parseInt(id));
+          if (!primaryId || duplicateIds.length === 0 || duplicateIds.some(id => !id)) {
+            throw new UsageError('Primary contact ID and at least one duplicate ID required');
+          }
+          const result = await crm.mergeContacts(primaryId, duplicateIds, { fieldStrategy: opts.strategy });
+          emit(result, () => {
+            console.log(`Merged ${result.merged.join(', ')} into: ${formatContact(result.contact)}`);
+            console.log(`  Moved ${result.reassigned.interactions} interactions, ${result.reassigned.tasks} tasks`);
+          }, { rows: [result.contact], columns: TABLE_COLUMNS.contact });
+        } else if (subCmd === 'import') {
+          const file = positional[1];
+          if (!file) {
+            throw new UsageError('File path required');
+          }
+          const format = opts.format || (/\.(vcf|vcard)$/i.test(file) ? 'vcf' : 'csv');
+          checkFormat(format, ['csv', 'vcf']);
+          const text = readFileSync(file, 'utf-8');
+          let entries;
+          let mapped = null;
+          
+          if (format === 'vcf') {
+            entries = vcardsToContactEntries(text);
+          } else {
+            const { headers, records } = parseCsvRecords(text);
+            mapped = recordsToContactEntries(headers, records, parseFieldMap(opts.map));
+            entries = mapped.entries;
+          }
+          
+          const report = await crm.importContacts(entries, {
+            dryRun: Boolean(opts['dry-run']),
+            onDuplicate: opts['on-duplicate']
+          });
+          
+          const result = mapped ? { ...report, mapping: mapped.mapping, unmapped: mapped.unmapped } : report;
+          emit(result, () => {
+            if (mapped) {
+              console.log('\nColumn Mapping:');
+              Object.entries(mapped.mapping).forEach(([header, field]) => console.log(`  ${header} → ${field}`));
+              if (mapped.unmapped.length > 0) {
+                console.log(`  Ignored (no matching field, use --map): ${mapped.unmapped.join(', ')}`);
+              }
+            } else {
+              console.log(`\nRead ${entries.length} vCards`);
+            }
+            report.rows.filter(r => r.status === 'invalid').forEach(r => {
+              console.log(`  ${format === 'vcf' ? 'Card' : 'Row'} ${r.row}: ${r.errors.join('; ')}`);
+            });
+            console.log(`\n${report.dryRun ? 'Dry run - nothing saved. Would have: ' : ''}Created ${report.created}, updated ${report.updated}, skipped ${report.skipped}, invalid ${report.invalid} (of ${report.total} rows)`);
+          }, { rows: report.rows });
+        } else if (subCmd === 'export') {
+          const format = opts.format || 'csv';
+          checkFormat(format, ['csv', 'vcf']);
+          const id = parseInt(positional[1]);
+          const contacts = id ? [await crm.getContact(id)] : await collect(crm.iterateContacts(contactFilters(opts)));
+          
+          if (format === 'vcf') {
+            writeOutput(opts, contactsToVCards(contacts, { version: opts['vcard-version'] }), contacts.length);
+          } else {
+            writeCsvExport(opts, contactsToRecords(contacts));
+          }
+        } else if (subCmd === 'history') {
+          const id = parseInt(positional[1]);
+          if (!id) {
+            throw new UsageError('Contact ID required');
+          }
+          const history = await crm.getStageHistory(id);
+          emit(history, () => printStageHistory(history), { columns: TABLE_COLUMNS.transition });
+        } else {
+          throw new UsageError(`Unknown contacts command: ${subCmd}`);
+        }
+        break;
+      }
+
+      // ============ COMPANIES ============
+      case 'companies': {
+        const subCmd = positional[0] || 'list';
+        const companyFields = () => {
+          const fields = {};
+          for (const field of ['name', 'domain', 'industry', 'size', 'address']) {
+            if (opts[field] !== undefined) fields[field] = opts[field];
+          }
+          return fields;
+        };
+
+        if (subCmd === 'list') {
+          const companies = await crm.listCompanies({
+            search: opts.search,
+            industry: opts.industry,
+            limit: opts.limit ? parseInt(opts.limit) : undefined
+          });
+          emit(companies, () => {
+            console.log(`\nCompanies (${companies.length}):`);
+            companies.forEach(c => console.log('  ' + formatCompany(c)));
+          }, { columns: TABLE_COLUMNS.company });
+        } else if (subCmd === 'get') {
+          const id = parseInt(positional[1]);
+          if (!id) {
+            throw new UsageError('Company ID required');
+          }
+          const result = await crm.getCompany(id);
+          const { contacts, deals, ...company } = result;
+          emit(result, () => {
+            console.log(`\n${formatCompany(company)}`);
+            for (const field of ['size', 'address']) {
+              if (company[field]) console.log(`  ${field}: ${company[field]}`);
+            }
+            console.log(`\nContacts (${contacts.length}):`);
+            contacts.forEach(c => console.log('  ' + formatContact(c)));
+            console.log(`\nDeals (${deals.length}):`);
+            deals.forEach(d => console.log('  ' + formatDeal(d)));
+          }, { rows: [company], columns: TABLE_COLUMNS.company });
+        } else if (subCmd === 'create') {
+          const name = positional[1];
+          if (!name) {
+            throw new UsageError('Company name required');
+          }
+          const company = await crm.createCompany({ ...companyFields(), name });
+          emit(company, () => console.log(`Created company: ${formatCompany(company)}`), { columns: TABLE_COLUMNS.company });
+        } else if (subCmd === 'update') {
+          const id = parseInt(positional[1]);
+          if (!id) {
+            throw new UsageError('Company ID required');
+          }
+          const company = await crm.updateCompany(id, companyFields());
+          emit(company, () => console.log(`Updated company: ${formatCompany(company)}`), { columns: TABLE_COLUMNS.company });
+        } else if (subCmd === 'link') {
+          const companyId = parseInt(positional[1]);
+          const contactIds = positional.slice(2).map(id => parseInt(id));
+          if (!companyId || contactIds.length === 0) {
+            throw new UsageError('Usage: crm companies link <company_id> <contact_id...>');
           }
-          const contact = await crm.moveStage(parseInt(contactId), parseInt(stageId));
-          console.log(`Moved: ${formatContact(contact)}`);
+          const contacts = await crm.linkContacts(companyId, contactIds);
+          emit(contacts, () => console.log(`Linked ${contacts.length} contact(s) to company ${companyId}`), { columns: TABLE_COLUMNS.contact });
+        } else if (subCmd === 'unlink') {
+          const contactIds = positional.slice(1).map(id => parseInt(id));
+          if (contactIds.length === 0) {
+            throw new UsageError('Usage: crm companies unlink <contact_id...>');
+          }
+          const contacts = await crm.unlinkContacts(contactIds);
+          emit(contacts, () => console.log(`Unlinked ${contacts.length} contact(s)`), { columns: TABLE_COLUMNS.contact });
+        } else if (subCmd === 'group') {
+          const groups = await crm.groupCompanies({ dryRun: Boolean(opts['dry-run']) });
+          emit(groups, () => {
+            console.log(`\n${opts['dry-run'] ? 'Would group' : 'Grouped'} ${groups.length} compan${groups.length === 1 ? 'y' : 'ies'}:`);
+            groups.forEach(g => {
+              const target = g.created ? (opts['dry-run'] ? 'new' : `new [${g.companyId}]`) : `existing [${g.companyId}]`;
+              const domain = g.domain ? ` (${g.domain})` : '';
+              console.log(`  ${g.name}${domain} - ${target} | ${g.contactIds.length} contact(s) | ${g.spellings.map(n => `"${n}"`).join(', ')}`);
+            });
+          });
+        } else if (subCmd === 'delete') {
+          const id = parseInt(positional[1]);
+          if (!id) {
+            throw new UsageError('Company ID required');
+          }
+          await crm.deleteCompany(id, { permanent: Boolean(opts.permanent) });
+          emitDeleted('company', id, opts.permanent);
+        } else {
+          throw new UsageError(`Unknown companies command: ${subCmd}`);
+        }
+        break;
+      }
+
+      // ============ DEALS ============
+      case 'deals': {
+        const subCmd = positional[0] || 'list';
+        const dealId = () => {
+          const id = parseInt(positional[1]);
+          if (!id) {
+            throw new UsageError('Deal ID required');
+          }
+          return id;
+        };
+        const dealFields = () => {
+          const fields = {};
+          if (opts.title) fields.title = opts.title;
+          if (opts.stage) fields.stageId = parseInt(opts.stage);
+          if (opts.value) fields.value = parseFloat(opts.value);
+          if (opts.currency) fields.currency = opts.currency;
+          if (opts.close) fields.expectedCloseAt = opts.close;
+          if (opts.owner) fields.owner = opts.owner;
+          if (opts['company-id']) fields.companyId = parseInt(opts['company-id']);
+          return fields;
+        };
+        const emitDeal = (label, deal) => {
+          emit(deal, () => console.log(`${label}: ${formatDeal(deal)}`), { columns: TABLE_COLUMNS.deal });
+        };
+
+        if (subCmd === 'list') {
+          const filters = {
+            contactId: opts.contact ? parseInt(opts.contact) : undefined,
+            companyId: opts.company ? parseInt(opts.company) : undefined,
+            stageId: opts.stage ? parseInt(opts.stage) : undefined,
+            status: opts.status,
+            owner: opts.owner
+          };
+          await printList(opts, 'Deals', formatDeal, {
+            list: options => crm.listDeals({ ...filters, ...options }),
+            page: options => crm.pageDeals({ ...filters, ...options }),
+            iterate: options => crm.iterateDeals({ ...filters, ...options })
+          }, TABLE_COLUMNS.deal);
+        } else if (subCmd === 'get') {
+          const deal = await crm.getDeal(dealId());
+          emit(deal, () => {
+            console.log(`\n${formatDeal(deal)}`);
+            for (const [label, field] of [['owner', 'owner'], ['lost reason', 'lost_reason'], ['closed', 'closed_at']]) {
+              if (deal[field]) console.log(`  ${label}: ${deal[field]}`);
+            }
+          }, { columns: TABLE_COLUMNS.deal });
+        } else if (subCmd === 'create') {
+          const [, contactId, ...titleParts] = positional;
+          if (!contactId || titleParts.length === 0) {
+            throw new UsageError('Contact ID and title required');
+          }
+          const deal = await crm.createDeal({
+            ...dealFields(),
+            contactId: parseInt(contactId),
+            title: titleParts.join(' ')
+          });
+          emitDeal('Created deal', deal);
+        } else if (subCmd === 'update') {
+          const deal = await crm.updateDeal(dealId(), dealFields());
+          emitDeal('Updated deal', deal);
+        } else if (subCmd === 'move') {
+          const [, id, stageId] = positional;
+          if (!id || !stageId) {
+            throw new UsageError('Deal ID and Stage ID required');
+          }
+          const deal = await crm.moveDeal(parseInt(id), parseInt(stageId), { actor: opts.by });
+          emitDeal('Moved', deal);
+        } else if (subCmd === 'won') {
+          const deal = await crm.winDeal(dealId());
+          emitDeal('Won', deal);
+        } else if (subCmd === 'lost') {
+          const deal = await crm.loseDeal(dealId(), opts.reason);
+          emitDeal('Lost', deal);
+        } else if (subCmd === 'reopen') {
+          const deal = await crm.reopenDeal(dealId());
+          emitDeal('Reopened', deal);
+        } else if (subCmd === 'delete') {
+          const id = dealId();
+          await crm.deleteDeal(id, { permanent: Boolean(opts.permanent) });
+          emitDeleted('deal', id, opts.permanent);
+        } else if (subCmd === 'history') {
+          const history = await crm.getDealHistory(dealId());
+          emit(history, () => printStageHistory(history), { columns: TABLE_COLUMNS.transition });
+        } else {
+          throw new UsageError(`Unknown deals command: ${subCmd}`);
         }
         break;
       }
@@ -271,84 +1247,196 @@ async function main() {
         const subCmd = positional[0] || 'list';
         
         if (subCmd === 'list') {
-          const interactions = await crm.listInteractions({
+          const filters = {
             contactId: opts.contact ? parseInt(opts.contact) : undefined,
-            type: opts.type,
-            limit: opts.limit ? parseInt(opts.limit) : 20
-          });
-          console.log(`\nInteractions (${interactions.length}):`);
-          interactions.forEach(i => console.log('  ' + formatInteraction(i)));
+            type: opts.type
+          };
+          await printList(opts, 'Interactions', formatInteraction, {
+            list: options => crm.listInteractions({ ...filters, ...options }),
+            page: options => crm.pageInteractions({ ...filters, ...options }),
+            iterate: options => crm.iterateInteractions({ ...filters, ...options })
+          }, TABLE_COLUMNS.interaction);
         } else if (subCmd === 'add') {
           const [, contactId, type, ...contentParts] = positional;
           if (!contactId || !type) {
-            console.error('Error: Contact ID and type required');
-            process.exit(1);
+            throw new UsageError('Contact ID and type required');
           }
           const interaction = await crm.addInteraction({
             contactId: parseInt(contactId),
             type,
             content: contentParts.join(' ') || undefined,
             subject: opts.subject,
+            scheduledAt: opts.at,
             createdBy: opts.by || 'cli'
           });
-          console.log(`Added: ${formatInteraction(interaction)}`);
+          emit(interaction, () => console.log(`Added: ${formatInteraction(interaction)}`), { columns: TABLE_COLUMNS.interaction });
+        } else if (subCmd === 'export') {
+          const interactions = await collect(crm.iterateInteractions({
+            contactId: opts.contact ? parseInt(opts.contact) : undefined,
+            type: opts.type
+          }));
+          writeCsvExport(opts, interactionsToRecords(interactions));
         } else if (subCmd === 'delete') {
           const id = parseInt(positional[1]);
           if (!id) {
-            console.error('Error: Interaction ID required');
-            process.exit(1);
+            throw new UsageError('Interaction ID required');
+          }
+          await crm.deleteInteraction(id, { permanent: Boolean(opts.permanent) });
+          emitDeleted('interaction', id, opts.permanent);
+        } else {
+          throw new UsageError(`Unknown interactions command: ${subCmd}`);
+        }
+        break;
+      }
+
+      // ============ IMPORT ============
+      case 'import': {
+        const subCmd = positional[0];
+        const path = positional[1];
+        
+        if (subCmd !== 'email') {
+          throw new UsageError('Usage: crm import email <path>');
+        }
+        if (!path) {
+          throw new UsageError('Path to a .eml file, mbox mailbox or directory required');
+        }
+        const entries = readMailEntries(path);
+        const report = await crm.importEmails(entries, {
+          ownAddresses: (opts.me || process.env.CRM_EMAIL_ADDRESSES || '').split(','),
+          createContacts: Boolean(opts['create-contacts']),
+          dryRun: Boolean(opts['dry-run']),
+          actor: opts.by
+        });
+        
+        emit(report, () => {
+          console.log(`\nRead ${entries.length} messages`);
+          report.rows.filter(r => r.status === 'invalid').forEach(r => {
+            console.log(`  ${r.row}: ${r.errors.join('; ')}`);
+          });
+          console.log(`\n${report.dryRun ? 'Dry run - nothing saved. Would have: ' : ''}Imported ${report.imported} messages as ${report.interactions} interactions, ` +
+            `created ${report.contactsCreated} contacts, skipped ${report.duplicates} already imported, ` +
+            `${report.unmatched} with no matching contact, invalid ${report.invalid} (of ${report.total} messages)`);
+        }, { rows: report.rows });
+        break;
+      }
+
+      // ============ CALENDAR ============
+      case 'calendar': {
+        const subCmd = positional[0];
+        
+        if (subCmd === 'export') {
+          if (opts.timezone && !isTimeZone(opts.timezone)) {
+            throw new UsageError(`Unknown time zone: ${opts.timezone} (expected an IANA name, e.g. Australia/Sydney)`);
+          }
+          const contactId = opts.contact ? parseInt(opts.contact) : undefined;
+          const [tasks, interactions] = await Promise.all([
+            collect(crm.iterateTasks({ completed: false, assignedTo: opts.assigned, contactId })),
+            collect(crm.iterateInteractions({ scheduled: true, createdBy: opts.assigned, contactId }))
+          ]);
+          const ics = toICalendar(tasks, interactions, {
+            timezone: opts.timezone,
+            agentId: crm.agentId,
+            name: opts.assigned ? `CRM - ${opts.assigned}` : 'CRM'
+          });
+          writeOutput(opts, ics, tasks.length + interactions.length);
+        } else if (subCmd === 'import') {
+          const file = positional[1];
+          if (!file) {
+            throw new UsageError('File path required');
           }
-          await crm.deleteInteraction(id);
-          console.log(`Deleted interaction ${id}`);
+          const entries = icalendarToEntries(readFileSync(file, 'utf-8'));
+          const report = await crm.importCalendar(entries, {
+            assignedTo: opts.assigned,
+            dryRun: Boolean(opts['dry-run']),
+            actor: opts.by
+          });
+          emit(report, () => {
+            report.rows.filter(r => r.status === 'invalid').forEach(r => {
+              console.log(`  ${r.kind === 'todo' ? 'To-do' : 'Event'} ${r.row}: ${r.errors.join('; ')}`);
+            });
+            console.log(`\n${report.dryRun ? 'Dry run - nothing saved. Would have: ' : ''}Created ${report.meetings} meetings and ${report.tasks} tasks, ` +
+              `updated ${report.updated}, skipped ${report.duplicates} already imported and ${report.skipped} cancelled or done, ` +
+              `${report.unmatched} with no matching contact, invalid ${report.invalid} (of ${report.total} events and to-dos)`);
+          }, { rows: report.rows });
+        } else {
+          throw new UsageError('Usage: crm calendar export|import');
         }
         break;
       }
 
+      // ============ MCP ============
+      case 'mcp': {
+        const subCmd = positional[0];
+
+        if (subCmd) {
+          throw new UsageError('Usage: crm mcp [tools]');
+        }
+        console.error(`CRM MCP server on stdio (agent: ${crm.agentId})`);
+        await serveMcp(crm, {
+          actor: opts.by,
+          log: line => console.error(line)
+        });
+        break;
+      }
+
       // ============ TASKS ============
       case 'tasks': {
         const subCmd = positional[0] || 'list';
         
         if (subCmd === 'list') {
-          let taskOpts = {
-            limit: opts.limit ? parseInt(opts.limit) : 20
-          };
-          if (opts.pending) taskOpts.completed = false;
-          if (opts.contact) taskOpts.contactId = parseInt(opts.contact);
-          if (opts.overdue) taskOpts.dueBefore = new Date().toISOString();
-          
-          const tasks = await crm.listTasks(taskOpts);
-          console.log(`\nTasks (${tasks.length}):`);
-          tasks.forEach(t => console.log('  ' + formatTask(t)));
+          const filters = taskFilters(opts);
+          await printList(opts, 'Tasks', formatTask, {
+            list: options => crm.listTasks({ ...filters, ...options }),
+            page: options => crm.pageTasks({ ...filters, ...options }),
+            iterate: options => crm.iterateTasks({ ...filters, ...options })
+          }, TABLE_COLUMNS.task);
         } else if (subCmd === 'add') {
           const title = positional.slice(1).join(' ');
           if (!title) {
-            console.error('Error: Task title required');
-            process.exit(1);
+            throw new UsageError('Task title required');
           }
           const task = await crm.addTask({
             title,
             contactId: opts.contact ? parseInt(opts.contact) : undefined,
-            dueAt: opts.due ? new Date(opts.due).toISOString() : undefined,
+            dueAt: opts.due,
             priority: opts.priority || 'medium',
-            assignedTo: opts.assign
+            assignedTo: opts.assign,
+            recurrence: opts.repeat
           });
-          console.log(`Added: ${formatTask(task)}`);
+          emit(task, () => console.log(`Added: ${formatTask(task)}`), { columns: TABLE_COLUMNS.task });
         } else if (subCmd === 'complete') {
           const id = parseInt(positional[1]);
           if (!id) {
-            console.error('Error: Task ID required');
-            process.exit(1);
+            throw new UsageError('Task ID required');
           }
           const task = await crm.completeTask(id);
-          console.log(`Completed: ${formatTask(task)}`);
+          emit(task, () => {
+            console.log(`Completed: ${formatTask(task)}`);
+            if (task.next_task) {
+              console.log(`Next: ${formatTask(task.next_task)}`);
+            } else if (task.next_task === null) {
+              console.log('Series finished - no more occurrences');
+            }
+          }, { columns: TABLE_COLUMNS.task });
+        } else if (subCmd === 'stop') {
+          const id = parseInt(positional[1]);
+          if (!id) {
+            throw new UsageError('Task ID required');
+          }
+          const result = await crm.stopRecurrence(id);
+          emit(result, () => console.log(`Stopped series ${result.seriesId} (${result.stopped} open task(s) no longer repeat)`));
         } else if (subCmd === 'delete') {
           const id = parseInt(positional[1]);
           if (!id) {
-            console.error('Error: Task ID required');
-            process.exit(1);
+            throw new UsageError('Task ID required');
           }
-          await crm.deleteTask(id);
-          console.log(`Deleted task ${id}`);
+          await crm.deleteTask(id, { permanent: Boolean(opts.permanent) });
+          emitDeleted('task', id, opts.permanent);
+        } else if (subCmd === 'export') {
+          const tasks = await collect(crm.iterateTasks(taskFilters(opts)));
+          writeCsvExport(opts, tasksToRecords(tasks));
+        } else {
+          throw new UsageError(`Unknown tasks command: ${subCmd}`);
         }
         break;
       }
@@ -356,48 +1444,476 @@ async function main() {
       // ============ STATS ============
       case 'stats': {
         const subCmd = positional[0] || 'all';
+        const results = {};
+        const printers = [];
+        let rows;
         
         if (subCmd === 'pipeline' || subCmd === 'all') {
-          const pipeline = await crm.getPipelineStats();
-          console.log('\n📊 Pipeline Overview:');
-          console.log(`  Total Contacts: ${pipeline.totalContacts}`);
-          console.log(`  Total Value: $${pipeline.totalValue.toLocaleString()}`);
-          console.log('\n  Stages:');
-          pipeline.stages.forEach(s => {
-            const bar = '█'.repeat(Math.min(s.count, 20));
-            console.log(`    ${s.name.padEnd(15)} ${String(s.count).padStart(3)} ${bar} ($${s.value.toLocaleString()})`);
+          const pipeline = await crm.getPipelineStats({ currency: opts.currency });
+          const total = amount => money(amount, pipeline.currency, { whole: true });
+          results.pipeline = pipeline;
+          if (subCmd === 'pipeline') rows = pipeline.stages;
+          printers.push(() => {
+            console.log(`\n📊 Pipeline Overview (${pipeline.currency}):`);
+            console.log(`  Open Deals: ${pipeline.totalDeals} (${pipeline.totalContacts} contacts)`);
+            console.log(`  Total Value: ${total(pipeline.totalValue)}`);
+            console.log(`  Weighted Value: ${total(pipeline.weightedValue)}`);
+            console.log('\n  Stages:');
+            pipeline.stages.forEach(s => {
+              const bar = '█'.repeat(Math.min(s.count, 20));
+              console.log(`    ${s.name.padEnd(15)} ${String(s.count).padStart(3)} ${bar} (${total(s.value)})`);
+            });
+            printCurrencySubtotals(pipeline);
           });
         }
         
         if (subCmd === 'activity' || subCmd === 'all') {
           const days = opts.days ? parseInt(opts.days) : 30;
           const activity = await crm.getActivityStats(days);
-          console.log(`\n📈 Activity (Last ${activity.period}):`);
-          console.log(`  Contacts Created: ${activity.contacts.created}`);
-          console.log(`  Interactions: ${activity.interactions.total}`);
-          if (Object.keys(activity.interactions.byType).length > 0) {
-            console.log('    By Type:');
-            Object.entries(activity.interactions.byType).forEach(([type, count]) => {
-              console.log(`      ${type}: ${count}`);
+          results.activity = activity;
+          printers.push(() => {
+            console.log(`\n📈 Activity (Last ${activity.period}):`);
+            console.log(`  Contacts Created: ${activity.contacts.created}`);
+            console.log(`  Interactions: ${activity.interactions.total}`);
+            if (Object.keys(activity.interactions.byType).length > 0) {
+              console.log('    By Type:');
+              Object.entries(activity.interactions.byType).forEach(([type, count]) => {
+                console.log(`      ${type}: ${count}`);
+              });
+            }
+            console.log(`  Tasks Created: ${activity.tasks.created}`);
+            console.log(`  Tasks Completed: ${activity.tasks.completed}`);
+          });
+        }
+        
+        if (subCmd === 'velocity') {
+          const velocity = await crm.getStageVelocity({
+            since: opts.since ? new Date(opts.since).toISOString() : undefined,
+            includeOpen: Boolean(opts['include-open'])
+          });
+          results.velocity = velocity;
+          if (subCmd === 'velocity') rows = velocity.stages;
+          printers.push(() => {
+            console.log(`\n⏱  Stage Velocity (${velocity.transitions} transitions):`);
+            console.log(`    ${'Stage'.padEnd(15)} ${'Avg'.padStart(8)} ${'Median'.padStart(8)} ${'Exited'.padStart(7)} ${'Current'.padStart(8)}`);
+            velocity.stages.forEach(s => {
+              console.log(`    ${s.name.padEnd(15)} ${formatDuration(s.averageMs).padStart(8)} ${formatDuration(s.medianMs).padStart(8)} ${String(s.exited).padStart(7)} ${String(s.current).padStart(8)}`);
+            });
+          });
+        }
+        
+        if (subCmd === 'forecast') {
+          const forecast = await crm.getForecast({ period: opts.period || 'month', currency: opts.currency });
+          const total = amount => money(amount, forecast.currency, { whole: true }).padStart(14);
+          const row = (label, b) => `    ${label.padEnd(12)} ${String(b.count).padStart(5)} ${total(b.weighted)} ${total(b.bestCase)} ${total(b.worstCase)}`;
+          
+          results.forecast = forecast;
+          if (subCmd === 'forecast') rows = forecast.buckets;
+          printers.push(() => {
+            console.log(`\n💰 Forecast by ${forecast.period} (${forecast.currency}):`);
+            console.log(`    ${'Period'.padEnd(12)} ${'Deals'.padStart(5)} ${'Weighted'.padStart(14)} ${'Best'.padStart(14)} ${'Worst'.padStart(14)}`);
+            forecast.buckets.forEach(b => console.log(row(b.period, b)));
+            if (forecast.unscheduled.count > 0) {
+              console.log(row('No date', forecast.unscheduled));
+            }
+            console.log(row('Total', forecast.totals));
+            printCurrencySubtotals(forecast);
+          });
+        }
+        
+        if (subCmd === 'funnel') {
+          const funnel = await crm.getFunnelStats({
+            since: opts.since ? new Date(opts.since).toISOString() : undefined,
+            until: opts.until ? new Date(opts.until).toISOString() : undefined,
+            assignedTo: opts.assigned
+          });
+          const width = 30;
+          const top = Math.max(funnel.cohortSize, 1);
+          
+          results.funnel = funnel;
+          if (subCmd === 'funnel') rows = funnel.stages;
+          printers.push(() => {
+            console.log(`\n🔻 Funnel (${funnel.cohortSize} deals created${opts.since ? ' since ' + opts.since : ''}${opts.until ? ' until ' + opts.until : ''}):`);
+            if (funnel.unstaged.count > 0) {
+              console.log(`  Unstaged: ${funnel.unstaged.count}`);
+            }
+            funnel.stages.forEach(s => {
+              const size = Math.round((s.reached / top) * width);
+              const pad = Math.floor((width - size) / 2);
+              const bar = ' '.repeat(pad) + '█'.repeat(size) + ' '.repeat(width - size - pad);
+              console.log(`  ${s.name.padEnd(15)} ${bar} ${String(s.reached).padStart(4)} ${formatPercent(s.reachedRate).padStart(7)}`);
+              if (s.conversionRate !== null) {
+                console.log(`  ${''.padEnd(15)} ${'↓'.padStart(width / 2 + 1).padEnd(width)}      ${formatPercent(s.conversionRate)} converted, ${s.dropOff} dropped`);
+              }
             });
+          
+            const lossStages = [funnel.unstaged, ...funnel.stages].map((s, i) => ({
+              name: i === 0 ? 'Unstaged' : s.name,
+              lost: s.lost,
+              lostReasons: s.lostReasons
+            })).filter(s => s.lost > 0);
+            if (lossStages.length > 0) {
+              console.log('\n  Lost at:');
+              lossStages.forEach(s => {
+                console.log(`    ${s.name}: ${s.lost}`);
+                Object.entries(s.lostReasons).forEach(([reason, count]) => {
+                  console.log(`      ${reason}: ${count}`);
+                });
+              });
+            }
+          
+            console.log(`\n  Won: ${funnel.won} | Lost: ${funnel.lost}`);
+            console.log(`  Win Rate: ${formatPercent(funnel.winRate)} of cohort, ${formatPercent(funnel.closedWinRate)} of closed`);
+          });
+        }
+        
+        if (printers.length === 0) {
+          throw new UsageError(`Unknown stats command: ${subCmd}`);
+        }
+        emit(subCmd === 'all' ? results : results[subCmd], () => printers.forEach(print => print()), { rows });
+        break;
+      }
+
+      // ============ RULES ============
+      case 'rules': {
+        const subCmd = positional[0] || 'list';
+
+        if (subCmd === 'list') {
+          const [rules, stages] = await Promise.all([crm.listRules(), crm.listStages()]);
+          emit(rules, () => {
+            console.log(`\nRules (${rules.length}):`);
+            rules.forEach(r => console.log('  ' + formatRule(r, stages)));
+          });
+        } else if (subCmd === 'add') {
+          let rule;
+          if (opts.file) {
+            rule = JSON.parse(readFileSync(opts.file, 'utf-8'));
+          } else {
+            const name = positional.slice(1).join(' ');
+            if (!name || !opts.when || !opts.then) {
+              throw new UsageError('Rule name, --when and --then required');
+            }
+            rule = {
+              name,
+              trigger: parseTrigger(opts.when),
+              conditions: [].concat(opts.if || []).map(parseCondition),
+              actions: [].concat(opts.then).map(parseAction)
+            };
+          }
+          const created = await crm.createRule(rule);
+          const stages = output.format === 'text' ? await crm.listStages() : [];
+          emit(created, () => console.log(`Added: ${formatRule(created, stages)}`));
+        } else if (subCmd === 'test') {
+          const id = parseInt(positional[1]);
+          const contactId = parseInt(opts.contact || positional[2]);
+          if (!id || !contactId) {
+            throw new UsageError('Rule ID and --contact <id> required');
+          }
+          const result = await crm.testRule(id, contactId);
+          const stages = await crm.listStages();
+          emit(result, () => {
+            console.log(`\nRule [${result.rule.id}] ${result.rule.name} vs contact [${result.contact.id}] ${result.contact.name}`);
+            console.log(`  When: ${describeTrigger(result.rule, stages)}`);
+            result.conditions.forEach(c => {
+              const actual = (Array.isArray(c.actual) ? c.actual.join(', ') : c.actual) || '(empty)';
+              console.log(`  ${c.passed ? '✓' : '✗'} ${describeCondition(c)} (actual: ${actual})`);
+            });
+            console.log(result.matched ? '\n  Would run:' : '\n  Conditions not met - would not run:');
+            result.actions.forEach(a => console.log(`    ${describeAction(a, stages)}`));
+          }, { rows: result.conditions });
+        } else if (subCmd === 'enable' || subCmd === 'disable' || subCmd === 'delete') {
+          const id = parseInt(positional[1]);
+          if (!id) {
+            throw new UsageError('Rule ID required');
+          }
+          if (subCmd === 'delete') {
+            await crm.deleteRule(id);
+            emit({ entity: 'rule', id, permanent: true }, () => console.log(`Deleted rule ${id}`));
+          } else {
+            const rule = subCmd === 'enable' ? await crm.enableRule(id) : await crm.disableRule(id);
+            emit(rule, () => console.log(`${subCmd === 'enable' ? 'Enabled' : 'Disabled'}: [${rule.id}] ${rule.name}`));
           }
-          console.log(`  Tasks Created: ${activity.tasks.created}`);
-          console.log(`  Tasks Completed: ${activity.tasks.completed}`);
+        } else if (subCmd === 'log') {
+          const runs = await crm.getRuleRuns({
+            ruleId: opts.rule ? parseInt(opts.rule) : undefined,
+            contactId: opts.contact ? parseInt(opts.contact) : undefined,
+            status: opts.errors ? 'error' : undefined,
+            limit: opts.limit ? parseInt(opts.limit) : 20
+          });
+          emit(runs, () => {
+            console.log(`\nRule runs (${runs.length}):`);
+            runs.forEach(run => {
+              const date = new Date(run.created_at).toLocaleString();
+              const outcome = run.status === 'error' ? `ERROR ${run.error}` : run.actions.map(a => a.type).join(', ');
+              console.log(`  [${run.id}] ${date} | rule ${run.rule_id} | ${run.event_type} | contact ${run.contact_id ?? '-'} | ${outcome}`);
+            });
+          });
+        } else if (subCmd === 'run') {
+          const result = await crm.runScheduledRules({ now: opts.now ? new Date(opts.now).toISOString() : undefined });
+          emit(result, () => {
+            console.log(`Checked ${result.rules} scheduled rule(s), ${result.runs.length} fired`);
+            result.runs.forEach(run => {
+              const outcome = run.status === 'error' ? `ERROR ${run.error}` : run.actions.map(a => a.type).join(', ');
+              console.log(`  rule ${run.rule_id} | contact ${run.contact_id} | ${outcome}`);
+            });
+          }, { rows: result.runs });
+        } else {
+          throw new UsageError(`Unknown rules command: ${subCmd}`);
+        }
+        break;
+      }
+
+      // ============ LEAD SCORES ============
+      case 'scores': {
+        const subCmd = positional[0] || 'model';
+
+        if (subCmd === 'recompute') {
+          const ids = positional.slice(1).map(id => parseInt(id)).filter(Boolean);
+          const result = await crm.recomputeScores({ contactIds: ids.length > 0 ? ids : undefined });
+          emit(result, () => console.log(`Scored ${result.scored} contact(s), ${result.changed} changed`));
+        } else if (subCmd === 'explain') {
+          const id = parseInt(positional[1]);
+          if (!id) {
+            throw new UsageError('Contact ID required');
+          }
+          const explanation = await crm.explainScore(id);
+          const { score, reasons } = explanation;
+          emit(explanation, () => {
+            console.log(`\nContact ${id}: score ${score}`);
+            reasons.forEach(r => console.log(`  ${(r.points > 0 ? '+' : '') + r.points}`.padEnd(8) + ` ${r.reason}`));
+          }, { rows: reasons });
+        } else if (subCmd === 'model') {
+          if (opts.reset || opts.file) {
+            const model = opts.reset ? null : JSON.parse(readFileSync(opts.file, 'utf-8'));
+            const result = await crm.setScoringModel(model);
+            emit(result, () => console.log(`${opts.reset ? 'Reset' : 'Set'} the scoring model and rescored ${result.scored} contact(s)`), { keepKeys: true });
+          } else {
+            // As the model is written, so the output can be edited and set again
+            const model = await crm.getScoringModel();
+            emit(model, () => console.log(JSON.stringify(model, null, 2)), { keepKeys: true });
+          }
+        } else {
+          throw new UsageError(`Unknown scores command: ${subCmd}`);
+        }
+        break;
+      }
+
+      // ============ EXCHANGE RATES ============
+      case 'fx': {
+        const subCmd = positional[0] || 'list';
+
+        if (subCmd === 'list') {
+          const [currency, rates] = await Promise.all([
+            crm.getReportingCurrency(),
+            crm.listExchangeRates({
+              currency: opts.currency,
+              limit: opts.limit ? parseInt(opts.limit) : undefined
+            })
+          ]);
+          emit({ reportingCurrency: currency, rates }, () => {
+            console.log(`\nReporting currency: ${currency}`);
+            console.log(`\nExchange Rates (${rates.length}):`);
+            rates.forEach(r => {
+              const source = r.source ? ` | ${r.source}` : '';
+              console.log(`  [${r.id}] ${r.rate_date.slice(0, 10)}  1 ${r.base_currency} = ${r.rate} ${r.quote_currency}${source}`);
+            });
+          }, { rows: rates });
+        } else if (subCmd === 'set') {
+          const [, base, quote, rate] = positional;
+          if (!base || !quote || !rate) {
+            throw new UsageError('Usage: crm fx set <base> <quote> <rate> [--date YYYY-MM-DD]');
+          }
+          const saved = await crm.setExchangeRate({ base, quote, rate, date: opts.date, source: opts.source });
+          emit(saved, () => console.log(`Set ${saved.rate_date.slice(0, 10)}: 1 ${saved.base_currency} = ${saved.rate} ${saved.quote_currency}`));
+        } else if (subCmd === 'import') {
+          const file = positional[1];
+          if (!file) {
+            throw new UsageError('File path required');
+          }
+          const { records } = parseCsvRecords(readFileSync(file, 'utf-8'));
+          const report = await crm.importExchangeRates(recordsToExchangeRates(records), {
+            dryRun: Boolean(opts['dry-run'])
+          });
+          emit(report, () => {
+            report.rows.filter(r => r.status === 'invalid').forEach(r => {
+              console.log(`  Row ${r.row}: ${r.errors.join('; ')}`);
+            });
+            console.log(`\n${report.dryRun ? 'Dry run - nothing saved. Would have: ' : ''}Saved ${report.saved}, invalid ${report.invalid} (of ${report.total} rows)`);
+          }, { rows: report.rows });
+        } else if (subCmd === 'currency') {
+          if (positional[1]) {
+            await crm.setReportingCurrency(positional[1]);
+          }
+          const reportingCurrency = await crm.getReportingCurrency();
+          emit({ reportingCurrency }, () => console.log(`Reporting currency: ${reportingCurrency}`));
+        } else if (subCmd === 'convert') {
+          const [, amount, from] = positional;
+          if (!amount || !from) {
+            throw new UsageError('Usage: crm fx convert <amount> <currency> [--to X] [--date YYYY-MM-DD]');
+          }
+          const result = await crm.convertAmount(amount, from, { to: opts.to, date: opts.date });
+          if (result.amount === null) {
+            throw new CrmNotFoundError('exchange rate', `${from.toUpperCase()}/${result.currency}`);
+          }
+          emit(result, () => console.log(`${money(amount, from.toUpperCase())} = ${money(result.amount, result.currency)}`));
+        } else if (subCmd === 'delete') {
+          const id = parseInt(positional[1]);
+          if (!id) {
+            throw new UsageError('Exchange rate ID required');
+          }
+          await crm.deleteExchangeRate(id);
+          emit({ entity: 'exchange_rate', id, permanent: true }, () => console.log(`Deleted exchange rate ${id}`));
+        } else {
+          throw new UsageError(`Unknown fx command: ${subCmd}`);
+        }
+        break;
+      }
+
+      // ============ WEBHOOKS ============
+      case 'webhooks': {
+        const subCmd = positional[0] || 'list';
+        const deadLetterFile = crm.webhooks?.deadLetterFile || process.env.CRM_WEBHOOK_DEAD_LETTER || DEFAULT_DEAD_LETTER_FILE;
+
+        if (subCmd === 'list') {
+          const endpoints = crm.webhooks?.endpoints || [];
+          emit(endpoints.map(({ url, events }) => ({ url, events })), () => {
+            console.log(`\nWebhook endpoints (${endpoints.length}):`);
+            endpoints.forEach(e => console.log(`  ${e.url} [${e.events.join(', ')}]`));
+            if (endpoints.length === 0) {
+              console.log('  (none - set CRM_WEBHOOK_URLS and CRM_WEBHOOK_SECRET)');
+            }
+          });
+        } else if (subCmd === 'test') {
+          const dispatcher = opts.url
+            ? new WebhookDispatcher({ endpoints: [{ url: opts.url }], secret: opts.secret || process.env.CRM_WEBHOOK_SECRET, maxAttempts: 1 })
+            : crm.webhooks;
+          if (!dispatcher) {
+            throw new UsageError('No webhooks configured (set CRM_WEBHOOK_URLS or pass --url)');
+          }
+          const ping = createEvent('ping', {}, { agentId: crm.agentId });
+          const results = await Promise.all(dispatcher.dispatch(ping));
+          emit(results, () => results.forEach(r => console.log(formatDelivery(r))));
+        } else if (subCmd === 'dead-letters') {
+          const entries = await readDeadLetters(deadLetterFile);
+          emit(entries, () => {
+            console.log(`\nDead letters in ${deadLetterFile} (${entries.length}):`);
+            entries.forEach(e => {
+              console.log(`  ${e.failedAt} | ${e.event.type} [${e.event.id}] -> ${e.url} | ${e.error} after ${e.attempts} attempt(s)`);
+            });
+          });
+        } else if (subCmd === 'retry') {
+          const entries = await readDeadLetters(deadLetterFile);
+          if (entries.length === 0) {
+            emit([], () => console.log('No dead letters to retry'));
+            break;
+          }
+          // Clear the log first; deliveries that fail again are appended back
+          writeFileSync(deadLetterFile, '');
+          const dispatcher = crm.webhooks || new WebhookDispatcher({ secret: process.env.CRM_WEBHOOK_SECRET, deadLetterFile });
+          const results = await dispatcher.redeliver(entries, process.env.CRM_WEBHOOK_SECRET);
+          const failed = results.filter(r => !r.delivered).length;
+          emit(results, () => {
+            results.forEach(r => console.log(formatDelivery(r)));
+            console.log(`\nRedelivered ${results.length - failed} of ${results.length}`);
+          });
+        } else {
+          throw new UsageError(`Unknown webhooks command: ${subCmd}`);
+        }
+        break;
+      }
+
+      case 'audit': {
+        const [entity, id] = positional;
+        const entries = await crm.getAuditLog({
+          entity: entity || opts.entity,
+          id: id || opts.id ? parseInt(id || opts.id) : undefined,
+          field: opts.field,
+          actor: opts.actor,
+          since: opts.since,
+          until: opts.until,
+          limit: opts.limit ? parseInt(opts.limit) : 50
+        });
+        emit(entries, () => {
+          console.log(`\nAudit log (${entries.length}):`);
+          entries.forEach(e => console.log(`  ${formatAuditEntry(e)}`));
+        });
+        break;
+      }
+
+      case 'trash': {
+        const subCmd = positional[0] || 'list';
+
+        if (subCmd === 'list') {
+          const rows = await crm.listTrash({
+            entity: opts.entity,
+            olderThan: opts['older-than'],
+            limit: opts.limit ? parseInt(opts.limit) : undefined
+          });
+          emit(rows, () => {
+            console.log(`\nTrash (${rows.length}):`);
+            rows.forEach(row => console.log(`  ${formatTrashed(row)}`));
+          });
+        } else if (subCmd === 'restore') {
+          const [, entity, id] = positional;
+          if (!entity || !parseInt(id)) {
+            throw new UsageError('Usage: crm trash restore <entity> <id>');
+          }
+          const restored = await crm.restore(entity, parseInt(id));
+          emit(restored, () => console.log(`Restored ${entity} ${id}`));
+        } else if (subCmd === 'purge') {
+          if (!opts['older-than'] && !opts.all) {
+            throw new UsageError('Pass --older-than <age> (e.g. 30d) or --all');
+          }
+          const result = await crm.purgeTrash({ entity: opts.entity, olderThan: opts.all ? undefined : opts['older-than'] });
+          const counts = Object.entries(result.byEntity).map(([entity, n]) => `${n} ${entity}(s)`).join(', ');
+          emit(result, () => console.log(`Purged ${result.purged} row(s)${counts ? `: ${counts}` : ''}`));
+        } else {
+          throw new UsageError(`Unknown trash command: ${subCmd}`);
         }
         break;
       }
 
       default:
-        console.error(`Unknown command: ${command}`);
-        printUsage();
-        process.exit(1);
+        throw new UsageError(`Unknown command: ${command} (run crm help for usage)`);
     }
   } finally {
+    await crm.flushWebhooks();
     crm.close();
   }
 }
 
+// Exit codes by error code - see printUsage()
+const EXIT_CODES = {
+  usage: 2,
+  validation_failed: 3,
+  not_found: 4,
+  conflict: 5,
+  backend_error: 6
+};
+
+function errorCode(err) {
+  if (err instanceof UsageError || err instanceof CrmError) return err.code;
+  // better-sqlite3 errors (SQLITE_BUSY) and pg's connection errors (ECONNREFUSED)
+  if (/^(SQLITE_|ECONN|ENOTFOUND$|ETIMEDOUT$)/.test(err.code)) return 'backend_error';
+  return 'error';
+}
+
 main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
+  const code = errorCode(err);
+  const exitCode = EXIT_CODES[code] || 1;
+
+  if (output.format === 'json' || output.format === 'ndjson') {
+    const error = { code, message: err.message, exitCode };
+    if (err instanceof CrmValidationError) error.details = err.details;
+    else if (err instanceof CrmNotFoundError) error.details = { resource: err.resource, id: err.id };
+    else if (err.details !== undefined) error.details = err.details;
+    console.error(JSON.stringify(snakeCaseKeys({ error })));
+  } else if (err instanceof CrmValidationError) {
+    const [summary] = err.message.split(': ');
+    console.error(`Error: ${summary}`);
+    err.details.forEach(d => console.error(`  ${d.field ? `${d.field}: ` : ''}${d.message}`));
+  } else {
+    console.error('Error:', err.message);
+  }
+  process.exit(exitCode);
 });
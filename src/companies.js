@@ -0,0 +1,124 @@
+/**
+ * Companies (accounts): name matching and account-level rollups
+ * Pure functions over crm_companies / crm_contacts / crm_deals / crm_tasks rows
+ */
+
+// Legal-form suffixes ignored when matching company names
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'pty', 'plc', 'co',
+  'corp', 'corporation', 'company', 'gmbh', 'ag', 'sa', 'sas', 'bv', 'nv', 'srl', 'oy', 'ab'
+]);
+
+// Email domains that say nothing about where someone works
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com',
+  'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com',
+  'bigpond.com', 'gmx.com', 'fastmail.com'
+]);
+
+/**
+ * Matching key for a company name: 'Acme Pty. Ltd.' and 'ACME' both give 'acme'
+ */
+export function companyKey(name) {
+  if (!name) return null;
+  const words = name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join(' ') || null;
+}
+
+/**
+ * Bare domain from a URL, email address or domain: 'https://www.Acme.com/about' -> 'acme.com'
+ * @returns {string|null} null if it doesn't look like a domain
+ */
+export function normalizeDomain(value) {
+  if (!value) return null;
+  const domain = String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^[^@/]*@/, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0];
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best === null || count > counts.get(best)) best = value;
+  }
+  return best;
+}
+
+/**
+ * Group contacts' free-text `company` values into companies
+ * Contacts already linked to a company are left alone. Each group is
+ * matched to an existing company by name key where possible.
+ * @param {Object[]} contacts - crm_contacts rows
+ * @param {Object[]} companies - existing crm_companies rows
+ * @returns {Object[]} [{ key, name, domain, companyId, spellings, contactIds }]
+ *   companyId is null for groups that need a new company
+ */
+export function groupCompanyNames(contacts, companies = []) {
+  const existing = new Map(companies.map(c => [companyKey(c.name), c]));
+  const groups = new Map();
+
+  for (const contact of contacts) {
+    if (contact.company_id || !contact.company?.trim()) continue;
+    const key = companyKey(contact.company);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(contact);
+  }
+
+  return [...groups].map(([key, members]) => {
+    const spellings = members.map(c => c.company.trim());
+    const domains = members
+      .map(c => normalizeDomain(c.email))
+      .filter(domain => domain && !FREE_MAIL_DOMAINS.has(domain));
+    const match = existing.get(key);
+    return {
+      key,
+      name: match ? match.name : mostCommon(spellings),
+      domain: match ? match.domain : mostCommon(domains),
+      companyId: match ? match.id : null,
+      spellings: [...new Set(spellings)],
+      contactIds: members.map(c => c.id)
+    };
+  });
+}
+
+/**
+ * Account-level totals for one company
+ * @param {Object[]} contacts - the company's crm_contacts rows
+ * @param {Object[]} openDeals - the company's open crm_deals rows
+ * @param {Object[]} openTasks - incomplete crm_tasks rows for those contacts
+ * @param {Date} now
+ */
+export function companyRollup(contacts, openDeals, openTasks, now = new Date()) {
+  const lastContact = contacts
+    .map(c => c.last_contact_at)
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+  const nowIso = now.toISOString();
+
+  return {
+    contacts: contacts.length,
+    activeContacts: contacts.filter(c => c.is_active).length,
+    openDeals: openDeals.length,
+    openDealValue: openDeals.reduce((sum, d) => sum + (parseFloat(d.value) || 0), 0),
+    lastInteractionAt: lastContact,
+    openTasks: openTasks.length,
+    overdueTasks: openTasks.filter(t => t.due_at && t.due_at < nowIso).length
+  };
+}
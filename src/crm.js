@@ -1,16 +1,309 @@
 /**
  * Main CRM (Customer Relationship Management) class
- * Manages contacts, pipeline stages, interactions, and tasks
+ * Manages contacts, companies, deals, pipeline stages, interactions, and tasks
  * 
  * Multi-tenant: All operations scoped by agent_id
+ * Events: every mutation emits typed change events - see events.js
  */
 
+import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
 import { createDatabase } from './db.js';
+import { createEvent } from './events.js';
+import { AUDITED_ENTITIES, auditEntries } from './audit.js';
+import { WebhookDispatcher, webhookOptionsFromEnv } from './webhooks.js';
+import {
+  SCHEDULED_TRIGGERS,
+  validateRule,
+  triggerMatches,
+  evaluateConditions,
+  testCondition,
+  fieldValue,
+  renderTemplate,
+  parseDuration
+} from './rules.js';
+import { pipelineStats, stageVelocity, funnel, forecast } from './analytics.js';
+import { findDuplicatePairs, planMerge } from './dedupe.js';
+import { nextOccurrence } from './recurrence.js';
+import { parseSearchQuery, scoreContact, snippet } from './search.js';
+import { DEFAULT_PAGE_SIZE, decodeCursor, toPage } from './pagination.js';
+import { groupCompanyNames, companyRollup } from './companies.js';
+import { DEFAULT_REPORTING_CURRENCY, createConverter, convertDeals } from './currency.js';
+import { DEFAULT_SCORING_MODEL, validateScoringModel, scoreLead } from './scoring.js';
+import { parseCalendarUid } from './ical.js';
+import { CONTACT_FIELDS, DEAL_FIELDS } from './fields.js';
+import { CrmValidationError, CrmNotFoundError, CrmConflictError } from './errors.js';
+import {
+  DEFAULT_INTERACTION_TYPES,
+  PHONE_VALIDATION,
+  normalizeCurrency,
+  validateStage,
+  validateCompany,
+  validateContact,
+  validateDeal,
+  validateExchangeRate,
+  validateInteraction,
+  validateTask
+} from './validation.js';
 
-export class CRM {
+// Rule actions can trigger further rules; this tracks each chain so a
+// rule fires at most once per contact and chains stop at MAX_RULE_DEPTH
+const ruleChain = new AsyncLocalStorage();
+const MAX_RULE_DEPTH = 5;
+
+// What can be trashed, by entity name; purged children before parents
+const TRASH_TABLES = {
+  interaction: 'crm_interactions',
+  task: 'crm_tasks',
+  deal: 'crm_deals',
+  contact: 'crm_contacts',
+  company: 'crm_companies',
+  stage: 'crm_stages'
+};
+
+// Events that can fire a rule trigger
+const RULE_EVENTS = new Set(['contact.created', 'deal.created', 'deal.stage_changed', 'interaction.added']);
+
+// Events that change what a contact's lead score is based on
+const SCORE_EVENTS = new Set([
+  'contact.created', 'contact.updated', 'contact.restored',
+  'deal.created', 'deal.updated', 'deal.deleted', 'deal.restored',
+  'interaction.added', 'interaction.updated', 'interaction.deleted', 'interaction.restored'
+]);
+
+// Senders that never get a contact of their own from an email import
+const AUTOMATED_SENDER = /^(no-?reply|do-?not-?reply|mailer-daemon|postmaster|bounces?|notifications?)([+.\-@]|$)/i;
+
+// A contact's own deal fields, from before contacts could have several
+// deals, and the deal fields they mirror (see CRM#_mirrorDeal)
+const CONTACT_DEAL_FIELDS = {
+  stageId: 'stageId',
+  dealValue: 'value',
+  currency: 'currency',
+  expectedCloseAt: 'expectedCloseAt',
+  assignedTo: 'owner'
+};
+
+// Of those, the ones a contact with several deals can still change,
+// as its own (its deals keep theirs)
+const CONTACT_OWN_FIELDS = new Set(['assignedTo']);
+
+// A deal's fields as the contact columns rules and templates read
+function dealAsContact(contact, deal) {
+  return {
+    ...contact,
+    stage_id: deal.stage_id,
+    stage_entered_at: deal.stage_entered_at,
+    deal_value: deal.value,
+    currency: deal.currency,
+    expected_close_at: deal.expected_close_at,
+    crm_stages: deal.crm_stages,
+    deal_id: deal.id
+  };
+}
+
+function normalizeType(type) {
+  return String(type).trim().toLowerCase();
+}
+
+function interactionTypesFromEnv() {
+  return (process.env.CRM_INTERACTION_TYPES || '').split(',').filter(type => type.trim());
+}
+
+export class CRM extends EventEmitter {
+  /**
+   * @param {Object} config - { backend?, file?, supabaseUrl?, supabaseKey?, agentId?, webhooks?,
+   *   defaultCountryCode?, phoneValidation?, interactionTypes?, reportingCurrency? }
+   *   backend: 'supabase' (default), 'sqlite', 'memory', or a custom adapter object
+   *   webhooks: WebhookDispatcher options, an endpoint array, a dispatcher, or
+   *     false to ignore the CRM_WEBHOOK_* environment variables
+   *   defaultCountryCode: calling code for phone numbers without one, e.g. '61'
+   *     (default: CRM_DEFAULT_COUNTRY_CODE)
+   *   phoneValidation: 'lenient' stores phone numbers that can't be normalized
+   *     to E.164 as entered, 'strict' rejects them (default: CRM_PHONE_VALIDATION,
+   *     else lenient)
+   *   interactionTypes: extra interaction types on top of DEFAULT_INTERACTION_TYPES
+   *     (default: CRM_INTERACTION_TYPES, comma-separated)
+   *   reportingCurrency: currency for totals until one is set with setReportingCurrency()
+   *     (default: CRM_REPORTING_CURRENCY, else AUD)
+   */
   constructor(config = {}) {
-    this.db = createDatabase(config);
+    super();
     this.agentId = config.agentId || process.env.CRM_AGENT_ID || 'default';
+
+    const countryCode = String(config.defaultCountryCode ?? process.env.CRM_DEFAULT_COUNTRY_CODE ?? '').trim().replace(/^\+/, '');
+    if (countryCode && !/^[1-9]\d{0,2}$/.test(countryCode)) {
+      throw CrmValidationError.field('defaultCountryCode', 'must be a calling code such as 61 or 1', countryCode);
+    }
+    this.defaultCountryCode = countryCode || null;
+
+    const phoneValidation = String(config.phoneValidation ?? process.env.CRM_PHONE_VALIDATION ?? 'lenient').trim().toLowerCase();
+    if (!PHONE_VALIDATION.includes(phoneValidation)) {
+      throw CrmValidationError.field('phoneValidation', `must be one of ${PHONE_VALIDATION.join(', ')}`, phoneValidation);
+    }
+    this.strictPhones = phoneValidation === 'strict';
+
+    const reportingCurrency = config.reportingCurrency ?? process.env.CRM_REPORTING_CURRENCY ?? DEFAULT_REPORTING_CURRENCY;
+    this.defaultReportingCurrency = normalizeCurrency(reportingCurrency);
+    if (!this.defaultReportingCurrency) {
+      throw CrmValidationError.field('reportingCurrency', 'must be an ISO 4217 currency code such as AUD or USD', reportingCurrency);
+    }
+
+    this.interactionTypes = [...DEFAULT_INTERACTION_TYPES];
+    for (const type of config.interactionTypes || interactionTypesFromEnv()) {
+      this.registerInteractionType(type);
+    }
+
+    this.db = createDatabase(config);
+
+    const webhooks = config.webhooks ?? webhookOptionsFromEnv();
+    if (webhooks) {
+      if (webhooks instanceof WebhookDispatcher) {
+        this.webhooks = webhooks;
+      } else {
+        this.webhooks = new WebhookDispatcher(Array.isArray(webhooks) ? { endpoints: webhooks } : webhooks);
+      }
+      this.webhooks.attach(this);
+    }
+  }
+
+  // ============ VALIDATION ============
+
+  /**
+   * Allow another interaction type, e.g. 'linkedin' or 'sms'
+   * @returns {string[]} all registered types
+   */
+  registerInteractionType(type) {
+    const name = normalizeType(type);
+    if (!/^[a-z][a-z0-9_-]*$/.test(name)) {
+      throw CrmValidationError.field('type', 'interaction types are lower-case words (letters, numbers, _ and -)', type);
+    }
+    if (!this.interactionTypes.includes(name)) {
+      this.interactionTypes.push(name);
+    }
+    return this.interactionTypes;
+  }
+
+  // Options for validateContact()
+  _contactValidation() {
+    return { defaultCountryCode: this.defaultCountryCode, strictPhones: this.strictPhones };
+  }
+
+  // Validate updates to a contact, returning the fields that change and the
+  // updates as saved. Values the contact already has aren't re-checked, so
+  // contacts saved before validation (say, with a local phone number) can
+  // still be edited
+  async _checkContactUpdates(before, updates) {
+    const changed = Object.fromEntries(Object.entries(updates)
+      .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(before[CONTACT_FIELDS[field]])));
+    updates = { ...updates, ...validateContact(changed, { ...this._contactValidation(), partial: true }) };
+    if (changed.stageId !== undefined) {
+      await this._checkStageId(updates.stageId);
+    }
+    if (changed.companyId !== undefined) {
+      const company = await this._checkCompanyId(updates.companyId);
+      if (company && updates.company === undefined) {
+        updates.company = company.name;
+      }
+    }
+    return { changed, updates };
+  }
+
+  // A validation error unless the stage exists (or, if not required, no stage is given)
+  async _checkStageId(stageId, required = false) {
+    if (required && (stageId === undefined || stageId === null)) {
+      throw CrmValidationError.field('stageId', 'is required', stageId);
+    }
+    if (stageId === undefined || stageId === null) return;
+    const stages = await this.db.listStages();
+    if (!stages.some(s => s.id === stageId)) {
+      throw CrmValidationError.field('stageId', `no stage with ID ${stageId}`, stageId);
+    }
+  }
+
+  // The linked company, or a validation error if there's no such company
+  async _checkCompanyId(companyId) {
+    if (companyId === undefined || companyId === null) return null;
+    try {
+      return await this.db.getCompany(companyId);
+    } catch (err) {
+      if (err.code !== 'not_found') throw err;
+      throw CrmValidationError.field('companyId', `no company with ID ${companyId}`, companyId);
+    }
+  }
+
+  async _checkStageName(name, id) {
+    const stages = await this.db.listStages();
+    const existing = stages.find(s => s.id !== id && s.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      throw new CrmConflictError(`A stage named "${existing.name}" already exists`, {
+        resource: 'stage',
+        field: 'name',
+        value: name,
+        existingId: existing.id
+      });
+    }
+  }
+
+  // ============ EVENTS ============
+
+  // Record the change in the audit log, notify listeners, rescore the
+  // contact, then run any automation rules the event triggers
+  async _emit(type, data, actor) {
+    const event = createEvent(type, data, { agentId: this.agentId, actor });
+    await this.db.addAuditEntries(auditEntries(event));
+    this.emit(type, event);
+    this.emit('event', event);
+    if (SCORE_EVENTS.has(type)) {
+      const row = data.after || data.before;
+      await this._rescore(type.startsWith('contact.') ? row.id : row.contact_id);
+    }
+    await this._applyRules(event);
+    return event;
+  }
+
+  // One contact.updated, plus the more specific events the change implies
+  async _emitContactChanges(before, after, actor) {
+    await this._emit('contact.updated', { before, after }, actor);
+    if (before.stage_id !== after.stage_id) {
+      await this._emit('contact.stage_changed', {
+        before,
+        after,
+        fromStageId: before.stage_id,
+        toStageId: after.stage_id
+      }, actor);
+    }
+    if (before.is_active && !after.is_active) {
+      await this._emit('contact.lost', { before, after, reason: after.lost_reason }, actor);
+    } else if (!before.is_active && after.is_active) {
+      await this._emit('contact.reactivated', { before, after }, actor);
+    }
+  }
+
+  // One deal.updated, plus the more specific events the change implies
+  async _emitDealChanges(before, after, actor) {
+    await this._emit('deal.updated', { before, after }, actor);
+    if (before.stage_id !== after.stage_id) {
+      await this._emit('deal.stage_changed', {
+        before,
+        after,
+        fromStageId: before.stage_id,
+        toStageId: after.stage_id
+      }, actor);
+    }
+    if (before.status !== after.status) {
+      const type = after.status === 'open' ? 'deal.reopened' : `deal.${after.status}`;
+      await this._emit(type, { before, after, ...(after.status === 'lost' && { reason: after.lost_reason }) }, actor);
+    }
+  }
+
+  /**
+   * Wait for queued webhook deliveries to finish
+   */
+  async flushWebhooks() {
+    if (this.webhooks) {
+      await this.webhooks.flush();
+    }
   }
 
   // ============ STAGES ============
@@ -24,48 +317,132 @@ export class CRM {
 
   /**
    * Create a new pipeline stage
-   * @param {Object} stage - { name, position, color? }
+   * @param {Object} stage - { name, position, color?, winProbability? }
+   *   winProbability: chance (0-100) that a deal in this stage closes
+   * @param {Object} options - { actor? }
    */
-  async createStage(stage) {
-    if (!stage.name) {
-      throw new Error('Stage name is required');
-    }
-    
+  async createStage(stage, options = {}) {
+    stage = validateStage(stage);
+    await this._checkStageName(stage.name);
+
     // Auto-assign position if not provided
     if (stage.position === undefined) {
       const existing = await this.db.listStages();
       stage.position = existing.length + 1;
     }
     
-    return this.db.createStage(stage);
+    const created = await this.db.createStage(stage);
+    await this._emit('stage.created', { after: created }, options.actor);
+    return created;
+  }
+
+  /**
+   * Update a pipeline stage
+   * @param {number} id - Stage ID
+   * @param {Object} updates - { name?, color?, position?, winProbability? }
+   * @param {Object} options - { actor? }
+   */
+  async updateStage(id, updates, options = {}) {
+    updates = validateStage(updates, { partial: true });
+    if (updates.name !== undefined) {
+      await this._checkStageName(updates.name, id);
+    }
+
+    const updateData = {};
+    if (updates.name !== undefined) updateData.name = updates.name;
+    if (updates.color !== undefined) updateData.color = updates.color;
+    if (updates.position !== undefined) updateData.position = updates.position;
+    if (updates.winProbability !== undefined) updateData.win_probability = updates.winProbability;
+
+    const before = (await this.db.listStages()).find(s => s.id === id) || null;
+    const updated = await this.db.updateStage(id, updateData);
+    await this._emit('stage.updated', { before, after: updated }, options.actor);
+    return updated;
   }
 
   /**
    * Reorder stages
    * @param {number[]} stageIds - Array of stage IDs in desired order
+   * @param {Object} options - { actor? }
    */
-  async reorderStages(stageIds) {
-    return this.db.reorderStages(stageIds);
+  async reorderStages(stageIds, options = {}) {
+    const before = await this.db.listStages();
+    const stages = await this.db.reorderStages(stageIds);
+    await this._emit('stage.reordered', { before, after: stages, stageIds }, options.actor);
+    return stages;
   }
 
   /**
    * Delete a pipeline stage
-   * Note: Contacts in this stage will have their stage_id set to null
+   * Moves it to the trash; a stage that still has deals or contacts can't be
+   * trashed. A permanent delete sets their stage_id to null instead.
+   * @param {Object} options - { actor?, permanent? }
    */
-  async deleteStage(id) {
-    return this.db.deleteStage(id);
+  async deleteStage(id, options = {}) {
+    if (!options.permanent) {
+      const [[deal], [contact]] = await Promise.all([
+        this.db.listDeals({ stageId: id, limit: 1 }),
+        this.db.listContacts({ stageId: id, limit: 1 })
+      ]);
+      if (deal || contact) {
+        throw new CrmConflictError(`Stage ${id} still has deals; move them to another stage first, or delete it permanently`, {
+          resource: 'stage',
+          id
+        });
+      }
+    }
+    return this._deleteEntity('stage', id, options);
   }
 
   // ============ CONTACTS ============
 
   /**
    * List contacts with optional filters
-   * @param {Object} options - { stageId?, isActive?, assignedTo?, tags?, limit?, offset? }
+   * @param {Object} options - { stageId?, companyId?, isActive?, assignedTo?, tags?,
+   *   minScore?, maxScore?, sort?, limit?, offset? }
+   *   sort: 'score' for the highest lead score first (default: recently updated first)
    */
   async listContacts(options = {}) {
+    if (options.sort !== undefined && options.sort !== 'score') {
+      throw CrmValidationError.field('sort', 'expected score', options.sort);
+    }
     return this.db.listContacts(options);
   }
 
+  /**
+   * One page of contacts, most recently updated first
+   * Keyset pagination on (updated_at, id): pass the returned nextCursor
+   * back as `cursor` for the next page. nextCursor is null on the last page.
+   * @param {Object} options - listContacts filters plus { cursor?, limit? }
+   *   (sort doesn't apply: pages are always in updated_at order)
+   * @returns {Object} { items, nextCursor }
+   */
+  async pageContacts(options = {}) {
+    const { cursor, offset, sort, ...filters } = options;
+    const limit = options.limit || DEFAULT_PAGE_SIZE;
+    const rows = await this.db.listContacts({
+      ...filters,
+      limit: limit + 1,
+      after: cursor ? decodeCursor(cursor) : undefined
+    });
+    return toPage(rows, limit, 'updated_at');
+  }
+
+  /**
+   * Stream every contact matching the filters, a page at a time
+   *   for await (const contact of crm.iterateContacts({ tags: ['vip'] })) ...
+   * @param {Object} options - listContacts filters plus { pageSize? }
+   */
+  async *iterateContacts(options = {}) {
+    const { pageSize, limit, ...filters } = options;
+    let cursor;
+    do {
+      const page = await this.pageContacts({ ...filters, cursor, limit: pageSize });
+      yield* page.items;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
   /**
    * Get a single contact by ID
    */
@@ -75,60 +452,160 @@ export class CRM {
 
   /**
    * Create a new contact
+   * A stageId or dealValue also creates the contact's first deal.
    * @param {Object} contact - Contact data
+   * @param {Object} options - { actor? } - who made the change (default: agent ID)
    */
-  async createContact(contact) {
-    if (!contact.name) {
-      throw new Error('Contact name is required');
+  async createContact(contact, options = {}) {
+    contact = validateContact(contact, this._contactValidation());
+    await this._checkStageId(contact.stageId);
+    const company = await this._checkCompanyId(contact.companyId);
+    if (company && contact.company === undefined) {
+      contact.company = company.name;
     }
-    return this.db.createContact(contact);
+    const created = await this.db.createContact(contact);
+    await this._emit('contact.created', { after: created }, options.actor);
+    await this._syncContactDeal(created, [], options.actor);
+    return created;
   }
 
   /**
    * Update an existing contact
+   * Linking a company (companyId) also sets the contact's company name,
+   * and moves the contact's deals that were under its old company.
+   * stageId, dealValue, currency and expectedCloseAt change the contact's
+   * deal (creating it if needed), so they can't be used on a contact with
+   * several deals - update those with updateDeal() / moveDeal().
+   * assignedTo becomes the owner of a single deal; a contact with several
+   * deals is reassigned on its own.
    * @param {number} id - Contact ID
    * @param {Object} updates - Fields to update
+   * @param {Object} options - { actor? }
    */
-  async updateContact(id, updates) {
-    return this.db.updateContact(id, updates);
+  async updateContact(id, updates, options = {}) {
+    const before = await this.db.getContact(id);
+    let changed;
+    ({ changed, updates } = await this._checkContactUpdates(before, updates));
+
+    const dealFields = Object.keys(CONTACT_DEAL_FIELDS).filter(field => changed[field] !== undefined);
+    const dealChanged = dealFields.some(field => !CONTACT_OWN_FIELDS.has(field));
+    const companyChanged = changed.companyId !== undefined && (updates.companyId ?? null) !== (before.company_id ?? null);
+    const deals = dealFields.length > 0 || companyChanged || changed.isActive !== undefined
+      ? await this.db.listDeals({ contactId: id })
+      : null;
+    if (dealChanged && deals.length > 1) {
+      throw new CrmConflictError(`Contact ${id} has ${deals.length} deals; update or move one of them instead`, {
+        resource: 'contact',
+        id,
+        dealIds: deals.map(d => d.id)
+      });
+    }
+
+    const stageChanged = updates.stageId !== undefined && before.stage_id !== updates.stageId;
+
+    const updated = await this.db.updateContact(id, stageChanged
+      ? { ...updates, stageEnteredAt: new Date().toISOString() }
+      : updates);
+
+    await this._emitContactChanges(before, updated, options.actor);
+    if (companyChanged) {
+      // Deals follow the contact to its new company, unless they were put under another one
+      for (const [index, deal] of deals.entries()) {
+        if ((deal.company_id ?? null) === (before.company_id ?? null)) {
+          deals[index] = await this._saveDeal(deal, { companyId: updated.company_id }, options.actor);
+        }
+      }
+    }
+    if (deals) {
+      await this._syncContactDeal(updated, deals, options.actor);
+    }
+    return updated;
   }
 
   /**
-   * Move contact to a different pipeline stage
+   * Move a contact's deal to a different pipeline stage
+   * For contacts with one deal (or none yet - one is created); a contact
+   * with several deals needs moveDeal()
    * @param {number} id - Contact ID
    * @param {number} stageId - Target stage ID
+   * @param {Object} options - { actor? }
    */
-  async moveStage(id, stageId) {
-    return this.db.moveContactStage(id, stageId);
+  async moveStage(id, stageId, options = {}) {
+    await this._checkStageId(stageId, true);
+    return this.updateContact(id, { stageId }, options);
+  }
+
+  /**
+   * Get every stage a contact has been in, oldest first
+   * Each entry includes stage names and how long the contact stayed
+   * (time_in_stage_ms is null for the current stage)
+   * @param {number} id - Contact ID
+   */
+  async getStageHistory(id) {
+    return this._stageHistory({ contactId: id });
+  }
+
+  async _stageHistory(filter) {
+    const [transitions, stages] = await Promise.all([
+      this.db.listStageTransitions(filter),
+      this.db.listStages()
+    ]);
+    const stageName = stageId => stages.find(s => s.id === stageId)?.name || null;
+
+    return transitions.map((t, index) => {
+      const next = transitions[index + 1];
+      return {
+        ...t,
+        from_stage_name: stageName(t.from_stage_id),
+        to_stage_name: stageName(t.to_stage_id),
+        time_in_stage_ms: next ? new Date(next.created_at) - new Date(t.created_at) : null
+      };
+    });
+  }
+
+  async _recordTransition(contactId, fromStageId, toStageId, actor, dealId) {
+    return this.db.addStageTransition({
+      contactId,
+      dealId,
+      fromStageId,
+      toStageId,
+      actor: actor || this.agentId
+    });
   }
 
   /**
    * Mark contact as lost/inactive
+   * A contact's only deal is marked lost with it.
    * @param {number} id - Contact ID
    * @param {string} reason - Reason for losing the contact
+   * @param {Object} options - { actor? }
    */
-  async markLost(id, reason) {
-    return this.db.updateContact(id, {
+  async markLost(id, reason, options = {}) {
+    return this.updateContact(id, {
       isActive: false,
       lostReason: reason
-    });
+    }, options);
   }
 
   /**
    * Reactivate a lost contact
+   * @param {Object} options - { actor? }
    */
-  async reactivate(id) {
-    return this.db.updateContact(id, {
+  async reactivate(id, options = {}) {
+    return this.updateContact(id, {
       isActive: true,
       lostReason: null
-    });
+    }, options);
   }
 
   /**
-   * Delete a contact (and all associated interactions/tasks)
+   * Delete a contact (and all associated deals/interactions/tasks)
+   * They go to the trash together and restore('contact', id) brings them
+   * back; { permanent: true } deletes them for good, e.g. for erasure requests
+   * @param {Object} options - { actor?, permanent? }
    */
-  async deleteContact(id) {
-    return this.db.deleteContact(id);
+  async deleteContact(id, options = {}) {
+    return this._deleteEntity('contact', id, options);
   }
 
   /**
@@ -143,196 +620,2114 @@ export class CRM {
     return this.db.searchContacts(query, options);
   }
 
-  // ============ INTERACTIONS ============
+  /**
+   * Search contacts with the query language in search.js, e.g.
+   *   tag:vip stage:Proposal value>5000 owner:louis "pricing"
+   * Free-text terms also match interaction subjects and content.
+   * Results are ranked by relevance and carry search_score and
+   * search_matches (up to 3 matching interactions with snippets).
+   * @param {string} query
+   * @param {Object} options - { limit? }
+   */
+  async search(query, options = {}) {
+    const { filters, terms } = parseSearchQuery(query);
+    if (filters.length === 0 && terms.length === 0) {
+      return [];
+    }
+
+    const stageFilters = filters.filter(f => f.stage !== undefined);
+    if (stageFilters.length > 0) {
+      const stages = await this.db.listStages();
+      for (const filter of stageFilters) {
+        const stage = stages.find(s => s.id === filter.stage) ||
+          stages.find(s => s.name.toLowerCase() === filter.stage.toLowerCase());
+        if (!stage) {
+          throw new CrmValidationError('Invalid search query', [{ field: 'stage', message: `no stage named "${filter.stage}"` }]);
+        }
+        filter.value = stage.id;
+      }
+    }
+
+    // Interaction matches are looked up per term so a contact can match
+    // one term on its own fields and another in its notes
+    const interactionsByContact = new Map();
+    for (const term of terms) {
+      const interactions = await this.db.searchInteractions(term.text, { limit: 500 });
+      term.contactIds = [...new Set(interactions.map(i => i.contact_id))];
+      if (term.negate) continue;
+      for (const interaction of interactions) {
+        const list = interactionsByContact.get(interaction.contact_id) || [];
+        if (!list.some(i => i.id === interaction.id)) list.push(interaction);
+        interactionsByContact.set(interaction.contact_id, list);
+      }
+    }
+
+    const contacts = await this.db.queryContacts({ filters, terms });
+    const positive = terms.filter(t => !t.negate);
+
+    const results = contacts.map(contact => {
+      const interactions = interactionsByContact.get(contact.id) || [];
+      return {
+        ...contact,
+        search_score: scoreContact(contact, positive, interactions),
+        search_matches: interactions.slice(0, 3).map(i => ({
+          id: i.id,
+          type: i.type,
+          subject: i.subject,
+          created_at: i.created_at,
+          snippet: snippet(i, positive)
+        }))
+      };
+    });
+
+    results.sort((a, b) => b.search_score - a.search_score || b.updated_at.localeCompare(a.updated_at));
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
 
   /**
-   * List interactions with optional filters
-   * @param {Object} options - { contactId?, type?, limit? }
+   * Find likely duplicate contacts
+   * Pairs are scored on normalized email, phone (E.164, using the default
+   * country code for local numbers), and fuzzy name + company
+   * @param {Object} options - { threshold?, isActive? } - minimum score 0-1 (default: 0.5)
+   * @returns {Object[]} { contacts: [a, b], score, reasons }, highest score first
    */
-  async listInteractions(options = {}) {
-    return this.db.listInteractions(options);
+  async findDuplicates(options = {}) {
+    const contacts = await this.db.listContacts({ isActive: options.isActive });
+    return findDuplicatePairs(contacts, { threshold: options.threshold, defaultCountryCode: this.defaultCountryCode });
   }
 
   /**
-   * Add an interaction (call, email, meeting, note, etc.)
-   * @param {Object} interaction - { contactId, type, subject?, content?, createdBy, ... }
+   * Merge duplicate contacts into a primary contact
+   * Deals, interactions, tasks and stage history move to the primary, tags
+   * are unioned, custom fields merged, and the duplicates deleted.
+   * @param {number} primaryId - Contact to keep
+   * @param {number[]} duplicateIds - Contacts to merge in and delete
+   * @param {Object} options - { fieldStrategy?, actor? }
+   *   fieldStrategy: 'fill' (default), 'primary' or 'newest' - see planMerge()
    */
-  async addInteraction(interaction) {
-    if (!interaction.contactId) {
-      throw new Error('Contact ID is required');
+  async mergeContacts(primaryId, duplicateIds, options = {}) {
+    const ids = [...new Set(duplicateIds)].filter(id => id !== primaryId);
+    if (ids.length === 0) {
+      throw CrmValidationError.field('duplicateIds', 'at least one duplicate contact ID (other than the primary) is required', duplicateIds);
     }
-    if (!interaction.type) {
-      throw new Error('Interaction type is required');
+
+    const primary = await this.db.getContact(primaryId);
+    const duplicates = [];
+    for (const id of ids) {
+      duplicates.push(await this.db.getContact(id));
     }
-    if (!interaction.createdBy) {
-      throw new Error('Created by is required');
+
+    // Check the merged fields before anything moves, so a failed merge changes nothing
+    const updates = planMerge(primary, duplicates, options.fieldStrategy);
+    await this._checkContactUpdates(primary, updates);
+    const reassigned = await this.db.reassignContact(ids, primaryId);
+    await this.updateContact(primaryId, updates, { actor: options.actor });
+    await this._mirrorDeal(primaryId, options.actor);
+    const contact = await this.db.getContact(primaryId);
+
+    for (const duplicate of duplicates) {
+      await this.db.trash('crm_contacts', duplicate.id, options.actor || this.agentId);
+      await this._emit('contact.deleted', { before: duplicate, permanent: false, mergedInto: primaryId }, options.actor);
     }
-    return this.db.addInteraction(interaction);
+    await this._emit('contact.merged', {
+      before: primary,
+      after: contact,
+      merged: duplicates,
+      reassigned
+    }, options.actor);
+
+    return {
+      contact,
+      merged: ids,
+      reassigned: {
+        deals: reassigned.crm_deals,
+        interactions: reassigned.crm_interactions,
+        tasks: reassigned.crm_tasks,
+        stageTransitions: reassigned.crm_stage_transitions
+      }
+    };
   }
 
   /**
-   * Update an interaction
+   * Import contacts in bulk, matching existing contacts by email
+   * Every entry is validated first; invalid rows are reported, not imported.
+   * @param {Object[]} entries - { row, contact, errors? } where contact is camelCase
+   *   contact data (a `stage` name is resolved to stageId) and errors are parse errors
+   * @param {Object} options - { dryRun?, onDuplicate?, actor? }
+   *   onDuplicate: 'skip' (default) or 'update' for rows whose email already exists
+   * @returns {Object} { total, created, updated, skipped, invalid, dryRun, rows }
    */
-  async updateInteraction(id, updates) {
-    return this.db.updateInteraction(id, updates);
+  async importContacts(entries, options = {}) {
+    const onDuplicate = options.onDuplicate || 'skip';
+    if (!['skip', 'update'].includes(onDuplicate)) {
+      throw CrmValidationError.field('onDuplicate', 'expected skip or update', onDuplicate);
+    }
+
+    const [existing, stages] = await Promise.all([
+      this.db.listContacts(),
+      this.db.listStages()
+    ]);
+    const byEmail = new Map();
+    existing.filter(c => c.email).forEach(c => byEmail.set(c.email.toLowerCase(), c));
+    const stageByName = new Map(stages.map(s => [s.name.toLowerCase(), s]));
+    const stageIds = new Set(stages.map(s => s.id));
+
+    const report = { total: entries.length, created: 0, updated: 0, skipped: 0, invalid: 0, dryRun: Boolean(options.dryRun), rows: [] };
+
+    for (const { row, contact: input, errors: parseErrors = [] } of entries) {
+      let { stage, ...contact } = input;
+      const errors = [...parseErrors];
+
+      try {
+        contact = validateContact(contact, this._contactValidation());
+      } catch (err) {
+        if (!(err instanceof CrmValidationError)) throw err;
+        errors.push(...err.details.map(d => `${d.field}: ${d.message}`));
+      }
+
+      if (stage !== undefined) {
+        const match = stageByName.get(stage.toLowerCase());
+        if (match) {
+          contact.stageId = match.id;
+        } else {
+          errors.push(`stage: no stage named "${stage}"`);
+        }
+      } else if (contact.stageId !== undefined && !stageIds.has(contact.stageId)) {
+        errors.push(`stage: no stage with ID ${contact.stageId}`);
+      }
+
+      if (errors.length > 0) {
+        report.invalid++;
+        report.rows.push({ row, status: 'invalid', errors });
+        continue;
+      }
+
+      const duplicate = contact.email ? byEmail.get(contact.email.toLowerCase()) : null;
+
+      if (duplicate && onDuplicate === 'skip') {
+        report.skipped++;
+        report.rows.push({ row, status: 'skipped', id: duplicate.id, reason: `email already exists on contact ${duplicate.id || '(earlier row)'}` });
+        continue;
+      }
+
+      if (duplicate) {
+        const updates = { ...contact };
+        if (contact.customFields) {
+          updates.customFields = { ...duplicate.custom_fields, ...contact.customFields };
+        }
+        let updated = duplicate;
+        if (!options.dryRun) {
+          try {
+            updated = await this.updateContact(duplicate.id, updates, { actor: options.actor });
+          } catch (err) {
+            if (!(err instanceof CrmConflictError)) throw err;
+            report.invalid++;
+            report.rows.push({ row, status: 'invalid', errors: [err.message] });
+            continue;
+          }
+        }
+        report.updated++;
+        report.rows.push({ row, status: 'updated', id: updated.id });
+        continue;
+      }
+
+      const created = options.dryRun
+        ? { id: null, custom_fields: contact.customFields || {} }
+        : await this.createContact(contact, { actor: options.actor });
+      if (contact.email) {
+        byEmail.set(contact.email.toLowerCase(), created);
+      }
+      report.created++;
+      report.rows.push({ row, status: 'created', id: created.id });
+    }
+
+    return report;
   }
 
+  // ============ COMPANIES ============
+
   /**
-   * Delete an interaction
+   * List companies by name, each with account-level totals (see companies.js):
+   *   rollup: { contacts, activeContacts, openDeals, openDealValue, currency,
+   *             lastInteractionAt, openTasks, overdueTasks }
+   *   openDealValue is in the reporting currency
+   * @param {Object} options - { search?, industry?, limit? }
+   *   search: matches name or domain
    */
-  async deleteInteraction(id) {
-    return this.db.deleteInteraction(id);
+  async listCompanies(options = {}) {
+    const [companies, contacts, deals, openTasks, money] = await Promise.all([
+      this.db.listCompanies(options),
+      this.db.listContacts(),
+      this.db.listDeals({ status: 'open' }),
+      this.db.listTasks({ completed: false }),
+      this._money()
+    ]);
+    const openDeals = convertDeals(deals, money.currency, money.convert).deals;
+    const now = new Date();
+
+    return companies.map(company => {
+      const members = contacts.filter(c => c.company_id === company.id);
+      const ids = new Set(members.map(c => c.id));
+      const companyDeals = openDeals.filter(d => d.company_id === company.id);
+      const rollup = companyRollup(members, companyDeals, openTasks.filter(t => ids.has(t.contact_id)), now);
+      return { ...company, rollup: { ...rollup, currency: money.currency } };
+    });
   }
 
   /**
-   * Log a quick note on a contact
-   * Convenience method for addInteraction with type='note'
+   * Get a company with its contacts, deals and rollup
    */
-  async addNote(contactId, content, createdBy) {
-    return this.addInteraction({
-      contactId,
-      type: 'note',
-      content,
-      createdBy
-    });
+  async getCompany(id) {
+    const company = await this.db.getCompany(id);
+    const [contacts, deals, openTasks, money] = await Promise.all([
+      this.db.listContacts({ companyId: id }),
+      this.db.listDeals({ companyId: id }),
+      this.db.listTasks({ completed: false }),
+      this._money()
+    ]);
+    const ids = new Set(contacts.map(c => c.id));
+    const openDeals = convertDeals(deals.filter(d => d.status === 'open'), money.currency, money.convert).deals;
+    return {
+      ...company,
+      contacts,
+      deals,
+      rollup: {
+        ...companyRollup(contacts, openDeals, openTasks.filter(t => ids.has(t.contact_id))),
+        currency: money.currency
+      }
+    };
   }
 
   /**
-   * Log a call interaction
+   * Create a company
+   * @param {Object} company - { name, domain?, industry?, size?, address?, customFields? }
+   *   domain: a bare domain; URLs and email addresses are reduced to one
+   * @param {Object} options - { actor? }
    */
-  async logCall(contactId, { subject, content, createdBy, duration }) {
-    return this.addInteraction({
-      contactId,
-      type: 'call',
-      subject,
-      content,
-      createdBy,
-      metadata: duration ? { duration } : {}
-    });
+  async createCompany(company, options = {}) {
+    company = validateCompany(company);
+    const created = await this.db.createCompany(company);
+    await this._emit('company.created', { after: created }, options.actor);
+    return created;
   }
 
   /**
-   * Log an email interaction
+   * Update a company
+   * Renaming it renames the company on its linked contacts too.
+   * @param {Object} updates - { name?, domain?, industry?, size?, address?, customFields? }
+   * @param {Object} options - { actor? }
    */
-  async logEmail(contactId, { subject, content, createdBy }) {
-    return this.addInteraction({
-      contactId,
-      type: 'email',
-      subject,
-      content,
-      createdBy
-    });
+  async updateCompany(id, updates, options = {}) {
+    updates = validateCompany(updates, { partial: true });
+    const before = await this.db.getCompany(id);
+    const updated = await this.db.updateCompany(id, updates);
+    await this._emit('company.updated', { before, after: updated }, options.actor);
+
+    if (updated.name !== before.name) {
+      for (const contact of await this.db.listContacts({ companyId: id })) {
+        await this.updateContact(contact.id, { company: updated.name }, options);
+      }
+    }
+    return updated;
   }
 
-  // ============ TASKS ============
+  /**
+   * Delete a company
+   * Moves it to the trash; its contacts stay linked and restore('company', id)
+   * brings it back. { permanent: true } deletes it for good and unlinks them
+   * (their company name is kept).
+   * @param {Object} options - { actor?, permanent? }
+   */
+  async deleteCompany(id, options = {}) {
+    return this._deleteEntity('company', id, options);
+  }
 
   /**
-   * List tasks with optional filters
-   * @param {Object} options - { contactId?, completed?, assignedTo?, priority?, dueBefore?, limit? }
+   * Link contacts to a company, setting their company name to match
+   * @param {number} companyId
+   * @param {number[]} contactIds
+   * @param {Object} options - { actor? }
+   * @returns {Object[]} the updated contacts
    */
-  async listTasks(options = {}) {
-    return this.db.listTasks(options);
+  async linkContacts(companyId, contactIds, options = {}) {
+    const company = await this.db.getCompany(companyId);
+    const linked = [];
+    for (const contactId of contactIds) {
+      linked.push(await this.updateContact(contactId, { companyId, company: company.name }, options));
+    }
+    return linked;
   }
 
   /**
-   * Add a new task
-   * @param {Object} task - { title, contactId?, description?, dueAt?, assignedTo?, priority? }
+   * Unlink contacts from their company; their company name is kept
+   * @param {number[]} contactIds
+   * @param {Object} options - { actor? }
    */
-  async addTask(task) {
-    if (!task.title) {
-      throw new Error('Task title is required');
+  async unlinkContacts(contactIds, options = {}) {
+    const unlinked = [];
+    for (const contactId of contactIds) {
+      unlinked.push(await this.updateContact(contactId, { companyId: null }, options));
     }
-    return this.db.addTask(task);
+    return unlinked;
   }
 
   /**
-   * Complete a task
+   * Turn contacts' free-text company names into companies
+   * Spellings that differ only in case, punctuation or legal suffix
+   * ('Acme Pty Ltd', 'ACME') are grouped; each group is linked to an
+   * existing company with the same name, or a new one named after the
+   * most common spelling, with a domain taken from work email addresses.
+   * Contacts already linked to a company are left alone.
+   * @param {Object} options - { dryRun?, actor? }
+   * @returns {Object[]} [{ name, domain, companyId, created, spellings, contactIds }]
    */
-  async completeTask(id) {
-    return this.db.completeTask(id);
+  async groupCompanies(options = {}) {
+    const [contacts, companies] = await Promise.all([
+      this.db.listContacts(),
+      this.db.listCompanies()
+    ]);
+    const groups = groupCompanyNames(contacts, companies);
+    if (options.dryRun) {
+      return groups.map(({ key, ...group }) => ({ ...group, created: group.companyId === null }));
+    }
+
+    const results = [];
+    for (const { key, ...group } of groups) {
+      let companyId = group.companyId;
+      if (companyId === null) {
+        companyId = (await this.createCompany({ name: group.name, domain: group.domain }, options)).id;
+      }
+      for (const contactId of group.contactIds) {
+        await this.updateContact(contactId, { companyId }, options);
+      }
+      results.push({ ...group, companyId, created: group.companyId === null });
+    }
+    return results;
   }
 
+  // ============ DEALS ============
+
   /**
-   * Uncomplete (reopen) a task
+   * List deals, most recently updated first
+   * @param {Object} options - { contactId?, companyId?, stageId?, status?, owner?, limit? }
+   *   status: 'open', 'won' or 'lost'
    */
-  async uncompleteTask(id) {
-    return this.db.uncompleteTask(id);
+  async listDeals(options = {}) {
+    return this.db.listDeals(options);
   }
 
   /**
-   * Update a task
+   * One page of deals - see pageContacts()
+   * @param {Object} options - listDeals filters plus { cursor?, limit? }
+   * @returns {Object} { items, nextCursor }
+   */
+  async pageDeals(options = {}) {
+    const { cursor, ...filters } = options;
+    const limit = options.limit || DEFAULT_PAGE_SIZE;
+    const rows = await this.db.listDeals({
+      ...filters,
+      limit: limit + 1,
+      after: cursor ? decodeCursor(cursor) : undefined
+    });
+    return toPage(rows, limit, 'updated_at');
+  }
+
+  /**
+   * Stream every deal matching the filters, a page at a time
+   * @param {Object} options - listDeals filters plus { pageSize? }
    */
-  async updateTask(id, updates) {
-    return this.db.updateTask(id, updates);
+  async *iterateDeals(options = {}) {
+    const { pageSize, limit, ...filters } = options;
+    let cursor;
+    do {
+      const page = await this.pageDeals({ ...filters, cursor, limit: pageSize });
+      yield* page.items;
+      cursor = page.nextCursor;
+    } while (cursor);
   }
 
   /**
-   * Delete a task
+   * Get a single deal by ID
    */
-  async deleteTask(id) {
-    return this.db.deleteTask(id);
+  async getDeal(id) {
+    return this.db.getDeal(id);
   }
 
   /**
-   * Get overdue tasks
+   * Create a deal for a contact
+   * companyId, owner and currency default to the contact's company,
+   * assignee and currency.
+   * @param {Object} deal - { title, contactId, companyId?, stageId?, value?, currency?,
+   *   expectedCloseAt?, owner?, customFields? }
+   * @param {Object} options - { actor? }
    */
-  async getOverdueTasks() {
-    return this.db.getOverdueTask();
+  async createDeal(deal, options = {}) {
+    deal = validateDeal(deal);
+    await this._checkStageId(deal.stageId);
+    await this._checkCompanyId(deal.companyId);
+    const contact = await this.db.getContact(deal.contactId);
+
+    const created = await this._createDeal({
+      companyId: contact.company_id,
+      owner: contact.assigned_to,
+      currency: contact.currency,
+      ...deal
+    }, options.actor);
+    await this._mirrorDeal(created.contact_id, options.actor);
+    return created;
   }
 
-  // ============ STATS ============
+  async _createDeal(deal, actor) {
+    if (deal.status && deal.status !== 'open') {
+      deal = { ...deal, closedAt: new Date().toISOString() };
+    }
+    const created = await this.db.createDeal(deal);
+    if (created.stage_id) {
+      await this._recordTransition(created.contact_id, null, created.stage_id, actor, created.id);
+    }
+    await this._emit('deal.created', { after: created }, actor);
+    return created;
+  }
 
   /**
-   * Get pipeline overview stats
-   * Returns contacts and values grouped by stage
+   * Update a deal
+   * Changing stageId records a stage transition, like moveDeal(); changing
+   * status closes or reopens it, like winDeal() / loseDeal() / reopenDeal().
+   * @param {number} id - Deal ID
+   * @param {Object} updates - Fields to update (contactId can't change)
+   * @param {Object} options - { actor? }
    */
-  async getPipelineStats() {
-    return this.db.getPipelineStats();
+  async updateDeal(id, updates, options = {}) {
+    if (updates.contactId !== undefined) {
+      throw CrmValidationError.field('contactId', "a deal's contact can't change", updates.contactId);
+    }
+    updates = validateDeal(updates, { partial: true });
+    await this._checkStageId(updates.stageId);
+    await this._checkCompanyId(updates.companyId);
+
+    const before = await this.db.getDeal(id);
+    const updated = await this._saveDeal(before, updates, options.actor);
+    await this._mirrorDeal(updated.contact_id, options.actor);
+    return updated;
+  }
+
+  // Write deal changes, recording stage moves and open/close times
+  async _saveDeal(before, updates, actor) {
+    const now = new Date().toISOString();
+    const stageChanged = updates.stageId !== undefined && updates.stageId !== before.stage_id;
+    const statusChanged = updates.status !== undefined && updates.status !== before.status;
+    const changes = { ...updates };
+    if (stageChanged) {
+      changes.stageEnteredAt = now;
+    }
+    if (statusChanged) {
+      changes.closedAt = updates.status === 'open' ? null : now;
+      if (updates.status !== 'lost') changes.lostReason = null;
+    }
+
+    const updated = await this.db.updateDeal(before.id, changes);
+    if (stageChanged) {
+      await this._recordTransition(updated.contact_id, before.stage_id, updated.stage_id, actor, updated.id);
+    }
+    await this._emitDealChanges(before, updated, actor);
+    return updated;
   }
 
   /**
-   * Get activity stats for last N days
-   * @param {number} days - Number of days to look back (default: 30)
+   * Move a deal to a different pipeline stage
+   * @param {number} id - Deal ID
+   * @param {number} stageId - Target stage ID
+   * @param {Object} options - { actor? }
    */
-  async getActivityStats(days = 30) {
-    return this.db.getActivityStats(days);
+  async moveDeal(id, stageId, options = {}) {
+    await this._checkStageId(stageId, true);
+    return this.updateDeal(id, { stageId }, options);
   }
 
   /**
-   * Get combined stats overview
+   * Close a deal as won
+   * @param {Object} options - { actor? }
    */
-  async getStats() {
-    const [pipeline, activity] = await Promise.all([
-      this.getPipelineStats(),
-      this.getActivityStats()
-    ]);
-    
-    return {
-      agentId: this.agentId,
-      pipeline,
-      activity,
-      generatedAt: new Date().toISOString()
-    };
+  async winDeal(id, options = {}) {
+    return this.updateDeal(id, { status: 'won' }, options);
   }
 
-  // ============ UTILITIES ============
+  /**
+   * Close a deal as lost
+   * @param {string} reason - Why it was lost
+   * @param {Object} options - { actor? }
+   */
+  async loseDeal(id, reason, options = {}) {
+    return this.updateDeal(id, { status: 'lost', lostReason: reason ?? null }, options);
+  }
 
   /**
-   * Initialize default pipeline stages if none exist
+   * Reopen a won or lost deal
+   * @param {Object} options - { actor? }
    */
-  async initializeDefaultStages() {
-    const existing = await this.listStages();
-    if (existing.length > 0) {
-      return { status: 'already_initialized', stages: existing };
+  async reopenDeal(id, options = {}) {
+    return this.updateDeal(id, { status: 'open' }, options);
+  }
+
+  /**
+   * Delete a deal
+   * Moves it to the trash; { permanent: true } deletes it and its stage history
+   * @param {Object} options - { actor?, permanent? }
+   */
+  async deleteDeal(id, options = {}) {
+    const deal = await this.db.getDeal(id);
+    const result = await this._deleteEntity('deal', id, options);
+    await this._mirrorDeal(deal.contact_id, options.actor);
+    return result;
+  }
+
+  /**
+   * Get every stage a deal has been in, oldest first - see getStageHistory()
+   * @param {number} id - Deal ID
+   */
+  async getDealHistory(id) {
+    await this.db.getDeal(id);
+    return this._stageHistory({ dealId: id });
+  }
+
+  // Contacts store one deal's stage, value, currency and close date on
+  // themselves, as they did before deals had their own table. Changing
+  // those on a contact with at most one deal changes (or creates) that
+  // deal; marking the contact lost or active loses or reopens it.
+  async _syncContactDeal(contact, deals, actor) {
+    if (deals.length > 1) return null;
+    const [deal] = deals;
+    const status = contact.is_active ? 'open' : 'lost';
+
+    if (!deal) {
+      if (!contact.stage_id && !(parseFloat(contact.deal_value) > 0)) return null;
+      return this._createDeal({
+        title: contact.company || contact.name,
+        contactId: contact.id,
+        companyId: contact.company_id,
+        stageId: contact.stage_id,
+        value: contact.deal_value,
+        currency: contact.currency,
+        expectedCloseAt: contact.expected_close_at,
+        owner: contact.assigned_to,
+        status,
+        lostReason: contact.lost_reason
+      }, actor);
+    }
+
+    const updates = {};
+    for (const [field, dealField] of Object.entries(CONTACT_DEAL_FIELDS)) {
+      const value = contact[CONTACT_FIELDS[field]];
+      if (String(value ?? '') !== String(deal[DEAL_FIELDS[dealField]] ?? '')) {
+        updates[dealField] = value;
+      }
+    }
+    if (deal.status !== 'won' && deal.status !== status) {
+      updates.status = status;
+      if (status === 'lost') updates.lostReason = contact.lost_reason;
+    }
+    if (Object.keys(updates).length === 0) return deal;
+    return this._saveDeal(deal, updates, actor);
+  }
+
+  // The other direction: a contact with exactly one deal takes that deal's
+  // stage, value, currency, close date and owner, and is lost while the deal is
+  async _mirrorDeal(contactId, actor) {
+    const deals = await this.db.listDeals({ contactId });
+    if (deals.length !== 1) return;
+    const [deal] = deals;
+    const contact = await this.db.getContact(contactId);
+
+    const updates = {};
+    for (const [field, dealField] of Object.entries(CONTACT_DEAL_FIELDS)) {
+      const value = deal[DEAL_FIELDS[dealField]];
+      if (String(value ?? '') !== String(contact[CONTACT_FIELDS[field]] ?? '')) {
+        updates[field] = value;
+      }
+    }
+    if (updates.stageId !== undefined) {
+      updates.stageEnteredAt = deal.stage_entered_at;
+    }
+    const isActive = deal.status !== 'lost';
+    if (contact.is_active !== isActive) {
+      updates.isActive = isActive;
+      updates.lostReason = isActive ? null : deal.lost_reason;
+    }
+    if (Object.keys(updates).length === 0) return;
+
+    const after = await this.db.updateContact(contactId, updates);
+    await this._emitContactChanges(contact, after, actor);
+  }
+
+  // ============ INTERACTIONS ============
+
+  /**
+   * List interactions with optional filters
+   * @param {Object} options - { contactId?, type?, createdBy?, scheduled?, limit? }
+   *   scheduled: only interactions with a scheduled_at
+   */
+  async listInteractions(options = {}) {
+    return this.db.listInteractions(options);
+  }
+
+  /**
+   * One page of interactions, newest first (keyset on created_at, id)
+   * @param {Object} options - listInteractions filters plus { cursor?, limit? }
+   * @returns {Object} { items, nextCursor }
+   */
+  async pageInteractions(options = {}) {
+    const { cursor, ...filters } = options;
+    const limit = options.limit || DEFAULT_PAGE_SIZE;
+    const rows = await this.db.listInteractions({
+      ...filters,
+      limit: limit + 1,
+      after: cursor ? decodeCursor(cursor) : undefined
+    });
+    return toPage(rows, limit, 'created_at');
+  }
+
+  /**
+   * Stream every interaction matching the filters, a page at a time
+   * @param {Object} options - listInteractions filters plus { pageSize? }
+   */
+  async *iterateInteractions(options = {}) {
+    const { pageSize, limit, ...filters } = options;
+    let cursor;
+    do {
+      const page = await this.pageInteractions({ ...filters, cursor, limit: pageSize });
+      yield* page.items;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  /**
+   * Add an interaction (call, email, meeting, note, etc.)
+   * @param {Object} interaction - { contactId, type, subject?, content?, createdBy, ... }
+   * @param {Object} options - { actor? } - defaults to createdBy
+   */
+  async addInteraction(interaction, options = {}) {
+    interaction = validateInteraction(interaction, { types: this.interactionTypes });
+    const added = await this.db.addInteraction(interaction);
+    await this._emit('interaction.added', { after: added }, options.actor || interaction.createdBy);
+    return added;
+  }
+
+  /**
+   * Update an interaction
+   * @param {Object} options - { actor? }
+   */
+  async updateInteraction(id, updates, options = {}) {
+    updates = validateInteraction(updates, { partial: true, types: this.interactionTypes });
+    const before = await this.db.getInteraction(id);
+    const updated = await this.db.updateInteraction(id, updates);
+    await this._emit('interaction.updated', { before, after: updated }, options.actor);
+    return updated;
+  }
+
+  /**
+   * Delete an interaction (to the trash, unless permanent)
+   * @param {Object} options - { actor?, permanent? }
+   */
+  async deleteInteraction(id, options = {}) {
+    return this._deleteEntity('interaction', id, options);
+  }
+
+  /**
+   * Log a quick note on a contact
+   * Convenience method for addInteraction with type='note'
+   */
+  async addNote(contactId, content, createdBy) {
+    return this.addInteraction({
+      contactId,
+      type: 'note',
+      content,
+      createdBy
+    });
+  }
+
+  /**
+   * Log a call interaction
+   */
+  async logCall(contactId, { subject, content, createdBy, duration }) {
+    return this.addInteraction({
+      contactId,
+      type: 'call',
+      subject,
+      content,
+      createdBy,
+      metadata: duration ? { duration } : {}
+    });
+  }
+
+  /**
+   * Log an email interaction
+   */
+  async logEmail(contactId, { subject, content, createdBy }) {
+    return this.addInteraction({
+      contactId,
+      type: 'email',
+      subject,
+      content,
+      createdBy
+    });
+  }
+
+  // ============ EMAIL IMPORT ============
+
+  /**
+   * Import email messages as email interactions
+   * Each message is logged once on every contact among its participants
+   * (From, To, Cc), matched by email address. Messages already imported
+   * for a contact (same Message-ID) are skipped, so re-importing a
+   * mailbox only adds what's new.
+   * @param {Object[]} entries - { row, message, errors? } where message is from
+   *   parseEmail() and errors are read errors
+   * @param {Object} options - { ownAddresses?, createContacts?, dryRun?, actor? }
+   *   ownAddresses: your own email addresses. Messages from them are outbound,
+   *     the rest inbound; they're never matched to contacts. Without them, a
+   *     message is inbound when its sender is a contact.
+   *   createContacts: create a contact (source 'email') for the unknown sender
+   *     of an inbound message that matches no contact; needs ownAddresses
+   *   actor: also the interactions' createdBy (default 'email-import')
+   * @returns {Object} { total, imported, interactions, duplicates, unmatched, contactsCreated,
+   *   invalid, dryRun, rows }
+   */
+  async importEmails(entries, options = {}) {
+    const own = new Set((options.ownAddresses || []).map(address => address.trim().toLowerCase()).filter(Boolean));
+    if (options.createContacts && own.size === 0) {
+      throw CrmValidationError.field('ownAddresses', 'are required to create contacts, to tell inbound messages from your own');
+    }
+    const createdBy = options.actor || 'email-import';
+
+    const contacts = await this.db.listContacts();
+    const byEmail = new Map();
+    contacts.filter(c => c.email).forEach(c => byEmail.set(c.email.toLowerCase(), c));
+
+    // What's already imported, as contact:message pairs
+    const imported = new Set();
+    const ids = [...new Set(entries.map(e => e.message?.messageId).filter(Boolean))];
+    for (let i = 0; i < ids.length; i += 100) {
+      const existing = await this.db.listInteractions({ type: 'email', externalIds: ids.slice(i, i + 100) });
+      existing.forEach(interaction => imported.add(`${interaction.contact_id}:${interaction.external_id}`));
+    }
+
+    const report = {
+      total: entries.length, imported: 0, interactions: 0, duplicates: 0, unmatched: 0, contactsCreated: 0,
+      invalid: 0, dryRun: Boolean(options.dryRun), rows: []
+    };
+
+    // Oldest first, so contacts' last contact dates and rules see them in order
+    const sorted = [...entries].sort((a, b) => (a.message?.date || '').localeCompare(b.message?.date || ''));
+
+    for (const { row, message, errors: readErrors = [] } of sorted) {
+      const errors = [...readErrors];
+      if (message && !message.from) errors.push('from: message has no sender');
+      if (errors.length > 0) {
+        report.invalid++;
+        report.rows.push({ row, status: 'invalid', errors });
+        continue;
+      }
+
+      const direction = own.size > 0
+        ? (own.has(message.from.email) ? 'outbound' : 'inbound')
+        : (byEmail.has(message.from.email) ? 'inbound' : 'outbound');
+
+      const participants = new Map();
+      [message.from, ...message.to, ...message.cc]
+        .filter(p => !own.has(p.email))
+        .forEach(p => participants.set(p.email, p));
+      const matched = [...participants.keys()].filter(email => byEmail.has(email)).map(email => byEmail.get(email));
+
+      if (matched.length === 0 && options.createContacts && direction === 'inbound' &&
+          !AUTOMATED_SENDER.test(message.from.email)) {
+        const contact = {
+          name: message.from.name || message.from.email.split('@')[0],
+          email: message.from.email,
+          source: 'email'
+        };
+        try {
+          const created = options.dryRun
+            ? { id: null, ...validateContact(contact) }
+            : await this.createContact(contact, { actor: options.actor });
+          byEmail.set(message.from.email, created);
+          matched.push(created);
+          report.contactsCreated++;
+        } catch (err) {
+          if (!(err instanceof CrmValidationError)) throw err;
+          report.invalid++;
+          report.rows.push({ row, status: 'invalid', errors: err.details.map(d => `${d.field}: ${d.message}`) });
+          continue;
+        }
+      }
+
+      if (matched.length === 0) {
+        report.unmatched++;
+        report.rows.push({ row, status: 'unmatched', messageId: message.messageId, participants: [...participants.keys()] });
+        continue;
+      }
+
+      const contactIds = [];
+      for (const contact of matched) {
+        const key = `${contact.id}:${message.messageId}`;
+        if (contact.id !== null && imported.has(key)) continue;
+        imported.add(key);
+        contactIds.push(contact.id);
+
+        if (options.dryRun) continue;
+        await this.addInteraction({
+          contactId: contact.id,
+          type: 'email',
+          subject: message.subject,
+          content: message.text,
+          createdBy,
+          occurredAt: message.date,
+          externalId: message.messageId,
+          metadata: {
+            direction,
+            messageId: message.messageId,
+            inReplyTo: message.inReplyTo,
+            references: message.references,
+            threadId: message.threadId,
+            from: message.from,
+            to: message.to,
+            cc: message.cc,
+            attachments: message.attachments
+          }
+        }, { actor: createdBy });
+      }
+
+      if (contactIds.length === 0) {
+        report.duplicates++;
+        report.rows.push({ row, status: 'duplicate', messageId: message.messageId });
+        continue;
+      }
+      report.imported++;
+      report.interactions += contactIds.length;
+      report.rows.push({ row, status: 'imported', messageId: message.messageId, direction, contactIds });
+    }
+
+    return report;
+  }
+
+  // ============ CALENDAR IMPORT ============
+
+  /**
+   * Import calendar events as meetings and to-dos as tasks
+   * Events (e.g. meeting invites) are logged as a `meeting` interaction,
+   * scheduled at their start, on every contact among their organizer and
+   * attendees. An event already imported for a contact is updated when
+   * the invite has been revised (higher SEQUENCE or a new time), otherwise
+   * skipped. Open to-dos become tasks, linked to a contact by
+   * X-CRM-CONTACT-ID or by CONTACT/ATTENDEE email.
+   * Events and to-dos exported from this CRM are recognised by UID and skipped.
+   * @param {Object[]} entries - { row, kind, item, errors? } from icalendarToEntries()
+   * @param {Object} options - { assignedTo?, dryRun?, actor? }
+   *   assignedTo: for tasks that don't name an assignee
+   *   actor: also the meetings' createdBy (default 'calendar-import')
+   * @returns {Object} { total, meetings, tasks, updated, duplicates, unmatched, skipped, invalid, dryRun, rows }
+   *   skipped: cancelled events and completed or cancelled to-dos
+   */
+  async importCalendar(entries, options = {}) {
+    const createdBy = options.actor || 'calendar-import';
+
+    const contacts = await this.db.listContacts();
+    const byEmail = new Map();
+    contacts.filter(c => c.email).forEach(c => byEmail.set(c.email.toLowerCase(), c));
+    const contactIds = new Set(contacts.map(c => c.id));
+
+    const externalId = item => (item.recurrenceId ? `${item.uid}#${item.recurrenceId}` : item.uid);
+    const eventIds = entries.filter(e => e.kind === 'event' && e.item.uid).map(e => externalId(e.item));
+    const taskIds = entries.filter(e => e.kind === 'todo' && e.item.uid).map(e => e.item.uid);
+
+    // What's already imported: meetings by contact and event, tasks by UID
+    const meetings = new Map();
+    const tasks = new Set();
+    for (let i = 0; i < eventIds.length; i += 100) {
+      const existing = await this.db.listInteractions({ externalIds: eventIds.slice(i, i + 100) });
+      existing.forEach(interaction => meetings.set(`${interaction.contact_id}:${interaction.external_id}`, interaction));
+    }
+    for (let i = 0; i < taskIds.length; i += 100) {
+      const existing = await this.db.listTasks({ externalIds: taskIds.slice(i, i + 100) });
+      existing.forEach(task => tasks.add(task.external_id));
+    }
+
+    const report = {
+      total: entries.length, meetings: 0, tasks: 0, updated: 0, duplicates: 0, unmatched: 0, skipped: 0,
+      invalid: 0, dryRun: Boolean(options.dryRun), rows: []
+    };
+    const invalid = (row, kind, errors) => {
+      report.invalid++;
+      report.rows.push({ row, kind, status: 'invalid', errors });
+    };
+
+    for (const { row, kind, item, errors: readErrors = [] } of entries) {
+      const errors = [...readErrors];
+      if (!item.uid) errors.push('uid: is required');
+      if (kind === 'event' && !item.start) errors.push('start: DTSTART is missing or not a date');
+      if (errors.length > 0) {
+        invalid(row, kind, errors);
+        continue;
+      }
+
+      // Exported from here in the first place
+      const own = parseCalendarUid(item.uid, this.agentId);
+      if (own) {
+        const exists = own.kind === 'task'
+          ? (await this.db.listTasks({ seriesId: own.id })).length > 0
+          : await this.db.getInteraction(own.id).then(() => true, err => {
+            if (err instanceof CrmNotFoundError) return false;
+            throw err;
+          });
+        if (exists) {
+          report.duplicates++;
+          report.rows.push({ row, kind, status: 'duplicate', uid: item.uid });
+          continue;
+        }
+      }
+
+      if (kind === 'todo') {
+        if (['completed', 'cancelled'].includes(item.status)) {
+          report.skipped++;
+          report.rows.push({ row, kind, status: 'skipped', uid: item.uid, reason: item.status });
+          continue;
+        }
+        if (tasks.has(item.uid)) {
+          report.duplicates++;
+          report.rows.push({ row, kind, status: 'duplicate', uid: item.uid });
+          continue;
+        }
+
+        const contact = contactIds.has(item.contactId)
+          ? { id: item.contactId }
+          : item.contactEmails.map(email => byEmail.get(email)).find(Boolean);
+        let task;
+        try {
+          task = validateTask({
+            title: item.summary || '(untitled)',
+            description: item.description,
+            dueAt: item.due,
+            ...(item.priority && { priority: item.priority }),
+            recurrence: item.recurrence,
+            contactId: contact?.id,
+            assignedTo: item.assignedTo || options.assignedTo,
+            externalId: item.uid
+          });
+        } catch (err) {
+          if (!(err instanceof CrmValidationError)) throw err;
+          invalid(row, kind, err.details.map(d => `${d.field}: ${d.message}`));
+          continue;
+        }
+        const created = options.dryRun ? { id: null } : await this.addTask(task, { actor: options.actor });
+        tasks.add(item.uid);
+        report.tasks++;
+        report.rows.push({ row, kind, status: 'created', uid: item.uid, id: created.id });
+        continue;
+      }
+
+      const participants = [item.organizer, ...item.attendees].filter(Boolean);
+      const matched = [...new Set(participants.map(p => byEmail.get(p.email)).filter(Boolean))];
+
+      if (item.status === 'cancelled') {
+        report.skipped++;
+        report.rows.push({ row, kind, status: 'skipped', uid: item.uid, reason: 'cancelled' });
+        continue;
+      }
+      if (matched.length === 0) {
+        report.unmatched++;
+        report.rows.push({ row, kind, status: 'unmatched', uid: item.uid, participants: participants.map(p => p.email) });
+        continue;
+      }
+
+      const meeting = {
+        subject: item.summary,
+        content: item.description,
+        scheduledAt: item.start,
+        metadata: {
+          uid: item.uid,
+          recurrenceId: item.recurrenceId,
+          sequence: item.sequence,
+          status: item.status,
+          timezone: item.timezone,
+          allDay: item.allDay,
+          duration: item.duration,
+          location: item.location,
+          recurrence: item.recurrence,
+          organizer: item.organizer,
+          attendees: item.attendees
+        }
+      };
+
+      const ids = [];
+      let updated = 0;
+      for (const contact of matched) {
+        const existing = meetings.get(`${contact.id}:${externalId(item)}`);
+        if (existing) {
+          const revised = item.sequence > (existing.metadata?.sequence || 0) || existing.scheduled_at !== item.start;
+          if (!revised) continue;
+          if (!options.dryRun) await this.updateInteraction(existing.id, meeting, { actor: createdBy });
+          updated++;
+          ids.push(existing.id);
+          continue;
+        }
+        const added = options.dryRun
+          ? { id: null }
+          : await this.addInteraction({
+            ...meeting,
+            contactId: contact.id,
+            type: 'meeting',
+            createdBy,
+            externalId: externalId(item)
+          }, { actor: createdBy });
+        ids.push(added.id);
+      }
+
+      if (ids.length === 0) {
+        report.duplicates++;
+        report.rows.push({ row, kind, status: 'duplicate', uid: item.uid });
+      } else if (updated === ids.length) {
+        report.updated++;
+        report.rows.push({ row, kind, status: 'updated', uid: item.uid, ids });
+      } else {
+        report.meetings++;
+        report.rows.push({ row, kind, status: 'created', uid: item.uid, ids });
+      }
+    }
+
+    return report;
+  }
+
+  // ============ TASKS ============
+
+  /**
+   * List tasks with optional filters
+   * @param {Object} options - { contactId?, completed?, assignedTo?, priority?, dueBefore?, seriesId?, limit? }
+   *   seriesId: every occurrence of a recurring task series
+   */
+  async listTasks(options = {}) {
+    return this.db.listTasks(options);
+  }
+
+  /**
+   * One page of tasks, newest first (keyset on created_at, id)
+   * Unlike listTasks this is not ordered by due date, so that pages stay
+   * stable while tasks are completed or rescheduled.
+   * @param {Object} options - listTasks filters plus { cursor?, limit? }
+   * @returns {Object} { items, nextCursor }
+   */
+  async pageTasks(options = {}) {
+    const { cursor, ...filters } = options;
+    const limit = options.limit || DEFAULT_PAGE_SIZE;
+    const rows = await this.db.listTasks({
+      ...filters,
+      sort: 'created',
+      limit: limit + 1,
+      after: cursor ? decodeCursor(cursor) : undefined
+    });
+    return toPage(rows, limit, 'created_at');
+  }
+
+  /**
+   * Stream every task matching the filters, a page at a time
+   * @param {Object} options - listTasks filters plus { pageSize? }
+   */
+  async *iterateTasks(options = {}) {
+    const { pageSize, limit, ...filters } = options;
+    let cursor;
+    do {
+      const page = await this.pageTasks({ ...filters, cursor, limit: pageSize });
+      yield* page.items;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  /**
+   * Get a single task by ID
+   */
+  async getTask(id) {
+    return this.db.getTask(id);
+  }
+
+  /**
+   * Add a new task
+   * @param {Object} task - { title, contactId?, description?, dueAt?, assignedTo?, priority?, recurrence? }
+   *   recurrence: RRULE or shorthand, e.g. 'weekly;byday=MO' or 'FREQ=MONTHLY;COUNT=6';
+   *   needs dueAt, which the next occurrences are scheduled from
+   * @param {Object} options - { actor? }
+   */
+  async addTask(task, options = {}) {
+    task = validateTask(task);
+    const created = await this.db.addTask(task);
+    await this._emit('task.created', { after: created }, options.actor);
+    return created;
+  }
+
+  /**
+   * Complete a task
+   * For a recurring task this also creates the next occurrence,
+   * returned as `next_task` (null when the series has ended)
+   * @param {Object} options - { actor? }
+   */
+  async completeTask(id, options = {}) {
+    const before = await this.db.getTask(id);
+    const completed = await this.db.completeTask(id);
+    await this._emit('task.completed', { before, after: completed }, options.actor);
+    if (!completed.recurrence) {
+      return completed;
+    }
+    return { ...completed, next_task: await this._scheduleNextOccurrence(completed, options.actor) };
+  }
+
+  async _scheduleNextOccurrence(task, actor) {
+    const seriesId = task.series_id || task.id;
+    const occurrence = task.occurrence || 1;
+
+    // Completing the same occurrence twice must not create a second follow-up
+    const series = await this.db.listTasks({ seriesId });
+    const existing = series.find(t => t.occurrence === occurrence + 1);
+    if (existing) {
+      return existing;
+    }
+
+    const current = new Date(task.due_at || task.completed_at);
+    const nextDue = nextOccurrence(task.recurrence, current, occurrence);
+    if (!nextDue) {
+      return null;
+    }
+
+    return this.addTask({
+      contactId: task.contact_id,
+      title: task.title,
+      description: task.description,
+      dueAt: nextDue.toISOString(),
+      assignedTo: task.assigned_to,
+      priority: task.priority,
+      recurrence: task.recurrence,
+      seriesId,
+      occurrence: occurrence + 1
+    }, { actor });
+  }
+
+  /**
+   * Stop a recurring task series
+   * Open occurrences stay, but completing them no longer schedules another
+   * @param {number} id - Any task in the series
+   * @param {Object} options - { actor? }
+   */
+  async stopRecurrence(id, options = {}) {
+    const task = await this.db.getTask(id);
+    const series = await this.db.listTasks({ seriesId: task.series_id || task.id, completed: false });
+
+    const stopped = [];
+    for (const t of series.filter(t => t.recurrence)) {
+      stopped.push(await this.updateTask(t.id, { recurrence: null }, options));
+    }
+    return { seriesId: task.series_id || task.id, stopped: stopped.length };
+  }
+
+  /**
+   * Uncomplete (reopen) a task
+   * @param {Object} options - { actor? }
+   */
+  async uncompleteTask(id, options = {}) {
+    const before = await this.db.getTask(id);
+    const reopened = await this.db.uncompleteTask(id);
+    await this._emit('task.reopened', { before, after: reopened }, options.actor);
+    return reopened;
+  }
+
+  /**
+   * Update a task
+   * Setting recurrence to null stops the series at this task; a recurring
+   * task must keep a due date
+   * @param {Object} options - { actor? }
+   */
+  async updateTask(id, updates, options = {}) {
+    updates = validateTask(updates, { partial: true });
+    const before = await this.db.getTask(id);
+    const recurrence = updates.recurrence !== undefined ? updates.recurrence : before.recurrence;
+    const dueAt = updates.dueAt !== undefined ? updates.dueAt : before.due_at;
+    if (recurrence && !dueAt) {
+      throw CrmValidationError.field('dueAt', 'is required for a recurring task', updates.dueAt);
+    }
+    const updated = await this.db.updateTask(id, updates);
+    await this._emit('task.updated', { before, after: updated }, options.actor);
+    return updated;
+  }
+
+  /**
+   * Delete a task (to the trash, unless permanent)
+   * @param {Object} options - { actor?, permanent? }
+   */
+  async deleteTask(id, options = {}) {
+    return this._deleteEntity('task', id, options);
+  }
+
+  /**
+   * Get overdue tasks
+   */
+  async getOverdueTasks() {
+    return this.db.getOverdueTask();
+  }
+
+  // ============ TRASH ============
+
+  _trashTable(entity) {
+    const table = TRASH_TABLES[entity];
+    if (!table) {
+      throw CrmValidationError.field('entity', `expected one of ${Object.keys(TRASH_TABLES).join(', ')}`, entity);
+    }
+    return table;
+  }
+
+  async _getEntity(entity, id) {
+    switch (entity) {
+      case 'stage': {
+        const stage = (await this.db.listStages()).find(s => s.id === id);
+        if (!stage) throw new CrmNotFoundError('stage', id);
+        return stage;
+      }
+      case 'contact':
+        return this.db.getContact(id);
+      case 'company':
+        return this.db.getCompany(id);
+      case 'deal':
+        return this.db.getDeal(id);
+      case 'interaction':
+        return this.db.getInteraction(id);
+      case 'task':
+        return this.db.getTask(id);
+    }
+  }
+
+  async _purgeEntity(entity, id) {
+    switch (entity) {
+      case 'stage': return this.db.deleteStage(id);
+      case 'contact': return this.db.deleteContact(id);
+      case 'company': return this.db.deleteCompany(id);
+      case 'deal': return this.db.deleteDeal(id);
+      case 'interaction': return this.db.deleteInteraction(id);
+      case 'task': return this.db.deleteTask(id);
+    }
+  }
+
+  async _deleteEntity(entity, id, options) {
+    const table = this._trashTable(entity);
+    const before = await this._getEntity(entity, id);
+    if (options.permanent) {
+      await this._purgeEntity(entity, id);
+    } else {
+      await this.db.trash(table, id, options.actor || this.agentId);
+    }
+    await this._emit(`${entity}.deleted`, { before, permanent: Boolean(options.permanent) }, options.actor);
+    return { deleted: true, permanent: Boolean(options.permanent) };
+  }
+
+  // '30d' -> the ISO time 30 days ago
+  _trashCutoff(olderThan) {
+    if (olderThan === undefined || olderThan === null) return undefined;
+    let ms;
+    try {
+      ms = parseDuration(olderThan);
+    } catch {
+      throw CrmValidationError.field('olderThan', 'expected a duration such as 12h, 30d or 2w', olderThan);
+    }
+    return new Date(Date.now() - ms).toISOString();
+  }
+
+  /**
+   * List trashed stages, companies, contacts, deals, interactions and tasks, newest first
+   * Each row carries `entity`, `deleted_at` and `deleted_by`
+   * @param {Object} options - { entity?, olderThan?, limit? }
+   *   olderThan: only rows deleted at least this long ago, e.g. '30d'
+   */
+  async listTrash(options = {}) {
+    const entities = options.entity ? [options.entity] : Object.keys(TRASH_TABLES);
+    const deletedBefore = this._trashCutoff(options.olderThan);
+
+    const rows = [];
+    for (const entity of entities) {
+      const deleted = await this.db.listDeleted(this._trashTable(entity), { deletedBefore, limit: options.limit });
+      rows.push(...deleted.map(row => ({ entity, ...row })));
+    }
+    rows.sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+    return options.limit ? rows.slice(0, options.limit) : rows;
+  }
+
+  /**
+   * Bring a trashed row back
+   * A contact comes back with the deals, interactions and tasks trashed with
+   * it. A deal, interaction or task whose contact is still in the trash can't
+   * be restored on its own, nor can a stage whose name has been reused.
+   * @param {string} entity - 'contact', 'company', 'deal', 'interaction', 'task' or 'stage'
+   * @param {number} id
+   * @param {Object} options - { actor? }
+   */
+  async restore(entity, id, options = {}) {
+    const table = this._trashTable(entity);
+    const [trashed] = await this.db.listDeleted(table, { id });
+    if (!trashed) {
+      throw new CrmNotFoundError(`deleted ${entity}`, id);
+    }
+
+    if (trashed.contact_id) {
+      const [contact] = await this.db.listDeleted('crm_contacts', { id: trashed.contact_id });
+      if (contact) {
+        throw new CrmConflictError(`Contact ${trashed.contact_id} is in the trash; restore it first`, {
+          resource: 'contact',
+          id: trashed.contact_id
+        });
+      }
+    }
+    if (entity === 'stage') {
+      await this._checkStageName(trashed.name);
+    }
+
+    await this.db.restore(table, id);
+    const after = await this._getEntity(entity, id);
+    await this._emit(`${entity}.restored`, { before: trashed, after }, options.actor);
+    if (entity === 'deal') {
+      await this._mirrorDeal(after.contact_id, options.actor);
+    }
+    return after;
+  }
+
+  /**
+   * Permanently delete trashed rows
+   * @param {Object} options - { entity?, olderThan?, actor? }
+   *   olderThan: only rows deleted at least this long ago, e.g. '30d'
+   * @returns {Object} { purged, byEntity: { contact: 2, ... } }
+   */
+  async purgeTrash(options = {}) {
+    const rows = await this.listTrash({ entity: options.entity, olderThan: options.olderThan });
+    const order = Object.keys(TRASH_TABLES);
+    rows.sort((a, b) => order.indexOf(a.entity) - order.indexOf(b.entity));
+
+    // Deleting a contact deletes its trashed deals, interactions and tasks
+    // too, so those are purged first and each row is purged (and announced) once
+    const purged = new Set();
+    const byEntity = {};
+    const purge = async (entity, row) => {
+      const key = `${entity}:${row.id}`;
+      if (purged.has(key)) return;
+      purged.add(key);
+      await this._purgeEntity(entity, row.id);
+      await this._emit(`${entity}.deleted`, { before: row, permanent: true }, options.actor);
+      byEntity[entity] = (byEntity[entity] || 0) + 1;
+    };
+
+    for (const { entity, ...row } of rows) {
+      if (entity === 'contact') {
+        for (const child of ['interaction', 'task', 'deal']) {
+          for (const childRow of await this.db.listDeleted(TRASH_TABLES[child], { contactId: row.id })) {
+            await purge(child, childRow);
+          }
+        }
+      }
+      await purge(entity, row);
+    }
+    return { purged: purged.size, byEntity };
+  }
+
+  // ============ AUDIT LOG ============
+
+  /**
+   * Field-level history of changes, newest first - see audit.js
+   * Each entry has entity, entity_id, action, field, old_value, new_value,
+   * actor, agent_id and created_at
+   * @param {Object} options - { entity?, id?, field?, actor?, since?, until?, limit? }
+   *   entity: 'stage', 'company', 'contact', 'deal', 'interaction' or 'task'; id needs entity
+   */
+  async getAuditLog(options = {}) {
+    const details = [];
+    if (options.entity !== undefined && !AUDITED_ENTITIES.includes(options.entity)) {
+      details.push({ field: 'entity', message: `expected one of ${AUDITED_ENTITIES.join(', ')}`, value: options.entity });
+    }
+    if (options.id !== undefined && options.entity === undefined) {
+      details.push({ field: 'id', message: 'needs an entity', value: options.id });
+    }
+    const dates = {};
+    for (const field of ['since', 'until']) {
+      if (options[field] === undefined) continue;
+      const date = new Date(options[field]);
+      if (isNaN(date)) {
+        details.push({ field, message: 'must be a date (ISO 8601)', value: options[field] });
+      } else {
+        dates[field] = date.toISOString();
+      }
+    }
+    if (details.length > 0) {
+      throw new CrmValidationError('Invalid audit log query', details);
+    }
+
+    return this.db.listAuditLog({
+      entity: options.entity,
+      entityId: options.id,
+      field: options.field,
+      actor: options.actor,
+      ...dates,
+      limit: options.limit
+    });
+  }
+
+  // ============ RULES ============
+
+  /**
+   * List automation rules
+   * @param {Object} options - { enabled?, triggerType? }
+   */
+  async listRules(options = {}) {
+    return this.db.listRules(options);
+  }
+
+  /**
+   * Get a single rule by ID
+   */
+  async getRule(id) {
+    return this.db.getRule(id);
+  }
+
+  /**
+   * Create an automation rule
+   * @param {Object} rule - { name, trigger, conditions?, actions, enabled? } - see rules.js
+   *   Stage names in the trigger and move_stage actions are resolved to IDs here
+   */
+  async createRule(rule) {
+    const stages = await this.db.listStages();
+    return this.db.createRule(this._prepareRule(rule, stages));
+  }
+
+  _prepareRule(rule, stages) {
+    const errors = validateRule(rule);
+    if (errors.length > 0) {
+      throw new CrmValidationError('Invalid rule', errors.map(error => {
+        const [field, ...message] = error.split(': ');
+        return { field, message: message.join(': ') };
+      }));
+    }
+
+    const resolveStage = stage => {
+      const match = stages.find(s => s.id === Number(stage)) ||
+        stages.find(s => s.name.toLowerCase() === String(stage).toLowerCase());
+      if (!match) {
+        throw new CrmValidationError('Invalid rule', [{ field: 'stage', message: `no stage named "${stage}"`, value: stage }]);
+      }
+      return match.id;
+    };
+
+    const { type, ...params } = rule.trigger;
+    const triggerParams = {};
+    if (type === 'stage_entered') triggerParams.stageId = resolveStage(params.stageId ?? params.stage);
+    if (type === 'interaction_logged' && params.interactionType) triggerParams.interactionType = params.interactionType;
+    if (type === 'no_contact') triggerParams.days = params.days;
+
+    const actions = rule.actions.map(action => {
+      if (action.type !== 'move_stage') return action;
+      const { stage, ...rest } = action;
+      return { ...rest, stageId: resolveStage(action.stageId ?? stage) };
+    });
+
+    return {
+      name: rule.name,
+      triggerType: type,
+      triggerParams,
+      conditions: rule.conditions || [],
+      actions,
+      enabled: rule.enabled ?? true
+    };
+  }
+
+  /**
+   * Turn a rule on
+   */
+  async enableRule(id) {
+    return this.db.updateRule(id, { enabled: true });
+  }
+
+  /**
+   * Turn a rule off - it stays in the list but never fires
+   */
+  async disableRule(id) {
+    return this.db.updateRule(id, { enabled: false });
+  }
+
+  /**
+   * Delete a rule and its execution log
+   */
+  async deleteRule(id) {
+    return this.db.deleteRule(id);
+  }
+
+  /**
+   * Get the rule execution log, newest first
+   * @param {Object} options - { ruleId?, contactId?, status?, limit? }
+   *   status: 'success' or 'error'
+   */
+  async getRuleRuns(options = {}) {
+    return this.db.listRuleRuns(options);
+  }
+
+  /**
+   * Dry-run a rule against a contact without changing anything
+   * @returns {Object} { rule, contact, matched, conditions: [{ ...condition, actual, passed }], actions }
+   */
+  async testRule(id, contactId) {
+    const [rule, contact, stages] = await Promise.all([
+      this.db.getRule(id),
+      this.db.getContact(contactId),
+      this.db.listStages()
+    ]);
+
+    const conditions = rule.conditions.map(condition => ({
+      ...condition,
+      actual: fieldValue(contact, condition.field, stages),
+      passed: testCondition(condition, contact, stages)
+    }));
+
+    const actions = rule.actions.map(action => {
+      const planned = { ...action };
+      if (action.title) planned.title = renderTemplate(action.title, contact, stages);
+      if (action.content) planned.content = renderTemplate(action.content, contact, stages);
+      if (action.stageId) planned.stage = stages.find(s => s.id === action.stageId)?.name || null;
+      return planned;
+    });
+
+    return {
+      rule,
+      contact: { id: contact.id, name: contact.name },
+      matched: conditions.every(c => c.passed),
+      conditions,
+      actions
+    };
+  }
+
+  /**
+   * Run rules with time-based triggers (task_overdue, no_contact)
+   * Call periodically, e.g. from cron. Each rule fires once per overdue
+   * task, and once per contact each time it goes quiet.
+   * @param {Object} options - { now? } - ISO date to evaluate at (default: now)
+   * @returns {Object} { rules, runs } - rules checked and the runs logged
+   */
+  async runScheduledRules(options = {}) {
+    const now = options.now ? new Date(options.now) : new Date();
+    const rules = (await this.db.listRules({ enabled: true }))
+      .filter(rule => SCHEDULED_TRIGGERS.includes(rule.trigger_type));
+
+    const runs = [];
+    for (const rule of rules) {
+      const previous = await this.db.listRuleRuns({ ruleId: rule.id });
+      const done = new Set(previous.map(run => run.subject_key));
+
+      for (const { contact, subjectKey } of await this._scheduledSubjects(rule, now)) {
+        if (done.has(subjectKey)) continue;
+        const run = await this._runRule(rule, contact, {
+          eventType: rule.trigger_type,
+          subjectKey,
+          chain: { depth: 0, fired: new Set([`${rule.id}:${contact.id}`]) },
+          now
+        });
+        if (run) runs.push(run);
+      }
+    }
+
+    return { rules: rules.length, runs };
+  }
+
+  async _scheduledSubjects(rule, now) {
+    if (rule.trigger_type === 'task_overdue') {
+      const tasks = await this.db.listTasks({ completed: false, dueBefore: now.toISOString() });
+      const subjects = [];
+      for (const task of tasks.filter(t => t.contact_id && t.due_at)) {
+        subjects.push({ contact: await this.db.getContact(task.contact_id), subjectKey: `task:${task.id}` });
+      }
+      return subjects;
+    }
+
+    if (rule.trigger_type === 'no_contact') {
+      const cutoff = new Date(now.getTime() - rule.trigger_params.days * 24 * 60 * 60 * 1000).toISOString();
+      const contacts = await this.db.listContacts({ isActive: true });
+      return contacts
+        .filter(c => (c.last_contact_at || c.created_at) < cutoff)
+        .map(c => ({ contact: c, subjectKey: `no_contact:${c.id}:${c.last_contact_at || c.created_at}` }));
+    }
+
+    return [];
+  }
+
+  async _applyRules(event) {
+    if (!RULE_EVENTS.has(event.type)) return;
+
+    const chain = ruleChain.getStore() || { depth: 0, fired: new Set() };
+    if (chain.depth >= MAX_RULE_DEPTH) return;
+
+    const rules = (await this.db.listRules({ enabled: true })).filter(rule => triggerMatches(rule, event));
+    if (rules.length === 0) return;
+
+    const contact = await this._ruleSubject(event);
+
+    for (const rule of rules) {
+      const key = `${rule.id}:${contact.id}`;
+      if (chain.fired.has(key)) continue;
+      chain.fired.add(key);
+      await this._runRule(rule, contact, { eventType: event.type, subjectKey: `event:${event.id}`, chain });
+    }
+  }
+
+  // The contact a rule runs against; deal events see the contact with that
+  // deal's stage and value
+  async _ruleSubject(event) {
+    const { after } = event.data;
+    // Reloaded, so conditions see the score the change just produced
+    const contact = await this.db.getContact(event.type === 'contact.created' ? after.id : after.contact_id);
+    return event.type.startsWith('deal.') ? dealAsContact(contact, after) : contact;
+  }
+
+  // Check conditions, run the actions and log the run (null if conditions fail)
+  async _runRule(rule, contact, context) {
+    const stages = await this.db.listStages();
+    const now = context.now || new Date();
+    if (!evaluateConditions(rule.conditions, contact, stages, now).matched) {
+      return null;
+    }
+
+    const results = [];
+    let error = null;
+    await ruleChain.run({ depth: context.chain.depth + 1, fired: context.chain.fired }, async () => {
+      for (const action of rule.actions) {
+        try {
+          results.push(await this._runAction(action, contact, rule, stages, now));
+        } catch (err) {
+          error = `${action.type}: ${err.message}`;
+          break;
+        }
+      }
+    });
+
+    return this.db.addRuleRun({
+      ruleId: rule.id,
+      eventType: context.eventType,
+      contactId: contact.id,
+      subjectKey: context.subjectKey,
+      status: error ? 'error' : 'success',
+      actions: results,
+      error
+    });
+  }
+
+  async _runAction(action, contact, rule, stages, now) {
+    const options = { actor: `rule:${rule.id}` };
+
+    switch (action.type) {
+      case 'create_task': {
+        const task = await this.addTask({
+          title: renderTemplate(action.title, contact, stages),
+          description: `Created by rule "${rule.name}"`,
+          contactId: contact.id,
+          dueAt: action.dueIn !== undefined ? new Date(now.getTime() + parseDuration(action.dueIn)).toISOString() : undefined,
+          priority: action.priority || 'medium',
+          assignedTo: action.assignTo || contact.assigned_to || undefined
+        }, options);
+        return { type: action.type, taskId: task.id };
+      }
+      case 'add_tag': {
+        const current = await this.db.getContact(contact.id);
+        if ((current.tags || []).includes(action.tag)) {
+          return { type: action.type, tag: action.tag, skipped: 'already tagged' };
+        }
+        await this.updateContact(contact.id, { tags: [...(current.tags || []), action.tag] }, options);
+        return { type: action.type, tag: action.tag };
+      }
+      case 'assign':
+        await this.updateContact(contact.id, { assignedTo: action.to }, options);
+        return { type: action.type, to: action.to };
+      case 'move_stage':
+        if (contact.deal_id) {
+          await this.moveDeal(contact.deal_id, action.stageId, options);
+        } else {
+          await this.moveStage(contact.id, action.stageId, options);
+        }
+        return { type: action.type, stageId: action.stageId };
+      case 'add_note': {
+        const note = await this.addInteraction({
+          contactId: contact.id,
+          type: 'note',
+          content: renderTemplate(action.content, contact, stages),
+          createdBy: options.actor
+        }, options);
+        return { type: action.type, interactionId: note.id };
+      }
+      default:
+        throw new Error(`Unknown action type: ${action.type}`);
+    }
+  }
+
+  // ============ CURRENCIES ============
+
+  /**
+   * The currency stats and rollups are reported in
+   * Set per agent with setReportingCurrency(); until then the
+   * reportingCurrency config option (CRM_REPORTING_CURRENCY, else AUD)
+   */
+  async getReportingCurrency() {
+    return (await this.db.getSetting('reporting_currency')) || this.defaultReportingCurrency;
+  }
+
+  /**
+   * Set this agent's reporting currency
+   * @param {string} currency - ISO 4217 code
+   */
+  async setReportingCurrency(currency) {
+    const code = normalizeCurrency(currency ?? '');
+    if (!code) {
+      throw CrmValidationError.field('currency', `"${currency}" is not an ISO 4217 currency code`, currency);
+    }
+    return this.db.setSetting('reporting_currency', code);
+  }
+
+  /**
+   * List exchange rates, newest first
+   * @param {Object} options - { currency?, until?, limit? }
+   *   currency: rates to or from this currency
+   *   until: only rates dated on or before this date
+   */
+  async listExchangeRates(options = {}) {
+    return this.db.listExchangeRates({
+      ...options,
+      currency: options.currency ? normalizeCurrency(options.currency) || options.currency : undefined
+    });
+  }
+
+  /**
+   * Set an exchange rate: 1 base = rate quote, from date on
+   * Setting the same pair and date again replaces the rate.
+   * @param {Object} rate - { base, quote, rate, date?, source? } date defaults to today
+   */
+  async setExchangeRate(rate) {
+    return this.db.saveExchangeRate(validateExchangeRate(rate));
+  }
+
+  /**
+   * Set exchange rates in bulk (see recordsToExchangeRates() for CSV)
+   * Every entry is validated first; invalid rows are reported, not saved.
+   * @param {Object[]} entries - { row, rate }
+   * @param {Object} options - { dryRun? }
+   * @returns {Object} { total, saved, invalid, dryRun, rows }
+   */
+  async importExchangeRates(entries, options = {}) {
+    const report = { total: entries.length, saved: 0, invalid: 0, dryRun: Boolean(options.dryRun), rows: [] };
+
+    for (const { row, rate } of entries) {
+      let valid;
+      try {
+        valid = validateExchangeRate(rate);
+      } catch (err) {
+        if (!(err instanceof CrmValidationError)) throw err;
+        report.invalid++;
+        report.rows.push({ row, status: 'invalid', errors: err.details.map(d => `${d.field}: ${d.message}`) });
+        continue;
+      }
+      const saved = options.dryRun ? { id: null } : await this.db.saveExchangeRate(valid);
+      report.saved++;
+      report.rows.push({ row, status: 'saved', id: saved.id });
+    }
+
+    return report;
+  }
+
+  /**
+   * Delete an exchange rate
+   */
+  async deleteExchangeRate(id) {
+    return this.db.deleteExchangeRate(id);
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @param {Object} options - { to?, date? } to: default the reporting currency;
+   *   date: use the rates in effect on this date (default today)
+   * @returns {Object} { amount, currency } - amount is null without a rate
+   */
+  async convertAmount(amount, from, options = {}) {
+    const code = normalizeCurrency(from ?? '');
+    if (!code) {
+      throw CrmValidationError.field('currency', `"${from}" is not an ISO 4217 currency code`, from);
+    }
+    const money = await this._money({ currency: options.to, date: options.date });
+    return { amount: money.convert(parseFloat(amount) || 0, code, money.currency), currency: money.currency };
+  }
+
+  // The reporting currency (or options.currency) and a converter at
+  // options.date's rates
+  async _money(options = {}) {
+    let currency;
+    if (options.currency) {
+      currency = normalizeCurrency(options.currency);
+      if (!currency) {
+        throw CrmValidationError.field('currency', `"${options.currency}" is not an ISO 4217 currency code`, options.currency);
+      }
+    }
+    const [reportingCurrency, rates] = await Promise.all([
+      currency || this.getReportingCurrency(),
+      this.db.listExchangeRates()
+    ]);
+    return { currency: reportingCurrency, convert: createConverter(rates, { date: options.date }) };
+  }
+
+  // ============ LEAD SCORING ============
+
+  /**
+   * The scoring model in use: this agent's, else DEFAULT_SCORING_MODEL
+   * (see scoring.js for its sections)
+   */
+  async getScoringModel() {
+    const model = await this.db.getSetting('scoring_model');
+    return model ? { ...DEFAULT_SCORING_MODEL, ...model } : DEFAULT_SCORING_MODEL;
+  }
+
+  /**
+   * Set this agent's scoring model and rescore every contact
+   * Sections left out keep their defaults; null goes back to the default model.
+   * @returns {Object} { model, scored }
+   */
+  async setScoringModel(model) {
+    if (model !== null) validateScoringModel(model);
+    await this.db.setSetting('scoring_model', model);
+    const { scored } = await this.recomputeScores();
+    return { model: await this.getScoringModel(), scored };
+  }
+
+  /**
+   * Recompute and save lead scores
+   * Scores decay with inactivity, so run this regularly (e.g. daily from cron).
+   * @param {Object} options - { contactIds?, now? } default: every contact
+   * @returns {Object} { scored, changed }
+   */
+  async recomputeScores(options = {}) {
+    const contacts = options.contactIds
+      ? await Promise.all(options.contactIds.map(id => this.db.getContact(id)))
+      : await this.db.listContacts();
+    const context = await this._scoringContext();
+    let changed = 0;
+
+    for (const contact of contacts) {
+      const { score, reasons } = this._score(contact, context, options.now);
+      if (score !== contact.score) changed++;
+      await this.db.updateContactScore(contact.id, { score, reasons });
+    }
+    return { scored: contacts.length, changed };
+  }
+
+  /**
+   * Work out a contact's score now, without saving it
+   * @returns {Object} { contactId, score, reasons } - reasons: [{ points, reason }]
+   */
+  async explainScore(contactId, options = {}) {
+    const contact = await this.db.getContact(contactId);
+    const context = await this._scoringContext(contactId);
+    return { contactId, ...this._score(contact, context, options.now) };
+  }
+
+  /**
+   * The active contacts to work on next: highest lead score first
+   * @param {Object} options - { limit?, assignedTo?, minScore? }
+   * @returns {Object[]} contacts, each with score and score_reasons
+   */
+  async nextContacts(options = {}) {
+    return this.db.listContacts({
+      isActive: true,
+      assignedTo: options.assignedTo,
+      minScore: options.minScore,
+      sort: 'score',
+      limit: options.limit || 10
+    });
+  }
+
+  // Rescore one contact after a change to it, its deals or its interactions
+  async _rescore(contactId) {
+    let contact;
+    try {
+      contact = await this.db.getContact(contactId);
+    } catch (err) {
+      // Trashed along with its contact, or deleted for good
+      if (err instanceof CrmNotFoundError) return;
+      throw err;
+    }
+    const { score, reasons } = this._score(contact, await this._scoringContext(contactId));
+    await this.db.updateContactScore(contactId, { score, reasons });
+  }
+
+  // Everything scoring reads, for one contact or (without an ID) every contact
+  async _scoringContext(contactId) {
+    const [model, stages, deals, interactions, money] = await Promise.all([
+      this.getScoringModel(),
+      this.db.listStages(),
+      this.db.listDeals({ status: 'open', contactId }),
+      this.db.listInteractions({ contactId }),
+      this._money()
+    ]);
+    return {
+      model,
+      stages,
+      deals: convertDeals(deals, money.currency, money.convert).deals,
+      interactions,
+      currency: money.currency
+    };
+  }
+
+  _score(contact, context, now = new Date()) {
+    return scoreLead(contact, {
+      ...context,
+      deals: context.deals.filter(d => d.contact_id === contact.id),
+      interactions: context.interactions.filter(i => i.contact_id === contact.id),
+      now
+    });
+  }
+
+  // ============ STATS ============
+
+  /**
+   * Get pipeline overview stats
+   * Returns open deals and their values grouped by stage, converted to the
+   * reporting currency at today's rates, with subtotals per deal currency
+   * @param {Object} options - { currency? } report in this currency instead
+   * @returns {Object} { stages, totalDeals, totalContacts, totalValue, weightedValue,
+   *   currency, byCurrency, missingRates } - see convertDeals() for the last two
+   */
+  async getPipelineStats(options = {}) {
+    const [deals, stages, money] = await Promise.all([
+      this.db.listDeals({ status: 'open' }),
+      this.db.listStages(),
+      this._money(options)
+    ]);
+    const { deals: converted, byCurrency, missingRates } = convertDeals(deals, money.currency, money.convert);
+    return { ...pipelineStats(converted, stages), currency: money.currency, byCurrency, missingRates };
+  }
+
+  /**
+   * Get activity stats for last N days
+   * @param {number} days - Number of days to look back (default: 30)
+   */
+  async getActivityStats(days = 30) {
+    return this.db.getActivityStats(days);
+  }
+
+  /**
+   * Get average and median time spent in each stage
+   * Based on recorded stage transitions, leaving out those of contacts
+   * and deals in the trash
+   * @param {Object} options - { since?, includeOpen? }
+   *   since: only use transitions on or after this ISO date
+   *   includeOpen: also count time in each deal's current stage up to now
+   */
+  async getStageVelocity(options = {}) {
+    const [allTransitions, stages, trashedContacts, trashedDeals] = await Promise.all([
+      this.db.listStageTransitions({ since: options.since }),
+      this.db.listStages(),
+      this.db.listDeleted('crm_contacts'),
+      this.db.listDeleted('crm_deals')
+    ]);
+    const contactIds = new Set(trashedContacts.map(c => c.id));
+    const dealIds = new Set(trashedDeals.map(d => d.id));
+    const transitions = allTransitions.filter(t => !contactIds.has(t.contact_id) && !dealIds.has(t.deal_id));
+    return {
+      stages: stageVelocity(transitions, stages, { includeOpen: options.includeOpen }),
+      transitions: transitions.length,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get stage-to-stage conversion for deals created in a window
+   * Includes drop-off counts, lost reasons per stage and overall win rate
+   * @param {Object} options - { since?, until?, assignedTo? }
+   *   since/until: ISO dates bounding the deals' created_at
+   *   assignedTo: only deals with this owner
+   */
+  async getFunnelStats(options = {}) {
+    const [deals, transitions, stages] = await Promise.all([
+      this.db.listDeals({
+        createdSince: options.since,
+        createdUntil: options.until,
+        owner: options.assignedTo
+      }),
+      this.db.listStageTransitions(),
+      this.db.listStages()
+    ]);
+
+    return {
+      since: options.since || null,
+      until: options.until || null,
+      assignedTo: options.assignedTo || null,
+      ...funnel(deals, transitions, stages),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get weighted revenue forecast by expected close period
+   * Open deals with a value, weighted by their stage's win probability, in
+   * the reporting currency at today's rates. Deals in a currency without a
+   * rate are left out and listed in missingRates.
+   * @param {Object} options - { period?, currency? }
+   *   period: 'month' (default) or 'quarter'
+   *   currency: report in this currency instead
+   */
+  async getForecast(options = {}) {
+    const period = options.period || 'month';
+    if (!['month', 'quarter'].includes(period)) {
+      throw CrmValidationError.field('period', 'expected month or quarter', period);
+    }
+
+    const [deals, stages, money] = await Promise.all([
+      this.db.listDeals({ status: 'open' }),
+      this.db.listStages(),
+      this._money(options)
+    ]);
+    const { deals: converted, byCurrency, missingRates } = convertDeals(deals, money.currency, money.convert);
+
+    return {
+      ...forecast(converted, stages, { period }),
+      currency: money.currency,
+      byCurrency,
+      missingRates,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get combined stats overview
+   */
+  async getStats() {
+    const [pipeline, activity] = await Promise.all([
+      this.getPipelineStats(),
+      this.getActivityStats()
+    ]);
+    
+    return {
+      agentId: this.agentId,
+      pipeline,
+      activity,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // ============ UTILITIES ============
+
+  /**
+   * Initialize default pipeline stages if none exist
+   */
+  async initializeDefaultStages() {
+    const existing = await this.listStages();
+    if (existing.length > 0) {
+      return { status: 'already_initialized', stages: existing };
     }
     
     const defaultStages = [
-      { name: 'Lead', position: 1, color: '#6366f1' },
-      { name: 'Contacted', position: 2, color: '#8b5cf6' },
-      { name: 'Qualified', position: 3, color: '#a855f7' },
-      { name: 'Proposal', position: 4, color: '#d946ef' },
-      { name: 'Negotiation', position: 5, color: '#ec4899' },
-      { name: 'Won', position: 6, color: '#22c55e' }
+      { name: 'Lead', position: 1, color: '#6366f1', winProbability: 10 },
+      { name: 'Contacted', position: 2, color: '#8b5cf6', winProbability: 20 },
+      { name: 'Qualified', position: 3, color: '#a855f7', winProbability: 40 },
+      { name: 'Proposal', position: 4, color: '#d946ef', winProbability: 60 },
+      { name: 'Negotiation', position: 5, color: '#ec4899', winProbability: 80 },
+      { name: 'Won', position: 6, color: '#22c55e', winProbability: 100 }
     ];
     
     const created = [];
@@ -343,6 +2738,14 @@ export class CRM {
     return { status: 'initialized', stages: created };
   }
 
+  /**
+   * Wait for the backend's startup checks (e.g. the Supabase schema version)
+   * @throws {CrmBackendError} if the database can't be used
+   */
+  async ready() {
+    await this.db.ready?.();
+  }
+
   /**
    * Close database connection
    */
@@ -0,0 +1,86 @@
+/**
+ * Minimal RFC 4180 CSV reader/writer
+ * Handles quoted fields, escaped quotes, embedded newlines and a UTF-8 BOM
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Parse CSV text with a header line into objects keyed by header
+ * @returns {Object} { headers, records }
+ */
+export function parseCsvRecords(text) {
+  const [headers = [], ...rows] = parseCsv(text);
+  const records = rows.map(row => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = row[index] ?? '';
+    });
+    return record;
+  });
+  return { headers, records };
+}
+
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format objects as CSV with the given columns
+ * @param {Object[]} records
+ * @param {string[]} columns - Keys to output, in order (also used as the header)
+ */
+export function formatCsv(records, columns) {
+  const lines = [columns.map(escapeField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeField(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,144 @@
+/**
+ * Currency conversion and formatting
+ * Pure functions over crm_exchange_rates rows
+ *
+ * A rate row says 1 base_currency = rate quote_currency from rate_date
+ * on, until a later rate for the same pair replaces it. Conversion uses
+ * the pair directly, the inverse pair, or two rates through a currency
+ * both have in common (e.g. JPY -> USD -> AUD).
+ */
+
+export const DEFAULT_REPORTING_CURRENCY = 'AUD';
+
+const RATE_HEADERS = { date: 'date', base: 'base', from: 'base', quote: 'quote', to: 'quote', rate: 'rate', source: 'source' };
+
+const dayOf = date => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Build a converter from exchange rates
+ * @param {Object[]} rates - crm_exchange_rates rows
+ * @param {Object} options - { date? } use the rates in effect on this date (default: today)
+ * @returns {Function} convert(amount, from, to) - the converted amount, or null without a rate
+ */
+export function createConverter(rates, options = {}) {
+  const day = dayOf(options.date || new Date());
+
+  // Latest rate on or before the day for each pair, both ways round
+  const latest = new Map();
+  for (const rate of rates) {
+    if (dayOf(rate.rate_date) > day) continue;
+    const key = `${rate.base_currency}/${rate.quote_currency}`;
+    const current = latest.get(key);
+    if (!current || dayOf(rate.rate_date) > dayOf(current.rate_date) ||
+        (dayOf(rate.rate_date) === dayOf(current.rate_date) && rate.id > current.id)) {
+      latest.set(key, rate);
+    }
+  }
+
+  const direct = new Map();
+  for (const rate of latest.values()) {
+    const value = parseFloat(rate.rate);
+    if (!(value > 0)) continue;
+    const forward = `${rate.base_currency}/${rate.quote_currency}`;
+    const inverse = `${rate.quote_currency}/${rate.base_currency}`;
+    direct.set(forward, value);
+    // A stored inverse pair beats the reciprocal of this one
+    if (!latest.has(inverse)) direct.set(inverse, 1 / value);
+  }
+
+  const currencies = new Set([...direct.keys()].map(key => key.split('/')[0]));
+
+  function rateFor(from, to) {
+    if (from === to) return 1;
+    if (direct.has(`${from}/${to}`)) return direct.get(`${from}/${to}`);
+    for (const via of currencies) {
+      if (direct.has(`${from}/${via}`) && direct.has(`${via}/${to}`)) {
+        return direct.get(`${from}/${via}`) * direct.get(`${via}/${to}`);
+      }
+    }
+    return null;
+  }
+
+  return (amount, from, to) => {
+    const rate = rateFor(from, to);
+    return rate === null ? null : amount * rate;
+  };
+}
+
+/**
+ * Convert deal values into one currency
+ * Deals in a currency without a rate keep a null value, so they still
+ * count but add nothing; their currencies are listed in missingRates.
+ * @param {Object[]} deals - rows with value and currency
+ * @param {string} currency - Reporting currency
+ * @param {Function} convert - from createConverter()
+ * @returns {Object} { deals, byCurrency, missingRates }
+ *   deals: copies with value and currency converted, and original_value / original_currency
+ *   byCurrency: [{ currency, count, value, converted }] per original currency, largest first;
+ *     converted is null without a rate
+ */
+export function convertDeals(deals, currency, convert) {
+  const subtotals = new Map();
+
+  const converted = deals.map(deal => {
+    const from = deal.currency || currency;
+    const value = parseFloat(deal.value) || 0;
+    const amount = convert(value, from, currency);
+
+    if (!subtotals.has(from)) {
+      subtotals.set(from, { currency: from, count: 0, value: 0, converted: 0 });
+    }
+    const subtotal = subtotals.get(from);
+    subtotal.count++;
+    subtotal.value += value;
+    subtotal.converted = amount === null || subtotal.converted === null ? null : subtotal.converted + amount;
+
+    return { ...deal, value: amount, currency, original_value: value, original_currency: from };
+  });
+
+  const byCurrency = [...subtotals.values()].sort((a, b) =>
+    (b.converted ?? -1) - (a.converted ?? -1) || a.currency.localeCompare(b.currency));
+
+  return {
+    deals: converted,
+    byCurrency,
+    missingRates: byCurrency.filter(s => s.converted === null).map(s => s.currency)
+  };
+}
+
+/**
+ * Read exchange rates from CSV records
+ * Headers (any case): date, base (or from), quote (or to), rate, source
+ * @param {Object[]} records - from parseCsvRecords()
+ * @param {number} firstRow - line number of the first record, for reports
+ * @returns {Object[]} entries - { row, rate } for CRM#importExchangeRates()
+ */
+export function recordsToExchangeRates(records, firstRow = 2) {
+  return records.map((record, index) => {
+    const rate = {};
+    for (const [header, value] of Object.entries(record)) {
+      const field = RATE_HEADERS[header.trim().toLowerCase()];
+      if (field && value.trim() !== '') rate[field] = value.trim();
+    }
+    return { row: firstRow + index, rate };
+  });
+}
+
+/**
+ * Format an amount with its currency symbol, e.g. $1,200.00, US$1,200.00, ¥1,200
+ * @param {number} amount
+ * @param {string} currency - ISO 4217 code
+ * @param {Object} options - { locale?, whole? } whole: round to whole units
+ */
+export function formatMoney(amount, currency, options = {}) {
+  const value = parseFloat(amount) || 0;
+  try {
+    return new Intl.NumberFormat(options.locale, {
+      style: 'currency',
+      currency,
+      ...(options.whole && { minimumFractionDigits: 0, maximumFractionDigits: 0 })
+    }).format(value);
+  } catch {
+    return `${value.toLocaleString(options.locale)} ${currency || ''}`.trim();
+  }
+}
@@ -1,14 +1,175 @@
 /**
  * Database abstraction layer for CRM
- * Uses Supabase as the backend
+ * Supports Supabase (default), SQLite and in-memory backends
+ *
+ * Adapter interface - every backend implements these methods and
+ * returns rows with snake_case columns, as Supabase does. Contacts
+ * embed `crm_stages { name, color }`; interactions and tasks embed
+ * `crm_contacts { name, email, company }`; deals embed both.
+ *
+ *   Stages:       listStages(), createStage(stage), updateStage(id, updates),
+ *                 deleteStage(id), reorderStages(stageIds)
+ *   Contacts:     listContacts(options), getContact(id), createContact(contact),
+ *                 updateContact(id, updates), updateContactScore(id, score), moveContactStage(id, stageId),
+ *                 deleteContact(id), searchContacts(query, options),
+ *                 queryContacts(criteria, options), reassignContact(fromContactIds, toContactId)
+ *   Companies:    listCompanies(options), getCompany(id), createCompany(company),
+ *                 updateCompany(id, updates), deleteCompany(id)
+ *   Deals:        listDeals(options), getDeal(id), createDeal(deal), updateDeal(id, updates),
+ *                 deleteDeal(id)
+ *   Interactions: listInteractions(options), getInteraction(id), searchInteractions(text, options),
+ *                 addInteraction(interaction),
+ *                 updateInteraction(id, updates), deleteInteraction(id)
+ *   Tasks:        listTasks(options), getTask(id), addTask(task), completeTask(id),
+ *                 uncompleteTask(id), updateTask(id, updates), deleteTask(id)
+ *   Transitions:  addStageTransition(transition), listStageTransitions(options)
+ *   Rules:        listRules(options), getRule(id), createRule(rule), updateRule(id, updates),
+ *                 deleteRule(id), addRuleRun(run), listRuleRuns(options)
+ *   Settings:     getSetting(key), setSetting(key, value)
+ *   Rates:        listExchangeRates(options), saveExchangeRate(rate), deleteExchangeRate(id)
+ *   Trash:        trash(table, id, deletedBy), restore(table, id), listDeleted(table, options)
+ *   Audit log:    addAuditEntries(entries), listAuditLog(options)
+ *   Stats:        getActivityStats(days), getOverdueTask()
+ *   Utilities:    ready(), close()
+ *
+ * Stages, companies, contacts, deals, interactions and tasks are soft-deleted:
+ * trash() sets deleted_at / deleted_by (a contact takes its deals,
+ * interactions and tasks with it) and every other read or update skips those rows, as if they were
+ * gone. deleteX(id) still deletes for good - that's how the trash is purged.
+ *
+ * List methods order by a timestamp and then id, newest first (tasks by
+ * due date unless `sort: 'created'`). `after: { value, id }` returns only
+ * rows past that position, for keyset pagination (see pagination.js).
+ *
+ * All methods except close() are async. ready() is optional and rejects
+ * when the backend can't be used (see createDatabase). A custom adapter object can be
+ * passed directly as `config.backend`.
+ *
+ * Errors: fetching or changing a row that doesn't exist throws
+ * CrmNotFoundError; constraint violations throw CrmConflictError or
+ * CrmValidationError (see errors.js).
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { CONTACT_FIELDS, COMPANY_FIELDS, DEAL_FIELDS, INTERACTION_FIELDS, TASK_FIELDS, RULE_FIELDS } from './fields.js';
+import { TEXT_COLUMNS, likePattern } from './search.js';
+import { MIGRATIONS_TABLE, assertSchemaCurrent, schemaProblem } from './migrate.js';
+import { CrmError, CrmBackendError, fromDatabaseError } from './errors.js';
+import { MemoryDB } from './adapters/memory.js';
+import { SQLiteDB } from './adapters/sqlite.js';
+import { CONTACT_CHILD_TABLES } from './adapters/schema.js';
+
+export const BACKENDS = ['supabase', 'sqlite', 'memory'];
+
+// Values inside a PostgREST .or() string must be quoted, or commas and
+// parentheses in user input would be read as filter syntax
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Rows after a keyset cursor in (column desc, id desc) order
+function afterCursor(query, column, after) {
+  const value = quoteFilterValue(after.value);
+  return query.or(`${column}.lt.${value},and(${column}.eq.${value},id.lt.${Number(after.id)})`);
+}
+
+function pgArray(values) {
+  return `{${values.map(v => `"${String(v).replace(/["\\]/g, '\\$&')}"`).join(',')}}`;
+}
 
 /**
- * Create Supabase database connection
+ * Apply one parsed search filter (see search.js) to a PostgREST query
+ * Negated filters also match NULLs, as they do on the local backends.
+ */
+function applySearchFilter(query, filter) {
+  const numeric = typeof filter.value === 'number';
+  const column = filter.key !== undefined
+    ? `custom_fields${numeric ? '->' : '->>'}${filter.key}`
+    : filter.column;
+  const orNull = condition => query.or(`${column}.is.null,${condition}`);
+
+  switch (filter.op) {
+    case 'exists':
+      if (filter.column === 'tags') {
+        return filter.negate ? query.eq('tags', '{}') : query.neq('tags', '{}');
+      }
+      return filter.negate ? query.is(column, null) : query.not(column, 'is', null);
+    case 'has':
+      return filter.negate
+        ? query.not('tags', 'cs', pgArray([filter.value]))
+        : query.filter('tags', 'cs', pgArray([filter.value]));
+    case 'ieq':
+    case 'contains': {
+      const pattern = filter.op === 'ieq' ? likePattern(filter.value).slice(1, -1) : likePattern(filter.value);
+      return filter.negate
+        ? orNull(`${column}.not.ilike.${quoteFilterValue(pattern)}`)
+        : query.ilike(column, pattern);
+    }
+    case 'range': {
+      const [start, end] = filter.value;
+      return filter.negate
+        ? orNull(`${column}.lt.${quoteFilterValue(start)},${column}.gte.${quoteFilterValue(end)}`)
+        : query.gte(column, start).lt(column, end);
+    }
+    default:
+      return filter.negate
+        ? orNull(`${column}.not.${filter.op}.${quoteFilterValue(filter.value)}`)
+        : query.filter(column, filter.op, filter.value);
+  }
+}
+
+/**
+ * Create a database connection for the configured backend
+ *
+ * The schema version is checked on startup: SQLite files are migrated
+ * automatically (unless autoMigrate is false), and a Supabase database
+ * that is behind makes ready() reject, and every query fail, with
+ * instructions to run `crm migrate up`. Set schemaCheck: false (or CRM_SCHEMA_CHECK=off)
+ * to skip the check.
+ *
+ * @param {Object} config - { backend?, agentId?, supabaseUrl?, supabaseKey?, file?, autoMigrate?, schemaCheck? }
  */
 export function createDatabase(config = {}) {
+  const agentId = config.agentId || process.env.CRM_AGENT_ID || 'default';
+  const backend = config.backend || process.env.CRM_BACKEND || 'supabase';
+  const schemaCheck = config.schemaCheck ?? process.env.CRM_SCHEMA_CHECK !== 'off';
+
+  if (typeof backend === 'object') {
+    return backend;
+  }
+
+  switch (backend) {
+    case 'supabase':
+      return createSupabaseDatabase(config, agentId, schemaCheck);
+    case 'sqlite': {
+      const db = new SQLiteDB(agentId, config.file || process.env.CRM_SQLITE_FILE || 'crm.db', {
+        autoMigrate: config.autoMigrate ?? process.env.CRM_AUTO_MIGRATE !== 'off'
+      });
+      if (schemaCheck) {
+        try {
+          assertSchemaCurrent(db.schemaVersions());
+        } catch (err) {
+          db.close();
+          throw err;
+        }
+      }
+      return db;
+    }
+    case 'memory':
+      return new MemoryDB(agentId, config.store);
+    default:
+      throw new Error(`Unknown backend: ${backend} (expected one of ${BACKENDS.join(', ')})`);
+  }
+}
+
+/**
+ * Create Supabase database connection
+ * The schema check runs once, in the background. ready() rejects with a
+ * CrmBackendError if the schema is behind or the check can't reach the
+ * database; requests wait for it and get a 503 carrying the same
+ * explanation instead of reaching the database.
+ */
+function createSupabaseDatabase(config, agentId, schemaCheck) {
   const url = config.supabaseUrl || process.env.SUPABASE_URL;
   const key = config.supabaseKey || process.env.SUPABASE_KEY;
   
@@ -16,16 +177,65 @@ export function createDatabase(config = {}) {
     throw new Error('SUPABASE_URL and SUPABASE_KEY are required');
   }
   
-  const supabase = createClient(url, key);
-  const agentId = config.agentId || process.env.CRM_AGENT_ID || 'default';
+  if (!schemaCheck) {
+    return new SupabaseDB(createClient(url, key), agentId);
+  }
   
-  return new SupabaseDB(supabase, agentId);
+  const check = readSchemaMigrations(createClient(url, key))
+    .then(rows => schemaProblem(rows && rows.map(row => row.version)), err => {
+      throw err instanceof CrmError ? err : new CrmBackendError(`Could not check the database schema: ${err.message}`, err);
+    })
+    .then(problem => {
+      if (problem) throw new CrmBackendError(problem);
+    });
+  // Reported by ready() and by every request, so not unhandled
+  check.catch(() => {});
+  const supabase = createClient(url, key, {
+    global: {
+      fetch: async (...args) => {
+        try {
+          await check;
+        } catch (err) {
+          return new Response(JSON.stringify({ code: 'CRM_SCHEMA_CHECK', message: err.message }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        return fetch(...args);
+      }
+    }
+  });
+  
+  return new SupabaseDB(supabase, agentId, check);
+}
+
+/**
+ * Rows of crm_schema_migrations in a Supabase database, read over the
+ * REST API, or null if there is no tracking table
+ */
+export async function readSchemaMigrations(client) {
+  const { data, error } = await client
+    .from(MIGRATIONS_TABLE)
+    .select('version, name, applied_at')
+    .order('version');
+  if (error) {
+    // PGRST205: table not in the schema cache, 42P01: undefined table
+    if (error.code === 'PGRST205' || error.code === '42P01') return null;
+    throw fromDatabaseError(error, MIGRATIONS_TABLE);
+  }
+  return data;
 }
 
-class SupabaseDB {
-  constructor(client, agentId) {
+export class SupabaseDB {
+  /**
+   * @param {Object} client - Supabase client
+   * @param {string} agentId
+   * @param {Promise} schemaCheck - settles when the startup schema check is done
+   */
+  constructor(client, agentId, schemaCheck = Promise.resolve()) {
     this.client = client;
     this.agentId = agentId;
+    this.schemaCheck = schemaCheck;
   }
 
   // ============ STAGES ============
@@ -35,9 +245,10 @@ class SupabaseDB {
       .from('crm_stages')
       .select('*')
       .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
       .order('position');
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_stages');
     return data;
   }
 
@@ -48,12 +259,13 @@ class SupabaseDB {
         agent_id: this.agentId,
         name: stage.name,
         position: stage.position,
-        color: stage.color || null
+        color: stage.color || null,
+        win_probability: stage.winProbability ?? null
       })
       .select()
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_stages');
     return data;
   }
 
@@ -63,10 +275,11 @@ class SupabaseDB {
       .update(updates)
       .eq('id', id)
       .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
       .select()
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_stages', id);
     return data;
   }
 
@@ -77,7 +290,7 @@ class SupabaseDB {
       .eq('id', id)
       .eq('agent_id', this.agentId);
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_stages', id);
     return { deleted: true };
   }
 
@@ -101,11 +314,15 @@ class SupabaseDB {
     let query = this.client
       .from('crm_contacts')
       .select('*, crm_stages(name, color)')
-      .eq('agent_id', this.agentId);
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null);
     
     if (options.stageId) {
       query = query.eq('stage_id', options.stageId);
     }
+    if (options.companyId) {
+      query = query.eq('company_id', options.companyId);
+    }
     if (options.isActive !== undefined) {
       query = query.eq('is_active', options.isActive);
     }
@@ -115,8 +332,28 @@ class SupabaseDB {
     if (options.tags && options.tags.length > 0) {
       query = query.overlaps('tags', options.tags);
     }
+    if (options.createdSince) {
+      query = query.gte('created_at', options.createdSince);
+    }
+    if (options.createdUntil) {
+      query = query.lte('created_at', options.createdUntil);
+    }
+    if (options.minScore !== undefined) {
+      query = query.gte('score', options.minScore);
+    }
+    if (options.maxScore !== undefined) {
+      query = query.lte('score', options.maxScore);
+    }
+    if (options.after) {
+      query = afterCursor(query, 'updated_at', options.after);
+    }
     
-    query = query.order('updated_at', { ascending: false });
+    if (options.sort === 'score') {
+      query = query.order('score', { ascending: false, nullsFirst: false });
+    }
+    query = query
+      .order('updated_at', { ascending: false })
+      .order('id', { ascending: false });
     
     if (options.limit) {
       query = query.limit(options.limit);
@@ -126,7 +363,7 @@ class SupabaseDB {
     }
     
     const { data, error } = await query;
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_contacts');
     return data;
   }
 
@@ -136,9 +373,10 @@ class SupabaseDB {
       .select('*, crm_stages(name, color)')
       .eq('id', id)
       .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_contacts', id);
     return data;
   }
 
@@ -151,6 +389,7 @@ class SupabaseDB {
         email: contact.email || null,
         phone: contact.phone || null,
         company: contact.company || null,
+        company_id: contact.companyId || null,
         role: contact.role || null,
         stage_id: contact.stageId || null,
         stage_entered_at: contact.stageId ? new Date().toISOString() : null,
@@ -161,12 +400,13 @@ class SupabaseDB {
         custom_fields: contact.customFields || {},
         deal_value: contact.dealValue || null,
         currency: contact.currency || 'AUD',
+        expected_close_at: contact.expectedCloseAt || null,
         is_active: contact.isActive !== false
       })
       .select('*, crm_stages(name, color)')
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_contacts');
     return data;
   }
 
@@ -174,24 +414,7 @@ class SupabaseDB {
     const updateData = { updated_at: new Date().toISOString() };
     
     // Map camelCase to snake_case
-    const fieldMap = {
-      name: 'name',
-      email: 'email',
-      phone: 'phone',
-      company: 'company',
-      role: 'role',
-      stageId: 'stage_id',
-      source: 'source',
-      sourceDetail: 'source_detail',
-      assignedTo: 'assigned_to',
-      tags: 'tags',
-      customFields: 'custom_fields',
-      dealValue: 'deal_value',
-      currency: 'currency',
-      isActive: 'is_active',
-      lostReason: 'lost_reason',
-      lastContactAt: 'last_contact_at'
-    };
+    const fieldMap = CONTACT_FIELDS;
     
     for (const [key, value] of Object.entries(updates)) {
       if (fieldMap[key]) {
@@ -204,13 +427,25 @@ class SupabaseDB {
       .update(updateData)
       .eq('id', id)
       .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
       .select('*, crm_stages(name, color)')
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_contacts', id);
     return data;
   }
 
+  // Scores are derived, so saving one leaves updated_at alone
+  async updateContactScore(id, { score, reasons }) {
+    const { error } = await this.client
+      .from('crm_contacts')
+      .update({ score, score_reasons: reasons, scored_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('agent_id', this.agentId);
+
+    if (error) throw fromDatabaseError(error, 'crm_contacts', id);
+  }
+
   async moveContactStage(id, stageId) {
     const { data, error } = await this.client
       .from('crm_contacts')
@@ -221,10 +456,11 @@ class SupabaseDB {
       })
       .eq('id', id)
       .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
       .select('*, crm_stages(name, color)')
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_contacts', id);
     return data;
   }
 
@@ -235,17 +471,18 @@ class SupabaseDB {
       .eq('id', id)
       .eq('agent_id', this.agentId);
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_contacts', id);
     return { deleted: true };
   }
 
   async searchContacts(query, options = {}) {
-    const searchTerm = `%${query}%`;
+    const searchTerm = quoteFilterValue(likePattern(query));
     
     let dbQuery = this.client
       .from('crm_contacts')
       .select('*, crm_stages(name, color)')
       .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
       .or(`name.ilike.${searchTerm},email.ilike.${searchTerm},company.ilike.${searchTerm},phone.ilike.${searchTerm}`)
       .order('updated_at', { ascending: false });
     
@@ -254,17 +491,299 @@ class SupabaseDB {
     }
     
     const { data, error } = await dbQuery;
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_contacts');
+    return data;
+  }
+
+  /**
+   * Contacts matching parsed search criteria
+   * @param {Object} criteria - { filters, terms: [{ text, negate, contactIds }] }
+   *   filters come from parseSearchQuery() with stages resolved to IDs;
+   *   a term matches the contact's text columns, tags, or any contact in contactIds
+   */
+  async queryContacts(criteria, options = {}) {
+    let query = this.client
+      .from('crm_contacts')
+      .select('*, crm_stages(name, color)')
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null);
+    
+    for (const filter of criteria.filters) {
+      query = applySearchFilter(query, filter);
+    }
+    
+    for (const term of criteria.terms) {
+      const pattern = quoteFilterValue(likePattern(term.text));
+      const ids = term.contactIds || [];
+      
+      if (term.negate) {
+        // NOT (a OR b OR ...) = NOT a AND NOT b AND ...
+        for (const column of Object.keys(TEXT_COLUMNS)) {
+          query = query.or(`${column}.is.null,${column}.not.ilike.${pattern}`);
+        }
+        query = query.not('tags', 'cs', pgArray([term.text]));
+        if (ids.length > 0) {
+          query = query.not('id', 'in', `(${ids.join(',')})`);
+        }
+      } else {
+        const conditions = Object.keys(TEXT_COLUMNS).map(column => `${column}.ilike.${pattern}`);
+        conditions.push(`tags.cs.${quoteFilterValue(pgArray([term.text]))}`);
+        if (ids.length > 0) {
+          conditions.push(`id.in.(${ids.join(',')})`);
+        }
+        query = query.or(conditions.join(','));
+      }
+    }
+    
+    query = query.order('updated_at', { ascending: false });
+    
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw fromDatabaseError(error, 'crm_contacts');
     return data;
   }
 
+  async reassignContact(fromContactIds, toContactId) {
+    // Re-point everything that belongs to the old contacts
+    const tables = ['crm_deals', 'crm_interactions', 'crm_tasks', 'crm_stage_transitions'];
+    const counts = {};
+    
+    for (const table of tables) {
+      const { data, error } = await this.client
+        .from(table)
+        .update({ contact_id: toContactId })
+        .in('contact_id', fromContactIds)
+        .eq('agent_id', this.agentId)
+        .select('id');
+      
+      if (error) throw fromDatabaseError(error, table);
+      counts[table] = data.length;
+    }
+    
+    return counts;
+  }
+
+  // ============ COMPANIES ============
+
+  async listCompanies(options = {}) {
+    let query = this.client
+      .from('crm_companies')
+      .select('*')
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null);
+
+    if (options.search) {
+      const pattern = quoteFilterValue(likePattern(options.search));
+      query = query.or(`name.ilike.${pattern},domain.ilike.${pattern}`);
+    }
+    if (options.industry) {
+      query = query.ilike('industry', options.industry);
+    }
+
+    query = query.order('name', { ascending: true }).order('id', { ascending: true });
+
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+
+    const { data, error } = await query;
+    if (error) throw fromDatabaseError(error, 'crm_companies');
+    return data;
+  }
+
+  async getCompany(id) {
+    const { data, error } = await this.client
+      .from('crm_companies')
+      .select('*')
+      .eq('id', id)
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
+      .single();
+
+    if (error) throw fromDatabaseError(error, 'crm_companies', id);
+    return data;
+  }
+
+  async createCompany(company) {
+    const { data, error } = await this.client
+      .from('crm_companies')
+      .insert({
+        agent_id: this.agentId,
+        name: company.name,
+        domain: company.domain || null,
+        industry: company.industry || null,
+        size: company.size || null,
+        address: company.address || null,
+        custom_fields: company.customFields || {}
+      })
+      .select()
+      .single();
+
+    if (error) throw fromDatabaseError(error, 'crm_companies');
+    return data;
+  }
+
+  async updateCompany(id, updates) {
+    const updateData = { updated_at: new Date().toISOString() };
+    for (const [key, value] of Object.entries(updates)) {
+      if (COMPANY_FIELDS[key]) {
+        updateData[COMPANY_FIELDS[key]] = value;
+      }
+    }
+
+    const { data, error } = await this.client
+      .from('crm_companies')
+      .update(updateData)
+      .eq('id', id)
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
+      .select()
+      .single();
+
+    if (error) throw fromDatabaseError(error, 'crm_companies', id);
+    return data;
+  }
+
+  async deleteCompany(id) {
+    const { error } = await this.client
+      .from('crm_companies')
+      .delete()
+      .eq('id', id)
+      .eq('agent_id', this.agentId);
+
+    if (error) throw fromDatabaseError(error, 'crm_companies', id);
+    return { deleted: true };
+  }
+
+  // ============ DEALS ============
+
+  async listDeals(options = {}) {
+    let query = this.client
+      .from('crm_deals')
+      .select('*, crm_stages(name, color), crm_contacts(name, email, company)')
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null);
+
+    if (options.contactId) {
+      query = query.eq('contact_id', options.contactId);
+    }
+    if (options.companyId) {
+      query = query.eq('company_id', options.companyId);
+    }
+    if (options.stageId) {
+      query = query.eq('stage_id', options.stageId);
+    }
+    if (options.status) {
+      query = query.eq('status', options.status);
+    }
+    if (options.owner) {
+      query = query.eq('owner', options.owner);
+    }
+    if (options.createdSince) {
+      query = query.gte('created_at', options.createdSince);
+    }
+    if (options.createdUntil) {
+      query = query.lte('created_at', options.createdUntil);
+    }
+    if (options.after) {
+      query = afterCursor(query, 'updated_at', options.after);
+    }
+
+    query = query
+      .order('updated_at', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+
+    const { data, error } = await query;
+    if (error) throw fromDatabaseError(error, 'crm_deals');
+    return data;
+  }
+
+  async getDeal(id) {
+    const { data, error } = await this.client
+      .from('crm_deals')
+      .select('*, crm_stages(name, color), crm_contacts(name, email, company)')
+      .eq('id', id)
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
+      .single();
+
+    if (error) throw fromDatabaseError(error, 'crm_deals', id);
+    return data;
+  }
+
+  async createDeal(deal) {
+    const { data, error } = await this.client
+      .from('crm_deals')
+      .insert({
+        agent_id: this.agentId,
+        contact_id: deal.contactId,
+        company_id: deal.companyId || null,
+        title: deal.title,
+        stage_id: deal.stageId || null,
+        stage_entered_at: deal.stageId ? new Date().toISOString() : null,
+        value: deal.value ?? null,
+        currency: deal.currency || 'AUD',
+        expected_close_at: deal.expectedCloseAt || null,
+        status: deal.status || 'open',
+        lost_reason: deal.lostReason || null,
+        owner: deal.owner || null,
+        closed_at: deal.closedAt || null,
+        custom_fields: deal.customFields || {}
+      })
+      .select('*, crm_stages(name, color), crm_contacts(name, email, company)')
+      .single();
+
+    if (error) throw fromDatabaseError(error, 'crm_deals');
+    return data;
+  }
+
+  async updateDeal(id, updates) {
+    const updateData = { updated_at: new Date().toISOString() };
+    for (const [key, value] of Object.entries(updates)) {
+      if (DEAL_FIELDS[key]) {
+        updateData[DEAL_FIELDS[key]] = value;
+      }
+    }
+
+    const { data, error } = await this.client
+      .from('crm_deals')
+      .update(updateData)
+      .eq('id', id)
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
+      .select('*, crm_stages(name, color), crm_contacts(name, email, company)')
+      .single();
+
+    if (error) throw fromDatabaseError(error, 'crm_deals', id);
+    return data;
+  }
+
+  async deleteDeal(id) {
+    const { error } = await this.client
+      .from('crm_deals')
+      .delete()
+      .eq('id', id)
+      .eq('agent_id', this.agentId);
+
+    if (error) throw fromDatabaseError(error, 'crm_deals', id);
+    return { deleted: true };
+  }
+
   // ============ INTERACTIONS ============
   
   async listInteractions(options = {}) {
     let query = this.client
       .from('crm_interactions')
       .select('*, crm_contacts(name, email, company)')
-      .eq('agent_id', this.agentId);
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null);
     
     if (options.contactId) {
       query = query.eq('contact_id', options.contactId);
@@ -272,15 +791,62 @@ class SupabaseDB {
     if (options.type) {
       query = query.eq('type', options.type);
     }
+    if (options.createdBy) {
+      query = query.eq('created_by', options.createdBy);
+    }
+    if (options.scheduled) {
+      query = query.not('scheduled_at', 'is', null);
+    }
+    if (options.externalIds) {
+      query = query.in('external_id', options.externalIds);
+    }
+    if (options.after) {
+      query = afterCursor(query, 'created_at', options.after);
+    }
+    
+    query = query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false });
+    
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
     
-    query = query.order('created_at', { ascending: false });
+    const { data, error } = await query;
+    if (error) throw fromDatabaseError(error, 'crm_interactions');
+    return data;
+  }
+
+  async getInteraction(id) {
+    const { data, error } = await this.client
+      .from('crm_interactions')
+      .select('*, crm_contacts(name, email, company)')
+      .eq('id', id)
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
+      .single();
+    
+    if (error) throw fromDatabaseError(error, 'crm_interactions', id);
+    return data;
+  }
+
+  async searchInteractions(text, options = {}) {
+    const pattern = quoteFilterValue(likePattern(text));
+    
+    let query = this.client
+      .from('crm_interactions')
+      .select('*, crm_contacts(name, email, company)')
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
+      .or(`subject.ilike.${pattern},content.ilike.${pattern}`)
+      .order('created_at', { ascending: false });
     
     if (options.limit) {
       query = query.limit(options.limit);
     }
     
     const { data, error } = await query;
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_interactions');
     return data;
   }
 
@@ -297,17 +863,20 @@ class SupabaseDB {
         created_by_type: interaction.createdByType || 'agent',
         scheduled_at: interaction.scheduledAt || null,
         completed_at: interaction.completedAt || null,
-        metadata: interaction.metadata || {}
+        metadata: interaction.metadata || {},
+        external_id: interaction.externalId || null,
+        ...(interaction.occurredAt && { created_at: interaction.occurredAt })
       })
       .select('*, crm_contacts(name, email, company)')
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_interactions');
     
-    // Update contact's last_contact_at
-    await this.updateContact(interaction.contactId, {
-      lastContactAt: new Date().toISOString()
-    });
+    // Update contact's last_contact_at, unless this happened before it
+    const contact = await this.getContact(interaction.contactId);
+    if (!contact.last_contact_at || contact.last_contact_at < data.created_at) {
+      await this.updateContact(interaction.contactId, { lastContactAt: data.created_at });
+    }
     
     return data;
   }
@@ -315,14 +884,7 @@ class SupabaseDB {
   async updateInteraction(id, updates) {
     const updateData = {};
     
-    const fieldMap = {
-      type: 'type',
-      subject: 'subject',
-      content: 'content',
-      scheduledAt: 'scheduled_at',
-      completedAt: 'completed_at',
-      metadata: 'metadata'
-    };
+    const fieldMap = INTERACTION_FIELDS;
     
     for (const [key, value] of Object.entries(updates)) {
       if (fieldMap[key]) {
@@ -335,10 +897,11 @@ class SupabaseDB {
       .update(updateData)
       .eq('id', id)
       .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
       .select('*, crm_contacts(name, email, company)')
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_interactions', id);
     return data;
   }
 
@@ -349,7 +912,7 @@ class SupabaseDB {
       .eq('id', id)
       .eq('agent_id', this.agentId);
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_interactions', id);
     return { deleted: true };
   }
 
@@ -359,7 +922,8 @@ class SupabaseDB {
     let query = this.client
       .from('crm_tasks')
       .select('*, crm_contacts(name, email, company)')
-      .eq('agent_id', this.agentId);
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null);
     
     if (options.contactId) {
       query = query.eq('contact_id', options.contactId);
@@ -376,18 +940,46 @@ class SupabaseDB {
     if (options.dueBefore) {
       query = query.lte('due_at', options.dueBefore);
     }
+    if (options.seriesId) {
+      query = query.or(`id.eq.${Number(options.seriesId)},series_id.eq.${Number(options.seriesId)}`);
+    }
+    if (options.externalIds) {
+      query = query.in('external_id', options.externalIds);
+    }
+    if (options.after) {
+      query = afterCursor(query, 'created_at', options.after);
+    }
     
-    // Order: incomplete first, then by due date
-    query = query
-      .order('completed', { ascending: true })
-      .order('due_at', { ascending: true, nullsFirst: false });
+    if (options.sort === 'created') {
+      query = query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+    } else {
+      // Order: incomplete first, then by due date
+      query = query
+        .order('completed', { ascending: true })
+        .order('due_at', { ascending: true, nullsFirst: false });
+    }
     
     if (options.limit) {
       query = query.limit(options.limit);
     }
     
     const { data, error } = await query;
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_tasks');
+    return data;
+  }
+
+  async getTask(id) {
+    const { data, error } = await this.client
+      .from('crm_tasks')
+      .select('*, crm_contacts(name, email, company)')
+      .eq('id', id)
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
+      .single();
+    
+    if (error) throw fromDatabaseError(error, 'crm_tasks', id);
     return data;
   }
 
@@ -401,12 +993,16 @@ class SupabaseDB {
         description: task.description || null,
         due_at: task.dueAt || null,
         assigned_to: task.assignedTo || null,
-        priority: task.priority || 'medium'
+        priority: task.priority || 'medium',
+        recurrence: task.recurrence || null,
+        series_id: task.seriesId || null,
+        occurrence: task.occurrence || 1,
+        external_id: task.externalId || null
       })
       .select('*, crm_contacts(name, email, company)')
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_tasks');
     return data;
   }
 
@@ -419,10 +1015,11 @@ class SupabaseDB {
       })
       .eq('id', id)
       .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
       .select('*, crm_contacts(name, email, company)')
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_tasks', id);
     return data;
   }
 
@@ -435,24 +1032,18 @@ class SupabaseDB {
       })
       .eq('id', id)
       .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
       .select('*, crm_contacts(name, email, company)')
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_tasks', id);
     return data;
   }
 
   async updateTask(id, updates) {
     const updateData = {};
     
-    const fieldMap = {
-      title: 'title',
-      description: 'description',
-      dueAt: 'due_at',
-      assignedTo: 'assigned_to',
-      priority: 'priority',
-      contactId: 'contact_id'
-    };
+    const fieldMap = TASK_FIELDS;
     
     for (const [key, value] of Object.entries(updates)) {
       if (fieldMap[key]) {
@@ -465,10 +1056,11 @@ class SupabaseDB {
       .update(updateData)
       .eq('id', id)
       .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
       .select('*, crm_contacts(name, email, company)')
       .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_tasks', id);
     return data;
   }
 
@@ -479,58 +1071,445 @@ class SupabaseDB {
       .eq('id', id)
       .eq('agent_id', this.agentId);
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_tasks', id);
     return { deleted: true };
   }
 
-  // ============ STATS ============
-  
-  async getPipelineStats() {
-    // Get stages with contact counts
-    const stages = await this.listStages();
+  // ============ STAGE TRANSITIONS ============
+
+  async addStageTransition(transition) {
+    const { data, error } = await this.client
+      .from('crm_stage_transitions')
+      .insert({
+        agent_id: this.agentId,
+        contact_id: transition.contactId,
+        deal_id: transition.dealId || null,
+        from_stage_id: transition.fromStageId || null,
+        to_stage_id: transition.toStageId || null,
+        actor: transition.actor || null
+      })
+      .select()
+      .single();
     
-    const { data: contacts, error } = await this.client
-      .from('crm_contacts')
-      .select('stage_id, deal_value, is_active')
+    if (error) throw fromDatabaseError(error, 'crm_stage_transitions');
+    return data;
+  }
+
+  async listStageTransitions(options = {}) {
+    let query = this.client
+      .from('crm_stage_transitions')
+      .select('*')
+      .eq('agent_id', this.agentId);
+    
+    if (options.contactId) {
+      query = query.eq('contact_id', options.contactId);
+    }
+    if (options.dealId) {
+      query = query.eq('deal_id', options.dealId);
+    }
+    if (options.since) {
+      query = query.gte('created_at', options.since);
+    }
+    
+    query = query
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+    
+    const { data, error } = await query;
+    if (error) throw fromDatabaseError(error, 'crm_stage_transitions');
+    return data;
+  }
+
+  // ============ RULES ============
+
+  async listRules(options = {}) {
+    let query = this.client
+      .from('crm_rules')
+      .select('*')
+      .eq('agent_id', this.agentId);
+    
+    if (options.enabled !== undefined) {
+      query = query.eq('enabled', options.enabled);
+    }
+    if (options.triggerType) {
+      query = query.eq('trigger_type', options.triggerType);
+    }
+    
+    const { data, error } = await query.order('id', { ascending: true });
+    if (error) throw fromDatabaseError(error, 'crm_rules');
+    return data;
+  }
+
+  async getRule(id) {
+    const { data, error } = await this.client
+      .from('crm_rules')
+      .select('*')
+      .eq('id', id)
       .eq('agent_id', this.agentId)
-      .eq('is_active', true);
+      .single();
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_rules', id);
+    return data;
+  }
+
+  async createRule(rule) {
+    const { data, error } = await this.client
+      .from('crm_rules')
+      .insert({
+        agent_id: this.agentId,
+        name: rule.name,
+        trigger_type: rule.triggerType,
+        trigger_params: rule.triggerParams || {},
+        conditions: rule.conditions || [],
+        actions: rule.actions || [],
+        enabled: rule.enabled ?? true
+      })
+      .select()
+      .single();
     
-    const pipeline = stages.map(stage => {
-      const stageContacts = contacts.filter(c => c.stage_id === stage.id);
-      const totalValue = stageContacts.reduce((sum, c) => sum + (parseFloat(c.deal_value) || 0), 0);
-      
-      return {
-        id: stage.id,
-        name: stage.name,
-        color: stage.color,
-        position: stage.position,
-        count: stageContacts.length,
-        value: totalValue
-      };
-    });
+    if (error) throw fromDatabaseError(error, 'crm_rules');
+    return data;
+  }
+
+  async updateRule(id, updates) {
+    const updateData = { updated_at: new Date().toISOString() };
     
-    // Add unstaged contacts
-    const unstagedContacts = contacts.filter(c => !c.stage_id);
-    if (unstagedContacts.length > 0) {
-      pipeline.unshift({
-        id: null,
-        name: 'Unstaged',
-        color: '#888888',
-        position: 0,
-        count: unstagedContacts.length,
-        value: unstagedContacts.reduce((sum, c) => sum + (parseFloat(c.deal_value) || 0), 0)
-      });
+    for (const [key, value] of Object.entries(updates)) {
+      if (RULE_FIELDS[key]) {
+        updateData[RULE_FIELDS[key]] = value;
+      }
     }
     
-    return {
-      stages: pipeline,
-      totalContacts: contacts.length,
-      totalValue: contacts.reduce((sum, c) => sum + (parseFloat(c.deal_value) || 0), 0)
-    };
+    const { data, error } = await this.client
+      .from('crm_rules')
+      .update(updateData)
+      .eq('id', id)
+      .eq('agent_id', this.agentId)
+      .select()
+      .single();
+    
+    if (error) throw fromDatabaseError(error, 'crm_rules', id);
+    return data;
   }
 
+  async deleteRule(id) {
+    const { error } = await this.client
+      .from('crm_rules')
+      .delete()
+      .eq('id', id)
+      .eq('agent_id', this.agentId);
+    
+    if (error) throw fromDatabaseError(error, 'crm_rules', id);
+    return { deleted: true };
+  }
+
+  async addRuleRun(run) {
+    const { data, error } = await this.client
+      .from('crm_rule_runs')
+      .insert({
+        agent_id: this.agentId,
+        rule_id: run.ruleId,
+        event_type: run.eventType || null,
+        contact_id: run.contactId || null,
+        subject_key: run.subjectKey || null,
+        status: run.status,
+        actions: run.actions || [],
+        error: run.error || null
+      })
+      .select()
+      .single();
+    
+    if (error) throw fromDatabaseError(error, 'crm_rule_runs');
+    return data;
+  }
+
+  async listRuleRuns(options = {}) {
+    let query = this.client
+      .from('crm_rule_runs')
+      .select('*')
+      .eq('agent_id', this.agentId);
+    
+    if (options.ruleId) {
+      query = query.eq('rule_id', options.ruleId);
+    }
+    if (options.contactId) {
+      query = query.eq('contact_id', options.contactId);
+    }
+    if (options.subjectKey) {
+      query = query.eq('subject_key', options.subjectKey);
+    }
+    if (options.status) {
+      query = query.eq('status', options.status);
+    }
+    
+    query = query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false });
+    
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw fromDatabaseError(error, 'crm_rule_runs');
+    return data;
+  }
+
+  // ============ SETTINGS ============
+
+  async getSetting(key) {
+    const { data, error } = await this.client
+      .from('crm_settings')
+      .select('value')
+      .eq('agent_id', this.agentId)
+      .eq('key', key)
+      .limit(1);
+
+    if (error) throw fromDatabaseError(error, 'crm_settings');
+    return data.length > 0 ? data[0].value : null;
+  }
+
+  async setSetting(key, value) {
+    const { data: existing, error: findError } = await this.client
+      .from('crm_settings')
+      .select('id')
+      .eq('agent_id', this.agentId)
+      .eq('key', key)
+      .limit(1);
+    if (findError) throw fromDatabaseError(findError, 'crm_settings');
+
+    const row = { value, updated_at: new Date().toISOString() };
+    const query = existing.length > 0
+      ? this.client.from('crm_settings').update(row).eq('id', existing[0].id).eq('agent_id', this.agentId)
+      : this.client.from('crm_settings').insert({ ...row, agent_id: this.agentId, key });
+
+    const { error } = await query;
+    if (error) throw fromDatabaseError(error, 'crm_settings');
+    return value;
+  }
+
+  // ============ EXCHANGE RATES ============
+
+  async listExchangeRates(options = {}) {
+    let query = this.client
+      .from('crm_exchange_rates')
+      .select('*')
+      .eq('agent_id', this.agentId);
+
+    if (options.currency) {
+      query = query.or(`base_currency.eq.${options.currency},quote_currency.eq.${options.currency}`);
+    }
+    if (options.until) {
+      query = query.lte('rate_date', options.until);
+    }
+
+    query = query
+      .order('rate_date', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+
+    const { data, error } = await query;
+    if (error) throw fromDatabaseError(error, 'crm_exchange_rates');
+    return data;
+  }
+
+  // One rate per pair and day: setting it again replaces it
+  async saveExchangeRate(rate) {
+    const { data: existing, error: findError } = await this.client
+      .from('crm_exchange_rates')
+      .select('id')
+      .eq('agent_id', this.agentId)
+      .eq('base_currency', rate.base)
+      .eq('quote_currency', rate.quote)
+      .eq('rate_date', rate.date)
+      .limit(1);
+    if (findError) throw fromDatabaseError(findError, 'crm_exchange_rates');
+
+    const row = { rate: rate.rate, source: rate.source || null, updated_at: new Date().toISOString() };
+    const query = existing.length > 0
+      ? this.client.from('crm_exchange_rates').update(row).eq('id', existing[0].id).eq('agent_id', this.agentId)
+      : this.client.from('crm_exchange_rates').insert({
+        ...row,
+        agent_id: this.agentId,
+        base_currency: rate.base,
+        quote_currency: rate.quote,
+        rate_date: rate.date
+      });
+
+    const { data, error } = await query.select().single();
+    if (error) throw fromDatabaseError(error, 'crm_exchange_rates');
+    return data;
+  }
+
+  async deleteExchangeRate(id) {
+    const { error } = await this.client
+      .from('crm_exchange_rates')
+      .delete()
+      .eq('id', id)
+      .eq('agent_id', this.agentId);
+
+    if (error) throw fromDatabaseError(error, 'crm_exchange_rates', id);
+    return { deleted: true };
+  }
+
+  // ============ TRASH ============
+
+  async trash(table, id, deletedBy) {
+    const stamp = { deleted_at: new Date().toISOString(), deleted_by: deletedBy || null };
+    const { data, error } = await this.client
+      .from(table)
+      .update(stamp)
+      .eq('id', id)
+      .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
+      .select()
+      .single();
+    if (error) throw fromDatabaseError(error, table, id);
+
+    // A contact's deals, interactions and tasks go with it, with the same stamp
+    if (table === 'crm_contacts') {
+      for (const child of CONTACT_CHILD_TABLES) {
+        const { error: childError } = await this.client
+          .from(child)
+          .update(stamp)
+          .eq('contact_id', id)
+          .eq('agent_id', this.agentId)
+          .is('deleted_at', null);
+        if (childError) throw fromDatabaseError(childError, child);
+      }
+    }
+    return data;
+  }
+
+  async restore(table, id) {
+    const { data: row, error: findError } = await this.client
+      .from(table)
+      .select('deleted_at')
+      .eq('id', id)
+      .eq('agent_id', this.agentId)
+      .not('deleted_at', 'is', null)
+      .single();
+    if (findError) throw fromDatabaseError(findError, table, id);
+
+    const restored = { deleted_at: null, deleted_by: null };
+    if (table === 'crm_contacts') {
+      for (const child of CONTACT_CHILD_TABLES) {
+        const { error: childError } = await this.client
+          .from(child)
+          .update(restored)
+          .eq('contact_id', id)
+          .eq('agent_id', this.agentId)
+          .eq('deleted_at', row.deleted_at);
+        if (childError) throw fromDatabaseError(childError, child);
+      }
+    }
+
+    const { data, error } = await this.client
+      .from(table)
+      .update(restored)
+      .eq('id', id)
+      .eq('agent_id', this.agentId)
+      .select()
+      .single();
+    if (error) throw fromDatabaseError(error, table, id);
+    return data;
+  }
+
+  async listDeleted(table, options = {}) {
+    let query = this.client
+      .from(table)
+      .select('*')
+      .eq('agent_id', this.agentId)
+      .not('deleted_at', 'is', null);
+
+    if (options.id) {
+      query = query.eq('id', options.id);
+    }
+    if (options.contactId) {
+      query = query.eq('contact_id', options.contactId);
+    }
+    if (options.deletedBefore) {
+      query = query.lt('deleted_at', options.deletedBefore);
+    }
+
+    query = query
+      .order('deleted_at', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+
+    const { data, error } = await query;
+    if (error) throw fromDatabaseError(error, table);
+    return data;
+  }
+
+  // ============ AUDIT LOG ============
+
+  async addAuditEntries(entries) {
+    if (entries.length === 0) return [];
+    const { data, error } = await this.client
+      .from('crm_audit_log')
+      .insert(entries.map(entry => ({
+        agent_id: this.agentId,
+        entity: entry.entity,
+        entity_id: entry.entityId,
+        action: entry.action,
+        field: entry.field || null,
+        old_value: entry.oldValue ?? null,
+        new_value: entry.newValue ?? null,
+        actor: entry.actor || null
+      })))
+      .select();
+
+    if (error) throw fromDatabaseError(error, 'crm_audit_log');
+    return data;
+  }
+
+  async listAuditLog(options = {}) {
+    let query = this.client
+      .from('crm_audit_log')
+      .select('*')
+      .eq('agent_id', this.agentId);
+
+    if (options.entity) {
+      query = query.eq('entity', options.entity);
+    }
+    if (options.entityId) {
+      query = query.eq('entity_id', options.entityId);
+    }
+    if (options.field) {
+      query = query.eq('field', options.field);
+    }
+    if (options.actor) {
+      query = query.eq('actor', options.actor);
+    }
+    if (options.since) {
+      query = query.gte('created_at', options.since);
+    }
+    if (options.until) {
+      query = query.lte('created_at', options.until);
+    }
+
+    query = query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+
+    const { data, error } = await query;
+    if (error) throw fromDatabaseError(error, 'crm_audit_log');
+    return data;
+  }
+
+  // ============ STATS ============
+  
   async getActivityStats(days = 30) {
     const since = new Date();
     since.setDate(since.getDate() - days);
@@ -540,16 +1519,19 @@ class SupabaseDB {
         .from('crm_interactions')
         .select('type, created_at')
         .eq('agent_id', this.agentId)
+        .is('deleted_at', null)
         .gte('created_at', since.toISOString()),
       this.client
         .from('crm_tasks')
         .select('completed, completed_at, created_at')
         .eq('agent_id', this.agentId)
+        .is('deleted_at', null)
         .gte('created_at', since.toISOString()),
       this.client
         .from('crm_contacts')
         .select('created_at, is_active')
         .eq('agent_id', this.agentId)
+        .is('deleted_at', null)
         .gte('created_at', since.toISOString())
     ]);
     
@@ -583,16 +1565,25 @@ class SupabaseDB {
       .from('crm_tasks')
       .select('*, crm_contacts(name, email, company)')
       .eq('agent_id', this.agentId)
+      .is('deleted_at', null)
       .eq('completed', false)
       .lt('due_at', now)
       .order('due_at', { ascending: true });
     
-    if (error) throw error;
+    if (error) throw fromDatabaseError(error, 'crm_tasks');
     return data;
   }
 
   // ============ UTILITIES ============
   
+  /**
+   * Resolves once the startup schema check has passed
+   * @throws {CrmBackendError} if the schema is behind or couldn't be checked
+   */
+  async ready() {
+    await this.schemaCheck;
+  }
+
   close() {
     // Supabase client doesn't need explicit closing
   }
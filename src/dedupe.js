@@ -0,0 +1,256 @@
+/**
+ * Duplicate contact detection and merge planning
+ * Pure functions over crm_contacts rows
+ */
+
+import { CrmValidationError } from './errors.js';
+import { normalizePhone } from './validation.js';
+
+/**
+ * Lowercase, trim, and drop +suffixes (and dots for Gmail) from an email
+ */
+export function normalizeEmail(email) {
+  if (!email) return null;
+  const [local, domain] = email.trim().toLowerCase().split('@');
+  if (!domain) return local || null;
+
+  let name = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') {
+    name = name.replace(/\./g, '');
+    return `${name}@gmail.com`;
+  }
+  return `${name}@${domain}`;
+}
+
+/**
+ * The last 9 digits of a phone number, for grouping candidates and for
+ * comparing a number that has no country code
+ */
+export function phoneDigits(phone) {
+  if (!phone) return null;
+  const digits = phone.replace(/\D/g, '');
+  return digits.length >= 6 ? digits.slice(-9) : null;
+}
+
+/**
+ * Whether two phone numbers are the same
+ * Both are normalized to E.164 (local numbers with the default country
+ * code), so +61 412 345 678 and 0412 345 678 match with '61', but numbers
+ * in different countries never do. Only when a number has no country
+ * code, and there's no default to give it one, are the last 9 digits compared.
+ * @param {string} defaultCountryCode - e.g. '61'
+ */
+export function samePhone(a, b, defaultCountryCode) {
+  if (!phoneDigits(a) || !phoneDigits(b)) return false;
+  const e164A = normalizePhone(a, defaultCountryCode);
+  const e164B = normalizePhone(b, defaultCountryCode);
+  if (e164A && e164B) return e164A === e164B;
+  return phoneDigits(a) === phoneDigits(b);
+}
+
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|pty|plc|corp|corporation|co|company|gmbh)\b/g;
+
+export function normalizeName(name) {
+  if (!name) return '';
+  return name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function normalizeCompany(company) {
+  return normalizeName(company).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity between two strings, 0 (different) to 1 (identical)
+ * Word order is ignored, so "Smith John" matches "John Smith"
+ */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  const sortTokens = s => s.split(' ').sort().join(' ');
+  const x = sortTokens(a);
+  const y = sortTokens(b);
+  const longest = Math.max(x.length, y.length);
+  return longest === 0 ? 0 : 1 - levenshtein(x, y) / longest;
+}
+
+/**
+ * Score how likely two contacts are the same person
+ * @param {Object} options - { defaultCountryCode? } for comparing phones
+ * @returns {Object} { score, reasons } - score between 0 and 1
+ */
+export function scorePair(a, b, options = {}) {
+  const reasons = [];
+  let score = 0;
+
+  const emailA = normalizeEmail(a.email);
+  if (emailA && emailA === normalizeEmail(b.email)) {
+    score += 0.6;
+    reasons.push('same email');
+  }
+
+  if (samePhone(a.phone, b.phone, options.defaultCountryCode)) {
+    score += 0.5;
+    reasons.push('same phone');
+  }
+
+  const nameScore = similarity(normalizeName(a.name), normalizeName(b.name));
+  if (nameScore >= 0.8) {
+    score += 0.3 * nameScore;
+    reasons.push(nameScore === 1 ? 'same name' : 'similar name');
+
+    const companyA = normalizeCompany(a.company);
+    const companyB = normalizeCompany(b.company);
+    if (companyA && companyB) {
+      const companyScore = similarity(companyA, companyB);
+      if (companyScore >= 0.8) {
+        score += 0.3 * companyScore;
+        reasons.push(companyScore === 1 ? 'same company' : 'similar company');
+      } else {
+        score -= 0.2;
+      }
+    }
+  }
+
+  return { score: Math.max(0, Math.min(1, score)), reasons };
+}
+
+// Keys that candidate duplicates must share before being scored
+function blockingKeys(contact) {
+  const keys = [];
+  const email = normalizeEmail(contact.email);
+  if (email) keys.push(`e:${email}`);
+  const phone = phoneDigits(contact.phone);
+  if (phone) keys.push(`p:${phone}`);
+  for (const token of normalizeName(contact.name).split(' ')) {
+    if (token.length >= 2) keys.push(`n:${token.slice(0, 4)}`);
+  }
+  return keys;
+}
+
+/**
+ * Find likely duplicate pairs among contacts
+ * @param {Object[]} contacts - crm_contacts rows
+ * @param {Object} options - { threshold?, defaultCountryCode? }
+ *   threshold: minimum score (default: 0.5)
+ *   defaultCountryCode: calling code for local phone numbers, e.g. '61'
+ * @returns {Object[]} { contacts: [a, b], score, reasons }, highest score first
+ */
+export function findDuplicatePairs(contacts, options = {}) {
+  const threshold = options.threshold ?? 0.5;
+  const blocks = new Map();
+
+  for (const contact of contacts) {
+    for (const key of blockingKeys(contact)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(contact);
+    }
+  }
+
+  const seen = new Set();
+  const pairs = [];
+  for (const block of blocks.values()) {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = block[i].id < block[j].id ? [block[i], block[j]] : [block[j], block[i]];
+        const pairKey = `${a.id}:${b.id}`;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+
+        const { score, reasons } = scorePair(a, b, options);
+        if (score >= threshold) {
+          pairs.push({ contacts: [a, b], score, reasons });
+        }
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+export const MERGE_STRATEGIES = ['fill', 'primary', 'newest'];
+
+// Stage, value, currency and close date aren't merged: they belong to
+// the duplicates' deals, which move to the primary whole
+const MERGE_FIELDS = {
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  company: 'company',
+  role: 'role',
+  source: 'source',
+  sourceDetail: 'source_detail',
+  assignedTo: 'assigned_to'
+};
+
+const isEmpty = value => value === null || value === undefined || value === '';
+
+/**
+ * Work out the updates for the primary contact when merging duplicates into it
+ *
+ * Field strategies:
+ *   fill    - keep the primary's values, filling empty fields from duplicates (default)
+ *   primary - keep the primary's values only
+ *   newest  - take each field from the most recently updated contact that has it
+ *
+ * Tags are always unioned and custom fields merged (primary wins on
+ * conflicts, except with 'newest').
+ *
+ * @param {Object} primary - crm_contacts row to keep
+ * @param {Object[]} duplicates - crm_contacts rows to merge in
+ * @param {string} fieldStrategy
+ * @returns {Object} camelCase updates for updateContact()
+ */
+export function planMerge(primary, duplicates, fieldStrategy = 'fill') {
+  if (!MERGE_STRATEGIES.includes(fieldStrategy)) {
+    throw CrmValidationError.field('fieldStrategy', `expected one of ${MERGE_STRATEGIES.join(', ')}`, fieldStrategy);
+  }
+
+  const updates = {};
+  const byNewest = [primary, ...duplicates].sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''));
+
+  for (const [field, column] of Object.entries(MERGE_FIELDS)) {
+    if (fieldStrategy === 'fill' && isEmpty(primary[column])) {
+      const donor = duplicates.find(d => !isEmpty(d[column]));
+      if (donor) updates[field] = donor[column];
+    } else if (fieldStrategy === 'newest') {
+      const donor = byNewest.find(c => !isEmpty(c[column]));
+      if (donor && donor[column] !== primary[column]) updates[field] = donor[column];
+    }
+  }
+
+  const tags = new Set(primary.tags || []);
+  duplicates.forEach(d => (d.tags || []).forEach(tag => tags.add(tag)));
+  updates.tags = [...tags];
+
+  const customFieldSources = fieldStrategy === 'newest' ? [...byNewest].reverse() : [...duplicates].reverse().concat(primary);
+  updates.customFields = Object.assign({}, ...customFieldSources.map(c => c.custom_fields || {}));
+
+  const lastContacts = [primary, ...duplicates].map(c => c.last_contact_at).filter(Boolean).sort();
+  if (lastContacts.length > 0) {
+    updates.lastContactAt = lastContacts[lastContacts.length - 1];
+  }
+
+  return updates;
+}
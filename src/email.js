@@ -0,0 +1,276 @@
+/**
+ * Email (MIME) reader for .eml files and mbox mailboxes
+ *
+ * Messages are read as latin1 ("binary") strings so every byte survives
+ * until its part's charset is known. Reads:
+ *   headers, with folded lines and RFC 2047 encoded words (=?utf-8?B?...?=)
+ *   From, To, Cc and Reply-To address lists
+ *   Message-ID, In-Reply-To and References for threading
+ *   the first text/plain and text/html bodies, decoding base64 and
+ *   quoted-printable and the part's charset; HTML-only messages get a
+ *   plain text version
+ *   attachments, by name, type and size (their content is skipped)
+ *
+ * A thread is named by the first message ID in References, else
+ * In-Reply-To, else the message's own ID.
+ */
+
+import { createHash } from 'crypto';
+
+const ENCODED_WORD = /=\?([^?\s]+)\?([bq])\?([^?\s]*)\?=/gi;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// ============ DECODING ============
+
+function decodeBytes(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeQuotedPrintable(text, { header = false } = {}) {
+  if (header) text = text.replace(/_/g, ' ');
+  text = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    const hex = text[i] === '=' && /^[0-9a-f]{2}$/i.test(text.slice(i + 1, i + 3));
+    bytes.push(hex ? parseInt(text.slice(i + 1, i + 3), 16) : text.charCodeAt(i) & 0xff);
+    if (hex) i += 2;
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeTransfer(body, encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^a-z0-9+/=]/gi, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+/**
+ * Decode RFC 2047 encoded words in a header value, e.g.
+ * '=?utf-8?Q?Caf=C3=A9?= menu' -> 'Café menu'
+ * Unencoded 8-bit headers are read as UTF-8.
+ */
+export function decodeHeader(value) {
+  if (!value) return '';
+  const text = value.includes('=?')
+    // Whitespace between two encoded words is not part of the text
+    ? value.replace(/(\?=)\s+(?==\?)/g, '$1')
+    : decodeBytes(Buffer.from(value, 'latin1'), 'utf-8');
+  return text.replace(ENCODED_WORD, (_, charset, encoding, data) => {
+    const bytes = encoding.toLowerCase() === 'b'
+      ? Buffer.from(data, 'base64')
+      : decodeQuotedPrintable(data, { header: true });
+    return decodeBytes(bytes, charset.replace(/\*.*$/, ''));
+  });
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Plain text from an HTML body: paragraphs and line breaks kept,
+ * tags, scripts and styles dropped
+ */
+export function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|blockquote)>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text)
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ============ HEADERS ============
+
+// Header block -> { name (lower-case): [values] }, with folded lines joined
+function parseHeaders(block) {
+  const headers = {};
+  for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon < 1) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    (headers[name] ||= []).push(line.slice(colon + 1).trim());
+  }
+  return headers;
+}
+
+// 'text/plain; charset="utf-8"' -> { value: 'text/plain', params: { charset: 'utf-8' } }
+function parseParams(header) {
+  const [value, ...rest] = (header || '').split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  for (const param of rest) {
+    const eq = param.indexOf('=');
+    if (eq < 0) continue;
+    const name = param.slice(0, eq).trim().toLowerCase();
+    const paramValue = param.slice(eq + 1).trim().replace(/^"(.*)"$/s, '$1');
+    // RFC 2231: filename*=utf-8''caf%C3%A9.pdf
+    const extended = name.endsWith('*') && paramValue.match(/^([^']*)'[^']*'(.*)$/);
+    if (extended) {
+      const bytes = extended[2].replace(/%([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+      params[name.slice(0, -1)] = decodeBytes(Buffer.from(bytes, 'latin1'), extended[1]);
+      continue;
+    }
+    params[name] = decodeHeader(paramValue);
+  }
+  return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * Read an address list header into { name, email } with lower-case emails
+ * e.g. '"Smith, Jo" <Jo@Acme.com>, sam@example.org (Sam)'
+ */
+export function parseAddresses(header) {
+  if (!header) return [];
+  const addresses = [];
+  // Split on commas outside quotes, angle brackets and comments
+  const parts = header.match(/(?:"(?:[^"\\]|\\.)*"|<[^>]*>|\([^)]*\)|[^,"<(])+/g) || [];
+
+  for (let part of parts) {
+    // Drop group names ('Team: a@x, b@y;') wherever the group starts and ends
+    part = part.replace(/^[^"<@(]*:(?!\/)/, '').replace(/;\s*$/, '');
+    const angle = part.match(/<([^>]*)>/);
+    const comment = part.match(/\(([^)]*)\)/);
+    const email = (angle ? angle[1] : part.replace(/\([^)]*\)/g, '')).trim().toLowerCase();
+    if (!email.includes('@')) continue;
+    const name = angle
+      ? part.slice(0, angle.index).trim().replace(/^"(.*)"$/s, '$1').replace(/\\(.)/g, '$1')
+      : comment?.[1].trim();
+    addresses.push({ name: decodeHeader(name || '') || null, email });
+  }
+  return addresses;
+}
+
+// '<a@x> <b@y>' -> ['a@x', 'b@y']
+function messageIds(header) {
+  return (header || '').match(/<[^<>\s]+>/g)?.map(id => id.slice(1, -1)) || [];
+}
+
+// ============ MESSAGES ============
+
+function splitEntity(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  return match
+    ? { headers: parseHeaders(raw.slice(0, match.index)), body: raw.slice(match.index + match[0].length) }
+    : { headers: parseHeaders(raw), body: '' };
+}
+
+// Walk a MIME entity, filling in the first text and HTML bodies and listing attachments
+function readParts(entity, result) {
+  const type = parseParams(entity.headers['content-type']?.[0] || 'text/plain');
+  const disposition = parseParams(entity.headers['content-disposition']?.[0]);
+  const filename = disposition.params.filename || type.params.name;
+
+  if (type.value.startsWith('multipart/') && type.params.boundary) {
+    const boundary = type.params.boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const sections = entity.body.split(new RegExp(`^--${boundary}(?:--)?[ \\t]*\\r?$`, 'm'));
+    // Skip the preamble before the first boundary and the epilogue after the last
+    for (const section of sections.slice(1, -1)) {
+      // The line break before a boundary belongs to the boundary
+      readParts(splitEntity(section.replace(/^\r?\n/, '').replace(/\r?\n$/, '')), result);
+    }
+    return;
+  }
+
+  const encoding = entity.headers['content-transfer-encoding']?.[0];
+  const isText = type.value === 'text/plain' || type.value === 'text/html';
+
+  if (disposition.value === 'attachment' || filename || !isText) {
+    result.attachments.push({
+      filename: filename || null,
+      contentType: type.value,
+      size: decodeTransfer(entity.body, encoding).length
+    });
+    return;
+  }
+
+  const key = type.value === 'text/html' ? 'html' : 'text';
+  if (result[key] === null) {
+    result[key] = decodeBytes(decodeTransfer(entity.body, encoding), type.params.charset).replace(/\r\n/g, '\n');
+  }
+}
+
+/**
+ * Parse one message
+ * @param {string} raw - the message read as latin1 (readFileSync(file, 'latin1'))
+ * @returns {Object} { messageId, inReplyTo, references, threadId, date, subject,
+ *   from, to, cc, replyTo, text, html, attachments }
+ *   from: { name, email } or null; to, cc, replyTo: [{ name, email }]
+ *   date: ISO 8601 or null; text: the plain text body (from the HTML if there is none)
+ *   attachments: [{ filename, contentType, size }]
+ *   messageId: without angle brackets; messages without one get a stable
+ *   ID made from their headers and body, ending @crm.local
+ */
+export function parseEmail(raw) {
+  const entity = splitEntity(raw.replace(/^(From |>From ).*\r?\n/, ''));
+  const header = name => entity.headers[name]?.[0] || '';
+  const result = { text: null, html: null, attachments: [] };
+  readParts(entity, result);
+
+  const date = new Date(header('date').replace(/\s*\([^)]*\)\s*$/, ''));
+  const references = messageIds(entity.headers.references?.join(' '));
+  const inReplyTo = messageIds(header('in-reply-to'))[0] || null;
+  const text = (result.text ?? (result.html !== null ? htmlToText(result.html) : '')).trim();
+
+  const messageId = messageIds(header('message-id'))[0] ||
+    createHash('sha256').update([header('date'), header('from'), header('to'), header('subject'), text].join('\n'))
+      .digest('hex').slice(0, 32) + '@crm.local';
+
+  return {
+    messageId,
+    inReplyTo,
+    references,
+    threadId: references[0] || inReplyTo || messageId,
+    date: isNaN(date) ? null : date.toISOString(),
+    subject: decodeHeader(header('subject')) || null,
+    from: parseAddresses(header('from'))[0] || null,
+    to: parseAddresses(entity.headers.to?.join(', ')),
+    cc: parseAddresses(entity.headers.cc?.join(', ')),
+    replyTo: parseAddresses(header('reply-to')),
+    text,
+    html: result.html,
+    attachments: result.attachments
+  };
+}
+
+/**
+ * Split an mbox mailbox into raw messages, undoing >From quoting
+ * @param {string} text - the mailbox read as latin1
+ * @returns {string[]}
+ */
+export function splitMbox(text) {
+  return text
+    .split(/^From .*\r?\n/m)
+    .filter(message => message.trim())
+    .map(message => message.replace(/^>(>*From )/gm, '$1'));
+}
+
+/**
+ * Parse a file that holds one message (.eml) or several (mbox), telling
+ * them apart by the mbox "From " line at the start
+ * @param {string} text - the file read as latin1
+ * @returns {Object[]} messages - see parseEmail()
+ */
+export function parseMailFile(text) {
+  return /^From /.test(text) ? splitMbox(text).map(parseEmail) : [parseEmail(text)];
+}
@@ -0,0 +1,124 @@
+/**
+ * Error classes thrown by the CRM API
+ *
+ * Every error has a stable `code` so callers (and the CLI's exit codes)
+ * can tell failures apart without parsing messages:
+ *
+ *   CrmValidationError  validation_failed  input is invalid; `details` lists
+ *                                          { field, message, value? } per problem
+ *   CrmNotFoundError    not_found          `resource` with `id` doesn't exist
+ *   CrmConflictError    conflict           the change clashes with existing data
+ *   CrmBackendError     backend_error      the database failed, couldn't be reached
+ *                                          or has an old schema; `cause` is the
+ *                                          original error
+ */
+
+export class CrmError extends Error {
+  constructor(message, code = 'crm_error') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+export class CrmValidationError extends CrmError {
+  /**
+   * @param {string} message - e.g. 'Invalid contact'
+   * @param {Object[]} details - [{ field, message, value? }]
+   */
+  constructor(message, details = []) {
+    const summary = details.map(d => `${d.field}: ${d.message}`).join('; ');
+    super(summary ? `${message}: ${summary}` : message, 'validation_failed');
+    this.details = details;
+  }
+
+  /**
+   * Single-field shorthand
+   */
+  static field(field, message, value) {
+    return new CrmValidationError('Invalid input', [{ field, message, ...(value !== undefined && { value }) }]);
+  }
+}
+
+export class CrmNotFoundError extends CrmError {
+  /**
+   * @param {string} resource - e.g. 'contact'
+   * @param {number|string} id
+   */
+  constructor(resource, id) {
+    const name = resource.charAt(0).toUpperCase() + resource.slice(1);
+    super(id === undefined ? `${name} not found` : `${name} ${id} not found`, 'not_found');
+    this.resource = resource;
+    this.id = id;
+  }
+}
+
+export class CrmConflictError extends CrmError {
+  /**
+   * @param {string} message
+   * @param {Object} details - e.g. { resource, field, value, existingId }
+   */
+  constructor(message, details = {}) {
+    super(message, 'conflict');
+    this.details = details;
+  }
+}
+
+export class CrmBackendError extends CrmError {
+  /**
+   * @param {string} message
+   * @param {*} cause - the database or driver error, if any
+   */
+  constructor(message, cause) {
+    super(message, 'backend_error');
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+// Resource names for error messages, by table
+const RESOURCES = {
+  crm_stages: 'stage',
+  crm_companies: 'company',
+  crm_contacts: 'contact',
+  crm_deals: 'deal',
+  crm_interactions: 'interaction',
+  crm_tasks: 'task',
+  crm_stage_transitions: 'stage transition',
+  crm_rules: 'rule',
+  crm_rule_runs: 'rule run',
+  crm_audit_log: 'audit entry',
+  crm_settings: 'setting',
+  crm_exchange_rates: 'exchange rate'
+};
+
+export function resourceName(table) {
+  return RESOURCES[table] || table;
+}
+
+/**
+ * Turn a PostgREST / Postgres error into a CRM error where one fits, else
+ * a CrmBackendError
+ * @param {Object} error - { code, message, details }
+ * @param {string} table - table being queried
+ * @param {number|string} id - row being fetched or changed, if any
+ */
+export function fromDatabaseError(error, table, id) {
+  switch (error.code) {
+    // .single() found no row
+    case 'PGRST116':
+      return new CrmNotFoundError(resourceName(table), id);
+    case '23505':
+      return new CrmConflictError(`Duplicate ${resourceName(table)}: ${error.details || error.message}`, { resource: resourceName(table) });
+    case '23503':
+      return new CrmConflictError(`The ${resourceName(table)} references a missing row, or is still referenced: ${error.details || error.message}`, { resource: resourceName(table) });
+    case '23502':
+    case '22P02':
+    case '22007':
+    case '22008': {
+      const column = /column "(\w+)"/.exec(error.message)?.[1] || null;
+      return new CrmValidationError(`Invalid ${resourceName(table)}`, [{ field: column, message: error.message }]);
+    }
+    default:
+      return new CrmBackendError(`Database error (${resourceName(table)}): ${error.message || error}`, error);
+  }
+}
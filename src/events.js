@@ -0,0 +1,98 @@
+/**
+ * CRM change events
+ *
+ * Every mutation on CRM emits one or more typed events. Listeners get
+ * the same event object whether they subscribe to its type or to the
+ * catch-all 'event':
+ *
+ *   crm.on('contact.stage_changed', event => ...);
+ *   crm.on('event', event => ...);
+ *
+ * Event shape:
+ *   { id, type, agentId, actor, occurredAt, data: { before, after, changes } }
+ *   before is null for creations, after is null for deletions, and changes
+ *   lists the snake_case columns that differ between the two.
+ */
+
+import { randomUUID } from 'crypto';
+
+export const EVENT_TYPES = [
+  'stage.created',
+  'stage.updated',
+  'stage.deleted',
+  'stage.restored',
+  'stage.reordered',
+  'company.created',
+  'company.updated',
+  'company.deleted',
+  'company.restored',
+  'contact.created',
+  'contact.updated',
+  'contact.stage_changed',
+  'contact.lost',
+  'contact.reactivated',
+  'contact.merged',
+  'contact.deleted',
+  'contact.restored',
+  'deal.created',
+  'deal.updated',
+  'deal.stage_changed',
+  'deal.won',
+  'deal.lost',
+  'deal.reopened',
+  'deal.deleted',
+  'deal.restored',
+  'interaction.added',
+  'interaction.updated',
+  'interaction.deleted',
+  'interaction.restored',
+  'task.created',
+  'task.updated',
+  'task.completed',
+  'task.reopened',
+  'task.deleted',
+  'task.restored'
+];
+
+// Embedded rows and bookkeeping columns don't count as changes
+const IGNORED_COLUMNS = new Set(['updated_at', 'crm_stages', 'crm_contacts']);
+
+/**
+ * Columns whose values differ between two rows
+ */
+export function changedColumns(before, after) {
+  if (!before || !after || Array.isArray(before) || Array.isArray(after)) return [];
+  const columns = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...columns]
+    .filter(column => !IGNORED_COLUMNS.has(column))
+    .filter(column => JSON.stringify(before[column]) !== JSON.stringify(after[column]));
+}
+
+/**
+ * Build an event object
+ * @param {string} type - One of EVENT_TYPES (or 'ping')
+ * @param {Object} data - { before?, after?, ...extra }
+ * @param {Object} context - { agentId, actor? }
+ */
+export function createEvent(type, data, context) {
+  const before = data.before ?? null;
+  const after = data.after ?? null;
+  return {
+    id: randomUUID(),
+    type,
+    agentId: context.agentId,
+    actor: context.actor || context.agentId,
+    occurredAt: new Date().toISOString(),
+    data: { ...data, before, after, changes: changedColumns(before, after) }
+  };
+}
+
+/**
+ * Whether an event type matches a subscription pattern
+ * Patterns are exact types, 'contact.*' style prefixes, or '*'
+ */
+export function matchesEvent(pattern, type) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('.*')) return type.startsWith(pattern.slice(0, -1));
+  return pattern === type;
+}
@@ -0,0 +1,104 @@
+/**
+ * camelCase API fields and the snake_case columns they map to
+ * Shared by every database backend and the importers/exporters
+ */
+
+export const CONTACT_FIELDS = {
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  company: 'company',
+  companyId: 'company_id',
+  role: 'role',
+  stageId: 'stage_id',
+  stageEnteredAt: 'stage_entered_at',
+  source: 'source',
+  sourceDetail: 'source_detail',
+  assignedTo: 'assigned_to',
+  tags: 'tags',
+  customFields: 'custom_fields',
+  dealValue: 'deal_value',
+  currency: 'currency',
+  expectedCloseAt: 'expected_close_at',
+  isActive: 'is_active',
+  lostReason: 'lost_reason',
+  lastContactAt: 'last_contact_at'
+};
+
+export const COMPANY_FIELDS = {
+  name: 'name',
+  domain: 'domain',
+  industry: 'industry',
+  size: 'size',
+  address: 'address',
+  customFields: 'custom_fields'
+};
+
+export const DEAL_FIELDS = {
+  title: 'title',
+  contactId: 'contact_id',
+  companyId: 'company_id',
+  stageId: 'stage_id',
+  stageEnteredAt: 'stage_entered_at',
+  value: 'value',
+  currency: 'currency',
+  expectedCloseAt: 'expected_close_at',
+  status: 'status',
+  lostReason: 'lost_reason',
+  owner: 'owner',
+  closedAt: 'closed_at',
+  customFields: 'custom_fields'
+};
+
+export const INTERACTION_FIELDS = {
+  type: 'type',
+  subject: 'subject',
+  content: 'content',
+  scheduledAt: 'scheduled_at',
+  completedAt: 'completed_at',
+  metadata: 'metadata',
+  externalId: 'external_id'
+};
+
+export const TASK_FIELDS = {
+  title: 'title',
+  description: 'description',
+  dueAt: 'due_at',
+  assignedTo: 'assigned_to',
+  priority: 'priority',
+  contactId: 'contact_id',
+  recurrence: 'recurrence',
+  externalId: 'external_id'
+};
+
+export const RULE_FIELDS = {
+  name: 'name',
+  triggerType: 'trigger_type',
+  triggerParams: 'trigger_params',
+  conditions: 'conditions',
+  actions: 'actions',
+  enabled: 'enabled'
+};
+
+// Custom fields are addressed as custom_fields.<key> everywhere: import
+// mappings, search, rule conditions, scoring models and output field names.
+// The older customFields.<key>, custom.<key>, custom:<key>, cf.<key> and
+// cf_<key> spellings are still read, but deprecated.
+const CUSTOM_FIELD_PATH = /^custom_fields\.(.+)$/i;
+const DEPRECATED_CUSTOM_FIELD_PATH = /^(?:customFields\.|custom[.:]|cf[._])(.+)$/i;
+
+/**
+ * The custom field key a path names: 'custom_fields.industry' -> 'industry'
+ * @returns {string|null} null when the path isn't a custom field
+ */
+export function customFieldKey(path) {
+  const match = String(path).match(CUSTOM_FIELD_PATH) || String(path).match(DEPRECATED_CUSTOM_FIELD_PATH);
+  return match ? match[1] : null;
+}
+
+/**
+ * The path for a custom field key: 'industry' -> 'custom_fields.industry'
+ */
+export function customFieldPath(key) {
+  return `custom_fields.${key}`;
+}
@@ -0,0 +1,587 @@
+/**
+ * iCalendar (RFC 5545) reader and writer for tasks and scheduled interactions
+ *
+ * Written:
+ *   VTODO  - open tasks: SUMMARY, DESCRIPTION, DUE, PRIORITY, RRULE (with
+ *            DTSTART, as RFC 5545 asks), CONTACT and X-CRM-* properties
+ *   VEVENT - scheduled interactions: SUMMARY, DESCRIPTION, DTSTART/DTEND,
+ *            LOCATION, ORGANIZER, ATTENDEE, RRULE
+ *   VTIMEZONE - for every time zone used, with its real offset changes
+ *            spelled out year by year
+ *
+ * Times are written in a time zone (TZID) rather than UTC so calendar
+ * apps repeat them at the same local time across daylight saving
+ * changes. Imported meetings keep the time zone they came in.
+ *
+ * Read: VEVENT and VTODO, with times in UTC, floating (read in the
+ * default time zone), or in a TZID - an IANA name, or any name the file's
+ * own VTIMEZONE defines (e.g. Outlook's "AUS Eastern Standard Time").
+ */
+
+import { parseRecurrence, formatRecurrence } from './recurrence.js';
+
+const PRODID = '-//CRM//Calendar Export//EN';
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// PRIORITY is 1 (highest) to 9 (lowest), 0 for undefined
+const PRIORITY_VALUES = { high: 1, medium: 5, low: 9 };
+
+// Events last this long when they have no DTEND, DURATION or metadata.duration
+const DEFAULT_EVENT_MINUTES = 30;
+
+// ============ TEXT ============
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\,;nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+function quoteParam(value) {
+  return /[;:,"]/.test(value) ? `"${String(value).replace(/"/g, "'")}"` : value;
+}
+
+// Lines are folded at 75 octets, never inside a UTF-8 character
+function fold(line) {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+  const chunks = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    chunks.push(bytes.subarray(start, end).toString());
+    start = end;
+  }
+  return chunks.join('\r\n ');
+}
+
+function mailto(value) {
+  return value.replace(/^mailto:/i, '').trim().toLowerCase();
+}
+
+// ============ TIME ZONES ============
+
+const formatters = new Map();
+
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a name is an IANA time zone this runtime knows, e.g. 'Australia/Sydney'
+ */
+export function isTimeZone(name) {
+  try {
+    zoneFormatter(name);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The process's own time zone, which recurring tasks are scheduled in
+ */
+export function localTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Wall-clock time of an instant in a zone, as milliseconds on a UTC clock
+function wallClock(date, timeZone) {
+  const parts = Object.fromEntries(zoneFormatter(timeZone).formatToParts(date).map(p => [p.type, p.value]));
+  return Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+}
+
+// Minutes ahead of UTC, e.g. 660 for Sydney in summer
+function ianaOffset(date, timeZone) {
+  return (wallClock(date, timeZone) - Math.floor(date.getTime() / 1000) * 1000) / MINUTE_MS;
+}
+
+// The instant a wall-clock time (on a UTC clock) happens in a zone
+function fromWallClock(wall, offsetAt) {
+  let time = wall - offsetAt(new Date(wall)) * MINUTE_MS;
+  time = wall - offsetAt(new Date(time)) * MINUTE_MS;
+  return new Date(time);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+function parseOffset(value) {
+  const match = (value || '').match(/^([+-])(\d{2})(\d{2})/);
+  return match ? (match[1] === '-' ? -1 : 1) * (+match[2] * 60 + +match[3]) : 0;
+}
+
+// Offset changes in a zone between two years, each { at, from, to }
+function transitions(timeZone, firstYear, lastYear) {
+  const found = [];
+  const end = Date.UTC(lastYear + 1, 0, 1);
+  let time = Date.UTC(firstYear, 0, 1);
+  let offset = ianaOffset(new Date(time), timeZone);
+
+  // Weekly steps, then narrow each change down to the minute
+  while (time < end) {
+    const next = Math.min(time + 7 * 24 * 60 * MINUTE_MS, end);
+    const nextOffset = ianaOffset(new Date(next), timeZone);
+    if (nextOffset !== offset) {
+      let low = time;
+      let high = next;
+      while (high - low > MINUTE_MS) {
+        const mid = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (ianaOffset(new Date(mid), timeZone) === offset) low = mid; else high = mid;
+      }
+      found.push({ at: high, from: offset, to: nextOffset });
+    }
+    time = next;
+    offset = nextOffset;
+  }
+  return found;
+}
+
+// Local date-time in iCalendar form from a wall-clock time, e.g. 20261020T090000
+function formatLocal(wall) {
+  return new Date(wall).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '');
+}
+
+function formatUtc(date) {
+  return `${formatLocal(new Date(date).getTime())}Z`;
+}
+
+// Only real offset changes are written: the first observance is the
+// change in effect when firstYear begins, and a zone that doesn't change
+// gets a single STANDARD observance
+function vtimezone(timeZone, firstYear, lastYear) {
+  const previous = transitions(timeZone, firstYear - 1, firstYear - 1).slice(-1);
+  const changes = [...previous, ...transitions(timeZone, firstYear, lastYear)];
+  const offset = ianaOffset(new Date(Date.UTC(firstYear, 0, 1)), timeZone);
+  const standard = Math.min(offset, ...changes.map(c => c.to));
+  const observance = (wall, from, to) => [
+    `BEGIN:${to > standard ? 'DAYLIGHT' : 'STANDARD'}`,
+    `DTSTART:${formatLocal(wall)}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    `END:${to > standard ? 'DAYLIGHT' : 'STANDARD'}`
+  ];
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...(changes.length === 0
+      ? observance(Date.UTC(1970, 0, 1), offset, offset)
+      // DTSTART is the local time just before the change, in the old offset
+      : changes.flatMap(c => observance(c.at + c.from * MINUTE_MS, c.from, c.to))),
+    'END:VTIMEZONE'
+  ];
+}
+
+// ============ READING ============
+
+// Split a content line into { name, params, value }, minding quoted parameters
+function parseLine(line) {
+  let i = 0;
+  let quoted = false;
+  for (; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) break;
+  }
+  const [name, ...rawParams] = line.slice(0, i).match(/(?:"[^"]*"|[^;])+/g) || [''];
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq > 0) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"(.*)"$/, '$1');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+/**
+ * Parse iCalendar text into a component tree
+ * @returns {Object[]} components - { name, properties: [{ name, params, value }], components }
+ */
+export function parseICalendar(text) {
+  const root = { name: null, properties: [], components: [] };
+  const stack = [root];
+
+  for (const line of text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const property = parseLine(line);
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  }
+  return root.components;
+}
+
+const first = (component, name) => component.properties.find(p => p.name === name);
+const all = (component, name) => component.properties.filter(p => p.name === name);
+const text = (component, name) => {
+  const property = first(component, name);
+  return property ? unescapeText(property.value).trim() || null : null;
+};
+
+// 20261020T090000 -> wall-clock milliseconds; 20261020 -> midnight
+function parseWall(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?)?/);
+  if (!match) return null;
+  const [, y, m, d, hh = 0, mm = 0, ss = 0] = match;
+  return Date.UTC(+y, m - 1, +d, +hh, +mm, +ss);
+}
+
+// A VTIMEZONE as offsetAt(instant), from its observances' DTSTART, RRULE and RDATE
+function zoneFromComponent(component) {
+  const observances = component.components
+    .filter(c => c.name === 'STANDARD' || c.name === 'DAYLIGHT')
+    .map(c => ({
+      start: parseWall(first(c, 'DTSTART')?.value || '19700101T000000'),
+      from: parseOffset(first(c, 'TZOFFSETFROM')?.value),
+      to: parseOffset(first(c, 'TZOFFSETTO')?.value),
+      rule: first(c, 'RRULE')?.value,
+      rdates: all(c, 'RDATE').flatMap(p => p.value.split(',')).map(parseWall).filter(v => v !== null)
+    }));
+  if (observances.length === 0) return null;
+
+  // When an observance begins in a year, as wall-clock times
+  const onsets = (observance, year) => {
+    const startYear = new Date(observance.start).getUTCFullYear();
+    const times = [observance.start, ...observance.rdates].filter(t => new Date(t).getUTCFullYear() === year);
+    const rule = observance.rule && Object.fromEntries(observance.rule.split(';').map(part => part.toUpperCase().split('=')));
+    if (rule?.FREQ === 'YEARLY' && year > startYear) {
+      const start = new Date(observance.start);
+      const month = rule.BYMONTH ? parseInt(rule.BYMONTH) - 1 : start.getUTCMonth();
+      const time = start.getUTCHours() * 60 + start.getUTCMinutes();
+      let day = start.getUTCDate();
+      const byDay = rule.BYDAY?.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+      if (byDay) {
+        const weekday = WEEKDAYS.indexOf(byDay[2]);
+        const nth = parseInt(byDay[1] || '1');
+        if (nth > 0) {
+          const firstDay = new Date(Date.UTC(year, month, 1)).getUTCDay();
+          day = 1 + ((weekday - firstDay + 7) % 7) + (nth - 1) * 7;
+        } else {
+          const last = new Date(Date.UTC(year, month + 1, 0));
+          day = last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7) + (nth + 1) * 7;
+        }
+      } else if (rule.BYMONTHDAY) {
+        day = parseInt(rule.BYMONTHDAY);
+      }
+      const onset = Date.UTC(year, month, day) + time * MINUTE_MS;
+      const until = rule.UNTIL ? parseWall(rule.UNTIL) : null;
+      if (until === null || onset <= until) times.push(onset);
+    }
+    return times;
+  };
+
+  return instant => {
+    const year = instant.getUTCFullYear();
+    let latest = null;
+    for (const observance of observances) {
+      for (const onset of [...onsets(observance, year - 1), ...onsets(observance, year)]) {
+        // Onsets are local times in the offset before the change
+        const at = onset - observance.from * MINUTE_MS;
+        if (at <= instant.getTime() && (!latest || at > latest.at)) latest = { at, offset: observance.to };
+      }
+    }
+    if (latest) return latest.offset;
+    const earliest = [...observances].sort((a, b) => a.start - b.start)[0];
+    return earliest.from;
+  };
+}
+
+/**
+ * Read a date or date-time property
+ * @returns {Object|null} { date, allDay, timezone } - timezone: the IANA zone it was in, if any
+ */
+function readTime(property, zones, defaultZone) {
+  if (!property) return null;
+  const value = property.value.trim();
+  const wall = parseWall(value);
+  if (wall === null) return null;
+
+  const allDay = property.params.VALUE === 'DATE' || /^\d{8}$/.test(value);
+  if (value.endsWith('Z')) {
+    return { date: new Date(wall), allDay: false, timezone: null };
+  }
+
+  const tzid = property.params.TZID;
+  if (tzid && isTimeZone(tzid)) {
+    return { date: fromWallClock(wall, d => ianaOffset(d, tzid)), allDay, timezone: tzid };
+  }
+  if (tzid && zones.has(tzid)) {
+    return { date: fromWallClock(wall, zones.get(tzid)), allDay, timezone: null };
+  }
+  // Floating time (or a TZID nobody defined): the default zone's wall clock
+  return { date: fromWallClock(wall, d => ianaOffset(d, defaultZone)), allDay, timezone: null };
+}
+
+// PT1H30M -> 90
+function durationMinutes(value) {
+  const match = (value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, w = 0, d = 0, h = 0, m = 0, s = 0] = match;
+  return (sign === '-' ? -1 : 1) * (((+w * 7 + +d) * 24 + +h) * 60 + +m + Math.round(s / 60));
+}
+
+function person(property) {
+  return { name: property.params.CN ? unescapeText(property.params.CN) : null, email: mailto(property.value) };
+}
+
+/**
+ * Read the events and to-dos in an iCalendar file
+ * @param {string} icsText
+ * @param {Object} options - { timezone? } zone for floating times (default: the process's)
+ * @returns {Object[]} entries - { row, kind, item } for CRM#importCalendar(),
+ *   row counting events and to-dos from 1
+ *   kind 'event': item { uid, recurrenceId, sequence, status, summary, description, location,
+ *     start, end, allDay, duration, timezone, recurrence, organizer, attendees }
+ *   kind 'todo': item { uid, status, summary, description, due, timezone, priority,
+ *     recurrence, contactId, contactEmails, assignedTo }
+ *   start, end and due are ISO 8601; duration is in minutes; status is lower-case
+ *   (events from a METHOD:CANCEL calendar are 'cancelled')
+ */
+export function icalendarToEntries(icsText, options = {}) {
+  const defaultZone = options.timezone || localTimeZone();
+  const entries = [];
+
+  for (const calendar of parseICalendar(icsText).filter(c => c.name === 'VCALENDAR')) {
+    const zones = new Map();
+    for (const component of calendar.components.filter(c => c.name === 'VTIMEZONE')) {
+      const zone = zoneFromComponent(component);
+      if (zone) zones.set(text(component, 'TZID'), zone);
+    }
+    const cancelled = text(calendar, 'METHOD')?.toUpperCase() === 'CANCEL';
+
+    for (const component of calendar.components) {
+      if (component.name === 'VEVENT') {
+        const start = readTime(first(component, 'DTSTART'), zones, defaultZone);
+        const end = readTime(first(component, 'DTEND'), zones, defaultZone);
+        const minutes = end && start
+          ? Math.round((end.date - start.date) / MINUTE_MS)
+          : durationMinutes(first(component, 'DURATION')?.value);
+        const duration = minutes !== null && minutes >= 0 ? minutes : null;
+        const recurrenceId = readTime(first(component, 'RECURRENCE-ID'), zones, defaultZone);
+
+        entries.push({
+          row: entries.length + 1,
+          kind: 'event',
+          item: {
+            uid: text(component, 'UID'),
+            recurrenceId: recurrenceId ? recurrenceId.date.toISOString() : null,
+            sequence: parseInt(text(component, 'SEQUENCE')) || 0,
+            status: cancelled ? 'cancelled' : (text(component, 'STATUS') || 'confirmed').toLowerCase(),
+            summary: text(component, 'SUMMARY'),
+            description: text(component, 'DESCRIPTION'),
+            location: text(component, 'LOCATION'),
+            start: start ? start.date.toISOString() : null,
+            end: start && duration !== null ? new Date(start.date.getTime() + duration * MINUTE_MS).toISOString() : null,
+            allDay: Boolean(start?.allDay),
+            duration,
+            timezone: start?.timezone || null,
+            recurrence: first(component, 'RRULE')?.value.trim() || null,
+            organizer: first(component, 'ORGANIZER') ? person(first(component, 'ORGANIZER')) : null,
+            attendees: all(component, 'ATTENDEE').map(property => ({
+              ...person(property),
+              status: property.params.PARTSTAT?.toLowerCase() || null
+            }))
+          }
+        });
+      } else if (component.name === 'VTODO') {
+        const due = readTime(first(component, 'DUE') || first(component, 'DTSTART'), zones, defaultZone);
+        const priority = parseInt(text(component, 'PRIORITY')) || 0;
+        const contactEmails = [
+          ...all(component, 'CONTACT').map(p => p.value.match(/[^\s<>:]+@[^\s<>]+/)?.[0]?.toLowerCase()),
+          ...all(component, 'ATTENDEE').map(p => mailto(p.value))
+        ].filter(Boolean);
+
+        entries.push({
+          row: entries.length + 1,
+          kind: 'todo',
+          item: {
+            uid: text(component, 'UID'),
+            status: (text(component, 'STATUS') || 'needs-action').toLowerCase(),
+            summary: text(component, 'SUMMARY'),
+            description: text(component, 'DESCRIPTION'),
+            due: due ? due.date.toISOString() : null,
+            timezone: due?.timezone || null,
+            priority: priority === 0 ? null : priority < 5 ? 'high' : priority === 5 ? 'medium' : 'low',
+            recurrence: first(component, 'RRULE')?.value.trim() || null,
+            contactId: parseInt(text(component, 'X-CRM-CONTACT-ID')) || null,
+            contactEmails,
+            assignedTo: text(component, 'X-CRM-ASSIGNED-TO')
+          }
+        });
+      }
+    }
+  }
+
+  return entries;
+}
+
+// ============ WRITING ============
+
+/**
+ * UID of a task or interaction: the one it was imported with, else one
+ * made from its ID. Every occurrence of a recurring task shares its series' UID.
+ */
+export function calendarUid(kind, row, agentId) {
+  if (kind === 'task') {
+    return row.external_id || `crm-task-${row.series_id || row.id}@${agentId}`;
+  }
+  return row.metadata?.uid || row.external_id || `crm-interaction-${row.id}@${agentId}`;
+}
+
+/**
+ * Read a UID made by calendarUid() back into { kind, id }
+ * @returns {Object|null} null for other UIDs, or ones made for another agent
+ */
+export function parseCalendarUid(uid, agentId) {
+  const match = (uid || '').match(/^crm-(task|interaction)-(\d+)@(.*)$/);
+  return match && match[3] === agentId ? { kind: match[1], id: parseInt(match[2]) } : null;
+}
+
+/**
+ * Write tasks and scheduled interactions as an iCalendar file
+ * @param {Object[]} tasks - crm_tasks rows (open ones become VTODOs)
+ * @param {Object[]} interactions - crm_interactions rows with scheduled_at (VEVENTs);
+ *   rows for the same event (one per contact) are written once with every contact attending
+ * @param {Object} options - { timezone?, agentId?, name?, now? }
+ *   timezone: zone to write times in, unless an interaction came with its own
+ *   (default: the process's, which recurring tasks are scheduled in)
+ *   name: calendar name (X-WR-CALNAME)
+ * @returns {string}
+ */
+export function toICalendar(tasks, interactions, options = {}) {
+  const agentId = options.agentId || 'default';
+  const defaultZone = options.timezone || localTimeZone();
+  const stamp = formatUtc(options.now || new Date());
+  const years = new Map();
+  const lines = [];
+
+  const zoneFor = name => (name && isTimeZone(name) ? name : defaultZone);
+  const time = (name, date, timeZone, allDay = false) => {
+    if (allDay) {
+      return `${name};VALUE=DATE:${formatLocal(wallClock(new Date(date), timeZone)).slice(0, 8)}`;
+    }
+    if (timeZone === 'UTC') return `${name}:${formatUtc(date)}`;
+    const year = new Date(date).getUTCFullYear();
+    const [low, high] = years.get(timeZone) || [year, year];
+    years.set(timeZone, [Math.min(low, year), Math.max(high, year)]);
+    return `${name};TZID=${timeZone}:${formatLocal(wallClock(new Date(date), timeZone))}`;
+  };
+
+  for (const task of tasks.filter(t => !t.completed)) {
+    const zone = defaultZone;
+    lines.push('BEGIN:VTODO', `UID:${calendarUid('task', task, agentId)}`, `DTSTAMP:${stamp}`);
+    lines.push(`SUMMARY:${escapeText(task.title)}`);
+    if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    if (task.due_at) {
+      if (task.recurrence) lines.push(time('DTSTART', task.due_at, zone));
+      lines.push(time('DUE', task.due_at, zone));
+    }
+    if (task.recurrence && task.due_at) {
+      // COUNT counts the whole series; this is occurrence N of it
+      const rule = parseRecurrence(task.recurrence);
+      if (rule.count) rule.count = Math.max(1, rule.count - (task.occurrence || 1) + 1);
+      lines.push(`RRULE:${formatRecurrence(rule)}`);
+    }
+    lines.push(`PRIORITY:${PRIORITY_VALUES[task.priority] ?? 0}`, 'STATUS:NEEDS-ACTION');
+    if (task.crm_contacts) {
+      const { name, email } = task.crm_contacts;
+      lines.push(`CONTACT:${escapeText(email ? `${name} <${email}>` : name)}`);
+    }
+    if (task.contact_id) lines.push(`X-CRM-CONTACT-ID:${task.contact_id}`);
+    if (task.assigned_to) lines.push(`X-CRM-ASSIGNED-TO:${escapeText(task.assigned_to)}`);
+    lines.push(`CREATED:${formatUtc(task.created_at)}`, 'END:VTODO');
+  }
+
+  // One VEVENT per event, with every contact it was logged on as an attendee
+  const events = new Map();
+  for (const interaction of interactions.filter(i => i.scheduled_at)) {
+    const uid = calendarUid('interaction', interaction, agentId);
+    const key = `${uid}|${interaction.metadata?.recurrenceId || ''}`;
+    if (!events.has(key)) events.set(key, { uid, interaction, contacts: [] });
+    if (interaction.crm_contacts) events.get(key).contacts.push(interaction.crm_contacts);
+  }
+
+  for (const { uid, interaction, contacts } of events.values()) {
+    const metadata = interaction.metadata || {};
+    const zone = zoneFor(metadata.timezone);
+    const minutes = metadata.duration > 0 ? metadata.duration : DEFAULT_EVENT_MINUTES;
+    const end = new Date(new Date(interaction.scheduled_at).getTime() + minutes * MINUTE_MS);
+    const summary = interaction.subject ||
+      `${interaction.type[0].toUpperCase()}${interaction.type.slice(1)}${contacts[0] ? ` with ${contacts[0].name}` : ''}`;
+
+    lines.push('BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${stamp}`);
+    if (metadata.recurrenceId) lines.push(time('RECURRENCE-ID', metadata.recurrenceId, zone, metadata.allDay));
+    if (metadata.sequence) lines.push(`SEQUENCE:${metadata.sequence}`);
+    lines.push(time('DTSTART', interaction.scheduled_at, zone, metadata.allDay));
+    lines.push(time('DTEND', end, zone, metadata.allDay));
+    if (metadata.recurrence) lines.push(`RRULE:${metadata.recurrence}`);
+    lines.push(`SUMMARY:${escapeText(summary)}`);
+    if (interaction.content) lines.push(`DESCRIPTION:${escapeText(interaction.content)}`);
+    if (metadata.location) lines.push(`LOCATION:${escapeText(metadata.location)}`);
+    lines.push(`CATEGORIES:${escapeText(interaction.type.toUpperCase())}`);
+    lines.push(`STATUS:${(metadata.status || 'confirmed').toUpperCase()}`);
+    if (metadata.organizer?.email) {
+      const cn = metadata.organizer.name ? `;CN=${quoteParam(metadata.organizer.name)}` : '';
+      lines.push(`ORGANIZER${cn}:mailto:${metadata.organizer.email}`);
+    }
+    // The CRM's contacts, then anyone else who was invited
+    const attendees = new Map();
+    for (const contact of contacts.filter(c => c.email)) {
+      attendees.set(contact.email.toLowerCase(), { name: contact.name, email: contact.email.toLowerCase() });
+    }
+    for (const attendee of metadata.attendees || []) {
+      if (!attendees.has(attendee.email)) attendees.set(attendee.email, attendee);
+    }
+    for (const attendee of attendees.values()) {
+      const cn = attendee.name ? `;CN=${quoteParam(attendee.name)}` : '';
+      lines.push(`ATTENDEE${cn};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+    }
+    if (contacts.length === 1) lines.push(`X-CRM-CONTACT-ID:${interaction.contact_id}`);
+    lines.push(`X-CRM-TYPE:${escapeText(interaction.type)}`, 'END:VEVENT');
+  }
+
+  // Time zone definitions reach a couple of years ahead, for recurrences
+  const thisYear = new Date().getUTCFullYear();
+  const zones = [...years].flatMap(([zone, [low, high]]) => vtimezone(zone, low, Math.max(high, thisYear) + 2));
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    ...(options.name ? [`X-WR-CALNAME:${escapeText(options.name)}`] : []),
+    ...zones,
+    ...lines,
+    'END:VCALENDAR'
+  ].map(fold).join('\r\n') + '\r\n';
+}
@@ -2,7 +2,37 @@
  * CRM Module - Main export
  */
 
-export { CRM } from './crm.js';
-export { createDatabase } from './db.js';
+import { CRM } from './crm.js';
+
+export { CRM };
+export { createDatabase, SupabaseDB } from './db.js';
+export { MemoryDB } from './adapters/memory.js';
+export { SQLiteDB } from './adapters/sqlite.js';
+export { EVENT_TYPES } from './events.js';
+export { CrmError, CrmValidationError, CrmNotFoundError, CrmConflictError, CrmBackendError } from './errors.js';
+export {
+  DEFAULT_INTERACTION_TYPES,
+  PRIORITIES,
+  DEAL_STATUSES,
+  PHONE_VALIDATION,
+  normalizePhone,
+  normalizeCurrency,
+  validateStage,
+  validateCompany,
+  validateContact,
+  validateDeal,
+  validateExchangeRate,
+  validateInteraction,
+  validateTask
+} from './validation.js';
+export { parseSearchQuery } from './search.js';
+export { createConverter, convertDeals, formatMoney } from './currency.js';
+export { DEFAULT_SCORING_MODEL, validateScoringModel, scoreLead } from './scoring.js';
+export { parseEmail, parseMailFile, splitMbox } from './email.js';
+export { icalendarToEntries, toICalendar, parseICalendar } from './ical.js';
+export { createServer, openApiDocument, parseApiKeys, API_VERSION } from './server.js';
+export { serveMcp, handleMcpMessage, toolDefinitions, callTool, MCP_PROTOCOL_VERSION } from './mcp.js';
+export { Migrator, PostgresDriver, SQLiteDriver, MIGRATIONS_TABLE } from './migrate.js';
+export { WebhookDispatcher, signPayload, verifySignature, readDeadLetters } from './webhooks.js';
 
 export default CRM;
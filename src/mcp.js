@@ -0,0 +1,651 @@
+/**
+ * Tools for LLM agents: a Model Context Protocol server and
+ * function-calling definitions
+ *
+ * TOOLS describes each CRM operation an agent may call, with a JSON
+ * Schema for its arguments. The same definitions are served three ways:
+ *   serveMcp()         MCP over stdio (newline-delimited JSON-RPC 2.0),
+ *                      as run by `crm mcp`
+ *   toolDefinitions()  OpenAI or Anthropic function-calling format, for
+ *                      agents that call the model API directly
+ *   callTool()         runs a tool call from either, returning text
+ *
+ * Tool results are short text rather than rows: one line per record with
+ * only the fields that are set, so listing 50 contacts doesn't spend the
+ * agent's context on nulls and timestamps. IDs are always included so the
+ * agent can follow up with get_contact, complete_task and so on.
+ *
+ * Resources (MCP only) give read-only summaries: the pipeline, who to
+ * contact next, open tasks, and one contact's card.
+ */
+
+import { createInterface } from 'readline';
+import { CrmError, CrmValidationError, CrmNotFoundError } from './errors.js';
+import { DEFAULT_INTERACTION_TYPES, PRIORITIES } from './validation.js';
+import { formatMoney } from './currency.js';
+import { describeRecurrence } from './recurrence.js';
+
+export const MCP_PROTOCOL_VERSION = '2025-06-18';
+
+const SUPPORTED_PROTOCOL_VERSIONS = [MCP_PROTOCOL_VERSION, '2025-03-26', '2024-11-05'];
+
+const SERVER_INFO = { name: 'crm', version: '1.0.0' };
+
+const INSTRUCTIONS = 'CRM for contacts, a deal pipeline, interactions and follow-up tasks. ' +
+  'Find contacts with search_contacts before creating one, to avoid duplicates. ' +
+  'Log what happened with add_note or log_interaction, and follow-ups with add_task.';
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const RESOURCE_NOT_FOUND = -32002;
+
+const LIST_LIMIT = 20;
+const TEXT_LIMIT = 200;
+
+// ============ FORMATTING ============
+
+const day = iso => (iso ? iso.slice(0, 10) : null);
+
+function clip(text, length = TEXT_LIMIT) {
+  if (!text) return '';
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+}
+
+// Join the parts that are set, e.g. ['#3 Ann', null, 'vip'] -> '#3 Ann | vip'
+const line = parts => parts.filter(Boolean).join(' | ');
+
+function contactLine(c) {
+  return line([
+    `#${c.id} ${c.name}${c.email ? ` <${c.email}>` : ''}`,
+    c.company && `${c.company}${c.role ? ` (${c.role})` : ''}`,
+    `stage: ${c.crm_stages?.name || 'none'}`,
+    Number(c.deal_value) > 0 && formatMoney(c.deal_value, c.currency, { whole: true }),
+    c.score !== null && c.score !== undefined && `score ${c.score}`,
+    c.tags?.length > 0 && `tags: ${c.tags.join(', ')}`,
+    c.assigned_to && `assigned: ${c.assigned_to}`,
+    !c.is_active && `LOST${c.lost_reason ? ` (${c.lost_reason})` : ''}`
+  ]);
+}
+
+function interactionLine(i) {
+  return line([
+    `#${i.id} ${day(i.scheduled_at || i.created_at)} ${i.type}${i.scheduled_at ? ' (scheduled)' : ''}`,
+    i.crm_contacts?.name && `with ${i.crm_contacts.name} (#${i.contact_id})`,
+    i.created_by && `by ${i.created_by}`,
+    i.subject && clip(i.subject, 80),
+    clip(i.content)
+  ]);
+}
+
+function taskLine(t) {
+  const overdue = !t.completed && t.due_at && t.due_at < new Date().toISOString();
+  return line([
+    `#${t.id} [${t.completed ? 'x' : ' '}] ${t.title}`,
+    t.due_at && `due ${day(t.due_at)}${overdue ? ' OVERDUE' : ''}`,
+    t.priority !== 'medium' && t.priority,
+    t.contact_id && `contact: ${t.crm_contacts?.name ? `${t.crm_contacts.name} ` : ''}#${t.contact_id}`,
+    t.assigned_to && `assigned: ${t.assigned_to}`,
+    t.recurrence && `repeats ${describeRecurrence(t.recurrence)}`
+  ]);
+}
+
+function stageLine(s) {
+  return line([`#${s.id} ${s.name}`, s.win_probability !== null && s.win_probability !== undefined && `${s.win_probability}% win`]);
+}
+
+function listText(noun, rows, format, nextCursor) {
+  if (rows.length === 0) return `No ${noun} found.`;
+  const more = nextCursor ? `\nMore: pass cursor "${nextCursor}"` : '';
+  return `${rows.length} ${noun}:\n${rows.map(format).join('\n')}${more}`;
+}
+
+async function contactCard(crm, id) {
+  const [contact, interactions, tasks] = await Promise.all([
+    crm.getContact(id),
+    crm.listInteractions({ contactId: id, limit: 5 }),
+    crm.listTasks({ contactId: id, completed: false, limit: 10 })
+  ]);
+  const fields = line([
+    contact.phone && `phone ${contact.phone}`,
+    contact.source && `source: ${contact.source}${contact.source_detail ? ` (${contact.source_detail})` : ''}`,
+    contact.last_contact_at && `last contact ${day(contact.last_contact_at)}`,
+    contact.expected_close_at && `expected close ${day(contact.expected_close_at)}`,
+    `created ${day(contact.created_at)}`
+  ]);
+  const custom = Object.entries(contact.custom_fields || {}).map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  const reasons = (contact.score_reasons || []).map(r => `${r.points > 0 ? '+' : ''}${r.points} ${r.reason}`);
+
+  return [
+    contactLine(contact),
+    fields,
+    custom.length > 0 && `Custom: ${custom.join('; ')}`,
+    reasons.length > 0 && `Score: ${reasons.join(', ')}`,
+    `Recent interactions:${interactions.length ? '' : ' none'}`,
+    ...interactions.map(i => `  ${interactionLine(i)}`),
+    `Open tasks:${tasks.length ? '' : ' none'}`,
+    ...tasks.map(t => `  ${taskLine(t)}`)
+  ].filter(Boolean).join('\n');
+}
+
+function pipelineText(pipeline) {
+  const money = value => formatMoney(value, pipeline.currency, { whole: true });
+  const missing = pipeline.missingRates?.length ? `\nNot converted (no exchange rate): ${pipeline.missingRates.join(', ')}` : '';
+  return [
+    `Pipeline (${pipeline.currency}): ${pipeline.totalDeals} open deals, ${money(pipeline.totalValue)} total, ${money(pipeline.weightedValue)} weighted`,
+    ...pipeline.stages.map(s => `  #${s.id} ${s.name}: ${s.count} deals, ${money(s.value)}`)
+  ].join('\n') + missing;
+}
+
+function forecastText(result) {
+  const money = value => formatMoney(value, result.currency, { whole: true });
+  const bucket = (label, b) => `  ${label}: ${b.count} deals, ${money(b.weighted)} weighted (best ${money(b.bestCase)}, worst ${money(b.worstCase)})`;
+  return [
+    `Forecast by ${result.period} (${result.currency}):`,
+    ...result.buckets.map(b => bucket(b.period, b)),
+    result.unscheduled.count > 0 && bucket('no close date', result.unscheduled),
+    bucket('total', result.totals)
+  ].filter(Boolean).join('\n');
+}
+
+// ============ TOOLS ============
+
+const integer = description => ({ type: 'integer', description });
+const string = description => ({ type: 'string', description });
+const dateTime = description => ({ type: 'string', format: 'date-time', description });
+
+const CONTACT_PROPERTIES = {
+  name: string('Full name'),
+  email: string('Email address'),
+  phone: string('Phone number, ideally with country code (+61 412 345 678)'),
+  company: string('Company name'),
+  role: string('Job title'),
+  source: string('Where the lead came from, e.g. referral, website'),
+  assignedTo: string('Owner (user name)'),
+  tags: { type: 'array', items: { type: 'string' }, description: 'Tags; replaces existing tags on update' },
+  dealValue: { type: 'number', description: 'Deal value' },
+  currency: string('ISO 4217 currency of dealValue, e.g. USD'),
+  stageId: integer('Pipeline stage ID (see list_stages)'),
+  expectedCloseAt: dateTime('Expected close date'),
+  customFields: { type: 'object', description: 'Custom fields, e.g. { "industry": "retail" }; replaces existing ones on update' }
+};
+
+function pick(args, keys) {
+  return Object.fromEntries(keys.filter(key => args[key] !== undefined).map(key => [key, args[key]]));
+}
+
+// Resolve a stage given by name or ID, as agents tend to know the name
+async function findStage(crm, stage) {
+  const stages = await crm.listStages();
+  const wanted = String(stage).trim().toLowerCase();
+  const found = stages.find(s => String(s.id) === wanted || s.name.toLowerCase() === wanted);
+  if (!found) {
+    throw CrmValidationError.field('stage', `no stage "${stage}" (stages: ${stages.map(s => s.name).join(', ')})`, stage);
+  }
+  return found;
+}
+
+/**
+ * Every tool: name, description, JSON Schema input, readOnly, and
+ * run(crm, args, { actor }) returning the result text
+ */
+const TOOLS = [
+  {
+    name: 'search_contacts',
+    description: 'Search contacts by name, email, company, tags and notes. Supports filters such as ' +
+      'tag:vip, stage:proposal, value>5000, company:acme and "quoted phrases".',
+    readOnly: true,
+    input: {
+      properties: { query: string('Search text and filters'), limit: integer(`Most results (default ${LIST_LIMIT})`) },
+      required: ['query']
+    },
+    run: async (crm, args) => listText('contacts', await crm.search(args.query, { limit: args.limit || LIST_LIMIT }), contactLine)
+  },
+  {
+    name: 'list_contacts',
+    description: 'List contacts, most recently updated first, optionally filtered.',
+    readOnly: true,
+    input: {
+      properties: {
+        stageId: integer('Only this stage'),
+        assignedTo: string('Only contacts owned by this user'),
+        tags: { type: 'array', items: { type: 'string' }, description: 'Contacts with any of these tags' },
+        isActive: { type: 'boolean', description: 'false for lost contacts' },
+        minScore: integer('Lead score at least this'),
+        limit: integer(`Page size (default ${LIST_LIMIT})`),
+        cursor: string('Cursor from the previous page')
+      }
+    },
+    run: async (crm, args) => {
+      const { items, nextCursor } = await crm.pageContacts({
+        ...pick(args, ['stageId', 'assignedTo', 'tags', 'isActive', 'minScore', 'cursor']),
+        limit: args.limit || LIST_LIMIT
+      });
+      return listText('contacts', items, contactLine, nextCursor);
+    }
+  },
+  {
+    name: 'get_contact',
+    description: "A contact's details with their recent interactions and open tasks.",
+    readOnly: true,
+    input: { properties: { contactId: integer('Contact ID') }, required: ['contactId'] },
+    run: (crm, args) => contactCard(crm, args.contactId)
+  },
+  {
+    name: 'next_contacts',
+    description: 'Active contacts with the highest lead scores, with the reasons for each score: who to work on next.',
+    readOnly: true,
+    input: { properties: { assignedTo: string('Only contacts owned by this user'), limit: integer('How many (default 10)') } },
+    run: async (crm, args) => {
+      const contacts = await crm.nextContacts(pick(args, ['assignedTo', 'limit']));
+      return listText('contacts', contacts, c => {
+        const reasons = (c.score_reasons || []).map(r => `${r.points > 0 ? '+' : ''}${r.points} ${r.reason}`);
+        return reasons.length ? `${contactLine(c)}\n    ${reasons.join(', ')}` : contactLine(c);
+      });
+    }
+  },
+  {
+    name: 'create_contact',
+    description: 'Create a contact. Search first to avoid duplicates. A stageId or dealValue also opens a deal.',
+    input: { properties: CONTACT_PROPERTIES, required: ['name'] },
+    run: async (crm, args, { actor }) => `Created ${contactLine(await crm.createContact(args, { actor }))}`
+  },
+  {
+    name: 'update_contact',
+    description: "Change a contact's fields. Only the fields given are changed.",
+    input: {
+      properties: {
+        contactId: integer('Contact ID'),
+        ...CONTACT_PROPERTIES,
+        isActive: { type: 'boolean', description: 'false marks the contact lost; true reactivates them' },
+        lostReason: string('Why the contact was lost')
+      },
+      required: ['contactId']
+    },
+    run: async (crm, { contactId, ...updates }, { actor }) => `Updated ${contactLine(await crm.updateContact(contactId, updates, { actor }))}`
+  },
+  {
+    name: 'move_stage',
+    description: 'Move a contact to another pipeline stage.',
+    input: {
+      properties: { contactId: integer('Contact ID'), stage: string('Stage name or ID, e.g. Proposal') },
+      required: ['contactId', 'stage']
+    },
+    run: async (crm, args, { actor }) => {
+      const stage = await findStage(crm, args.stage);
+      return `Moved ${contactLine(await crm.moveStage(args.contactId, stage.id, { actor }))}`;
+    }
+  },
+  {
+    name: 'mark_lost',
+    description: 'Mark a contact as lost, with the reason.',
+    input: { properties: { contactId: integer('Contact ID'), reason: string('Why it was lost') }, required: ['contactId'] },
+    run: async (crm, args, { actor }) => `Marked lost: ${contactLine(await crm.markLost(args.contactId, args.reason, { actor }))}`
+  },
+  {
+    name: 'list_stages',
+    description: 'Pipeline stages in order, with their win probabilities.',
+    readOnly: true,
+    input: { properties: {} },
+    run: async crm => listText('stages', await crm.listStages(), stageLine)
+  },
+  {
+    name: 'add_note',
+    description: 'Add a note to a contact.',
+    input: { properties: { contactId: integer('Contact ID'), content: string('The note') }, required: ['contactId', 'content'] },
+    run: async (crm, args, { actor }) => {
+      const note = await crm.addInteraction({ contactId: args.contactId, type: 'note', content: args.content, createdBy: actor }, { actor });
+      return `Added ${interactionLine(note)}`;
+    }
+  },
+  {
+    name: 'log_interaction',
+    description: 'Log a call, email, meeting or other interaction with a contact, or schedule one with scheduledAt.',
+    input: {
+      properties: {
+        contactId: integer('Contact ID'),
+        type: string(`Interaction type: ${DEFAULT_INTERACTION_TYPES.join(', ')}`),
+        subject: string('Subject or title'),
+        content: string('What was said or agreed'),
+        occurredAt: dateTime('When it happened, if not now'),
+        scheduledAt: dateTime('When it is planned, for future meetings and calls')
+      },
+      required: ['contactId', 'type']
+    },
+    run: async (crm, args, { actor }) => `Logged ${interactionLine(await crm.addInteraction({ ...args, createdBy: actor }, { actor }))}`
+  },
+  {
+    name: 'list_interactions',
+    description: 'Interactions, newest first: the history with one contact, or recent activity overall.',
+    readOnly: true,
+    input: {
+      properties: {
+        contactId: integer('Only this contact'),
+        type: string('Only this type, e.g. call'),
+        limit: integer(`Page size (default ${LIST_LIMIT})`),
+        cursor: string('Cursor from the previous page')
+      }
+    },
+    run: async (crm, args) => {
+      const { items, nextCursor } = await crm.pageInteractions({
+        ...pick(args, ['contactId', 'type', 'cursor']),
+        limit: args.limit || LIST_LIMIT
+      });
+      return listText('interactions', items, interactionLine, nextCursor);
+    }
+  },
+  {
+    name: 'list_tasks',
+    description: 'Tasks, open ones by default, soonest due first.',
+    readOnly: true,
+    input: {
+      properties: {
+        contactId: integer('Only this contact'),
+        assignedTo: string('Only tasks assigned to this user'),
+        priority: { type: 'string', enum: PRIORITIES },
+        completed: { type: 'boolean', description: 'true for done tasks (default false)' },
+        dueBefore: dateTime('Due on or before; the current time lists overdue tasks'),
+        limit: integer(`Most tasks (default ${LIST_LIMIT})`)
+      }
+    },
+    run: async (crm, args) => {
+      const tasks = await crm.listTasks({
+        ...pick(args, ['contactId', 'assignedTo', 'priority', 'dueBefore']),
+        completed: args.completed ?? false,
+        limit: args.limit || LIST_LIMIT
+      });
+      tasks.sort((a, b) => (a.due_at || '9999').localeCompare(b.due_at || '9999'));
+      return listText('tasks', tasks, taskLine);
+    }
+  },
+  {
+    name: 'add_task',
+    description: 'Add a follow-up task, optionally for a contact and repeating.',
+    input: {
+      properties: {
+        title: string('What to do'),
+        contactId: integer('Contact ID'),
+        dueAt: dateTime('Due date'),
+        priority: { type: 'string', enum: PRIORITIES },
+        assignedTo: string('User to do it'),
+        description: string('Details'),
+        recurrence: string('Repeat rule: daily, weekly, monthly, yearly, weekdays or an RRULE such as FREQ=WEEKLY;BYDAY=MO')
+      },
+      required: ['title']
+    },
+    run: async (crm, args, { actor }) => `Added ${taskLine(await crm.addTask(args, { actor }))}`
+  },
+  {
+    name: 'complete_task',
+    description: 'Mark a task done. A repeating task schedules its next occurrence.',
+    input: { properties: { taskId: integer('Task ID') }, required: ['taskId'] },
+    run: async (crm, args, { actor }) => {
+      const task = await crm.completeTask(args.taskId, { actor });
+      return `Completed ${taskLine(task)}${task.next_task ? `\nNext: ${taskLine(task.next_task)}` : ''}`;
+    }
+  },
+  {
+    name: 'pipeline_summary',
+    description: 'Open deals and their value in each stage, in the reporting currency.',
+    readOnly: true,
+    input: { properties: { currency: string('Report in this currency instead') } },
+    run: async (crm, args) => pipelineText(await crm.getPipelineStats(pick(args, ['currency'])))
+  },
+  {
+    name: 'forecast',
+    description: 'Weighted revenue forecast by expected close month or quarter.',
+    readOnly: true,
+    input: {
+      properties: {
+        period: { type: 'string', enum: ['month', 'quarter'] },
+        currency: string('Report in this currency instead')
+      }
+    },
+    run: async (crm, args) => forecastText(await crm.getForecast(pick(args, ['period', 'currency'])))
+  }
+];
+
+const TOOLS_BY_NAME = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+function inputSchema(tool, interactionTypes) {
+  const schema = { type: 'object', properties: tool.input.properties, ...(tool.input.required && { required: tool.input.required }) };
+  if (tool.name === 'log_interaction' && interactionTypes) {
+    schema.properties = { ...schema.properties, type: { type: 'string', enum: interactionTypes } };
+  }
+  return schema;
+}
+
+/**
+ * Tool definitions for function calling
+ * @param {string} format - 'mcp' (default), 'openai' or 'anthropic'
+ * @param {Object} options - { interactionTypes? } the allowed interaction
+ *   types (e.g. crm.interactionTypes), listed as an enum
+ * @returns {Object[]}
+ */
+export function toolDefinitions(format = 'mcp', options = {}) {
+  return TOOLS.map(tool => {
+    const schema = inputSchema(tool, options.interactionTypes);
+    switch (format) {
+      case 'openai':
+        return { type: 'function', function: { name: tool.name, description: tool.description, parameters: schema } };
+      case 'anthropic':
+        return { name: tool.name, description: tool.description, input_schema: schema };
+      case 'mcp':
+        return { name: tool.name, description: tool.description, inputSchema: schema, annotations: { readOnlyHint: Boolean(tool.readOnly) } };
+      default:
+        throw CrmValidationError.field('format', 'expected mcp, openai or anthropic', format);
+    }
+  });
+}
+
+// Check arguments against the tool's schema, accepting numbers and booleans
+// sent as strings (models often do)
+function readArguments(tool, args = {}) {
+  if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+    throw new CrmValidationError(`Invalid arguments for ${tool.name}`, [{ message: 'arguments must be an object' }]);
+  }
+  const output = {};
+  const details = [];
+  for (const [name, spec] of Object.entries(tool.input.properties)) {
+    let value = args[name];
+    if (value === undefined || value === null) continue;
+    if ((spec.type === 'integer' || spec.type === 'number') && typeof value === 'string' && value.trim() !== '') {
+      value = Number(value);
+    } else if (spec.type === 'boolean' && (value === 'true' || value === 'false')) {
+      value = value === 'true';
+    } else if (spec.type === 'array' && typeof value === 'string') {
+      value = value.split(',').map(v => v.trim()).filter(Boolean);
+    }
+    const valid = spec.type === 'integer' ? Number.isInteger(value)
+      : spec.type === 'number' ? Number.isFinite(value)
+        : spec.type === 'array' ? Array.isArray(value)
+          : spec.type === 'object' ? typeof value === 'object' && !Array.isArray(value)
+            : typeof value === spec.type;
+    if (!valid) {
+      details.push({ field: name, message: `must be ${spec.type === 'integer' ? 'an integer' : `a ${spec.type}`}`, value: args[name] });
+    } else if (spec.enum && !spec.enum.includes(value)) {
+      details.push({ field: name, message: `expected ${spec.enum.join(', ')}`, value });
+    }
+    output[name] = value;
+  }
+  for (const name of tool.input.required || []) {
+    if (output[name] === undefined || output[name] === '') details.push({ field: name, message: 'is required' });
+  }
+  if (details.length > 0) {
+    throw new CrmValidationError(`Invalid arguments for ${tool.name}`, details);
+  }
+  return output;
+}
+
+/**
+ * Run a tool call
+ * @param {CRM} crm
+ * @param {string} name - tool name
+ * @param {Object} args - the call's arguments
+ * @param {Object} options - { actor? } recorded as the author (default 'agent')
+ * @returns {Promise<string>} the result text
+ * @throws {CrmNotFoundError} for an unknown tool, and CrmErrors from the CRM
+ */
+export async function callTool(crm, name, args, options = {}) {
+  const tool = TOOLS_BY_NAME.get(name);
+  if (!tool) throw new CrmNotFoundError('tool', name);
+  return tool.run(crm, readArguments(tool, args), { actor: options.actor || 'agent' });
+}
+
+// A failed call as text the model can act on, e.g. fix a field and retry
+function errorText(err) {
+  const details = Array.isArray(err.details)
+    ? err.details.map(d => `\n- ${d.field ? `${d.field}: ` : ''}${d.message}`).join('')
+    : '';
+  return `Error (${err.code}): ${err.message.split(': ')[0]}${details}`;
+}
+
+// ============ RESOURCES ============
+
+const RESOURCES = [
+  {
+    uri: 'crm://pipeline',
+    name: 'Pipeline summary',
+    description: 'Open deals and value by stage',
+    read: async crm => pipelineText(await crm.getPipelineStats())
+  },
+  {
+    uri: 'crm://contacts/next',
+    name: 'Contacts to work on next',
+    description: 'Active contacts with the highest lead scores',
+    read: async crm => TOOLS_BY_NAME.get('next_contacts').run(crm, { limit: LIST_LIMIT }, {})
+  },
+  {
+    uri: 'crm://tasks/open',
+    name: 'Open tasks',
+    description: 'Open tasks, soonest due first',
+    read: async crm => TOOLS_BY_NAME.get('list_tasks').run(crm, { limit: 50 }, {})
+  }
+];
+
+const CONTACT_TEMPLATE = {
+  uriTemplate: 'crm://contacts/{id}',
+  name: 'Contact',
+  description: "A contact's details, recent interactions and open tasks"
+};
+
+async function readResource(crm, uri) {
+  const resource = RESOURCES.find(r => r.uri === uri);
+  if (resource) return resource.read(crm);
+  const contactId = uri.match(/^crm:\/\/contacts\/(\d+)$/)?.[1];
+  if (contactId) return contactCard(crm, parseInt(contactId));
+  return null;
+}
+
+// ============ MCP SERVER ============
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.rpcCode = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Handle one JSON-RPC message
+ * @returns {Promise<Object|null>} the response, or null for notifications
+ */
+export async function handleMcpMessage(crm, message, options = {}) {
+  const isRequest = message && typeof message === 'object' && message.jsonrpc === '2.0' && typeof message.method === 'string';
+  if (!isRequest) {
+    return { jsonrpc: '2.0', id: message?.id ?? null, error: { code: INVALID_REQUEST, message: 'Invalid JSON-RPC request' } };
+  }
+  const { id, method, params = {} } = message;
+  const isNotification = id === undefined;
+
+  try {
+    const result = await dispatch(crm, method, params, options);
+    return isNotification ? null : { jsonrpc: '2.0', id, result };
+  } catch (err) {
+    if (isNotification) return null;
+    if (err instanceof RpcError) {
+      return { jsonrpc: '2.0', id, error: { code: err.rpcCode, message: err.message, ...(err.data && { data: err.data }) } };
+    }
+    options.log?.(`Error in ${method}: ${err.stack || err.message}`);
+    return { jsonrpc: '2.0', id, error: { code: -32603, message: err.message } };
+  }
+}
+
+async function dispatch(crm, method, params, options) {
+  switch (method) {
+    case 'initialize':
+      return {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : MCP_PROTOCOL_VERSION,
+        capabilities: { tools: {}, resources: {} },
+        serverInfo: SERVER_INFO,
+        instructions: INSTRUCTIONS
+      };
+    case 'ping':
+      return {};
+    case 'tools/list':
+      return { tools: toolDefinitions('mcp', { interactionTypes: crm.interactionTypes }) };
+    case 'tools/call': {
+      if (!TOOLS_BY_NAME.has(params.name)) {
+        throw new RpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+      }
+      try {
+        const text = await callTool(crm, params.name, params.arguments, options);
+        return { content: [{ type: 'text', text }] };
+      } catch (err) {
+        if (!(err instanceof CrmError)) throw err;
+        return { content: [{ type: 'text', text: errorText(err) }], isError: true };
+      }
+    }
+    case 'resources/list':
+      return { resources: RESOURCES.map(({ uri, name, description }) => ({ uri, name, description, mimeType: 'text/plain' })) };
+    case 'resources/templates/list':
+      return { resourceTemplates: [{ ...CONTACT_TEMPLATE, mimeType: 'text/plain' }] };
+    case 'resources/read': {
+      let text;
+      try {
+        text = await readResource(crm, params.uri);
+      } catch (err) {
+        if (!(err instanceof CrmNotFoundError)) throw err;
+      }
+      if (text === undefined || text === null) {
+        throw new RpcError(RESOURCE_NOT_FOUND, `Resource not found: ${params.uri}`, { uri: params.uri });
+      }
+      return { contents: [{ uri: params.uri, mimeType: 'text/plain', text }] };
+    }
+    default:
+      if (method.startsWith('notifications/')) return null;
+      throw new RpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+}
+
+/**
+ * Serve MCP over stdio until the input closes
+ * Messages are one JSON object per line and are handled in order.
+ * stdout carries only protocol messages; log lines go to options.log.
+ * @param {CRM} crm
+ * @param {Object} options - { input?, output?, actor?, log? }
+ *   input/output: streams (default process.stdin/stdout)
+ *   actor: recorded as the author of changes (default 'agent')
+ *   log: called with diagnostic lines, e.g. to write to stderr
+ */
+export async function serveMcp(crm, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const lines = createInterface({ input, crlfDelay: Infinity });
+
+  for await (const text of lines) {
+    if (!text.trim()) continue;
+    let response;
+    try {
+      const message = JSON.parse(text);
+      response = await handleMcpMessage(crm, message, options);
+    } catch (err) {
+      response = { jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: `Parse error: ${err.message}` } };
+    }
+    if (response) output.write(JSON.stringify(response) + '\n');
+  }
+}
@@ -0,0 +1,410 @@
+/**
+ * Versioned schema migrations
+ *
+ * Migrations live in src/migrations as numbered files. Each one lists
+ * schema operations (see migrations/ops.js) for `up` and `down`, which are
+ * rendered to Postgres or SQLite SQL. Applied versions are recorded in
+ * the crm_schema_migrations table.
+ *
+ * Every statement is idempotent (`if not exists`), so a database created
+ * from the SQL previously published in README.md can be brought under
+ * migrations by running `crm migrate up`.
+ *
+ * Postgres (Supabase) migrations run over a direct connection using the
+ * optional `pg` package; set CRM_DATABASE_URL (or DATABASE_URL). The
+ * Supabase REST API can't run DDL, so without a connection string use
+ * `crm migrate up --dry-run` and paste the SQL into the SQL editor.
+ */
+
+import { createRequire } from 'module';
+import { MIGRATIONS } from './migrations/index.js';
+import { CrmBackendError } from './errors.js';
+
+const require = createRequire(import.meta.url);
+
+export const MIGRATIONS_TABLE = 'crm_schema_migrations';
+
+const COLUMN_TYPES = {
+  postgres: {
+    serial: 'serial primary key',
+    text: 'text',
+    integer: 'integer',
+    decimal: 'decimal',
+    boolean: 'boolean',
+    timestamptz: 'timestamptz',
+    json: 'jsonb',
+    array: 'text[]'
+  },
+  sqlite: {
+    serial: 'integer primary key autoincrement',
+    text: 'text',
+    integer: 'integer',
+    decimal: 'real',
+    boolean: 'integer',
+    timestamptz: 'text',
+    json: 'text',
+    array: 'text'
+  }
+};
+
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function postgresDefault(column) {
+  const value = column.default;
+  if (value === 'now') return 'now()';
+  if (column.type === 'array') return quoteLiteral(`{${value.map(v => `"${v}"`).join(',')}}`);
+  if (column.type === 'json') return quoteLiteral(JSON.stringify(value));
+  if (typeof value === 'string') return quoteLiteral(value);
+  return String(value);
+}
+
+/**
+ * SQL column definition for a schema.js-style column
+ * SQLite rows get their defaults from applyDefaults() and their cascades
+ * from LocalDB, so only Postgres declares defaults and foreign keys.
+ */
+export function columnDefinition(name, column, dialect) {
+  let sql = `${name} ${COLUMN_TYPES[dialect][column.type]}`;
+  if (column.notNull) {
+    sql += ' not null';
+  }
+  if (dialect === 'postgres') {
+    if (column.default !== undefined) {
+      sql += ` default ${postgresDefault(column)}`;
+    }
+    if (column.references) {
+      sql += ` references ${column.references}(id) on delete ${column.onDelete || 'no action'}`;
+    }
+  }
+  return sql;
+}
+
+/**
+ * SQL statements for one operation
+ * SQLite has no `if [not] exists` for columns; callers check those first.
+ * @returns {string[]}
+ */
+export function renderOperation(op, dialect) {
+  const postgres = dialect === 'postgres';
+  switch (op.op) {
+    case 'createTable': {
+      const columns = Object.entries(op.columns).map(([name, column]) => columnDefinition(name, column, dialect));
+      return [`create table if not exists ${op.table} (\n  ${columns.join(',\n  ')}\n)`];
+    }
+    case 'dropTable':
+      return [`drop table if exists ${op.table}`];
+    case 'addColumn': {
+      // SQLite can't add a not null column without a default, so relax it there
+      const definition = postgres ? op.definition : { ...op.definition, notNull: false };
+      return [`alter table ${op.table} add column ${postgres ? 'if not exists ' : ''}${columnDefinition(op.column, definition, dialect)}`];
+    }
+    case 'dropColumn':
+      return [`alter table ${op.table} drop column ${postgres ? 'if exists ' : ''}${op.column}`];
+    case 'createIndex':
+      return [`create index if not exists ${op.name} on ${op.table}(${op.columns.join(', ')})${op.where ? ` where ${op.where}` : ''}`];
+    case 'dropIndex':
+      return [`drop index if exists ${op.name}`];
+    case 'sql':
+      return op[dialect] ? [op[dialect]] : [];
+    default:
+      throw new Error(`Unknown migration operation: ${op.op}`);
+  }
+}
+
+const NOW = { postgres: 'now()', sqlite: "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')" };
+
+function trackingTable(dialect) {
+  const appliedAt = dialect === 'postgres' ? 'timestamptz default now()' : 'text';
+  return `create table if not exists ${MIGRATIONS_TABLE} (\n  version integer primary key,\n  name text not null,\n  applied_at ${appliedAt}\n)`;
+}
+
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+/**
+ * Migrations not yet applied, oldest first
+ * @param {number[]} appliedVersions
+ * @param {Object} options - { to? } stop after this version
+ */
+export function pendingMigrations(appliedVersions, options = {}, migrations = MIGRATIONS) {
+  const applied = new Set(appliedVersions);
+  return migrations
+    .filter(m => !applied.has(m.version))
+    .filter(m => options.to === undefined || m.version <= options.to)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Applied migrations to revert, newest first
+ * @param {Object} options - { to? } revert everything above this version,
+ *   otherwise { steps? } (default: 1)
+ */
+export function revertibleMigrations(appliedVersions, options = {}, migrations = MIGRATIONS) {
+  const applied = migrations
+    .filter(m => appliedVersions.includes(m.version))
+    .sort((a, b) => b.version - a.version);
+  if (options.to !== undefined) {
+    return applied.filter(m => m.version > options.to);
+  }
+  return applied.slice(0, options.steps ?? 1);
+}
+
+/**
+ * Every known migration with whether it has been applied
+ * @param {Object[]} appliedRows - rows of crm_schema_migrations
+ * @returns {Object[]} { version, name, applied, appliedAt }
+ */
+export function migrationStatus(appliedRows, migrations = MIGRATIONS) {
+  const applied = new Map(appliedRows.map(row => [row.version, row]));
+  return migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    applied: applied.has(m.version),
+    appliedAt: applied.get(m.version)?.applied_at || null
+  }));
+}
+
+/**
+ * Describe how far a database is behind, or null if it is current
+ * @param {number[]|null} appliedVersions - null when there is no tracking table
+ */
+export function schemaProblem(appliedVersions) {
+  if (appliedVersions === null) {
+    return `The database schema is not versioned (no ${MIGRATIONS_TABLE} table). ` +
+      'Run `crm migrate up` to bring it up to date; existing tables and data are kept.';
+  }
+  const pending = pendingMigrations(appliedVersions);
+  if (pending.length === 0) return null;
+  return `The database schema is behind: ${pending.length} migration${pending.length === 1 ? '' : 's'} ` +
+    `not applied (${pending.map(migrationLabel).join(', ')}). Run \`crm migrate up\` to apply them.`;
+}
+
+/**
+ * @throws {CrmBackendError} with instructions when the schema is behind
+ */
+export function assertSchemaCurrent(appliedVersions) {
+  const problem = schemaProblem(appliedVersions);
+  if (problem) {
+    throw new CrmBackendError(problem);
+  }
+}
+
+/**
+ * SQL script for a set of migrations, including the tracking table
+ * updates, for review or for pasting into the Supabase SQL editor
+ * @param {string} direction - 'up' or 'down'
+ */
+export function migrationScript(migrations, direction, dialect = 'postgres') {
+  const lines = [`${trackingTable(dialect)};`];
+  for (const migration of migrations) {
+    lines.push('', `-- ${direction} ${migrationLabel(migration)}`, 'begin;');
+    for (const op of migration[direction]) {
+      lines.push(...renderOperation(op, dialect).map(statement => `${statement};`));
+    }
+    lines.push(direction === 'up'
+      ? `insert into ${MIGRATIONS_TABLE} (version, name, applied_at) values (${migration.version}, ${quoteLiteral(migration.name)}, ${NOW[dialect]}) on conflict (version) do nothing;`
+      : `delete from ${MIGRATIONS_TABLE} where version = ${migration.version};`);
+    lines.push('commit;');
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ============ DRIVERS ============
+
+function loadPg() {
+  try {
+    return require('pg');
+  } catch (err) {
+    throw new CrmBackendError(`Postgres migrations require pg (npm install pg): ${err.message}`);
+  }
+}
+
+/**
+ * Direct Postgres connection (Supabase: Project Settings > Database)
+ */
+export class PostgresDriver {
+  constructor(connectionString) {
+    if (!connectionString) {
+      throw new Error('A Postgres connection string is required (CRM_DATABASE_URL)');
+    }
+    const { Client } = loadPg();
+    this.dialect = 'postgres';
+    this.client = new Client({ connectionString });
+    this.connecting = null;
+  }
+
+  async query(sql, params = []) {
+    this.connecting ??= this.client.connect();
+    await this.connecting;
+    return (await this.client.query(sql, params)).rows;
+  }
+
+  async transaction(fn) {
+    await this.query('begin');
+    try {
+      await fn();
+      await this.query('commit');
+    } catch (err) {
+      await this.query('rollback');
+      throw err;
+    }
+  }
+
+  async close() {
+    if (this.connecting) {
+      await this.client.end();
+    }
+  }
+}
+
+/**
+ * Wraps a better-sqlite3 database; everything but transaction() is synchronous
+ */
+export class SQLiteDriver {
+  constructor(sqlite) {
+    this.dialect = 'sqlite';
+    this.sqlite = sqlite;
+  }
+
+  query(sql, params = []) {
+    const statement = this.sqlite.prepare(sql.replace(/\$\d+/g, '?'));
+    if (statement.reader) {
+      return statement.all(...params);
+    }
+    statement.run(...params);
+    return [];
+  }
+
+  async transaction(fn) {
+    this.sqlite.exec('begin');
+    try {
+      await fn();
+      this.sqlite.exec('commit');
+    } catch (err) {
+      this.sqlite.exec('rollback');
+      throw err;
+    }
+  }
+
+  columns(table) {
+    return new Set(this.sqlite.prepare(`pragma table_info(${table})`).all().map(c => c.name));
+  }
+
+  close() {
+    this.sqlite.close();
+  }
+}
+
+// Statements for an operation, skipping column changes SQLite has already seen
+function statementsFor(op, dialect, columns) {
+  if (dialect === 'sqlite' && (op.op === 'addColumn' || op.op === 'dropColumn')) {
+    const exists = columns(op.table).has(op.column);
+    if (exists === (op.op === 'addColumn')) return [];
+  }
+  return renderOperation(op, dialect);
+}
+
+function recordStatement(migration, direction) {
+  return direction === 'up'
+    ? [`insert into ${MIGRATIONS_TABLE} (version, name, applied_at) values ($1, $2, $3)`, [migration.version, migration.name, new Date().toISOString()]]
+    : [`delete from ${MIGRATIONS_TABLE} where version = $1`, [migration.version]];
+}
+
+export class Migrator {
+  /**
+   * @param {PostgresDriver|SQLiteDriver} driver
+   * @param {Object[]} migrations - defaults to src/migrations
+   */
+  constructor(driver, migrations = MIGRATIONS) {
+    this.driver = driver;
+    this.migrations = migrations;
+  }
+
+  /**
+   * Rows of the tracking table, creating it if needed
+   */
+  async applied() {
+    await this.driver.query(trackingTable(this.driver.dialect));
+    return this.driver.query(`select version, name, applied_at from ${MIGRATIONS_TABLE} order by version`);
+  }
+
+  async status() {
+    return migrationStatus(await this.applied(), this.migrations);
+  }
+
+  /**
+   * Apply pending migrations, each in its own transaction
+   * @param {Object} options - { to? }
+   * @returns {Object[]} the migrations applied
+   */
+  async up(options = {}) {
+    const versions = (await this.applied()).map(row => row.version);
+    const pending = pendingMigrations(versions, options, this.migrations);
+    for (const migration of pending) {
+      await this._run(migration, 'up');
+    }
+    return pending;
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} options - { to? } or { steps? } (default: 1)
+   * @returns {Object[]} the migrations reverted
+   */
+  async down(options = {}) {
+    const versions = (await this.applied()).map(row => row.version);
+    const reverting = revertibleMigrations(versions, options, this.migrations);
+    for (const migration of reverting) {
+      await this._run(migration, 'down');
+    }
+    return reverting;
+  }
+
+  async _run(migration, direction) {
+    const { dialect } = this.driver;
+    await this.driver.transaction(async () => {
+      for (const op of migration[direction]) {
+        for (const statement of statementsFor(op, dialect, table => this.driver.columns(table))) {
+          await this.driver.query(statement);
+        }
+      }
+      await this.driver.query(...recordStatement(migration, direction));
+    });
+  }
+}
+
+/**
+ * Bring a SQLite database up to date synchronously (used when a SQLite
+ * backend opens its file)
+ * @param {SQLiteDriver} driver
+ * @returns {number[]} applied versions afterwards
+ */
+export function migrateSQLite(driver, migrations = MIGRATIONS) {
+  driver.query(trackingTable('sqlite'));
+  const versions = driver.query(`select version from ${MIGRATIONS_TABLE}`).map(row => row.version);
+
+  for (const migration of pendingMigrations(versions, {}, migrations)) {
+    driver.sqlite.transaction(() => {
+      for (const op of migration.up) {
+        for (const statement of statementsFor(op, 'sqlite', table => driver.columns(table))) {
+          driver.query(statement);
+        }
+      }
+      driver.query(...recordStatement(migration, 'up'));
+    })();
+    versions.push(migration.version);
+  }
+
+  return versions;
+}
+
+/**
+ * Applied versions in a SQLite database, or null if it isn't versioned
+ */
+export function sqliteVersions(driver) {
+  if (driver.columns(MIGRATIONS_TABLE).size === 0) return null;
+  return driver.query(`select version from ${MIGRATIONS_TABLE}`).map(row => row.version);
+}
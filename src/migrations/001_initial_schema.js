@@ -0,0 +1,89 @@
+/**
+ * Stages, contacts, interactions and tasks
+ */
+
+import { createTable, dropTable, createIndex } from './ops.js';
+
+export const version = 1;
+export const name = 'initial_schema';
+
+export const up = [
+  createTable('crm_stages', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    name: { type: 'text', notNull: true },
+    position: { type: 'integer', notNull: true },
+    color: { type: 'text' },
+    created_at: { type: 'timestamptz', default: 'now' }
+  }),
+
+  createTable('crm_contacts', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    name: { type: 'text', notNull: true },
+    email: { type: 'text' },
+    phone: { type: 'text' },
+    company: { type: 'text' },
+    role: { type: 'text' },
+    stage_id: { type: 'integer', references: 'crm_stages', onDelete: 'set null' },
+    stage_entered_at: { type: 'timestamptz', default: 'now' },
+    source: { type: 'text' },
+    source_detail: { type: 'text' },
+    assigned_to: { type: 'text' },
+    tags: { type: 'array', default: [] },
+    custom_fields: { type: 'json', default: {} },
+    deal_value: { type: 'decimal' },
+    currency: { type: 'text', default: 'AUD' },
+    is_active: { type: 'boolean', default: true },
+    lost_reason: { type: 'text' },
+    created_at: { type: 'timestamptz', default: 'now' },
+    updated_at: { type: 'timestamptz', default: 'now' },
+    last_contact_at: { type: 'timestamptz' }
+  }),
+
+  createTable('crm_interactions', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    contact_id: { type: 'integer', references: 'crm_contacts', onDelete: 'cascade' },
+    type: { type: 'text', notNull: true },
+    subject: { type: 'text' },
+    content: { type: 'text' },
+    created_by: { type: 'text', notNull: true },
+    created_by_type: { type: 'text' },
+    scheduled_at: { type: 'timestamptz' },
+    completed_at: { type: 'timestamptz' },
+    metadata: { type: 'json', default: {} },
+    created_at: { type: 'timestamptz', default: 'now' }
+  }),
+
+  createTable('crm_tasks', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    contact_id: { type: 'integer', references: 'crm_contacts', onDelete: 'cascade' },
+    title: { type: 'text', notNull: true },
+    description: { type: 'text' },
+    due_at: { type: 'timestamptz' },
+    assigned_to: { type: 'text' },
+    priority: { type: 'text', default: 'medium' },
+    completed: { type: 'boolean', default: false },
+    completed_at: { type: 'timestamptz' },
+    created_at: { type: 'timestamptz', default: 'now' }
+  }),
+
+  createIndex('idx_crm_stages_agent', 'crm_stages', ['agent_id']),
+  createIndex('idx_crm_contacts_agent', 'crm_contacts', ['agent_id']),
+  createIndex('idx_crm_contacts_stage', 'crm_contacts', ['stage_id']),
+  createIndex('idx_crm_contacts_assigned', 'crm_contacts', ['assigned_to']),
+  createIndex('idx_crm_interactions_agent', 'crm_interactions', ['agent_id']),
+  createIndex('idx_crm_interactions_contact', 'crm_interactions', ['contact_id']),
+  createIndex('idx_crm_tasks_agent', 'crm_tasks', ['agent_id']),
+  createIndex('idx_crm_tasks_contact', 'crm_tasks', ['contact_id']),
+  createIndex('idx_crm_tasks_due', 'crm_tasks', ['due_at'], { where: 'not completed' })
+];
+
+export const down = [
+  dropTable('crm_tasks'),
+  dropTable('crm_interactions'),
+  dropTable('crm_contacts'),
+  dropTable('crm_stages')
+];
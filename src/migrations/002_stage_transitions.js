@@ -0,0 +1,27 @@
+/**
+ * Stage history, one row per pipeline move
+ */
+
+import { createTable, dropTable, createIndex } from './ops.js';
+
+export const version = 2;
+export const name = 'stage_transitions';
+
+export const up = [
+  createTable('crm_stage_transitions', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    contact_id: { type: 'integer', references: 'crm_contacts', onDelete: 'cascade' },
+    from_stage_id: { type: 'integer', references: 'crm_stages', onDelete: 'set null' },
+    to_stage_id: { type: 'integer', references: 'crm_stages', onDelete: 'set null' },
+    actor: { type: 'text' },
+    created_at: { type: 'timestamptz', default: 'now' }
+  }),
+
+  createIndex('idx_crm_stage_transitions_agent', 'crm_stage_transitions', ['agent_id']),
+  createIndex('idx_crm_stage_transitions_contact', 'crm_stage_transitions', ['contact_id'])
+];
+
+export const down = [
+  dropTable('crm_stage_transitions')
+];
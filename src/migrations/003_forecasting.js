@@ -0,0 +1,18 @@
+/**
+ * Stage win probabilities and expected close dates, for weighted forecasts
+ */
+
+import { addColumn, dropColumn } from './ops.js';
+
+export const version = 3;
+export const name = 'forecasting';
+
+export const up = [
+  addColumn('crm_stages', 'win_probability', { type: 'integer' }),
+  addColumn('crm_contacts', 'expected_close_at', { type: 'timestamptz' })
+];
+
+export const down = [
+  dropColumn('crm_contacts', 'expected_close_at'),
+  dropColumn('crm_stages', 'win_probability')
+];
@@ -0,0 +1,20 @@
+/**
+ * Recurring tasks: RRULE, series and occurrence number
+ */
+
+import { addColumn, dropColumn } from './ops.js';
+
+export const version = 4;
+export const name = 'task_recurrence';
+
+export const up = [
+  addColumn('crm_tasks', 'recurrence', { type: 'text' }),
+  addColumn('crm_tasks', 'series_id', { type: 'integer' }),
+  addColumn('crm_tasks', 'occurrence', { type: 'integer', default: 1 })
+];
+
+export const down = [
+  dropColumn('crm_tasks', 'occurrence'),
+  dropColumn('crm_tasks', 'series_id'),
+  dropColumn('crm_tasks', 'recurrence')
+];
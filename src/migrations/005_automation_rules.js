@@ -0,0 +1,45 @@
+/**
+ * Automation rules and their execution log
+ */
+
+import { createTable, dropTable, createIndex } from './ops.js';
+
+export const version = 5;
+export const name = 'automation_rules';
+
+export const up = [
+  createTable('crm_rules', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    name: { type: 'text', notNull: true },
+    trigger_type: { type: 'text', notNull: true },
+    trigger_params: { type: 'json', default: {} },
+    conditions: { type: 'json', default: [] },
+    actions: { type: 'json', default: [] },
+    enabled: { type: 'boolean', default: true },
+    created_at: { type: 'timestamptz', default: 'now' },
+    updated_at: { type: 'timestamptz', default: 'now' }
+  }),
+
+  createTable('crm_rule_runs', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    rule_id: { type: 'integer', references: 'crm_rules', onDelete: 'cascade' },
+    event_type: { type: 'text' },
+    contact_id: { type: 'integer', references: 'crm_contacts', onDelete: 'set null' },
+    subject_key: { type: 'text' },
+    status: { type: 'text', notNull: true },
+    actions: { type: 'json', default: [] },
+    error: { type: 'text' },
+    created_at: { type: 'timestamptz', default: 'now' }
+  }),
+
+  createIndex('idx_crm_rules_agent', 'crm_rules', ['agent_id']),
+  createIndex('idx_crm_rule_runs_agent', 'crm_rule_runs', ['agent_id']),
+  createIndex('idx_crm_rule_runs_rule', 'crm_rule_runs', ['rule_id', 'created_at desc'])
+];
+
+export const down = [
+  dropTable('crm_rule_runs'),
+  dropTable('crm_rules')
+];
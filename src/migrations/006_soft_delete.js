@@ -0,0 +1,20 @@
+/**
+ * Soft delete: trashed stages, contacts, interactions and tasks
+ */
+
+import { addColumn, dropColumn } from './ops.js';
+
+export const version = 6;
+export const name = 'soft_delete';
+
+const TABLES = ['crm_stages', 'crm_contacts', 'crm_interactions', 'crm_tasks'];
+
+export const up = TABLES.flatMap(table => [
+  addColumn(table, 'deleted_at', { type: 'timestamptz' }),
+  addColumn(table, 'deleted_by', { type: 'text' })
+]);
+
+export const down = TABLES.flatMap(table => [
+  dropColumn(table, 'deleted_by'),
+  dropColumn(table, 'deleted_at')
+]);
@@ -0,0 +1,30 @@
+/**
+ * Field-level audit log
+ */
+
+import { createTable, dropTable, createIndex } from './ops.js';
+
+export const version = 7;
+export const name = 'audit_log';
+
+export const up = [
+  createTable('crm_audit_log', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    entity: { type: 'text', notNull: true },
+    entity_id: { type: 'integer' },
+    action: { type: 'text', notNull: true },
+    field: { type: 'text' },
+    old_value: { type: 'json' },
+    new_value: { type: 'json' },
+    actor: { type: 'text' },
+    created_at: { type: 'timestamptz', default: 'now' }
+  }),
+
+  createIndex('idx_crm_audit_log_agent', 'crm_audit_log', ['agent_id', 'created_at desc']),
+  createIndex('idx_crm_audit_log_entity', 'crm_audit_log', ['entity', 'entity_id'])
+];
+
+export const down = [
+  dropTable('crm_audit_log')
+];
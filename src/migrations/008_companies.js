@@ -0,0 +1,35 @@
+/**
+ * Companies (accounts), linked from contacts
+ */
+
+import { createTable, dropTable, addColumn, dropColumn, createIndex, dropIndex } from './ops.js';
+
+export const version = 8;
+export const name = 'companies';
+
+export const up = [
+  createTable('crm_companies', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    name: { type: 'text', notNull: true },
+    domain: { type: 'text' },
+    industry: { type: 'text' },
+    size: { type: 'text' },
+    address: { type: 'text' },
+    custom_fields: { type: 'json', default: {} },
+    created_at: { type: 'timestamptz', default: 'now' },
+    updated_at: { type: 'timestamptz', default: 'now' },
+    deleted_at: { type: 'timestamptz' },
+    deleted_by: { type: 'text' }
+  }),
+  addColumn('crm_contacts', 'company_id', { type: 'integer', references: 'crm_companies', onDelete: 'set null' }),
+
+  createIndex('idx_crm_companies_agent', 'crm_companies', ['agent_id']),
+  createIndex('idx_crm_contacts_company', 'crm_contacts', ['company_id'])
+];
+
+export const down = [
+  dropIndex('idx_crm_contacts_company'),
+  dropColumn('crm_contacts', 'company_id'),
+  dropTable('crm_companies')
+];
@@ -0,0 +1,64 @@
+/**
+ * Deals: several per contact, each with its own stage, value and status
+ *
+ * Every contact with a stage or a deal value gets one deal carrying its
+ * current pipeline fields, and its stage history is attached to that deal.
+ * The contact columns stay, so rolling back loses only deals added since.
+ */
+
+import { createTable, dropTable, addColumn, dropColumn, createIndex, dropIndex, sql } from './ops.js';
+
+export const version = 9;
+export const name = 'deals';
+
+// Plain SQL that reads the same in Postgres and SQLite
+const BACKFILL_DEALS = `insert into crm_deals (agent_id, contact_id, company_id, title, stage_id, stage_entered_at,
+  value, currency, expected_close_at, status, lost_reason, owner, created_at, updated_at, deleted_at, deleted_by)
+select agent_id, id, company_id, coalesce(company, name), stage_id, stage_entered_at,
+  deal_value, coalesce(currency, 'AUD'), expected_close_at, case when is_active then 'open' else 'lost' end,
+  lost_reason, assigned_to, created_at, updated_at, deleted_at, deleted_by
+from crm_contacts
+where stage_id is not null or deal_value > 0`;
+
+const BACKFILL_TRANSITIONS = `update crm_stage_transitions
+set deal_id = (select min(d.id) from crm_deals d where d.contact_id = crm_stage_transitions.contact_id)
+where deal_id is null`;
+
+export const up = [
+  createTable('crm_deals', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    contact_id: { type: 'integer', references: 'crm_contacts', onDelete: 'cascade' },
+    company_id: { type: 'integer', references: 'crm_companies', onDelete: 'set null' },
+    title: { type: 'text', notNull: true },
+    stage_id: { type: 'integer', references: 'crm_stages', onDelete: 'set null' },
+    stage_entered_at: { type: 'timestamptz' },
+    value: { type: 'decimal' },
+    currency: { type: 'text', default: 'AUD' },
+    expected_close_at: { type: 'timestamptz' },
+    status: { type: 'text', notNull: true, default: 'open' },
+    lost_reason: { type: 'text' },
+    owner: { type: 'text' },
+    closed_at: { type: 'timestamptz' },
+    custom_fields: { type: 'json', default: {} },
+    created_at: { type: 'timestamptz', default: 'now' },
+    updated_at: { type: 'timestamptz', default: 'now' },
+    deleted_at: { type: 'timestamptz' },
+    deleted_by: { type: 'text' }
+  }),
+  addColumn('crm_stage_transitions', 'deal_id', { type: 'integer', references: 'crm_deals', onDelete: 'cascade' }),
+
+  createIndex('idx_crm_deals_agent', 'crm_deals', ['agent_id']),
+  createIndex('idx_crm_deals_contact', 'crm_deals', ['contact_id']),
+  createIndex('idx_crm_deals_stage', 'crm_deals', ['stage_id']),
+  createIndex('idx_crm_stage_transitions_deal', 'crm_stage_transitions', ['deal_id']),
+
+  sql({ postgres: BACKFILL_DEALS, sqlite: BACKFILL_DEALS }),
+  sql({ postgres: BACKFILL_TRANSITIONS, sqlite: BACKFILL_TRANSITIONS })
+];
+
+export const down = [
+  dropIndex('idx_crm_stage_transitions_deal'),
+  dropColumn('crm_stage_transitions', 'deal_id'),
+  dropTable('crm_deals')
+];
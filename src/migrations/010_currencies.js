@@ -0,0 +1,39 @@
+/**
+ * Per-agent settings (the reporting currency) and dated exchange rates
+ */
+
+import { createTable, dropTable, createIndex, dropIndex } from './ops.js';
+
+export const version = 10;
+export const name = 'currencies';
+
+export const up = [
+  createTable('crm_settings', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    key: { type: 'text', notNull: true },
+    value: { type: 'json' },
+    updated_at: { type: 'timestamptz', default: 'now' }
+  }),
+  createTable('crm_exchange_rates', {
+    id: { type: 'serial' },
+    agent_id: { type: 'text', notNull: true, default: 'default' },
+    base_currency: { type: 'text', notNull: true },
+    quote_currency: { type: 'text', notNull: true },
+    rate: { type: 'decimal', notNull: true },
+    rate_date: { type: 'timestamptz', notNull: true },
+    source: { type: 'text' },
+    created_at: { type: 'timestamptz', default: 'now' },
+    updated_at: { type: 'timestamptz', default: 'now' }
+  }),
+
+  createIndex('idx_crm_settings_agent_key', 'crm_settings', ['agent_id', 'key']),
+  createIndex('idx_crm_exchange_rates_pair', 'crm_exchange_rates', ['agent_id', 'base_currency', 'quote_currency', 'rate_date desc'])
+];
+
+export const down = [
+  dropIndex('idx_crm_exchange_rates_pair'),
+  dropIndex('idx_crm_settings_agent_key'),
+  dropTable('crm_exchange_rates'),
+  dropTable('crm_settings')
+];
@@ -0,0 +1,24 @@
+/**
+ * Lead scores on contacts (see src/scoring.js)
+ * Existing contacts have no score until `crm scores recompute` runs.
+ */
+
+import { addColumn, dropColumn, createIndex, dropIndex } from './ops.js';
+
+export const version = 11;
+export const name = 'lead_scores';
+
+export const up = [
+  addColumn('crm_contacts', 'score', { type: 'integer' }),
+  addColumn('crm_contacts', 'score_reasons', { type: 'json', default: [] }),
+  addColumn('crm_contacts', 'scored_at', { type: 'timestamptz' }),
+
+  createIndex('idx_crm_contacts_score', 'crm_contacts', ['agent_id', 'score desc'])
+];
+
+export const down = [
+  dropIndex('idx_crm_contacts_score'),
+  dropColumn('crm_contacts', 'scored_at'),
+  dropColumn('crm_contacts', 'score_reasons'),
+  dropColumn('crm_contacts', 'score')
+];
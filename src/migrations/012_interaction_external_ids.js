@@ -0,0 +1,20 @@
+/**
+ * External IDs on interactions (e.g. an email's Message-ID), so imports
+ * can skip what they already brought in
+ */
+
+import { addColumn, dropColumn, createIndex, dropIndex } from './ops.js';
+
+export const version = 12;
+export const name = 'interaction_external_ids';
+
+export const up = [
+  addColumn('crm_interactions', 'external_id', { type: 'text' }),
+
+  createIndex('idx_crm_interactions_external', 'crm_interactions', ['agent_id', 'external_id'], { where: 'external_id is not null' })
+];
+
+export const down = [
+  dropIndex('idx_crm_interactions_external'),
+  dropColumn('crm_interactions', 'external_id')
+];
@@ -0,0 +1,20 @@
+/**
+ * External IDs on tasks (e.g. an iCalendar VTODO's UID), so calendar
+ * imports can skip what they already brought in
+ */
+
+import { addColumn, dropColumn, createIndex, dropIndex } from './ops.js';
+
+export const version = 13;
+export const name = 'task_external_ids';
+
+export const up = [
+  addColumn('crm_tasks', 'external_id', { type: 'text' }),
+
+  createIndex('idx_crm_tasks_external', 'crm_tasks', ['agent_id', 'external_id'], { where: 'external_id is not null' })
+];
+
+export const down = [
+  dropIndex('idx_crm_tasks_external'),
+  dropColumn('crm_tasks', 'external_id')
+];
@@ -0,0 +1,23 @@
+/**
+ * Schema migrations, oldest first
+ *
+ * To change the schema, add the next numbered file (NNN_description.js)
+ * exporting version, name, up and down, register it here, and update
+ * adapters/schema.js to match.
+ */
+
+import * as m001 from './001_initial_schema.js';
+import * as m002 from './002_stage_transitions.js';
+import * as m003 from './003_forecasting.js';
+import * as m004 from './004_task_recurrence.js';
+import * as m005 from './005_automation_rules.js';
+import * as m006 from './006_soft_delete.js';
+import * as m007 from './007_audit_log.js';
+import * as m008 from './008_companies.js';
+import * as m009 from './009_deals.js';
+import * as m010 from './010_currencies.js';
+import * as m011 from './011_lead_scores.js';
+import * as m012 from './012_interaction_external_ids.js';
+import * as m013 from './013_task_external_ids.js';
+
+export const MIGRATIONS = [m001, m002, m003, m004, m005, m006, m007, m008, m009, m010, m011, m012, m013];
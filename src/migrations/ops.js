@@ -0,0 +1,43 @@
+/**
+ * Schema change operations used by migration files
+ *
+ * Operations are plain objects, rendered to SQL for each dialect by
+ * src/migrate.js. Columns use the same definitions as adapters/schema.js:
+ *   { type, notNull?, default?, references?, onDelete? }
+ */
+
+export function createTable(table, columns) {
+  return { op: 'createTable', table, columns };
+}
+
+export function dropTable(table) {
+  return { op: 'dropTable', table };
+}
+
+export function addColumn(table, column, definition) {
+  return { op: 'addColumn', table, column, definition };
+}
+
+export function dropColumn(table, column) {
+  return { op: 'dropColumn', table, column };
+}
+
+/**
+ * @param {string[]} columns - e.g. ['rule_id', 'created_at desc']
+ * @param {Object} options - { where? } partial index condition
+ */
+export function createIndex(name, table, columns, options = {}) {
+  return { op: 'createIndex', name, table, columns, where: options.where };
+}
+
+export function dropIndex(name) {
+  return { op: 'dropIndex', name };
+}
+
+/**
+ * Raw SQL, per dialect; a dialect without SQL is skipped
+ * @param {Object} statements - { postgres?, sqlite? }
+ */
+export function sql(statements) {
+  return { op: 'sql', ...statements };
+}
@@ -0,0 +1,168 @@
+/**
+ * Machine-readable CLI output
+ *
+ * Formats a command's result for --output:
+ *   json    the whole result, pretty-printed
+ *   ndjson  one JSON object per line, one line per row
+ *   csv     RFC 4180 with a header row
+ *   table   aligned columns for reading in a terminal
+ *
+ * Field names are snake_case in every format: rows keep their stored
+ * names, and results built in code (stats, reports) have their camelCase
+ * keys converted by snakeCaseKeys(). For csv and table, nested objects are
+ * flattened to dotted names (crm_stages.name, custom_fields.industry) and
+ * lists of plain values are joined with ';'. --fields picks and orders
+ * fields by those same names, in every format.
+ */
+
+import { formatCsv } from './csv.js';
+import { TABLES } from './adapters/schema.js';
+
+export const OUTPUT_FORMATS = ['text', 'json', 'ndjson', 'csv', 'table'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// JSON columns hold data of their own (custom field names, rule
+// conditions, event metadata), so their keys are left as stored
+const JSON_COLUMNS = new Set(Object.values(TABLES).flatMap(columns =>
+  Object.entries(columns).filter(([, column]) => column.type === 'json').map(([name]) => name)));
+
+/**
+ * Convert camelCase keys to snake_case, all the way down
+ * { nextCursor: 'x', byStage: [{ stageId: 1 }] } -> { next_cursor: 'x', by_stage: [{ stage_id: 1 }] }
+ * Keys that aren't camelCase identifiers (AUD, 2026-03, a stage name) are data and stay as they are.
+ */
+export function snakeCaseKeys(value) {
+  if (Array.isArray(value)) return value.map(snakeCaseKeys);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    /^[a-z][a-zA-Z0-9]*$/.test(key) ? key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase() : key,
+    JSON_COLUMNS.has(key) ? field : snakeCaseKeys(field)
+  ]));
+}
+
+/**
+ * Flatten nested objects into dotted keys
+ * { id: 1, crm_stages: { name: 'Lead' } } -> { id: 1, 'crm_stages.name': 'Lead' }
+ */
+export function flattenRow(row, prefix = '', flat = {}) {
+  for (const [key, value] of Object.entries(row)) {
+    const name = prefix + key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flattenRow(value, `${name}.`, flat);
+    } else {
+      flat[name] = value;
+    }
+  }
+  return flat;
+}
+
+// A field by dotted name: 'crm_stages.name'
+function getField(row, name) {
+  if (name in row) return row[name];
+  let value = row;
+  for (const part of name.split('.')) {
+    // A missing embedded row (crm_stages: null) leaves its fields empty
+    if (value === null) return null;
+    if (!isPlainObject(value) || !(part in value)) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Parse --fields, e.g. 'id,name,crm_stages.name'
+ * @returns {string[]|null} null when not given
+ */
+export function parseFields(spec) {
+  if (spec === undefined || spec === null) return null;
+  const fields = String(spec).split(',').map(f => f.trim()).filter(Boolean);
+  return fields.length > 0 ? fields : null;
+}
+
+/**
+ * Keep only the given fields of each row, in that order
+ * @throws {Error} naming the available fields when one matches no row
+ */
+export function selectFields(rows, fields) {
+  const unknown = fields.filter(field => rows.length > 0 && rows.every(row => getField(row, field) === undefined));
+  if (unknown.length > 0) {
+    const available = columnsOf(rows.map(row => flattenRow(row)));
+    throw new Error(`Unknown field${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')} (available: ${available.join(', ')})`);
+  }
+  return rows.map(row => Object.fromEntries(fields.map(field => [field, getField(row, field) ?? null])));
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    return value.every(v => v === null || typeof v !== 'object') ? value.join(';') : JSON.stringify(value);
+  }
+  if (isPlainObject(value)) return Object.keys(value).length > 0 ? JSON.stringify(value) : '';
+  return String(value);
+}
+
+// Every row's fields; a row whose embedded row is null (crm_stages: null)
+// doesn't add a column next to the others' crm_stages.name
+function columnsOf(rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return columns.filter(column => !columns.some(other => other.startsWith(`${column}.`)));
+}
+
+function formatTable(rows, columns) {
+  if (rows.length === 0) return '';
+  const cells = rows.map(row => columns.map(column => cellText(row[column]).replace(/\s+/g, ' ')));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(r => r[i].length)));
+  const lineOf = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    lineOf(columns),
+    lineOf(widths.map(width => '-'.repeat(width))),
+    ...cells.map(lineOf)
+  ].join('\n') + '\n';
+}
+
+/**
+ * Format a result
+ * @param {*} data - the result, shown whole as json (keys in snake_case)
+ * @param {string} format - json, ndjson, csv or table
+ * @param {Object} options - { rows?, fields?, columns?, keepKeys? }
+ *   rows: the result's rows for ndjson, csv and table (default: data
+ *     itself if it's a list, else [data])
+ *   fields: from --fields; selects from the rows, and json then shows
+ *     just those rows (or the one object)
+ *   columns: default table columns when no fields are given
+ *   keepKeys: leave keys as they are, for a document meant to be read
+ *     back in (a scoring model)
+ * @returns {string}
+ */
+export function formatOutput(data, format, options = {}) {
+  const keys = options.keepKeys ? value => value : snakeCaseKeys;
+  data = keys(data);
+  const single = !options.rows && !Array.isArray(data);
+  let rows = options.rows ? keys(options.rows) : single ? [data] : data;
+  if (options.fields) {
+    rows = selectFields(rows, options.fields);
+    data = single ? rows[0] : rows;
+  }
+  // Selected fields are shown as named, without flattening
+  const flat = () => (options.fields ? rows : rows.map(row => flattenRow(row)));
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2) + '\n';
+    case 'ndjson':
+      return rows.map(row => JSON.stringify(row) + '\n').join('');
+    case 'csv': {
+      const records = flat();
+      const columns = options.fields || columnsOf(records);
+      return formatCsv(records.map(row => Object.fromEntries(columns.map(c => [c, cellText(row[c])]))), columns);
+    }
+    case 'table': {
+      const records = flat();
+      const defaults = options.columns?.filter(c => records.some(row => c in row));
+      return formatTable(records, options.fields || (defaults?.length ? defaults : columnsOf(records)));
+    }
+    default:
+      throw new Error(`Unknown output format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Keyset (cursor) pagination
+ *
+ * Pages are ordered by a timestamp column and then by id, both descending,
+ * so rows inserted or deleted while a client walks the list never shift
+ * later pages the way offsets do. A cursor is an opaque token naming the
+ * last row of the previous page: base64url JSON of [timestamp, id].
+ */
+
+import { CrmValidationError } from './errors.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * @param {Object} row - Last row of a page
+ * @param {string} column - Sort column, e.g. 'updated_at'
+ * @returns {string}
+ */
+export function encodeCursor(row, column) {
+  return Buffer.from(JSON.stringify([row[column], row.id])).toString('base64url');
+}
+
+/**
+ * @returns {Object} { value, id } - rows strictly after this position
+ * @throws {CrmValidationError} if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+  } catch {
+    decoded = null;
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 2 || typeof decoded[0] !== 'string' || decoded[1] === null) {
+    throw CrmValidationError.field('cursor', 'is not a valid cursor', cursor);
+  }
+  return { value: decoded[0], id: decoded[1] };
+}
+
+/**
+ * Whether a row comes after a cursor position in (column desc, id desc) order
+ */
+export function isAfterCursor(row, column, after) {
+  return row[column] < after.value || (row[column] === after.value && row.id < after.id);
+}
+
+/**
+ * Build a page from rows fetched with limit + 1
+ * @returns {Object} { items, nextCursor } - nextCursor is null on the last page
+ */
+export function toPage(rows, limit, column) {
+  const items = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(items[items.length - 1], column) : null;
+  return { items, nextCursor };
+}
@@ -0,0 +1,244 @@
+/**
+ * Mapping between flat import/export records and CRM rows
+ * Used by the CSV (and other tabular) importers and exporters
+ *
+ * Exports name their columns as the rows do (snake_case, as --output csv
+ * does); imports match headers ignoring case and punctuation, so stage_id,
+ * stageId and "Stage ID" are all the same column.
+ */
+
+import { CONTACT_FIELDS, customFieldKey, customFieldPath } from './fields.js';
+
+const normalizeHeader = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Extra header spellings seen in common CRM and spreadsheet exports
+const HEADER_ALIASES = {
+  fullname: 'name',
+  contactname: 'name',
+  contact: 'name',
+  emailaddress: 'email',
+  mail: 'email',
+  phonenumber: 'phone',
+  mobile: 'phone',
+  mobilephone: 'phone',
+  tel: 'phone',
+  telephone: 'phone',
+  organization: 'company',
+  organisation: 'company',
+  org: 'company',
+  companyname: 'company',
+  account: 'company',
+  title: 'role',
+  jobtitle: 'role',
+  position: 'role',
+  owner: 'assignedTo',
+  assignee: 'assignedTo',
+  value: 'dealValue',
+  amount: 'dealValue',
+  dealamount: 'dealValue',
+  stage: 'stage',
+  stagename: 'stage',
+  labels: 'tags',
+  categories: 'tags',
+  leadsource: 'source',
+  closedate: 'expectedCloseAt',
+  expectedclose: 'expectedCloseAt',
+  active: 'isActive'
+};
+
+// Columns written by exports that can't be imported, as normalized headers
+const IGNORED_FIELDS = new Set(['id', 'agent_id', 'created_at', 'updated_at', 'stage_entered_at'].map(normalizeHeader));
+
+const DATE_FIELDS = new Set(['expectedCloseAt', 'lastContactAt']);
+
+/**
+ * Parse a --map option: "Header=field,Other Header=custom_fields.key,Ignored="
+ */
+export function parseFieldMap(spec) {
+  const map = {};
+  if (!spec) return map;
+  for (const pair of spec.split(',')) {
+    const [header, ...field] = pair.split('=');
+    if (header.trim()) {
+      map[header.trim()] = field.join('=').trim();
+    }
+  }
+  return map;
+}
+
+/**
+ * Work out which contact field each header maps to
+ * @param {string[]} headers
+ * @param {Object} overrides - { header: field } from parseFieldMap(); '' ignores the column
+ * @returns {Object} { mapping: { header: target }, unmapped: [header] }
+ *   target is a contact field, 'stage', 'tags' or 'custom_fields.<key>'
+ */
+export function mapHeaders(headers, overrides = {}) {
+  const known = {};
+  for (const field of Object.keys(CONTACT_FIELDS)) {
+    known[normalizeHeader(field)] = field;
+  }
+  Object.assign(known, HEADER_ALIASES);
+
+  const mapping = {};
+  const unmapped = [];
+
+  for (const header of headers) {
+    if (overrides[header] !== undefined) {
+      const key = customFieldKey(overrides[header]);
+      if (overrides[header]) mapping[header] = key ? customFieldPath(key) : overrides[header];
+      continue;
+    }
+    const key = customFieldKey(header);
+    if (key) {
+      mapping[header] = customFieldPath(key);
+      continue;
+    }
+
+    const field = known[normalizeHeader(header)];
+    if (field) {
+      mapping[header] = field;
+    } else if (!IGNORED_FIELDS.has(normalizeHeader(header))) {
+      unmapped.push(header);
+    }
+  }
+
+  return { mapping, unmapped };
+}
+
+function parseBoolean(value) {
+  const text = value.trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'active'].includes(text)) return true;
+  if (['false', 'no', 'n', '0', 'lost', 'inactive'].includes(text)) return false;
+  return undefined;
+}
+
+/**
+ * Turn one flat record into camelCase contact data
+ * @param {Object} record - { header: value }
+ * @param {Object} mapping - from mapHeaders()
+ * @returns {Object} { contact, errors }
+ */
+export function recordToContact(record, mapping) {
+  const contact = {};
+  const errors = [];
+
+  for (const [header, target] of Object.entries(mapping)) {
+    const raw = record[header];
+    if (raw === undefined || raw === null || String(raw).trim() === '') continue;
+    const value = String(raw).trim();
+    const customKey = customFieldKey(target);
+
+    if (customKey) {
+      contact.customFields = { ...contact.customFields, [customKey]: value };
+    } else if (target === 'tags') {
+      contact.tags = value.split(/[;,|]/).map(t => t.trim()).filter(Boolean);
+    } else if (target === 'stage' || target === 'stageId') {
+      if (/^\d+$/.test(value)) {
+        contact.stageId = parseInt(value);
+      } else if (target === 'stage' && contact.stageId === undefined) {
+        contact.stage = value;
+      } else {
+        errors.push(`${header}: stage ID must be a number`);
+      }
+    } else if (target === 'dealValue') {
+      const number = parseFloat(value.replace(/[^0-9.-]/g, ''));
+      if (isNaN(number)) {
+        errors.push(`${header}: "${value}" is not a number`);
+      } else {
+        contact.dealValue = number;
+      }
+    } else if (target === 'isActive') {
+      const active = parseBoolean(value);
+      if (active === undefined) {
+        errors.push(`${header}: "${value}" is not true/false`);
+      } else {
+        contact.isActive = active;
+      }
+    } else if (DATE_FIELDS.has(target)) {
+      const date = new Date(value);
+      if (isNaN(date)) {
+        errors.push(`${header}: "${value}" is not a date`);
+      } else {
+        contact[target] = date.toISOString();
+      }
+    } else if (CONTACT_FIELDS[target]) {
+      contact[target] = value;
+    } else {
+      errors.push(`${header}: unknown field "${target}"`);
+    }
+  }
+
+  return { contact, errors };
+}
+
+/**
+ * Map parsed records into entries for CRM.importContacts()
+ * @param {string[]} headers
+ * @param {Object[]} records - { header: value }
+ * @param {Object} overrides - see mapHeaders()
+ * @param {number} firstRow - Row number of the first record (default: 2, after a header line)
+ * @returns {Object} { entries: [{ row, contact, errors }], mapping, unmapped }
+ */
+export function recordsToContactEntries(headers, records, overrides = {}, firstRow = 2) {
+  const { mapping, unmapped } = mapHeaders(headers, overrides);
+  const entries = records.map((record, index) => ({
+    row: firstRow + index,
+    ...recordToContact(record, mapping)
+  }));
+  return { entries, mapping, unmapped };
+}
+
+/**
+ * Flatten contacts for export
+ * Custom fields become custom_fields.<key> columns; tags are joined with ';'
+ * @returns {Object} { columns, records }
+ */
+export function contactsToRecords(contacts) {
+  const base = [
+    'id', 'name', 'email', 'phone', 'company', 'role', 'stage', 'stage_id',
+    'source', 'source_detail', 'assigned_to', 'tags', 'deal_value', 'currency',
+    'expected_close_at', 'is_active', 'lost_reason', 'created_at', 'updated_at', 'last_contact_at'
+  ];
+  const customKeys = new Set();
+  contacts.forEach(c => Object.keys(c.custom_fields || {}).forEach(key => customKeys.add(key)));
+  const customColumns = [...customKeys].sort().map(customFieldPath);
+
+  const records = contacts.map(c => {
+    const record = { ...c };
+    record.stage = c.crm_stages?.name || '';
+    record.tags = (c.tags || []).join(';');
+    for (const [key, value] of Object.entries(c.custom_fields || {})) {
+      record[customFieldPath(key)] = value;
+    }
+    return record;
+  });
+
+  return { columns: [...base, ...customColumns], records };
+}
+
+/**
+ * Flatten interactions for export
+ * @returns {Object} { columns, records }
+ */
+export function interactionsToRecords(interactions) {
+  const columns = [
+    'id', 'contact_id', 'contact_name', 'type', 'subject', 'content', 'created_by',
+    'created_by_type', 'scheduled_at', 'completed_at', 'created_at', 'metadata'
+  ];
+  const records = interactions.map(i => ({ ...i, contact_name: i.crm_contacts?.name || '' }));
+  return { columns, records };
+}
+
+/**
+ * Flatten tasks for export
+ * @returns {Object} { columns, records }
+ */
+export function tasksToRecords(tasks) {
+  const columns = [
+    'id', 'contact_id', 'contact_name', 'title', 'description', 'due_at',
+    'assigned_to', 'priority', 'completed', 'completed_at', 'created_at'
+  ];
+  const records = tasks.map(t => ({ ...t, contact_name: t.crm_contacts?.name || '' }));
+  return { columns, records };
+}
@@ -0,0 +1,239 @@
+/**
+ * RRULE-style recurrence for tasks
+ *
+ * Supports a practical subset of RFC 5545 RRULE:
+ *   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, BYDAY (MO, 1MO, -1FR),
+ *   BYMONTHDAY (1..31, -1 = last day), COUNT, UNTIL
+ *
+ * Rules are stored as RRULE strings, e.g. "FREQ=WEEKLY;BYDAY=MO".
+ * Dates are calculated in the process's local time zone, so a task due
+ * at 09:00 every Monday stays at 09:00 across daylight saving changes.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shorthands accepted as the first part of a spec
+const SHORTHANDS = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  monthly: 'FREQ=MONTHLY',
+  yearly: 'FREQ=YEARLY',
+  annually: 'FREQ=YEARLY',
+  weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'
+};
+
+function parseUntil(value) {
+  // RRULE basic format: 20261231 or 20261231T235959Z
+  const basic = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+  if (basic) {
+    const [, y, m, d, hh, mm, ss, z] = basic;
+    if (!hh) return new Date(+y, m - 1, d, 23, 59, 59);
+    return z ? new Date(Date.UTC(+y, m - 1, +d, +hh, +mm, +ss)) : new Date(+y, m - 1, +d, +hh, +mm, +ss);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [y, m, d] = value.split('-').map(Number);
+    return new Date(y, m - 1, d, 23, 59, 59);
+  }
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new Error(`Invalid UNTIL date: ${value}`);
+  }
+  return date;
+}
+
+function formatUntil(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse a recurrence spec into a rule
+ * Accepts full RRULEs ("FREQ=WEEKLY;BYDAY=MO", optionally prefixed "RRULE:")
+ * or shorthands ("weekly;byday=MO", "monthly;bymonthday=-1;count=12", "weekdays")
+ * @returns {Object} { freq, interval, byDay: [{ weekday, nth }], byMonthDay: [], count, until }
+ */
+export function parseRecurrence(spec) {
+  if (!spec || typeof spec !== 'string') {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const parts = spec.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const shorthand = SHORTHANDS[parts[0]?.toLowerCase()];
+  if (shorthand) {
+    parts.splice(0, 1, ...shorthand.split(';'));
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+
+  for (const part of parts) {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+
+    if (key === 'FREQ') {
+      rule.freq = value.toUpperCase();
+      if (!FREQUENCIES.includes(rule.freq)) {
+        throw new Error(`Invalid FREQ: ${value} (expected ${FREQUENCIES.join(', ')})`);
+      }
+    } else if (key === 'INTERVAL') {
+      rule.interval = parseInt(value);
+      if (!(rule.interval >= 1)) throw new Error(`Invalid INTERVAL: ${value}`);
+    } else if (key === 'BYDAY') {
+      rule.byDay = value.toUpperCase().split(',').map(day => {
+        const match = day.trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!match) throw new Error(`Invalid BYDAY: ${day}`);
+        return { weekday: WEEKDAYS.indexOf(match[2]), nth: match[1] ? parseInt(match[1]) : null };
+      });
+    } else if (key === 'BYMONTHDAY') {
+      rule.byMonthDay = value.split(',').map(day => {
+        const n = parseInt(day);
+        if (!n || n < -31 || n > 31) throw new Error(`Invalid BYMONTHDAY: ${day}`);
+        return n;
+      });
+    } else if (key === 'COUNT') {
+      rule.count = parseInt(value);
+      if (!(rule.count >= 1)) throw new Error(`Invalid COUNT: ${value}`);
+    } else if (key === 'UNTIL') {
+      rule.until = parseUntil(value);
+    } else if (key !== 'WKST') {
+      throw new Error(`Unsupported recurrence part: ${part}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error(`Recurrence needs a frequency (daily, weekly, monthly, yearly): ${spec}`);
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Recurrence can have COUNT or UNTIL, not both');
+  }
+
+  return rule;
+}
+
+/**
+ * Format a rule as a canonical RRULE string (without the "RRULE:" prefix)
+ */
+export function formatRecurrence(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.map(d => `${d.nth ?? ''}${WEEKDAYS[d.weekday]}`).join(',')}`);
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  return parts.join(';');
+}
+
+/**
+ * Normalize any accepted spec into a canonical RRULE string
+ */
+export function normalizeRecurrence(spec) {
+  return formatRecurrence(parseRecurrence(spec));
+}
+
+function ordinal(n) {
+  if (n === -1) return 'last';
+  if (n < 0) return `${ordinal(-n)} from last`;
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : suffixes[n % 10] || 'th';
+  return `${n}${suffix}`;
+}
+
+/**
+ * Human-readable description, e.g. "every 2 weeks on Mon, Thu (10 times)"
+ */
+export function describeRecurrence(spec) {
+  const rule = typeof spec === 'string' ? parseRecurrence(spec) : spec;
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  let text = rule.interval > 1 ? `every ${rule.interval} ${units[rule.freq]}s` : rule.freq.toLowerCase();
+
+  if (rule.byDay.length) {
+    const days = rule.byDay.map(d => `${d.nth ? ordinal(d.nth) + ' ' : ''}${WEEKDAY_NAMES[WEEKDAYS[d.weekday]]}`);
+    text += ` on ${days.join(', ')}`;
+  }
+  if (rule.byMonthDay.length) {
+    text += ` on ${rule.byMonthDay.map(d => (d < 0 ? `the ${ordinal(d)} day` : `day ${d}`)).join(', ')}`;
+  }
+  if (rule.count) text += ` (${rule.count} times)`;
+  if (rule.until) text += ` until ${rule.until.toLocaleDateString()}`;
+  return text;
+}
+
+function startOfWeek(date) {
+  // Weeks start on Monday (RFC 5545 default WKST)
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+function daysInMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+}
+
+function matchesMonthDay(date, byMonthDay) {
+  const last = daysInMonth(date);
+  return byMonthDay.some(d => (d > 0 ? date.getDate() === d : date.getDate() === last + d + 1));
+}
+
+function matchesDay(date, byDay, freq) {
+  return byDay.some(({ weekday, nth }) => {
+    if (date.getDay() !== weekday) return false;
+    if (!nth || freq === 'WEEKLY' || freq === 'DAILY') return true;
+    const fromStart = Math.floor((date.getDate() - 1) / 7) + 1;
+    const fromEnd = -(Math.floor((daysInMonth(date) - date.getDate()) / 7) + 1);
+    return nth === fromStart || nth === fromEnd;
+  });
+}
+
+/**
+ * Work out the occurrence after `current`
+ * @param {string|Object} spec - RRULE string or parsed rule
+ * @param {Date} current - Due date of the current occurrence
+ * @param {number} occurrence - 1-based number of the current occurrence (for COUNT)
+ * @returns {Date|null} null when the series has ended
+ */
+export function nextOccurrence(spec, current, occurrence = 1) {
+  const rule = typeof spec === 'string' ? parseRecurrence(spec) : spec;
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const base = new Date(current);
+  const candidate = new Date(base);
+
+  // Walk forward a day at a time; ten years covers any supported rule
+  for (let i = 0; i < 3660 * rule.interval; i++) {
+    candidate.setDate(candidate.getDate() + 1);
+
+    if (rule.until && candidate > rule.until) return null;
+
+    let matches;
+    if (rule.freq === 'DAILY') {
+      const days = Math.round((new Date(candidate.getFullYear(), candidate.getMonth(), candidate.getDate()) -
+        new Date(base.getFullYear(), base.getMonth(), base.getDate())) / DAY_MS);
+      matches = days % rule.interval === 0 && (!rule.byDay.length || matchesDay(candidate, rule.byDay, rule.freq));
+    } else if (rule.freq === 'WEEKLY') {
+      const weeks = Math.round((startOfWeek(candidate) - startOfWeek(base)) / (7 * DAY_MS));
+      const days = rule.byDay.length ? rule.byDay : [{ weekday: base.getDay(), nth: null }];
+      matches = weeks % rule.interval === 0 && matchesDay(candidate, days, rule.freq);
+    } else if (rule.freq === 'MONTHLY') {
+      const months = (candidate.getFullYear() - base.getFullYear()) * 12 + candidate.getMonth() - base.getMonth();
+      let dayMatches;
+      if (rule.byMonthDay.length) {
+        dayMatches = matchesMonthDay(candidate, rule.byMonthDay);
+      } else if (rule.byDay.length) {
+        dayMatches = matchesDay(candidate, rule.byDay, rule.freq);
+      } else {
+        dayMatches = candidate.getDate() === base.getDate();
+      }
+      matches = months % rule.interval === 0 && dayMatches;
+    } else {
+      const years = candidate.getFullYear() - base.getFullYear();
+      matches = years % rule.interval === 0 &&
+        candidate.getMonth() === base.getMonth() &&
+        candidate.getDate() === base.getDate();
+    }
+
+    if (matches) return candidate;
+  }
+
+  return null;
+}
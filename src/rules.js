@@ -0,0 +1,355 @@
+/**
+ * Pipeline automation rules
+ *
+ * A rule is "when <trigger>, if <conditions>, do <actions>":
+ *
+ *   {
+ *     name: 'Proposal follow-up',
+ *     trigger: { type: 'stage_entered', stage: 'Proposal' },
+ *     conditions: [{ field: 'dealValue', op: 'gte', value: 5000 }],
+ *     actions: [{ type: 'create_task', title: 'Chase {{name}}', dueIn: '3d' }]
+ *   }
+ *
+ * Triggers:
+ *   stage_entered      { stage }            - a deal moved into (or created in) a stage
+ *   contact_created    {}
+ *   interaction_logged { interactionType? } - e.g. 'call'; any type if omitted
+ *   task_overdue       {}                   - scheduled: checked by CRM.runScheduledRules()
+ *   no_contact         { days }             - scheduled: no interaction for N days
+ *
+ * Conditions (all must hold) test contact fields: camelCase columns
+ * (dealValue, assignedTo, source...), stage (name), tags,
+ * custom_fields.<key>, score, daysInStage and daysSinceContact. For stage_entered
+ * the deal's stage, value, currency and close date stand in for the
+ * contact's, and move_stage moves that deal.
+ *
+ * Actions: create_task { title, dueIn?, priority?, assignTo? },
+ * add_tag { tag }, assign { to }, move_stage { stage }, add_note { content }.
+ * Text fields may use {{field}} placeholders, e.g. {{name}} or {{company}}.
+ *
+ * This module only parses and evaluates rules; CRM runs the actions.
+ */
+
+import { CONTACT_FIELDS, customFieldKey } from './fields.js';
+
+export const TRIGGER_TYPES = ['stage_entered', 'contact_created', 'interaction_logged', 'task_overdue', 'no_contact'];
+export const SCHEDULED_TRIGGERS = ['task_overdue', 'no_contact'];
+export const CONDITION_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'contains', 'not_contains', 'exists', 'missing'];
+export const ACTION_TYPES = ['create_task', 'add_tag', 'assign', 'move_stage', 'add_note'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Symbols accepted by parseCondition(), longest first
+const OPERATOR_SYMBOLS = [
+  ['>=', 'gte'],
+  ['<=', 'lte'],
+  ['!=', 'neq'],
+  ['!~', 'not_contains'],
+  ['=', 'eq'],
+  ['>', 'gt'],
+  ['<', 'lt'],
+  ['~', 'contains']
+];
+
+/**
+ * Parse a duration like '3d', '12h', '2w' or a plain number of days
+ * @returns {number} milliseconds
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return value * DAY_MS;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([mhdw]?)$/i);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (expected e.g. 30m, 12h, 3d, 2w)`);
+  }
+  const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS, '': DAY_MS };
+  return parseFloat(match[1]) * units[match[2].toLowerCase()];
+}
+
+function splitOptions(spec) {
+  // "Title text;due=3d;priority=high" -> ['Title text', { due: '3d', priority: 'high' }]
+  const [main, ...rest] = spec.split(';');
+  const options = {};
+  for (const part of rest) {
+    const [key, ...value] = part.split('=');
+    if (key.trim()) options[key.trim()] = value.join('=').trim();
+  }
+  return [main, options];
+}
+
+/**
+ * Parse a CLI trigger spec
+ *   stage:Proposal, contact_created, interaction:call, task_overdue, no_contact:14
+ */
+export function parseTrigger(spec) {
+  const [type, ...rest] = String(spec).split(':');
+  const value = rest.join(':').trim();
+  const aliases = { stage: 'stage_entered', interaction: 'interaction_logged', created: 'contact_created', overdue: 'task_overdue' };
+  const trigger = { type: aliases[type.trim()] || type.trim() };
+
+  if (trigger.type === 'stage_entered') trigger.stage = value;
+  if (trigger.type === 'interaction_logged' && value) trigger.interactionType = value;
+  if (trigger.type === 'no_contact') trigger.days = parseInt(value);
+
+  return trigger;
+}
+
+/**
+ * Parse a CLI condition spec
+ *   dealValue>=5000, stage=Proposal, tags~vip, source!=referral,
+ *   email (exists), !phone (missing)
+ */
+export function parseCondition(spec) {
+  const text = String(spec).trim();
+  for (const [symbol, op] of OPERATOR_SYMBOLS) {
+    const index = text.indexOf(symbol);
+    if (index > 0) {
+      return { field: text.slice(0, index).trim(), op, value: text.slice(index + symbol.length).trim() };
+    }
+  }
+  if (text.startsWith('!')) {
+    return { field: text.slice(1).trim(), op: 'missing' };
+  }
+  return { field: text, op: 'exists' };
+}
+
+/**
+ * Parse a CLI action spec
+ *   task:Send proposal follow-up;due=3d;priority=high;assign=louis
+ *   tag:hot, assign:louis, stage:Negotiation, note:Auto-qualified
+ */
+export function parseAction(spec) {
+  const [type, ...rest] = String(spec).split(':');
+  const value = rest.join(':');
+
+  switch (type.trim()) {
+    case 'task': {
+      const [title, options] = splitOptions(value);
+      return {
+        type: 'create_task',
+        title: title.trim(),
+        ...(options.due && { dueIn: options.due }),
+        ...(options.priority && { priority: options.priority }),
+        ...(options.assign && { assignTo: options.assign })
+      };
+    }
+    case 'tag':
+      return { type: 'add_tag', tag: value.trim() };
+    case 'assign':
+      return { type: 'assign', to: value.trim() };
+    case 'stage':
+      return { type: 'move_stage', stage: value.trim() };
+    case 'note':
+      return { type: 'add_note', content: value.trim() };
+    default:
+      return { type: type.trim(), ...(value && { value }) };
+  }
+}
+
+/**
+ * Check a rule's shape
+ * @returns {string[]} problems (empty when valid)
+ */
+export function validateRule(rule) {
+  const errors = [];
+  if (!rule.name) errors.push('name: required');
+
+  const trigger = rule.trigger || {};
+  if (!TRIGGER_TYPES.includes(trigger.type)) {
+    errors.push(`trigger: expected one of ${TRIGGER_TYPES.join(', ')}`);
+  }
+  if (trigger.type === 'stage_entered' && !trigger.stage && !trigger.stageId) {
+    errors.push('trigger: stage_entered needs a stage');
+  }
+  if (trigger.type === 'no_contact' && !(trigger.days > 0)) {
+    errors.push('trigger: no_contact needs a number of days');
+  }
+
+  for (const condition of rule.conditions || []) {
+    if (!condition.field) errors.push('condition: field required');
+    if (!CONDITION_OPERATORS.includes(condition.op)) {
+      errors.push(`condition ${condition.field}: operator must be one of ${CONDITION_OPERATORS.join(', ')}`);
+    }
+  }
+
+  if (!rule.actions || rule.actions.length === 0) {
+    errors.push('actions: at least one action is required');
+  }
+  for (const action of rule.actions || []) {
+    if (!ACTION_TYPES.includes(action.type)) {
+      errors.push(`action: ${action.type} is not one of ${ACTION_TYPES.join(', ')}`);
+    } else if (action.type === 'create_task' && !action.title) {
+      errors.push('create_task: title required');
+    } else if (action.type === 'add_tag' && !action.tag) {
+      errors.push('add_tag: tag required');
+    } else if (action.type === 'assign' && !action.to) {
+      errors.push('assign: user required');
+    } else if (action.type === 'move_stage' && !action.stage && !action.stageId) {
+      errors.push('move_stage: stage required');
+    } else if (action.type === 'add_note' && !action.content) {
+      errors.push('add_note: content required');
+    }
+    if (action.type === 'create_task' && action.dueIn !== undefined) {
+      try {
+        parseDuration(action.dueIn);
+      } catch (err) {
+        errors.push(`create_task: ${err.message}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Value of a condition field on a contact row
+ * @param {Object[]} stages - for resolving `stage` to a name
+ */
+export function fieldValue(contact, field, stages = [], now = new Date()) {
+  if (field === 'stage') {
+    return contact.crm_stages?.name || stages.find(s => s.id === contact.stage_id)?.name || null;
+  }
+  if (field === 'daysInStage') {
+    return contact.stage_entered_at ? Math.floor((now - new Date(contact.stage_entered_at)) / DAY_MS) : null;
+  }
+  if (field === 'daysSinceContact') {
+    const last = contact.last_contact_at || contact.created_at;
+    return last ? Math.floor((now - new Date(last)) / DAY_MS) : null;
+  }
+  const key = customFieldKey(field);
+  if (key) {
+    return contact.custom_fields?.[key] ?? null;
+  }
+  const column = CONTACT_FIELDS[field] || field;
+  return contact[column] ?? null;
+}
+
+const isEmpty = value => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+function compare(actual, expected) {
+  const a = Number(actual);
+  const b = Number(expected);
+  if (actual !== null && actual !== '' && !isNaN(a) && !isNaN(b) && typeof actual !== 'boolean') {
+    return a === b ? 0 : a < b ? -1 : 1;
+  }
+  return String(actual ?? '').toLowerCase().localeCompare(String(expected ?? '').toLowerCase());
+}
+
+function contains(actual, expected) {
+  const needle = String(expected).toLowerCase();
+  if (Array.isArray(actual)) return actual.some(item => String(item).toLowerCase() === needle);
+  return String(actual ?? '').toLowerCase().includes(needle);
+}
+
+/**
+ * Test one condition against a contact
+ */
+export function testCondition(condition, contact, stages = [], now = new Date()) {
+  const actual = fieldValue(contact, condition.field, stages, now);
+  const expected = condition.value;
+
+  switch (condition.op) {
+    case 'exists': return !isEmpty(actual);
+    case 'missing': return isEmpty(actual);
+    case 'contains': return contains(actual, expected);
+    case 'not_contains': return !contains(actual, expected);
+    case 'eq': return Array.isArray(actual) ? contains(actual, expected) : compare(actual, expected) === 0;
+    case 'neq': return Array.isArray(actual) ? !contains(actual, expected) : compare(actual, expected) !== 0;
+    case 'gt': return !isEmpty(actual) && compare(actual, expected) > 0;
+    case 'gte': return !isEmpty(actual) && compare(actual, expected) >= 0;
+    case 'lt': return !isEmpty(actual) && compare(actual, expected) < 0;
+    case 'lte': return !isEmpty(actual) && compare(actual, expected) <= 0;
+    default: return false;
+  }
+}
+
+/**
+ * Test every condition
+ * @returns {Object} { matched, failed: [condition] }
+ */
+export function evaluateConditions(conditions, contact, stages = [], now = new Date()) {
+  const failed = (conditions || []).filter(c => !testCondition(c, contact, stages, now));
+  return { matched: failed.length === 0, failed };
+}
+
+/**
+ * Whether a CRM event fires a rule's trigger
+ * Scheduled triggers never match events.
+ */
+export function triggerMatches(rule, event) {
+  const trigger = rule.trigger_params || {};
+  const after = event.data.after;
+
+  switch (rule.trigger_type) {
+    case 'stage_entered':
+      return (event.type === 'deal.stage_changed' || event.type === 'deal.created') &&
+        after?.stage_id != null && after.stage_id === trigger.stageId;
+    case 'contact_created':
+      return event.type === 'contact.created';
+    case 'interaction_logged':
+      return event.type === 'interaction.added' &&
+        (!trigger.interactionType || trigger.interactionType === after?.type);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Fill {{field}} placeholders from a contact
+ */
+export function renderTemplate(text, contact, stages = []) {
+  return String(text).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, field) => {
+    const value = fieldValue(contact, field, stages);
+    return isEmpty(value) ? '' : Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * One-line description of a condition, e.g. "dealValue >= 5000"
+ */
+export function describeCondition(condition) {
+  if (condition.op === 'exists') return `${condition.field} is set`;
+  if (condition.op === 'missing') return `${condition.field} is empty`;
+  const symbol = OPERATOR_SYMBOLS.find(([, op]) => op === condition.op)?.[0] || condition.op;
+  return `${condition.field} ${symbol} ${condition.value}`;
+}
+
+/**
+ * One-line description of a rule's trigger, e.g. "stage entered: Proposal"
+ * @param {Object} rule - crm_rules row
+ */
+export function describeTrigger(rule, stages = []) {
+  const params = rule.trigger_params || {};
+  switch (rule.trigger_type) {
+    case 'stage_entered':
+      return `stage entered: ${stages.find(s => s.id === params.stageId)?.name || `#${params.stageId}`}`;
+    case 'interaction_logged':
+      return `${params.interactionType || 'any'} interaction logged`;
+    case 'no_contact':
+      return `no contact for ${params.days} days`;
+    default:
+      return rule.trigger_type.replace(/_/g, ' ');
+  }
+}
+
+/**
+ * One-line description of an action, e.g. "create task 'Chase {{name}}' due in 3d"
+ */
+export function describeAction(action, stages = []) {
+  switch (action.type) {
+    case 'create_task': {
+      const due = action.dueIn !== undefined ? ` due in ${action.dueIn}` : '';
+      const priority = action.priority && action.priority !== 'medium' ? ` [${action.priority}]` : '';
+      return `create task '${action.title}'${due}${priority}`;
+    }
+    case 'add_tag':
+      return `tag '${action.tag}'`;
+    case 'assign':
+      return `assign to ${action.to}`;
+    case 'move_stage':
+      return `move to ${stages.find(s => s.id === action.stageId)?.name || action.stage || `#${action.stageId}`}`;
+    case 'add_note':
+      return `add note '${action.content}'`;
+    default:
+      return action.type;
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Lead scoring
+ *
+ * A contact's score adds up points from a scoring model:
+ *
+ *   fields:       { <field>: points } for each field that is filled in
+ *                 (camelCase contact fields or custom_fields.<key>)
+ *   sources:      { <source>: points } for the contact's source
+ *   tags:         { <tag>: points } for each tag the contact has
+ *   dealValue:    [{ min, points }] first tier the open deals' total reaches,
+ *                 in the reporting currency
+ *   stages:       { <stage name>: points } for the furthest open deal's stage
+ *   interactions: { withinDays, types: { <type>: points }, max }
+ *                 points per interaction of each type in the last withinDays,
+ *                 capped at max
+ *   recency:      [{ days, points }] first tier the last interaction is within
+ *   decay:        { afterDays, halfLifeDays } after afterDays without an
+ *                 interaction the score halves every halfLifeDays
+ *
+ * Lost (inactive) contacts score 0. Names (sources, tags, stages, types)
+ * match case-insensitively.
+ */
+
+import { CrmValidationError } from './errors.js';
+import { fieldValue } from './rules.js';
+import { formatMoney } from './currency.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_SCORING_MODEL = {
+  fields: { email: 5, phone: 5, company: 5, role: 5 },
+  sources: { referral: 15, event: 10, website: 5 },
+  tags: { vip: 20, hot: 15 },
+  dealValue: [
+    { min: 50000, points: 25 },
+    { min: 10000, points: 15 },
+    { min: 1000, points: 5 }
+  ],
+  stages: { qualified: 10, proposal: 20, negotiation: 30 },
+  interactions: {
+    withinDays: 30,
+    types: { meeting: 10, demo: 10, proposal: 10, call: 5, email: 2 },
+    max: 40
+  },
+  recency: [
+    { days: 3, points: 15 },
+    { days: 14, points: 5 }
+  ],
+  decay: { afterDays: 30, halfLifeDays: 30 }
+};
+
+const isEmpty = value => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const lowerKeys = map => Object.fromEntries(Object.entries(map || {}).map(([key, value]) => [key.toLowerCase(), value]));
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Check a scoring model and fill in the sections it leaves out from
+ * DEFAULT_SCORING_MODEL
+ * @throws {CrmValidationError} with one detail per problem
+ */
+export function validateScoringModel(model) {
+  if (!model || typeof model !== 'object' || Array.isArray(model)) {
+    throw CrmValidationError.field('model', 'must be an object', model);
+  }
+  const details = [];
+  const fail = (field, message) => details.push({ field, message });
+  const isPoints = value => typeof value === 'number' && Number.isFinite(value);
+
+  for (const key of Object.keys(model)) {
+    if (!(key in DEFAULT_SCORING_MODEL)) fail(key, `is not a scoring model section (expected ${Object.keys(DEFAULT_SCORING_MODEL).join(', ')})`);
+  }
+  for (const section of ['fields', 'sources', 'tags', 'stages']) {
+    if (model[section] === undefined) continue;
+    if (!model[section] || typeof model[section] !== 'object' || Array.isArray(model[section])) {
+      fail(section, 'must map names to points');
+      continue;
+    }
+    for (const [name, points] of Object.entries(model[section])) {
+      if (!isPoints(points)) fail(`${section}.${name}`, 'must be a number of points');
+    }
+  }
+  for (const [section, key] of [['dealValue', 'min'], ['recency', 'days']]) {
+    if (model[section] === undefined) continue;
+    if (!Array.isArray(model[section])) {
+      fail(section, `must be a list of { ${key}, points } tiers`);
+      continue;
+    }
+    model[section].forEach((tier, i) => {
+      if (!isPoints(tier?.[key]) || tier[key] < 0 || !isPoints(tier?.points)) {
+        fail(`${section}[${i}]`, `must be { ${key}, points } with numbers`);
+      }
+    });
+  }
+  if (model.interactions !== undefined) {
+    const { withinDays, types, max } = model.interactions || {};
+    if (!isPoints(withinDays) || withinDays <= 0) fail('interactions.withinDays', 'must be a number of days');
+    if (!types || typeof types !== 'object' || Object.values(types).some(points => !isPoints(points))) {
+      fail('interactions.types', 'must map interaction types to points');
+    }
+    if (max !== undefined && max !== null && !isPoints(max)) fail('interactions.max', 'must be a number of points');
+  }
+  if (model.decay !== undefined && model.decay !== null) {
+    const { afterDays, halfLifeDays } = model.decay;
+    if (!isPoints(afterDays) || afterDays < 0) fail('decay.afterDays', 'must be a number of days');
+    if (!isPoints(halfLifeDays) || halfLifeDays <= 0) fail('decay.halfLifeDays', 'must be a number of days');
+  }
+
+  if (details.length > 0) {
+    throw new CrmValidationError('Invalid scoring model', details);
+  }
+  return { ...DEFAULT_SCORING_MODEL, ...model };
+}
+
+/**
+ * Score one contact
+ * @param {Object} contact - crm_contacts row
+ * @param {Object} context - { model, deals, interactions, stages, currency, now }
+ *   deals: the contact's open deals with values in the reporting currency
+ *   interactions: the contact's interactions
+ *   currency: reporting currency, for reasons
+ * @returns {Object} { score, reasons } - reasons: [{ points, reason }], biggest first
+ */
+export function scoreLead(contact, context) {
+  const { model, deals = [], interactions = [], stages = [], currency, now = new Date() } = context;
+  const reasons = [];
+  const add = (points, reason) => {
+    if (points) reasons.push({ points, reason });
+  };
+
+  if (contact.is_active === false) {
+    return { score: 0, reasons: [{ points: 0, reason: 'lost' }] };
+  }
+
+  for (const [field, points] of Object.entries(model.fields || {})) {
+    if (!isEmpty(fieldValue(contact, field, stages, now))) add(points, `has ${field}`);
+  }
+
+  const sources = lowerKeys(model.sources);
+  if (contact.source && sources[contact.source.toLowerCase()] !== undefined) {
+    add(sources[contact.source.toLowerCase()], `source ${contact.source}`);
+  }
+
+  const tags = lowerKeys(model.tags);
+  for (const tag of contact.tags || []) {
+    if (tags[tag.toLowerCase()] !== undefined) add(tags[tag.toLowerCase()], `tagged ${tag}`);
+  }
+
+  const dealValue = deals.reduce((sum, d) => sum + (parseFloat(d.value) || 0), 0);
+  const valueTier = [...(model.dealValue || [])].sort((a, b) => b.min - a.min).find(tier => dealValue >= tier.min);
+  if (valueTier) {
+    add(valueTier.points, `open deals worth ${currency ? formatMoney(dealValue, currency, { whole: true }) : Math.round(dealValue)}`);
+  }
+
+  // The furthest stage any open deal is in
+  const stagePoints = lowerKeys(model.stages);
+  const dealStages = deals
+    .map(d => stages.find(s => s.id === d.stage_id))
+    .filter(stage => stage && stagePoints[stage.name.toLowerCase()] !== undefined)
+    .sort((a, b) => b.position - a.position);
+  if (dealStages.length > 0) {
+    add(stagePoints[dealStages[0].name.toLowerCase()], `in ${dealStages[0].name}`);
+  }
+
+  if (model.interactions) {
+    const { withinDays, types, max } = model.interactions;
+    const typePoints = lowerKeys(types);
+    const since = new Date(now - withinDays * DAY_MS).toISOString();
+    const counts = new Map();
+    for (const interaction of interactions) {
+      const type = String(interaction.type).toLowerCase();
+      if ((interaction.created_at || '') >= since && typePoints[type] !== undefined) {
+        counts.set(type, (counts.get(type) || 0) + 1);
+      }
+    }
+    let points = [...counts].reduce((sum, [type, count]) => sum + typePoints[type] * count, 0);
+    const capped = max !== undefined && max !== null && points > max;
+    if (capped) points = max;
+    const summary = [...counts].sort((a, b) => b[1] - a[1]).map(([type, count]) => plural(count, type)).join(', ');
+    add(points, `${summary} in the last ${withinDays} days${capped ? ` (capped at ${max})` : ''}`);
+  }
+
+  const last = [contact.last_contact_at, ...interactions.map(i => i.created_at)].filter(Boolean).sort().pop();
+  const idleDays = Math.floor((now - new Date(last || contact.created_at || now)) / DAY_MS);
+  if (last) {
+    const recencyTier = [...(model.recency || [])].sort((a, b) => a.days - b.days).find(tier => idleDays <= tier.days);
+    if (recencyTier) add(recencyTier.points, `contacted within ${plural(recencyTier.days, 'day')}`);
+  }
+
+  let score = reasons.reduce((sum, r) => sum + r.points, 0);
+
+  if (model.decay && idleDays > model.decay.afterDays && score > 0) {
+    const factor = Math.pow(0.5, (idleDays - model.decay.afterDays) / model.decay.halfLifeDays);
+    const decayed = Math.round(score * factor);
+    add(decayed - score, `no interaction for ${plural(idleDays, 'day')}`);
+    score = decayed;
+  }
+
+  reasons.sort((a, b) => b.points - a.points);
+  return { score: Math.max(0, Math.round(score)), reasons };
+}
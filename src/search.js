@@ -0,0 +1,322 @@
+/**
+ * Contact search query language
+ *
+ *   tag:vip stage:Proposal value>5000 owner:louis "pricing"
+ *
+ * Terms are ANDed together:
+ *   word, "a phrase"     - full text over contact fields and interaction
+ *                          subjects/content (`*` is a wildcard)
+ *   field:value          - filter, value may be quoted: company:"Acme, Inc"
+ *   field>n, >=, <, <=   - numeric and date ranges: value>5000, created>=2026-01-01
+ *   -term, -field:value  - exclude matches
+ *
+ * Fields:
+ *   tag           has the tag (exact)
+ *   stage         in the stage (name or ID)
+ *   value         deal value (number)
+ *   score         lead score (number)
+ *   owner         assigned to (exact, case-insensitive)
+ *   name, email, phone, company, role, source, currency - contains text
+ *   created, updated, close, contacted - dates; `created:2026-02` means that month
+ *   custom_fields.<key>  custom field contains text (or compares numbers)
+ *   is:active, is:lost
+ *   has:<field>   field is set (email, phone, company, value, owner, tag, close...)
+ *
+ * Parsing produces plain filter objects; each backend turns them into
+ * its own query (PostgREST filters, or predicates for local backends),
+ * so user input is never spliced into a filter string.
+ */
+
+import { CrmValidationError } from './errors.js';
+import { customFieldKey } from './fields.js';
+
+const FIELDS = {
+  tag: { column: 'tags', type: 'tag' },
+  tags: { column: 'tags', type: 'tag' },
+  stage: { column: 'stage_id', type: 'stage' },
+  value: { column: 'deal_value', type: 'number' },
+  deal: { column: 'deal_value', type: 'number' },
+  owner: { column: 'assigned_to', type: 'exact' },
+  assigned: { column: 'assigned_to', type: 'exact' },
+  name: { column: 'name', type: 'text' },
+  email: { column: 'email', type: 'text' },
+  phone: { column: 'phone', type: 'text' },
+  company: { column: 'company', type: 'text' },
+  role: { column: 'role', type: 'text' },
+  source: { column: 'source', type: 'text' },
+  currency: { column: 'currency', type: 'text' },
+  score: { column: 'score', type: 'number' },
+  created: { column: 'created_at', type: 'date' },
+  updated: { column: 'updated_at', type: 'date' },
+  close: { column: 'expected_close_at', type: 'date' },
+  contacted: { column: 'last_contact_at', type: 'date' }
+};
+
+// Contact columns a free-text term is matched against, with ranking weights
+export const TEXT_COLUMNS = { name: 5, company: 3, email: 3, role: 2, phone: 2 };
+
+// Ranking weights for interaction matches
+const SUBJECT_WEIGHT = 2;
+const CONTENT_WEIGHT = 1;
+const MAX_INTERACTION_SCORE = 10;
+
+const COMPARATORS = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+
+/**
+ * Split a query into raw tokens, keeping quoted phrases together
+ * @returns {Object[]} { negate, field?, operator?, value, quoted }
+ */
+function tokenize(query) {
+  const tokens = [];
+  const pattern = /(-)?(?:([A-Za-z][\w.]*)(:|>=|<=|>|<|=))?(?:"((?:[^"\\]|\\.)*)"?|(\S+))/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const [, negate, field, operator, quotedValue, plainValue] = match;
+    const quoted = quotedValue !== undefined;
+    const value = quoted ? quotedValue.replace(/\\(.)/g, '$1') : plainValue;
+    if (!value) continue;
+    tokens.push({ negate: Boolean(negate), field, operator, value, quoted });
+  }
+  return tokens;
+}
+
+// created:2026, created:2026-02, created:2026-02-14 -> [start, end)
+function dateRange(value) {
+  const match = value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (!match) return null;
+  const [, y, m, d] = match.map(Number);
+  const start = new Date(Date.UTC(y, (m || 1) - 1, d || 1));
+  const end = d ? new Date(Date.UTC(y, m - 1, d + 1)) : m ? new Date(Date.UTC(y, m, 1)) : new Date(Date.UTC(y + 1, 0, 1));
+  return [start.toISOString(), end.toISOString()];
+}
+
+function invalidQuery(field, message) {
+  return new CrmValidationError('Invalid search query', [{ field, message }]);
+}
+
+function parseDate(field, value) {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw invalidQuery(field, `"${value}" is not a date`);
+  }
+  return date.toISOString();
+}
+
+function parseNumber(field, value) {
+  const number = Number(value.replace(/[$,_]/g, ''));
+  if (value.trim() === '' || isNaN(number)) {
+    throw invalidQuery(field, `"${value}" is not a number`);
+  }
+  return number;
+}
+
+function fieldFilter(token) {
+  const name = token.field.toLowerCase();
+  const comparator = COMPARATORS[token.operator];
+  const negate = token.negate;
+
+  if (name === 'is') {
+    const value = token.value.toLowerCase();
+    if (!['active', 'lost', 'inactive'].includes(value)) {
+      throw invalidQuery('is', `expected active or lost, got "${token.value}"`);
+    }
+    return [{ column: 'is_active', op: 'eq', value: value === 'active', negate }];
+  }
+
+  if (name === 'has') {
+    const field = FIELDS[token.value.toLowerCase()];
+    if (!field) {
+      throw invalidQuery('has', `unknown field "${token.value}"`);
+    }
+    return [{ column: field.column, op: 'exists', negate }];
+  }
+
+  const key = customFieldKey(token.field);
+  if (key) {
+    if (!/^[\w-]+$/.test(key)) {
+      throw invalidQuery(token.field, 'custom field keys may only contain letters, numbers, _ and -');
+    }
+    if (comparator) {
+      return [{ column: 'custom_fields', key, op: comparator, value: parseNumber(token.field, token.value), negate }];
+    }
+    return [{ column: 'custom_fields', key, op: 'contains', value: token.value, negate }];
+  }
+
+  const field = FIELDS[name];
+  if (!field) {
+    const known = [...Object.keys(FIELDS), 'is', 'has', 'custom_fields.<key>'].join(', ');
+    throw invalidQuery(token.field, `unknown search field (expected one of ${known})`);
+  }
+
+  if (comparator && !['number', 'date'].includes(field.type)) {
+    throw invalidQuery(name, `${token.operator} only works on numbers and dates`);
+  }
+
+  switch (field.type) {
+    case 'tag':
+      return [{ column: field.column, op: 'has', value: token.value, negate }];
+    case 'stage':
+      return [{ column: field.column, op: 'eq', stage: token.value, negate }];
+    case 'exact':
+      return [{ column: field.column, op: 'ieq', value: token.value, negate }];
+    case 'text':
+      return [{ column: field.column, op: 'contains', value: token.value, negate }];
+    case 'number':
+      return [{ column: field.column, op: comparator || 'eq', value: parseNumber(name, token.value), negate }];
+    case 'date': {
+      if (comparator) {
+        return [{ column: field.column, op: comparator, value: parseDate(name, token.value), negate }];
+      }
+      const range = dateRange(token.value);
+      if (!range) {
+        throw invalidQuery(name, `expected YYYY, YYYY-MM or YYYY-MM-DD, got "${token.value}"`);
+      }
+      return [{ column: field.column, op: 'range', value: range, negate }];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Parse a query string
+ * @returns {Object} { filters: [{ column, op, value, key?, stage?, negate }], terms: [{ text, negate }] }
+ * @throws {CrmValidationError} for unknown fields or bad values
+ */
+export function parseSearchQuery(query) {
+  const filters = [];
+  const terms = [];
+
+  for (const token of tokenize(String(query || ''))) {
+    if (token.field) {
+      filters.push(...fieldFilter(token));
+    } else {
+      terms.push({ text: token.value, negate: token.negate });
+    }
+  }
+
+  return { filters, terms };
+}
+
+// `*` is a wildcard; everything else in a term matches literally
+function termPattern(text) {
+  const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\*/g, '.*');
+  return new RegExp(escaped, 'i');
+}
+
+/**
+ * SQL LIKE pattern for a term: escapes %, _ and \, maps * to %
+ */
+export function likePattern(text) {
+  return `%${text.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%')}%`;
+}
+
+/**
+ * Whether a free-text term matches an interaction's subject or content
+ */
+export function interactionMatchesTerm(interaction, text) {
+  const pattern = termPattern(text);
+  return pattern.test(interaction.subject || '') || pattern.test(interaction.content || '');
+}
+
+/**
+ * Whether a term matches a contact's own text fields or tags
+ */
+export function contactMatchesTerm(contact, text) {
+  const pattern = termPattern(text);
+  return Object.keys(TEXT_COLUMNS).some(column => contact[column] && pattern.test(contact[column])) ||
+    (contact.tags || []).includes(text);
+}
+
+function compareValues(actual, op, expected) {
+  if (actual === null || actual === undefined) return false;
+  switch (op) {
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    default: return actual === expected;
+  }
+}
+
+/**
+ * Test one parsed filter against a contact row (local backends)
+ * Stage filters must have been resolved to a stageId first.
+ */
+export function matchesFilter(contact, filter) {
+  const raw = filter.key !== undefined ? contact.custom_fields?.[filter.key] : contact[filter.column];
+  let result;
+
+  switch (filter.op) {
+    case 'exists':
+      result = raw !== null && raw !== undefined && raw !== '' && !(Array.isArray(raw) && raw.length === 0);
+      break;
+    case 'has':
+      result = (raw || []).includes(filter.value);
+      break;
+    case 'ieq':
+      result = raw !== null && raw !== undefined && String(raw).toLowerCase() === String(filter.value).toLowerCase();
+      break;
+    case 'contains':
+      result = raw !== null && raw !== undefined && String(raw).toLowerCase().includes(String(filter.value).toLowerCase());
+      break;
+    case 'range':
+      result = raw !== null && raw !== undefined && raw >= filter.value[0] && raw < filter.value[1];
+      break;
+    default: {
+      const numeric = typeof filter.value === 'number';
+      const actual = numeric && raw !== null && raw !== undefined ? parseFloat(raw) : raw;
+      result = compareValues(actual, filter.op, filter.value);
+    }
+  }
+
+  return filter.negate ? !result : result;
+}
+
+/**
+ * Relevance of a contact for the free-text terms
+ * @param {Object} contact - crm_contacts row
+ * @param {Object[]} terms - positive terms
+ * @param {Object[]} interactions - matching interactions for this contact
+ * @returns {number}
+ */
+export function scoreContact(contact, terms, interactions = []) {
+  let score = 0;
+  for (const { text } of terms) {
+    const pattern = termPattern(text);
+    for (const [column, weight] of Object.entries(TEXT_COLUMNS)) {
+      const value = contact[column];
+      if (!value || !pattern.test(value)) continue;
+      // Whole-value and prefix matches rank above matches mid-word
+      const lower = value.toLowerCase();
+      const term = text.toLowerCase();
+      score += weight * (lower === term ? 3 : lower.startsWith(term) ? 2 : 1);
+    }
+    if ((contact.tags || []).includes(text)) score += 2;
+
+    let interactionScore = 0;
+    for (const interaction of interactions) {
+      const global = new RegExp(pattern.source, 'gi');
+      interactionScore += SUBJECT_WEIGHT * ((interaction.subject || '').match(global)?.length || 0);
+      interactionScore += CONTENT_WEIGHT * ((interaction.content || '').match(global)?.length || 0);
+    }
+    score += Math.min(interactionScore, MAX_INTERACTION_SCORE);
+  }
+  return score;
+}
+
+/**
+ * Short excerpt of an interaction around the first term match
+ */
+export function snippet(interaction, terms, width = 60) {
+  const text = interaction.content || interaction.subject || '';
+  for (const { text: term } of terms) {
+    const match = termPattern(term).exec(text);
+    if (match) {
+      const start = Math.max(0, match.index - Math.floor(width / 2));
+      const excerpt = text.slice(start, start + width).replace(/\s+/g, ' ').trim();
+      return `${start > 0 ? '…' : ''}${excerpt}${start + width < text.length ? '…' : ''}`;
+    }
+  }
+  return text.slice(0, width);
+}
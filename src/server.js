@@ -0,0 +1,702 @@
+/**
+ * REST API server
+ *
+ * Serves the CRM class as versioned JSON over HTTP (node:http, no
+ * framework), so front-ends and agents in other languages don't need
+ * database keys or the camelCase-to-column mapping:
+ *
+ *   /v1/contacts, /v1/stages, /v1/interactions, /v1/tasks, /v1/stats
+ *   /openapi.json   OpenAPI 3 document, generated from the route table
+ *                   below and the table definitions in adapters/schema.js
+ *
+ * Requests send camelCase fields (as the CRM methods take them);
+ * responses are rows with snake_case columns, wrapped as { data } or,
+ * for lists, { data: [...], nextCursor }. Errors are
+ * { error: { code, message, details? } } with the CrmError code.
+ *
+ * Every /v1 request needs an API key (Authorization: Bearer <key>, or
+ * X-API-Key). Each key maps to an agentId, which scopes all its data and
+ * is the actor in the audit log. A front-end acting for its users can
+ * name them in X-Actor, which is only read when the server trusts it
+ * (trustActorHeader). Rows are returned without their agent_id.
+ */
+
+import { createServer as createHttpServer } from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { CRM } from './crm.js';
+import { CrmValidationError, CrmNotFoundError } from './errors.js';
+import { TABLES } from './adapters/schema.js';
+import { CONTACT_FIELDS, INTERACTION_FIELDS, TASK_FIELDS } from './fields.js';
+import { PRIORITIES } from './validation.js';
+
+export const API_VERSION = 'v1';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// HTTP status by CrmError code
+const STATUS_CODES = {
+  validation_failed: 400,
+  invalid_json: 400,
+  invalid_request: 400,
+  unauthorized: 401,
+  not_found: 404,
+  method_not_allowed: 405,
+  conflict: 409,
+  payload_too_large: 413,
+  unsupported_media_type: 415
+};
+
+class HttpError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Read API keys from a spec like 'key1:agent-a,key2:agent-b'
+ * @returns {Map} key -> agentId
+ */
+export function parseApiKeys(spec) {
+  const keys = new Map();
+  for (const entry of (spec || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const colon = entry.lastIndexOf(':');
+    if (colon < 1 || colon === entry.length - 1) {
+      throw new Error(`Invalid API key entry "${entry.replace(/^(.{4}).*?(:|$)/, '$1…$2')}" (expected <key>:<agentId>)`);
+    }
+    keys.set(entry.slice(0, colon), entry.slice(colon + 1));
+  }
+  return keys;
+}
+
+// ============ PARAMETERS ============
+
+const param = (name, type, description, extra = {}) => ({ name, type, description, ...extra });
+
+const PAGE_PARAMS = [
+  param('limit', 'integer', 'Page size (default 50)'),
+  param('cursor', 'string', 'nextCursor from the previous page')
+];
+
+const CONTACT_FILTERS = [
+  param('stageId', 'integer', 'Contacts in this stage'),
+  param('companyId', 'integer', 'Contacts linked to this company'),
+  param('isActive', 'boolean', 'false for lost contacts'),
+  param('assignedTo', 'string', 'Contacts assigned to this user'),
+  param('tags', 'list', 'Comma-separated; contacts with any of these tags'),
+  param('minScore', 'integer', 'Lead score at least this'),
+  param('maxScore', 'integer', 'Lead score at most this'),
+  param('createdSince', 'date-time', 'Created on or after'),
+  param('createdUntil', 'date-time', 'Created on or before'),
+  param('sort', 'string', 'score: highest lead score first (one page, no cursor)', { enum: ['score'] })
+];
+
+const INTERACTION_FILTERS = [
+  param('contactId', 'integer', "One contact's interactions"),
+  param('type', 'string', 'e.g. call, email, meeting'),
+  param('createdBy', 'string', 'Logged by this user'),
+  param('scheduled', 'boolean', 'Only interactions with a scheduled_at')
+];
+
+const TASK_FILTERS = [
+  param('contactId', 'integer', "One contact's tasks"),
+  param('completed', 'boolean', 'true for done, false for open'),
+  param('assignedTo', 'string', 'Tasks assigned to this user'),
+  param('priority', 'string', 'Tasks with this priority', { enum: PRIORITIES }),
+  param('dueBefore', 'date-time', 'Due on or before'),
+  param('seriesId', 'integer', 'Every occurrence of a recurring task')
+];
+
+const PERMANENT = param('permanent', 'boolean', 'Delete for good instead of moving to the trash');
+
+// Query string values -> typed options, rejecting what doesn't parse
+function readQuery(searchParams, params) {
+  const options = {};
+  const details = [];
+  for (const { name, type, enum: allowed } of params) {
+    const raw = searchParams.get(name);
+    if (raw === null || raw === '') continue;
+    let value = raw;
+    if (type === 'integer') {
+      value = Number(raw);
+      if (!Number.isInteger(value)) details.push({ field: name, message: 'must be an integer', value: raw });
+    } else if (type === 'number') {
+      value = Number(raw);
+      if (!Number.isFinite(value)) details.push({ field: name, message: 'must be a number', value: raw });
+    } else if (type === 'boolean') {
+      if (!['true', 'false'].includes(raw)) details.push({ field: name, message: 'must be true or false', value: raw });
+      value = raw === 'true';
+    } else if (type === 'date-time') {
+      value = new Date(raw);
+      if (isNaN(value)) details.push({ field: name, message: 'must be a date (ISO 8601)', value: raw });
+      else value = value.toISOString();
+    } else if (type === 'list') {
+      value = raw.split(',').map(v => v.trim()).filter(Boolean);
+    }
+    if (allowed && !allowed.includes(value)) {
+      details.push({ field: name, message: `expected ${allowed.join(', ')}`, value: raw });
+    }
+    options[name] = value;
+  }
+  if (details.length > 0) {
+    throw new CrmValidationError('Invalid query parameters', details);
+  }
+  return options;
+}
+
+// ============ ROUTES ============
+
+// A list endpoint: a page of rows and the cursor for the next one
+const page = ({ items, nextCursor }) => ({ data: items, nextCursor });
+
+/**
+ * Every endpoint, under /v1
+ * query: parameters (see readQuery), body: request schema name,
+ * response: schema name ('Page:<schema>' for lists), status: on success
+ */
+const ROUTES = [
+  {
+    method: 'GET', path: '/contacts', operationId: 'listContacts', tag: 'Contacts',
+    summary: 'List contacts, most recently updated first',
+    query: [...CONTACT_FILTERS, ...PAGE_PARAMS], response: 'Page:Contact',
+    handler: async (crm, { query }) => {
+      const { sort, cursor, ...filters } = query;
+      if (sort) return { data: await crm.listContacts({ ...filters, sort, limit: filters.limit || 50 }), nextCursor: null };
+      return page(await crm.pageContacts({ ...filters, cursor }));
+    }
+  },
+  {
+    method: 'POST', path: '/contacts', operationId: 'createContact', tag: 'Contacts',
+    summary: 'Create a contact', body: 'ContactInput', response: 'Contact', status: 201,
+    handler: (crm, { body, actor }) => crm.createContact(body, { actor })
+  },
+  {
+    method: 'GET', path: '/contacts/search', operationId: 'searchContacts', tag: 'Contacts',
+    summary: 'Search contacts with the query language, e.g. tag:vip value>5000 "pricing"',
+    query: [param('q', 'string', 'Search query', { required: true }), param('limit', 'integer', 'Most results to return')],
+    response: 'List:Contact',
+    handler: async (crm, { query }) => ({ data: await crm.search(query.q || '', { limit: query.limit }) })
+  },
+  {
+    method: 'GET', path: '/contacts/{id}', operationId: 'getContact', tag: 'Contacts',
+    summary: 'Get a contact', response: 'Contact',
+    handler: (crm, { id }) => crm.getContact(id)
+  },
+  {
+    method: 'PATCH', path: '/contacts/{id}', operationId: 'updateContact', tag: 'Contacts',
+    summary: 'Update a contact', body: 'ContactUpdate', response: 'Contact',
+    handler: (crm, { id, body, actor }) => crm.updateContact(id, body, { actor })
+  },
+  {
+    method: 'DELETE', path: '/contacts/{id}', operationId: 'deleteContact', tag: 'Contacts',
+    summary: 'Move a contact to the trash (with its interactions and tasks)', query: [PERMANENT], status: 204,
+    handler: (crm, { id, query, actor }) => crm.deleteContact(id, { actor, permanent: query.permanent })
+  },
+  {
+    method: 'POST', path: '/contacts/{id}/move', operationId: 'moveContact', tag: 'Contacts',
+    summary: 'Move a contact to another stage', body: 'StageMove', response: 'Contact',
+    handler: (crm, { id, body, actor }) => crm.moveStage(id, body.stageId, { actor })
+  },
+  {
+    method: 'GET', path: '/contacts/{id}/history', operationId: 'getStageHistory', tag: 'Contacts',
+    summary: "A contact's stage changes, oldest first", response: 'List:StageTransition',
+    handler: async (crm, { id }) => ({ data: await crm.getStageHistory(id) })
+  },
+
+  {
+    method: 'GET', path: '/stages', operationId: 'listStages', tag: 'Stages',
+    summary: 'List pipeline stages in order', response: 'List:Stage',
+    handler: async crm => ({ data: await crm.listStages() })
+  },
+  {
+    method: 'POST', path: '/stages', operationId: 'createStage', tag: 'Stages',
+    summary: 'Create a stage', body: 'StageInput', response: 'Stage', status: 201,
+    handler: (crm, { body, actor }) => crm.createStage(body, { actor })
+  },
+  {
+    method: 'POST', path: '/stages/reorder', operationId: 'reorderStages', tag: 'Stages',
+    summary: 'Put stages in a new order', body: 'StageOrder', response: 'List:Stage',
+    handler: async (crm, { body, actor }) => ({ data: await crm.reorderStages(body.stageIds, { actor }) })
+  },
+  {
+    method: 'PATCH', path: '/stages/{id}', operationId: 'updateStage', tag: 'Stages',
+    summary: 'Update a stage', body: 'StageUpdate', response: 'Stage',
+    handler: (crm, { id, body, actor }) => crm.updateStage(id, body, { actor })
+  },
+  {
+    method: 'DELETE', path: '/stages/{id}', operationId: 'deleteStage', tag: 'Stages',
+    summary: 'Move a stage to the trash', query: [PERMANENT], status: 204,
+    handler: (crm, { id, query, actor }) => crm.deleteStage(id, { actor, permanent: query.permanent })
+  },
+
+  {
+    method: 'GET', path: '/interactions', operationId: 'listInteractions', tag: 'Interactions',
+    summary: 'List interactions, newest first',
+    query: [...INTERACTION_FILTERS, ...PAGE_PARAMS], response: 'Page:Interaction',
+    handler: async (crm, { query }) => page(await crm.pageInteractions(query))
+  },
+  {
+    method: 'POST', path: '/interactions', operationId: 'addInteraction', tag: 'Interactions',
+    summary: 'Log an interaction', body: 'InteractionInput', response: 'Interaction', status: 201,
+    handler: (crm, { body, actor }) => crm.addInteraction({ ...body, createdBy: actor }, { actor })
+  },
+  {
+    method: 'PATCH', path: '/interactions/{id}', operationId: 'updateInteraction', tag: 'Interactions',
+    summary: 'Update an interaction', body: 'InteractionUpdate', response: 'Interaction',
+    handler: (crm, { id, body, actor }) => crm.updateInteraction(id, body, { actor })
+  },
+  {
+    method: 'DELETE', path: '/interactions/{id}', operationId: 'deleteInteraction', tag: 'Interactions',
+    summary: 'Move an interaction to the trash', query: [PERMANENT], status: 204,
+    handler: (crm, { id, query, actor }) => crm.deleteInteraction(id, { actor, permanent: query.permanent })
+  },
+
+  {
+    method: 'GET', path: '/tasks', operationId: 'listTasks', tag: 'Tasks',
+    summary: 'List tasks, newest first',
+    query: [...TASK_FILTERS, ...PAGE_PARAMS], response: 'Page:Task',
+    handler: async (crm, { query }) => page(await crm.pageTasks(query))
+  },
+  {
+    method: 'POST', path: '/tasks', operationId: 'addTask', tag: 'Tasks',
+    summary: 'Add a task (recurrence makes it repeat)', body: 'TaskInput', response: 'Task', status: 201,
+    handler: (crm, { body, actor }) => crm.addTask(body, { actor })
+  },
+  {
+    method: 'GET', path: '/tasks/{id}', operationId: 'getTask', tag: 'Tasks',
+    summary: 'Get a task', response: 'Task',
+    handler: (crm, { id }) => crm.getTask(id)
+  },
+  {
+    method: 'PATCH', path: '/tasks/{id}', operationId: 'updateTask', tag: 'Tasks',
+    summary: 'Update a task', body: 'TaskUpdate', response: 'Task',
+    handler: (crm, { id, body, actor }) => crm.updateTask(id, body, { actor })
+  },
+  {
+    method: 'POST', path: '/tasks/{id}/complete', operationId: 'completeTask', tag: 'Tasks',
+    summary: 'Complete a task; a recurring task returns its next occurrence as next_task', response: 'Task',
+    handler: (crm, { id, actor }) => crm.completeTask(id, { actor })
+  },
+  {
+    method: 'POST', path: '/tasks/{id}/reopen', operationId: 'reopenTask', tag: 'Tasks',
+    summary: 'Mark a completed task as open again', response: 'Task',
+    handler: (crm, { id, actor }) => crm.uncompleteTask(id, { actor })
+  },
+  {
+    method: 'DELETE', path: '/tasks/{id}', operationId: 'deleteTask', tag: 'Tasks',
+    summary: 'Move a task to the trash', query: [PERMANENT], status: 204,
+    handler: (crm, { id, query, actor }) => crm.deleteTask(id, { actor, permanent: query.permanent })
+  },
+
+  {
+    method: 'GET', path: '/stats', operationId: 'getStats', tag: 'Stats',
+    summary: 'Pipeline, activity and task overview', response: 'Stats',
+    handler: crm => crm.getStats()
+  },
+  {
+    method: 'GET', path: '/stats/pipeline', operationId: 'getPipelineStats', tag: 'Stats',
+    summary: 'Open deals and their value by stage, in the reporting currency',
+    query: [param('currency', 'string', 'Report in this currency instead')], response: 'Stats',
+    handler: (crm, { query }) => crm.getPipelineStats(query)
+  },
+  {
+    method: 'GET', path: '/stats/activity', operationId: 'getActivityStats', tag: 'Stats',
+    summary: 'Interactions and tasks over the last N days',
+    query: [param('days', 'integer', 'Days to look back (default 30)')], response: 'Stats',
+    handler: (crm, { query }) => crm.getActivityStats(query.days)
+  },
+  {
+    method: 'GET', path: '/stats/velocity', operationId: 'getStageVelocity', tag: 'Stats',
+    summary: 'Average and median time in each stage',
+    query: [param('since', 'date-time', 'Transitions since'), param('includeOpen', 'boolean', 'Count time in the current stage so far')],
+    response: 'Stats',
+    handler: (crm, { query }) => crm.getStageVelocity(query)
+  },
+  {
+    method: 'GET', path: '/stats/funnel', operationId: 'getFunnelStats', tag: 'Stats',
+    summary: 'Stage-to-stage conversion for deals created in a window',
+    query: [
+      param('since', 'date-time', 'Created on or after'),
+      param('until', 'date-time', 'Created on or before'),
+      param('assignedTo', 'string', 'Contacts assigned to this user')
+    ],
+    response: 'Stats',
+    handler: (crm, { query }) => crm.getFunnelStats(query)
+  },
+  {
+    method: 'GET', path: '/stats/forecast', operationId: 'getForecast', tag: 'Stats',
+    summary: 'Weighted revenue forecast by expected close period',
+    query: [
+      param('period', 'string', 'Group by month or quarter', { enum: ['month', 'quarter'] }),
+      param('currency', 'string', 'Report in this currency instead')
+    ],
+    response: 'Stats',
+    handler: (crm, { query }) => crm.getForecast(query)
+  }
+].map(route => ({
+  ...route,
+  pattern: new RegExp(`^/${API_VERSION}${route.path.replace('{id}', '(\\d+)')}$`)
+}));
+
+// ============ OPENAPI ============
+
+const COLUMN_TYPES = {
+  serial: { type: 'integer' },
+  integer: { type: 'integer' },
+  decimal: { type: 'number' },
+  boolean: { type: 'boolean' },
+  text: { type: 'string' },
+  timestamptz: { type: 'string', format: 'date-time' },
+  array: { type: 'array', items: { type: 'string' } },
+  json: { type: 'object' }
+};
+
+// Row schema from a table definition; agent_id is never exposed
+function rowSchema(table, extra = {}) {
+  const properties = {};
+  for (const [name, column] of Object.entries(TABLES[table])) {
+    if (name === 'agent_id') continue;
+    const schema = { ...COLUMN_TYPES[column.type] };
+    properties[name] = column.notNull || column.type === 'serial' ? schema : { ...schema, nullable: true };
+  }
+  return { type: 'object', properties: { ...properties, ...extra } };
+}
+
+// Request body schema from camelCase fields, typed by their columns
+function inputSchema(table, fields, { required = [], extra = {} } = {}) {
+  const properties = {};
+  for (const [field, column] of Object.entries(fields)) {
+    properties[field] = { ...COLUMN_TYPES[TABLES[table][column].type] };
+  }
+  Object.assign(properties, extra);
+  return { type: 'object', properties, ...(required.length > 0 && { required }) };
+}
+
+const EMBEDDED_CONTACT = {
+  type: 'object', nullable: true,
+  properties: { name: { type: 'string' }, email: { type: 'string', nullable: true }, company: { type: 'string', nullable: true } }
+};
+const EMBEDDED_STAGE = {
+  type: 'object', nullable: true,
+  properties: { name: { type: 'string' }, color: { type: 'string', nullable: true } }
+};
+
+const STAGE_FIELDS = { name: 'name', position: 'position', color: 'color', winProbability: 'win_probability' };
+
+function schemas() {
+  const contactInput = inputSchema('crm_contacts', CONTACT_FIELDS);
+  const interactionInput = inputSchema('crm_interactions', INTERACTION_FIELDS, {
+    extra: {
+      contactId: { type: 'integer' },
+      occurredAt: { type: 'string', format: 'date-time', description: 'When it happened, if not now' }
+    }
+  });
+  const taskInput = inputSchema('crm_tasks', TASK_FIELDS);
+  const stageInput = inputSchema('crm_stages', STAGE_FIELDS);
+
+  return {
+    Contact: rowSchema('crm_contacts', { crm_stages: EMBEDDED_STAGE }),
+    ContactInput: { ...contactInput, required: ['name'] },
+    ContactUpdate: contactInput,
+    Stage: rowSchema('crm_stages'),
+    StageInput: { ...stageInput, required: ['name'] },
+    StageUpdate: stageInput,
+    StageMove: { type: 'object', properties: { stageId: { type: 'integer' } }, required: ['stageId'] },
+    StageOrder: { type: 'object', properties: { stageIds: { type: 'array', items: { type: 'integer' } } }, required: ['stageIds'] },
+    StageTransition: rowSchema('crm_stage_transitions'),
+    Interaction: rowSchema('crm_interactions', { crm_contacts: EMBEDDED_CONTACT }),
+    InteractionInput: { ...interactionInput, required: ['contactId', 'type'] },
+    InteractionUpdate: inputSchema('crm_interactions', INTERACTION_FIELDS),
+    Task: rowSchema('crm_tasks', { crm_contacts: EMBEDDED_CONTACT }),
+    TaskInput: { ...taskInput, required: ['title'] },
+    TaskUpdate: taskInput,
+    Stats: { type: 'object', additionalProperties: true },
+    Error: {
+      type: 'object',
+      properties: {
+        error: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', enum: [...Object.keys(STATUS_CODES), 'internal_error'] },
+            message: { type: 'string' },
+            details: {
+              description: 'validation_failed: [{ field, message, value }]; conflict and not_found: what clashed or was missing'
+            }
+          },
+          required: ['code', 'message']
+        }
+      }
+    }
+  };
+}
+
+function responseSchema(response) {
+  const [kind, name] = response.includes(':') ? response.split(':') : ['One', response];
+  const ref = { $ref: `#/components/schemas/${name}` };
+  if (kind === 'One') {
+    return { type: 'object', properties: { data: ref }, required: ['data'] };
+  }
+  const list = { data: { type: 'array', items: ref } };
+  if (kind === 'Page') {
+    list.nextCursor = { type: 'string', nullable: true, description: 'Pass as cursor for the next page; null on the last' };
+  }
+  return { type: 'object', properties: list, required: Object.keys(list) };
+}
+
+function parameterSchema({ type, enum: allowed }) {
+  const schema = type === 'date-time' ? { type: 'string', format: 'date-time' }
+    : type === 'list' ? { type: 'string' }
+      : { type };
+  return allowed ? { ...schema, enum: allowed } : schema;
+}
+
+/**
+ * The OpenAPI 3 document for the API
+ * @param {Object} options - { serverUrl? }
+ */
+export function openApiDocument(options = {}) {
+  const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  });
+  const paths = {};
+
+  for (const route of ROUTES) {
+    const path = `/${API_VERSION}${route.path}`;
+    const parameters = [
+      ...(route.path.includes('{id}') ? [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }] : []),
+      ...(route.query || []).map(p => ({
+        name: p.name,
+        in: 'query',
+        ...(p.required && { required: true }),
+        description: p.description,
+        schema: parameterSchema(p)
+      }))
+    ];
+    const status = route.status || 200;
+
+    (paths[path] ||= {})[route.method.toLowerCase()] = {
+      operationId: route.operationId,
+      summary: route.summary,
+      tags: [route.tag],
+      ...(parameters.length > 0 && { parameters }),
+      ...(route.body && {
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.body}` } } }
+        }
+      }),
+      responses: {
+        [status]: status === 204
+          ? { description: 'Done' }
+          : { description: 'OK', content: { 'application/json': { schema: responseSchema(route.response) } } },
+        400: errorResponse('Invalid input (validation_failed) or JSON (invalid_json)'),
+        401: errorResponse('Missing or unknown API key'),
+        ...(route.path.includes('{id}') && { 404: errorResponse('Not found') }),
+        ...(route.method !== 'GET' && { 409: errorResponse('Conflicts with existing data') })
+      }
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'CRM API',
+      version: API_VERSION,
+      description: 'Contacts, pipeline stages, interactions, tasks and stats. ' +
+        'Every request is scoped to the agent its API key belongs to.'
+    },
+    ...(options.serverUrl && { servers: [{ url: options.serverUrl }] }),
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    tags: [...new Set(ROUTES.map(r => r.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: schemas()
+    }
+  };
+}
+
+// ============ SERVER ============
+
+function send(res, status, body, headers = {}) {
+  const json = body === undefined ? '' : JSON.stringify(body);
+  res.writeHead(status, {
+    ...headers,
+    ...(json && { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) })
+  });
+  res.end(json);
+}
+
+// JSON columns, whose keys are the user's own
+const JSON_COLUMNS = new Set(['custom_fields', 'metadata']);
+
+// Rows as returned: the agent is the caller's own, so agent_id is left out
+// of them and of the rows they embed (such as a completed task's next_task)
+function withoutAgentId(value) {
+  if (Array.isArray(value)) return value.map(withoutAgentId);
+  if (!value || ![Object.prototype, null].includes(Object.getPrototypeOf(value))) return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => key !== 'agent_id')
+    .map(([key, field]) => [key, JSON_COLUMNS.has(key) ? field : withoutAgentId(field)]));
+}
+
+function errorBody(err) {
+  const error = { code: err.code, message: err.message };
+  if (err.details !== undefined) error.details = err.details;
+  if (err instanceof CrmNotFoundError) error.details = { resource: err.resource, id: err.id };
+  return { error };
+}
+
+function readUrl(req) {
+  try {
+    return new URL(req.url, 'http://localhost');
+  } catch {
+    throw new HttpError('invalid_request', `Request target is not a valid URL: ${req.url}`);
+  }
+}
+
+async function readBody(req) {
+  if (!['POST', 'PATCH', 'PUT'].includes(req.method)) return {};
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError('payload_too_large', `Request body is over ${MAX_BODY_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf-8').trim();
+  if (!text) return {};
+  if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    throw new HttpError('unsupported_media_type', 'Send the request body as application/json');
+  }
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (err) {
+    throw new HttpError('invalid_json', `Request body is not valid JSON: ${err.message}`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError('invalid_json', 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+// Constant-time key lookup: compare digests so lengths don't leak
+function keyMatcher(keys) {
+  const digest = key => createHash('sha256').update(key).digest();
+  const entries = [...keys].map(([key, agentId]) => ({ digest: digest(key), agentId }));
+  return key => {
+    if (!key) return null;
+    const given = digest(key);
+    let agentId = null;
+    for (const entry of entries) {
+      if (timingSafeEqual(entry.digest, given)) agentId = entry.agentId;
+    }
+    return agentId;
+  };
+}
+
+/**
+ * Create the API server (call .listen() on it)
+ * @param {Object} options - { apiKeys, crmConfig?, corsOrigin?, trustActorHeader?, logger? }
+ *   apiKeys: Map of API key -> agentId (see parseApiKeys)
+ *   crmConfig: passed to new CRM() for each agent, e.g. { backend: 'sqlite', file }
+ *   corsOrigin: Access-Control-Allow-Origin for browser front-ends, e.g. '*'
+ *   trustActorHeader: take the actor from X-Actor when a request sends one
+ *   (default: false - the actor is always the API key's agent)
+ *   logger: called with one line per request
+ * @returns {http.Server} with closeAll() to close the server and every agent's CRM
+ */
+export function createServer(options = {}) {
+  const apiKeys = options.apiKeys || new Map();
+  if (apiKeys.size === 0) {
+    throw new Error('At least one API key is required');
+  }
+  const agentFor = keyMatcher(apiKeys);
+  const crms = new Map();
+  const crmFor = agentId => {
+    if (!crms.has(agentId)) crms.set(agentId, new CRM({ ...options.crmConfig, agentId }));
+    return crms.get(agentId);
+  };
+  const cors = options.corsOrigin ? {
+    'Access-Control-Allow-Origin': options.corsOrigin,
+    'Access-Control-Allow-Headers': `Authorization, Content-Type, X-API-Key${options.trustActorHeader ? ', X-Actor' : ''}`,
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS'
+  } : {};
+
+  const server = createHttpServer(async (req, res) => {
+    const started = Date.now();
+    let url;
+    let status = 500;
+    const reply = (code, body) => {
+      status = code;
+      send(res, code, body, cors);
+    };
+
+    try {
+      url = readUrl(req);
+      if (req.method === 'OPTIONS') {
+        reply(204);
+        return;
+      }
+      if (url.pathname === '/openapi.json' && req.method === 'GET') {
+        reply(200, openApiDocument({ serverUrl: `http://${req.headers.host || 'localhost'}` }));
+        return;
+      }
+
+      const candidates = ROUTES.filter(r => r.pattern.test(url.pathname));
+      if (candidates.length === 0) {
+        throw new HttpError('not_found', `No such endpoint: ${url.pathname}`);
+      }
+      const route = candidates.find(r => r.method === req.method);
+      if (!route) {
+        throw new HttpError('method_not_allowed', `${req.method} is not allowed here (expected ${candidates.map(r => r.method).join(', ')})`);
+      }
+
+      const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+      const agentId = agentFor(bearer || req.headers['x-api-key']);
+      if (!agentId) {
+        throw new HttpError('unauthorized', 'Missing or unknown API key (send Authorization: Bearer <key>)');
+      }
+
+      const id = route.pattern.exec(url.pathname)[1];
+      const result = await route.handler(crmFor(agentId), {
+        id: id === undefined ? undefined : parseInt(id),
+        query: readQuery(url.searchParams, route.query || []),
+        body: await readBody(req),
+        actor: (options.trustActorHeader && req.headers['x-actor']?.trim()) || agentId
+      });
+
+      if (route.status === 204) {
+        reply(204);
+      } else if (route.response?.includes(':')) {
+        reply(route.status || 200, { ...result, data: withoutAgentId(result.data) });
+      } else {
+        reply(route.status || 200, { data: withoutAgentId(result) });
+      }
+    } catch (err) {
+      if (STATUS_CODES[err.code]) {
+        reply(STATUS_CODES[err.code], errorBody(err));
+      } else {
+        options.logger?.(`Error: ${err.stack || err.message}`);
+        reply(500, { error: { code: 'internal_error', message: 'Internal server error' } });
+      }
+    } finally {
+      options.logger?.(`${req.method} ${url?.pathname ?? req.url} ${status} ${Date.now() - started}ms`);
+    }
+  });
+
+  server.closeAll = async () => {
+    await new Promise(resolve => server.close(resolve));
+    for (const crm of crms.values()) {
+      await crm.flushWebhooks();
+      crm.close();
+    }
+  };
+
+  return server;
+}
@@ -0,0 +1,385 @@
+/**
+ * Input validation for stages, companies, contacts, deals, exchange rates,
+ * interactions and tasks
+ *
+ * Each validator checks camelCase API input, collects every problem
+ * rather than stopping at the first, and returns a normalized copy:
+ * trimmed strings, lower-case interaction types, upper-case currencies,
+ * E.164 phone numbers (where they can be normalized) and ISO 8601 dates. Invalid input throws a
+ * CrmValidationError whose details list { field, message, value }.
+ *
+ * With { partial: true } (updates) only the fields present are checked.
+ */
+
+import { CrmValidationError } from './errors.js';
+import { normalizeRecurrence } from './recurrence.js';
+import { normalizeDomain } from './companies.js';
+
+export const DEFAULT_INTERACTION_TYPES = ['call', 'email', 'meeting', 'note', 'demo', 'proposal'];
+export const PRIORITIES = ['low', 'medium', 'high'];
+export const DEAL_STATUSES = ['open', 'won', 'lost'];
+export const PHONE_VALIDATION = ['lenient', 'strict'];
+
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+const COLOR_PATTERN = /^(#[0-9a-f]{3}|#[0-9a-f]{6}|[a-z]+)$/i;
+
+/**
+ * Normalize a phone number to E.164 (+<country code><number>)
+ * Numbers without a country code need defaultCountryCode, e.g. '61':
+ * a leading trunk 0 is dropped, so '0412 345 678' becomes '+61412345678'.
+ * @returns {string|null} null if the number can't be normalized
+ */
+export function normalizePhone(phone, defaultCountryCode) {
+  const raw = String(phone).trim();
+  if (/[a-z]/i.test(raw)) return null;
+
+  let number = raw.replace(/[\s().\-/]/g, '');
+  if (number.startsWith('00')) {
+    number = '+' + number.slice(2);
+  }
+  if (!number.startsWith('+')) {
+    if (!defaultCountryCode) return null;
+    number = `+${defaultCountryCode}${number.replace(/^0/, '')}`;
+  }
+  return /^\+[1-9]\d{6,14}$/.test(number) ? number : null;
+}
+
+/**
+ * Upper-case an ISO 4217 currency code, e.g. 'usd' -> 'USD'
+ * @returns {string|null} null if it isn't a currency code
+ */
+export function normalizeCurrency(currency) {
+  const code = String(currency).trim().toUpperCase();
+  return CURRENCIES.has(code) ? code : null;
+}
+
+function createChecker(input, partial) {
+  const details = [];
+  const output = { ...input };
+  const has = field => input[field] !== undefined;
+
+  return {
+    details,
+    output,
+    has,
+    fail(field, message) {
+      details.push({ field, message, ...(input[field] !== undefined && { value: input[field] }) });
+    },
+    // Present-or-required string, trimmed; empty strings become null unless required
+    text(field, { required = false } = {}) {
+      if (!has(field)) {
+        if (required && !partial) this.fail(field, 'is required');
+        return;
+      }
+      const value = input[field];
+      if (value === null && !required) return;
+      if (typeof value !== 'string') {
+        this.fail(field, 'must be a string');
+        return;
+      }
+      const trimmed = value.trim();
+      if (required && !trimmed) {
+        this.fail(field, 'is required');
+        return;
+      }
+      output[field] = trimmed || null;
+    },
+    date(field) {
+      if (!has(field) || input[field] === null) return;
+      const date = new Date(input[field]);
+      if (input[field] === '' || isNaN(date)) {
+        this.fail(field, 'must be a date (ISO 8601)');
+        return;
+      }
+      output[field] = date.toISOString();
+    },
+    id(field, { required = false } = {}) {
+      if (!has(field) || input[field] === null) {
+        if (required && !partial) this.fail(field, 'is required');
+        return;
+      }
+      if (!Number.isInteger(input[field]) || input[field] < 1) {
+        this.fail(field, 'must be a positive integer ID');
+      }
+    },
+    object(field) {
+      if (!has(field) || input[field] === null) return;
+      const value = input[field];
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        this.fail(field, 'must be an object');
+      }
+    },
+    currency(field) {
+      if (!has(field) || input[field] === null) return;
+      const currency = normalizeCurrency(input[field]);
+      if (currency) {
+        output[field] = currency;
+      } else {
+        this.fail(field, `"${input[field]}" is not an ISO 4217 currency code`);
+      }
+    },
+    // A money amount or rate, zero or more; numeric strings are accepted
+    amount(field) {
+      if (!has(field) || input[field] === null) return;
+      const value = typeof input[field] === 'string' && input[field].trim() !== ''
+        ? Number(input[field])
+        : input[field];
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        this.fail(field, 'must be a number');
+      } else if (value < 0) {
+        this.fail(field, 'must not be negative');
+      } else {
+        output[field] = value;
+      }
+    },
+    boolean(field) {
+      if (!has(field)) return;
+      if (typeof input[field] !== 'boolean') {
+        this.fail(field, 'must be true or false');
+      }
+    },
+    done(resource) {
+      if (details.length > 0) {
+        throw new CrmValidationError(`Invalid ${resource}`, details);
+      }
+      return output;
+    }
+  };
+}
+
+/**
+ * @param {Object} stage - { name, position?, color?, winProbability? }
+ * @param {Object} options - { partial? }
+ */
+export function validateStage(stage, options = {}) {
+  const check = createChecker(stage, options.partial);
+  check.text('name', { required: true });
+
+  if (check.has('position') && (!Number.isInteger(stage.position) || stage.position < 1)) {
+    check.fail('position', 'must be a whole number from 1');
+  }
+  if (check.has('color') && stage.color !== null && !COLOR_PATTERN.test(String(stage.color))) {
+    check.fail('color', 'must be a hex color (#6366f1) or a color name');
+  }
+  if (check.has('winProbability') && stage.winProbability !== null &&
+      (typeof stage.winProbability !== 'number' || !(stage.winProbability >= 0 && stage.winProbability <= 100))) {
+    check.fail('winProbability', 'must be a number between 0 and 100');
+  }
+
+  return check.done('stage');
+}
+
+/**
+ * @param {Object} company - { name, domain?, industry?, size?, address?, customFields? }
+ * @param {Object} options - { partial? }
+ */
+export function validateCompany(company, options = {}) {
+  const check = createChecker(company, options.partial);
+
+  check.text('name', { required: true });
+  for (const field of ['industry', 'size', 'address']) {
+    check.text(field);
+  }
+  check.text('domain');
+  if (check.output.domain) {
+    const domain = normalizeDomain(check.output.domain);
+    if (domain) {
+      check.output.domain = domain;
+    } else {
+      check.fail('domain', `"${company.domain}" is not a domain name (e.g. acme.com)`);
+    }
+  }
+  check.object('customFields');
+
+  return check.done('company');
+}
+
+/**
+ * Phone numbers are stored in E.164 when they can be normalized, and
+ * otherwise as entered; with strictPhones they must normalize.
+ * @param {Object} contact - camelCase contact fields
+ * @param {Object} options - { partial?, defaultCountryCode?, strictPhones? }
+ */
+export function validateContact(contact, options = {}) {
+  const check = createChecker(contact, options.partial);
+  const { output } = check;
+
+  check.text('name', { required: true });
+  for (const field of ['company', 'role', 'source', 'sourceDetail', 'assignedTo', 'lostReason']) {
+    check.text(field);
+  }
+
+  check.text('email');
+  if (output.email && !EMAIL_PATTERN.test(output.email)) {
+    check.fail('email', `"${output.email}" is not a valid email address`);
+  }
+
+  check.text('phone');
+  if (output.phone) {
+    const phone = normalizePhone(output.phone, options.defaultCountryCode);
+    if (phone) {
+      output.phone = phone;
+    } else if (!options.strictPhones) {
+      // Kept as entered, e.g. a local number with no default country code
+    } else if (!options.defaultCountryCode && !/^\s*(\+|00)/.test(output.phone)) {
+      check.fail('phone', `"${output.phone}" needs a country code (e.g. +61 412 345 678), or set a default country code`);
+    } else {
+      check.fail('phone', `"${output.phone}" is not a valid phone number`);
+    }
+  }
+
+  check.currency('currency');
+  check.amount('dealValue');
+
+  if (check.has('tags')) {
+    if (!Array.isArray(contact.tags) || contact.tags.some(tag => typeof tag !== 'string')) {
+      check.fail('tags', 'must be a list of strings');
+    } else {
+      output.tags = [...new Set(contact.tags.map(tag => tag.trim()).filter(Boolean))];
+    }
+  }
+
+  check.id('stageId');
+  check.id('companyId');
+  check.object('customFields');
+  check.boolean('isActive');
+  for (const field of ['expectedCloseAt', 'stageEnteredAt', 'lastContactAt']) {
+    check.date(field);
+  }
+
+  return check.done('contact');
+}
+
+/**
+ * @param {Object} deal - { title, contactId, companyId?, stageId?, value?, currency?,
+ *   expectedCloseAt?, status?, lostReason?, owner?, customFields? }
+ * @param {Object} options - { partial? }
+ */
+export function validateDeal(deal, options = {}) {
+  const check = createChecker(deal, options.partial);
+
+  check.text('title', { required: true });
+  check.id('contactId', { required: true });
+  check.id('companyId');
+  check.id('stageId');
+  check.amount('value');
+  check.currency('currency');
+  check.date('expectedCloseAt');
+  check.text('lostReason');
+  check.text('owner');
+  check.object('customFields');
+
+  if (check.has('status')) {
+    const status = String(deal.status).trim().toLowerCase();
+    if (DEAL_STATUSES.includes(status)) {
+      check.output.status = status;
+    } else {
+      check.fail('status', `"${deal.status}" is not a deal status (expected ${DEAL_STATUSES.join(', ')})`);
+    }
+  }
+
+  return check.done('deal');
+}
+
+/**
+ * @param {Object} rate - { base, quote, rate, date?, source? }
+ *   1 base = rate quote, from date (default today)
+ */
+export function validateExchangeRate(rate) {
+  const check = createChecker(rate, false);
+
+  for (const field of ['base', 'quote']) {
+    if (check.has(field) && rate[field] !== null && rate[field] !== '') {
+      check.currency(field);
+    } else {
+      check.fail(field, 'is required');
+    }
+  }
+  if (check.output.base && check.output.base === check.output.quote) {
+    check.fail('quote', 'must differ from base');
+  }
+
+  if (!check.has('rate') || rate.rate === null || rate.rate === '') {
+    check.fail('rate', 'is required');
+  } else {
+    check.amount('rate');
+    if (check.output.rate === 0) check.fail('rate', 'must be more than zero');
+  }
+
+  check.date('date');
+  check.output.date = (check.output.date || new Date().toISOString()).slice(0, 10) + 'T00:00:00.000Z';
+  check.text('source');
+
+  return check.done('exchange rate');
+}
+
+/**
+ * @param {Object} interaction - { contactId, type, createdBy, subject?, content?, occurredAt?,
+ *   externalId?, ... } occurredAt: when it happened, if not now (e.g. an imported email)
+ * @param {Object} options - { partial?, types? } types: allowed interaction types
+ */
+export function validateInteraction(interaction, options = {}) {
+  const check = createChecker(interaction, options.partial);
+  const types = options.types || DEFAULT_INTERACTION_TYPES;
+
+  check.id('contactId', { required: true });
+  check.text('createdBy', { required: true });
+  check.text('type', { required: true });
+  if (check.output.type) {
+    const type = check.output.type.toLowerCase();
+    if (types.includes(type)) {
+      check.output.type = type;
+    } else {
+      check.fail('type', `"${interaction.type}" is not a known interaction type (expected one of ${types.join(', ')})`);
+    }
+  }
+  check.text('subject');
+  check.text('content');
+  check.text('externalId');
+  check.date('scheduledAt');
+  check.date('completedAt');
+  check.date('occurredAt');
+  check.object('metadata');
+
+  return check.done('interaction');
+}
+
+/**
+ * @param {Object} task - { title, contactId?, dueAt?, priority?, recurrence?, ... }
+ * @param {Object} options - { partial? }
+ */
+export function validateTask(task, options = {}) {
+  const partial = Boolean(options.partial);
+  const check = createChecker(task, partial);
+
+  check.text('title', { required: true });
+  check.text('description');
+  check.text('assignedTo');
+  check.text('externalId');
+  check.id('contactId');
+  check.date('dueAt');
+
+  if (check.has('priority') && task.priority !== null) {
+    const priority = String(task.priority).trim().toLowerCase();
+    if (PRIORITIES.includes(priority)) {
+      check.output.priority = priority;
+    } else {
+      check.fail('priority', `"${task.priority}" is not a priority (expected ${PRIORITIES.join(', ')})`);
+    }
+  }
+
+  if (check.has('recurrence') && task.recurrence) {
+    try {
+      check.output.recurrence = normalizeRecurrence(task.recurrence);
+    } catch (err) {
+      check.fail('recurrence', err.message);
+    }
+    // Occurrences are scheduled from the due date, so a series needs one
+    if (partial ? task.dueAt === null : !task.dueAt) {
+      check.fail('dueAt', 'is required for a recurring task');
+    }
+  }
+
+  return check.done('task');
+}
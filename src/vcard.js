@@ -0,0 +1,360 @@
+/**
+ * vCard 3.0 / 4.0 reader and writer for contacts
+ *
+ * Mapped properties:
+ *   FN -> name, EMAIL -> email, TEL -> phone, ORG -> company,
+ *   TITLE -> role, CATEGORIES -> tags
+ *   NOTE, BDAY, URL, NICKNAME -> custom_fields note/birthday/website/nickname
+ *   TYPE of the primary EMAIL / TEL -> custom_fields email_type/phone_type
+ *   X-CRM-FIELD;KEY=<key> -> custom_fields[key]
+ *
+ * Everything else (addresses, extra emails/phones, N when it can't be
+ * derived from FN, photos, X- properties...) is kept verbatim in
+ * custom_fields.vcard so exports reproduce the original card.
+ */
+
+const SIMPLE_CUSTOM = {
+  NOTE: 'note',
+  BDAY: 'birthday',
+  URL: 'website',
+  NICKNAME: 'nickname'
+};
+
+// Custom fields holding the TYPE parameter of the primary EMAIL and TEL,
+// e.g. 'work' or 'cell,voice'
+const TYPE_CUSTOM = {
+  EMAIL: 'email_type',
+  TEL: 'phone_type'
+};
+
+// Properties the writer always generates itself
+const GENERATED = new Set(['BEGIN', 'END', 'VERSION', 'PRODID', 'REV']);
+
+export const VCARD_VERSIONS = ['3.0', '4.0'];
+
+function unescapeText(value) {
+  return value.replace(/\\([\\,;nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+// Split on a separator that isn't backslash-escaped
+function splitUnescaped(value, separator) {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-F]{2}$/i.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(text[i]));
+    }
+  }
+  return Buffer.from(bytes).toString('utf-8');
+}
+
+/**
+ * Parse one content line: [group.]NAME[;param=value...]:value
+ */
+export function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  // Split parameters on semicolons outside quotes
+  const [nameWithGroup, ...paramParts] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const dot = nameWithGroup.lastIndexOf('.');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    const value = rest.join('=').replace(/^"|"$/g, '');
+    // vCard 2.1 style bare parameters (e.g. ;WORK) are types
+    const paramName = rest.length ? key.toUpperCase() : 'TYPE';
+    const paramValue = rest.length ? value : key;
+    params[paramName] = params[paramName] ? `${params[paramName]},${paramValue}` : paramValue;
+  }
+
+  let value = line.slice(colon + 1);
+  if ((params.ENCODING || '').toUpperCase() === 'QUOTED-PRINTABLE') {
+    value = decodeQuotedPrintable(value);
+  }
+
+  return {
+    group: dot === -1 ? null : nameWithGroup.slice(0, dot),
+    name: nameWithGroup.slice(dot + 1).toUpperCase(),
+    params,
+    value,
+    raw: line
+  };
+}
+
+/**
+ * Parse a .vcf file into cards (arrays of parsed properties)
+ */
+export function parseVCards(text) {
+  // Unfold continuation lines
+  const lines = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+
+  // vCard 2.1 quoted-printable values continue after a trailing '='
+  const unfolded = [];
+  for (const line of lines) {
+    const previous = unfolded[unfolded.length - 1];
+    if (previous && /QUOTED-PRINTABLE/i.test(previous.split(':')[0]) && previous.endsWith('=')) {
+      unfolded[unfolded.length - 1] = previous.slice(0, -1) + line;
+    } else {
+      unfolded.push(line);
+    }
+  }
+
+  const cards = [];
+  let current = null;
+
+  for (const line of unfolded) {
+    if (!line.trim()) continue;
+    const property = parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+      current = [];
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD') {
+      if (current) cards.push(current);
+      current = null;
+    } else if (current) {
+      current.push(property);
+    }
+  }
+
+  return cards;
+}
+
+function isPreferred(property) {
+  const types = (property.params.TYPE || '').toLowerCase().split(',');
+  return types.includes('pref') || property.params.PREF === '1';
+}
+
+// The preferred instance of a property, or the first
+function primary(properties) {
+  return properties.find(isPreferred) || properties[0];
+}
+
+// TYPE values worth keeping: pref is implied by being the primary and
+// INTERNET is added by the 3.0 writer
+function typesOf(property) {
+  return (property.params.TYPE || '')
+    .toLowerCase()
+    .split(',')
+    .map(t => t.trim())
+    .filter(t => t && t !== 'pref' && t !== 'internet');
+}
+
+function typeParam(types, version, defaults = []) {
+  const list = [...defaults, ...String(types || '').split(',').map(t => t.trim()).filter(t => /^[\w-]+$/.test(t))];
+  if (list.length === 0) return '';
+  return `;TYPE=${list.map(t => (version === '3.0' ? t.toUpperCase() : t.toLowerCase())).join(',')}`;
+}
+
+function nameFromN(value) {
+  const [family = '', given = '', additional = '', prefix = '', suffix = ''] = splitUnescaped(value, ';').map(unescapeText);
+  return [prefix, given, additional, family, suffix].filter(Boolean).join(' ');
+}
+
+function deriveN(name) {
+  const parts = name.trim().split(/\s+/);
+  const family = parts.length > 1 ? parts.pop() : '';
+  return `${escapeText(family)};${escapeText(parts.join(' '))};;;`;
+}
+
+/**
+ * Convert a parsed card into camelCase contact data
+ * @returns {Object} { contact, errors } - contact validation happens in CRM.importContacts()
+ */
+export function cardToContact(card) {
+  const contact = {};
+  const customFields = {};
+  const extra = [];
+  const byName = name => card.filter(p => p.name === name);
+
+  const fn = byName('FN')[0];
+  const n = byName('N')[0];
+  if (fn) {
+    contact.name = unescapeText(fn.value).trim();
+  } else if (n) {
+    contact.name = nameFromN(n.value);
+  }
+  // Keep N only when exporting FN wouldn't recreate it
+  if (n && (!contact.name || deriveN(contact.name) !== n.value)) {
+    extra.push(n.raw);
+  }
+
+  const emails = byName('EMAIL');
+  const email = primary(emails);
+  if (email) contact.email = unescapeText(email.value).trim();
+
+  const phones = byName('TEL');
+  const phone = primary(phones);
+  if (phone) contact.phone = unescapeText(phone.value).replace(/^tel:/i, '').trim();
+
+  for (const [name, property] of [['EMAIL', email], ['TEL', phone]]) {
+    const types = property ? typesOf(property) : [];
+    if (types.length > 0) customFields[TYPE_CUSTOM[name]] = types.join(',');
+  }
+
+  const org = byName('ORG')[0];
+  if (org) {
+    const [company, ...units] = splitUnescaped(org.value, ';');
+    contact.company = unescapeText(company);
+    if (units.some(Boolean)) extra.push(org.raw);
+  }
+
+  const title = byName('TITLE')[0];
+  if (title) contact.role = unescapeText(title.value);
+
+  const categories = byName('CATEGORIES');
+  if (categories.length > 0) {
+    contact.tags = categories.flatMap(c => splitUnescaped(c.value, ',').map(unescapeText).map(t => t.trim())).filter(Boolean);
+  }
+
+  const handled = new Set([fn, n, email, phone, org, title, ...categories]);
+
+  for (const property of card) {
+    if (handled.has(property) || GENERATED.has(property.name)) continue;
+
+    if (SIMPLE_CUSTOM[property.name] && customFields[SIMPLE_CUSTOM[property.name]] === undefined && !property.group) {
+      customFields[SIMPLE_CUSTOM[property.name]] = unescapeText(property.value);
+    } else if (property.name === 'X-CRM-FIELD' && property.params.KEY) {
+      const value = unescapeText(property.value);
+      customFields[property.params.KEY] = (property.params.VALUE || '').toLowerCase() === 'json' ? JSON.parse(value) : value;
+    } else {
+      extra.push(property.raw);
+    }
+  }
+
+  if (extra.length > 0) customFields.vcard = extra;
+  if (Object.keys(customFields).length > 0) contact.customFields = customFields;
+
+  return { contact, errors: [] };
+}
+
+// Fold lines longer than 75 octets, as RFC 6350 requires
+function fold(line) {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  let limit = 75;
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    // Don't split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString());
+    start = end;
+    limit = 74;
+  }
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format one contact row as a vCard
+ * @param {Object} contact - crm_contacts row
+ * @param {Object} options - { version? } - '3.0' (default) or '4.0'
+ */
+export function contactToVCard(contact, options = {}) {
+  const version = options.version || '3.0';
+  if (!VCARD_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported vCard version: ${version} (expected ${VCARD_VERSIONS.join(' or ')})`);
+  }
+
+  const customFields = { ...(contact.custom_fields || {}) };
+  const extra = Array.isArray(customFields.vcard) ? customFields.vcard : [];
+  delete customFields.vcard;
+  const hasExtra = name => extra.some(line => parseLine(line)?.name === name);
+  const emailType = customFields[TYPE_CUSTOM.EMAIL];
+  const phoneType = customFields[TYPE_CUSTOM.TEL];
+  delete customFields[TYPE_CUSTOM.EMAIL];
+  delete customFields[TYPE_CUSTOM.TEL];
+
+  const lines = ['BEGIN:VCARD', `VERSION:${version}`, `FN:${escapeText(contact.name)}`];
+
+  if (!hasExtra('N')) lines.push(`N:${deriveN(contact.name)}`);
+  if (contact.email) {
+    lines.push(`EMAIL${typeParam(emailType, version, version === '3.0' ? ['internet'] : [])}:${escapeText(contact.email)}`);
+  }
+  if (contact.phone) lines.push(`TEL${typeParam(phoneType, version)}:${escapeText(contact.phone)}`);
+  if (contact.company && !hasExtra('ORG')) lines.push(`ORG:${escapeText(contact.company)}`);
+  if (contact.role) lines.push(`TITLE:${escapeText(contact.role)}`);
+  if (contact.tags && contact.tags.length > 0) {
+    lines.push(`CATEGORIES:${contact.tags.map(escapeText).join(',')}`);
+  }
+
+  for (const [property, key] of Object.entries(SIMPLE_CUSTOM)) {
+    if (customFields[key] !== undefined && customFields[key] !== null) {
+      lines.push(`${property}:${escapeText(customFields[key])}`);
+      delete customFields[key];
+    }
+  }
+
+  // Non-string values are tagged so they come back with the same type
+  for (const [key, value] of Object.entries(customFields)) {
+    const param = /[;:,=]/.test(key) ? `"${key.replace(/"/g, '')}"` : key;
+    if (typeof value === 'string') {
+      lines.push(`X-CRM-FIELD;KEY=${param}:${escapeText(value)}`);
+    } else {
+      lines.push(`X-CRM-FIELD;KEY=${param};VALUE=json:${escapeText(JSON.stringify(value))}`);
+    }
+  }
+
+  lines.push(...extra);
+  lines.push('END:VCARD');
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+/**
+ * Format several contacts as one multi-card .vcf file
+ */
+export function contactsToVCards(contacts, options = {}) {
+  return contacts.map(c => contactToVCard(c, options)).join('');
+}
+
+/**
+ * Parse a .vcf file into entries for CRM.importContacts()
+ * Rows are numbered by card, starting at 1
+ */
+export function vcardsToContactEntries(text) {
+  return parseVCards(text).map((card, index) => ({ row: index + 1, ...cardToContact(card) }));
+}
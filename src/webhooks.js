@@ -0,0 +1,259 @@
+/**
+ * Outbound webhooks for CRM events
+ *
+ * Each event is POSTed as JSON to every endpoint subscribed to its type.
+ * Requests are signed with HMAC-SHA256 so receivers can check they came
+ * from this CRM:
+ *
+ *   X-CRM-Event:     contact.created
+ *   X-CRM-Delivery:  <event id>
+ *   X-CRM-Signature: t=<unix seconds>,v1=<hex HMAC of "<t>.<body>">
+ *
+ * Failed deliveries (network errors, timeouts, 408, 429 and 5xx) are retried
+ * with exponential backoff. Anything still failing after maxAttempts, or
+ * rejected with another 4xx, goes to the dead-letter log.
+ */
+
+import { EventEmitter } from 'events';
+import { createHmac, timingSafeEqual } from 'crypto';
+import { appendFile, readFile } from 'fs/promises';
+import { matchesEvent } from './events.js';
+
+const RETRYABLE_STATUS = new Set([408, 429]);
+
+export const DEFAULT_DEAD_LETTER_FILE = 'crm-webhooks-dead.jsonl';
+
+/**
+ * Sign a request body
+ * @returns {string} X-CRM-Signature header value
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check an X-CRM-Signature header, for use by receivers
+ * @param {number} toleranceSeconds - Reject signatures older than this (default: 300)
+ */
+export function verifySignature(secret, body, header, toleranceSeconds = 300) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Read webhook settings from the environment
+ *   CRM_WEBHOOK_URLS         - comma-separated endpoint URLs
+ *   CRM_WEBHOOK_SECRET       - signing secret
+ *   CRM_WEBHOOK_EVENTS       - comma-separated event patterns (default: '*')
+ *   CRM_WEBHOOK_DEAD_LETTER  - dead-letter log file (default: crm-webhooks-dead.jsonl)
+ * @returns {Object|null} WebhookDispatcher options, or null when no URLs are set
+ */
+export function webhookOptionsFromEnv(env = process.env) {
+  const urls = (env.CRM_WEBHOOK_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+  if (urls.length === 0) return null;
+
+  const events = env.CRM_WEBHOOK_EVENTS ? env.CRM_WEBHOOK_EVENTS.split(',').map(e => e.trim()) : ['*'];
+  return {
+    endpoints: urls.map(url => ({ url, events })),
+    secret: env.CRM_WEBHOOK_SECRET,
+    deadLetterFile: env.CRM_WEBHOOK_DEAD_LETTER || DEFAULT_DEAD_LETTER_FILE
+  };
+}
+
+/**
+ * Read a dead-letter log written by WebhookDispatcher
+ * @returns {Object[]} { url, event, attempts, status, error, failedAt }
+ */
+export async function readDeadLetters(file) {
+  let text;
+  try {
+    text = await readFile(file, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+export class WebhookDispatcher extends EventEmitter {
+  /**
+   * @param {Object} options
+   *   endpoints: [{ url, secret?, events? }] - events are patterns like
+   *     'contact.created', 'task.*' or '*' (default)
+   *   secret: signing secret for endpoints without their own
+   *   maxAttempts: attempts per delivery (default: 5)
+   *   backoffMs / maxBackoffMs: first retry delay and cap (default: 1000 / 60000)
+   *   timeoutMs: per-request timeout (default: 10000)
+   *   deadLetterFile: append failed deliveries to this file as JSON lines
+   *   fetch: fetch implementation (default: global fetch)
+   *
+   * Emits 'delivered' ({ url, event, attempts, status }) and
+   * 'dead_letter' ({ url, event, attempts, status, error, failedAt }).
+   */
+  constructor(options = {}) {
+    super();
+    this.endpoints = (options.endpoints || []).map(endpoint => {
+      const secret = endpoint.secret || options.secret;
+      if (!endpoint.url) {
+        throw new Error('Webhook endpoint URL is required');
+      }
+      if (!secret) {
+        throw new Error(`Webhook signing secret is required for ${endpoint.url}`);
+      }
+      return { url: endpoint.url, secret, events: endpoint.events || ['*'] };
+    });
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.backoffMs = options.backoffMs ?? 1000;
+    this.maxBackoffMs = options.maxBackoffMs ?? 60000;
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.deadLetterFile = options.deadLetterFile || null;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.deadLetters = [];
+    this.pending = new Set();
+  }
+
+  /**
+   * Forward every event a CRM emits
+   * @returns {Function} call to stop forwarding
+   */
+  attach(crm) {
+    const listener = event => this.dispatch(event);
+    crm.on('event', listener);
+    return () => crm.off('event', listener);
+  }
+
+  /**
+   * Queue an event for every subscribed endpoint
+   * Deliveries run in the background; use flush() to wait for them.
+   * @returns {Promise[]} one per endpoint, resolving to the delivery result
+   */
+  dispatch(event) {
+    return this.endpoints
+      .filter(endpoint => endpoint.events.some(pattern => matchesEvent(pattern, event.type)))
+      .map(endpoint => this._track(this._deliverWithRetry(endpoint, event)));
+  }
+
+  /**
+   * Wait until every queued delivery has succeeded or been dead-lettered
+   */
+  async flush() {
+    while (this.pending.size > 0) {
+      await Promise.allSettled([...this.pending]);
+    }
+  }
+
+  /**
+   * Deliver dead-lettered entries again (e.g. from readDeadLetters())
+   * Entries for URLs that are no longer configured use the default secret.
+   * @returns {Object[]} delivery results
+   */
+  async redeliver(entries, secret) {
+    const results = [];
+    for (const entry of entries) {
+      const endpoint = this.endpoints.find(e => e.url === entry.url) || { url: entry.url, secret, events: ['*'] };
+      if (!endpoint.secret) {
+        throw new Error(`Webhook signing secret is required for ${entry.url}`);
+      }
+      results.push(await this._track(this._deliverWithRetry(endpoint, entry.event)));
+    }
+    return results;
+  }
+
+  _track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise)).catch(() => {});
+    return promise;
+  }
+
+  async _deliverWithRetry(endpoint, event) {
+    let result;
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      result = await this._send(endpoint, event);
+      if (result.ok) {
+        const delivered = { url: endpoint.url, event, attempts: attempt, status: result.status };
+        this.emit('delivered', delivered);
+        return { delivered: true, ...delivered };
+      }
+      if (!result.retryable || attempt === this.maxAttempts) {
+        return this._deadLetter(endpoint, event, attempt, result);
+      }
+      await new Promise(resolve => setTimeout(resolve, this._delay(attempt, result.retryAfterMs)));
+    }
+    return this._deadLetter(endpoint, event, this.maxAttempts, result);
+  }
+
+  // Exponential backoff with jitter, or the server's Retry-After if longer
+  _delay(attempt, retryAfterMs) {
+    const base = Math.min(this.maxBackoffMs, this.backoffMs * 2 ** (attempt - 1));
+    const delay = base / 2 + Math.random() * (base / 2);
+    return Math.min(this.maxBackoffMs, Math.max(delay, retryAfterMs || 0));
+  }
+
+  async _send(endpoint, event) {
+    const body = JSON.stringify(event);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await this.fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'crm-module-webhooks',
+          'X-CRM-Event': event.type,
+          'X-CRM-Delivery': event.id,
+          'X-CRM-Signature': signPayload(endpoint.secret, body)
+        },
+        body,
+        signal: controller.signal
+      });
+
+      if (response.ok) {
+        return { ok: true, status: response.status };
+      }
+      const retryAfter = parseInt(response.headers?.get?.('retry-after'));
+      return {
+        ok: false,
+        status: response.status,
+        error: `HTTP ${response.status}`,
+        retryable: response.status >= 500 || RETRYABLE_STATUS.has(response.status),
+        retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null
+      };
+    } catch (err) {
+      const error = err.name === 'AbortError' ? `Timed out after ${this.timeoutMs}ms` : err.cause?.message || err.message;
+      return { ok: false, status: null, error, retryable: true };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async _deadLetter(endpoint, event, attempts, result) {
+    const entry = {
+      url: endpoint.url,
+      event,
+      attempts,
+      status: result.status,
+      error: result.error,
+      failedAt: new Date().toISOString()
+    };
+    this.deadLetters.push(entry);
+
+    if (this.deadLetterFile) {
+      try {
+        await appendFile(this.deadLetterFile, JSON.stringify(entry) + '\n');
+      } catch (err) {
+        entry.logError = err.message;
+      }
+    }
+
+    this.emit('dead_letter', entry);
+    return { delivered: false, ...entry };
+  }
+}
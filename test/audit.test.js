@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditEntries } from '../src/audit.js';
+import { createEvent } from '../src/events.js';
+import { createSeededCrm, LOCAL_BACKENDS } from './helpers.js';
+
+test('auditEntries records one entry per changed field, and one for a trashing', () => {
+  const before = { id: 7, name: 'Ann', deal_value: 100 };
+  const after = { id: 7, name: 'Ann', deal_value: 50 };
+  const updated = auditEntries(createEvent('contact.updated', { before, after }, { actor: 'louis', agentId: 'sales' }));
+  assert.deepEqual(updated, [
+    { entity: 'contact', entityId: 7, action: 'updated', field: 'deal_value', oldValue: 100, newValue: 50, actor: 'louis' }
+  ]);
+
+  const trashed = auditEntries(createEvent('contact.deleted', { before, permanent: false }, { actor: 'louis', agentId: 'sales' }));
+  assert.deepEqual(trashed.map(e => e.action), ['trashed']);
+  assert.deepEqual(auditEntries(createEvent('contact.stage_changed', { before, after }, { agentId: 'sales' })), []);
+});
+
+for (const backend of LOCAL_BACKENDS) {
+  test(`${backend}: the audit log records who changed which field, filtered by entity, field and actor`, async () => {
+    const { crm } = await createSeededCrm({ backend });
+    const ann = await crm.createContact({ name: 'Ann', dealValue: 100 }, { actor: 'louis' });
+    await crm.updateContact(ann.id, { dealValue: 50, assignedTo: 'sam' }, { actor: 'sam' });
+
+    const log = await crm.getAuditLog({ entity: 'contact', id: ann.id });
+    assert.equal(log.at(-1).action, 'created');
+    assert.equal(log.at(-1).actor, 'louis');
+    assert.deepEqual(log.slice(0, -1).map(e => [e.action, e.field, e.actor]).sort(), [
+      ['updated', 'assigned_to', 'sam'],
+      ['updated', 'deal_value', 'sam']
+    ]);
+    const value = log.find(e => e.field === 'deal_value');
+    assert.deepEqual([value.old_value, value.new_value, value.agent_id], [100, 50, 'test']);
+    assert.ok(value.created_at);
+
+    assert.deepEqual((await crm.getAuditLog({ field: 'deal_value', entity: 'contact' })).map(e => e.new_value), [50]);
+    assert.ok((await crm.getAuditLog({ actor: 'louis' })).every(e => e.actor === 'louis'));
+    assert.deepEqual(await crm.getAuditLog({ since: new Date(Date.now() + 60000).toISOString() }), []);
+  });
+}
+
+test('getAuditLog rejects an unknown entity, an id without an entity and a bad date', async () => {
+  const { crm } = await createSeededCrm();
+  await assert.rejects(crm.getAuditLog({ entity: 'widget', id: 1, since: 'yesterday' }), err =>
+    err.code === 'validation_failed' && err.details.map(d => d.field).join() === 'entity,since');
+  await assert.rejects(crm.getAuditLog({ id: 1 }), err => err.details[0].field === 'id');
+});
@@ -0,0 +1,92 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { CRM, MemoryDB, createDatabase } from '../src/index.js';
+import { LOCAL_BACKENDS, createTestCrm, createSeededCrm, tempDir } from './helpers.js';
+
+for (const backend of LOCAL_BACKENDS) {
+  describe(`${backend} backend`, () => {
+    test('seeds default stages once', async () => {
+      const crm = createTestCrm({ backend });
+      const first = await crm.initializeDefaultStages();
+      const second = await crm.initializeDefaultStages();
+
+      assert.equal(first.status, 'initialized');
+      assert.equal(second.status, 'already_initialized');
+      assert.deepEqual(second.stages.map(s => s.id), first.stages.map(s => s.id));
+      assert.deepEqual((await crm.listStages()).map(s => s.position), [1, 2, 3, 4, 5, 6]);
+      crm.close();
+    });
+
+    test('creates, reads, updates and deletes contacts', async () => {
+      const { crm, stages } = await createSeededCrm({ backend });
+      const created = await crm.createContact({ name: 'Ann Lee', email: 'ann@example.com', stageId: stages[0].id, tags: ['vip'] });
+
+      const fetched = await crm.getContact(created.id);
+      assert.equal(fetched.name, 'Ann Lee');
+      assert.equal(fetched.crm_stages.name, stages[0].name);
+      assert.deepEqual(fetched.tags, ['vip']);
+
+      const updated = await crm.updateContact(created.id, { company: 'Acme' });
+      assert.equal(updated.company, 'Acme');
+      assert.deepEqual((await crm.listContacts({ tags: ['vip'] })).map(c => c.id), [created.id]);
+
+      await crm.deleteContact(created.id);
+      assert.deepEqual(await crm.listContacts(), []);
+      await assert.rejects(crm.getContact(created.id), { code: 'not_found' });
+      crm.close();
+    });
+
+    test('logs interactions and completes tasks', async () => {
+      const { crm } = await createSeededCrm({ backend });
+      const contact = await crm.createContact({ name: 'Bob' });
+
+      await crm.addNote(contact.id, 'Met at the expo', 'louis');
+      const task = await crm.addTask({ title: 'Follow up', contactId: contact.id, dueAt: '2026-01-10' });
+      const done = await crm.completeTask(task.id);
+
+      const [interaction] = await crm.listInteractions({ contactId: contact.id });
+      assert.equal(interaction.type, 'note');
+      assert.equal(interaction.created_by, 'louis');
+      assert.equal(done.completed, true);
+      assert.deepEqual(await crm.listTasks({ completed: false }), []);
+      crm.close();
+    });
+
+    test('keeps agents apart', async () => {
+      const shared = backend === 'memory' ? { store: MemoryDB.createStore() } : { file: join(tempDir(), 'crm.db') };
+      const a = createTestCrm({ backend, agentId: 'a', ...shared });
+      const b = createTestCrm({ backend, agentId: 'b', ...shared });
+      await a.createContact({ name: 'Ann' });
+
+      assert.equal((await a.listContacts()).length, 1);
+      assert.deepEqual(await b.listContacts(), []);
+      a.close();
+      b.close();
+    });
+
+    test('reports pipeline and activity stats', async () => {
+      const { crm, stages } = await createSeededCrm({ backend });
+      await crm.createContact({ name: 'Ann', stageId: stages[0].id, dealValue: 1000 });
+      await crm.createContact({ name: 'Bob', stageId: stages[0].id, dealValue: 500 });
+
+      const pipeline = await crm.getPipelineStats();
+      const lead = pipeline.stages.find(s => s.id === stages[0].id);
+      assert.equal(lead.count, 2);
+      assert.equal(lead.value, 1500);
+      assert.equal((await crm.getActivityStats(7)).contacts.created, 2);
+      crm.close();
+    });
+  });
+}
+
+test('createDatabase rejects an unknown backend', () => {
+  assert.throws(() => createDatabase({ backend: 'redis' }), /Unknown backend: redis/);
+});
+
+test('CRM accepts an adapter object as its backend', async () => {
+  const db = new MemoryDB('custom');
+  const crm = new CRM({ backend: db, webhooks: false });
+  await crm.createContact({ name: 'Ann' });
+  assert.equal((await db.listContacts()).length, 1);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { companyKey, normalizeDomain, groupCompanyNames, companyRollup } from '../src/companies.js';
+import { createSeededCrm, LOCAL_BACKENDS } from './helpers.js';
+
+test('companyKey ignores case, punctuation and legal suffixes', () => {
+  assert.equal(companyKey('Acme Pty. Ltd.'), 'acme');
+  assert.equal(companyKey('ACME, Inc'), 'acme');
+  assert.equal(companyKey('Smith & Sons'), 'smith and sons');
+  assert.equal(companyKey('Ltd'), 'ltd');
+  assert.equal(companyKey(''), null);
+});
+
+test('normalizeDomain reduces URLs and email addresses to a bare domain', () => {
+  assert.equal(normalizeDomain('https://www.Acme.com/about?x=1'), 'acme.com');
+  assert.equal(normalizeDomain('ann@acme.com.au'), 'acme.com.au');
+  assert.equal(normalizeDomain('not a domain'), null);
+});
+
+test('groupCompanyNames groups spellings, takes work domains and matches existing companies', () => {
+  const contacts = [
+    { id: 1, company: 'Acme Pty Ltd', email: 'ann@acme.com' },
+    { id: 2, company: 'ACME', email: 'bob@gmail.com' },
+    { id: 3, company: 'Acme Pty Ltd', email: null },
+    { id: 4, company: 'Globex', email: 'cat@globex.io' },
+    { id: 5, company: 'Acme', company_id: 9 },
+    { id: 6, company: '  ' }
+  ];
+  const [acme, globex] = groupCompanyNames(contacts, [{ id: 3, name: 'Globex Corporation', domain: 'globex.com' }]);
+  assert.deepEqual(acme, {
+    key: 'acme', name: 'Acme Pty Ltd', domain: 'acme.com', companyId: null,
+    spellings: ['Acme Pty Ltd', 'ACME'], contactIds: [1, 2, 3]
+  });
+  assert.deepEqual([globex.companyId, globex.name, globex.domain], [3, 'Globex Corporation', 'globex.com']);
+});
+
+test('companyRollup counts contacts, open deals and overdue tasks', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+  const rollup = companyRollup(
+    [{ is_active: true, last_contact_at: '2026-02-01T00:00:00Z' }, { is_active: false, last_contact_at: null }],
+    [{ value: '100' }, { value: 50 }],
+    [{ due_at: '2026-02-01T00:00:00Z' }, { due_at: '2026-04-01T00:00:00Z' }, { due_at: null }],
+    now
+  );
+  assert.deepEqual(rollup, {
+    contacts: 2, activeContacts: 1, openDeals: 2, openDealValue: 150,
+    lastInteractionAt: '2026-02-01T00:00:00Z', openTasks: 3, overdueTasks: 1
+  });
+});
+
+for (const backend of LOCAL_BACKENDS) {
+  test(`${backend}: companies link contacts, roll up their deals and rename them`, async () => {
+    const { crm, stages } = await createSeededCrm({ backend });
+    const acme = await crm.createCompany({ name: 'Acme', domain: 'https://acme.com', industry: 'Software' });
+    assert.equal(acme.domain, 'acme.com');
+    const ann = await crm.createContact({ name: 'Ann', stageId: stages[0].id, dealValue: 100 });
+    const bob = await crm.createContact({ name: 'Bob' });
+
+    const linked = await crm.linkContacts(acme.id, [ann.id, bob.id]);
+    assert.deepEqual(linked.map(c => [c.company_id, c.company]), [[acme.id, 'Acme'], [acme.id, 'Acme']]);
+    await crm.addTask({ title: 'Call', contactId: ann.id, dueAt: '2020-01-01T00:00:00Z' });
+
+    const company = await crm.getCompany(acme.id);
+    assert.equal(company.contacts.length, 2);
+    assert.equal(company.deals.length, 1);
+    assert.deepEqual([company.rollup.openDeals, company.rollup.openDealValue, company.rollup.overdueTasks, company.rollup.currency],
+      [1, 100, 1, 'AUD']);
+
+    await crm.updateCompany(acme.id, { name: 'Acme Corp' });
+    assert.equal((await crm.getContact(ann.id)).company, 'Acme Corp');
+
+    const [unlinked] = await crm.unlinkContacts([bob.id]);
+    assert.deepEqual([unlinked.company_id, unlinked.company], [null, 'Acme Corp']);
+    assert.equal((await crm.listCompanies())[0].rollup.contacts, 1);
+
+    await assert.rejects(crm.createContact({ name: 'Cat', companyId: 999 }), err => err.details[0].field === 'companyId');
+  });
+}
+
+test('groupCompanies previews, then creates and links companies', async () => {
+  const { crm } = await createSeededCrm();
+  await crm.createCompany({ name: 'Globex' });
+  await crm.createContact({ name: 'Ann', company: 'Acme Pty Ltd', email: 'ann@acme.com' });
+  await crm.createContact({ name: 'Bob', company: 'ACME' });
+  await crm.createContact({ name: 'Dan', company: 'Acme Pty Ltd' });
+  await crm.createContact({ name: 'Cat', company: 'globex' });
+
+  const preview = await crm.groupCompanies({ dryRun: true });
+  assert.deepEqual(preview.map(g => [g.name, g.created]).sort(), [['Acme Pty Ltd', true], ['Globex', false]]);
+  assert.equal((await crm.listCompanies()).length, 1);
+
+  await crm.groupCompanies();
+  const companies = await crm.listCompanies();
+  assert.deepEqual(companies.map(c => [c.name, c.domain, c.rollup.contacts]), [['Acme Pty Ltd', 'acme.com', 3], ['Globex', null, 1]]);
+  assert.deepEqual(await crm.groupCompanies(), []);
+});
+
+test('companies are listed by name, ignoring case', async () => {
+  const { crm } = await createSeededCrm({ backend: 'sqlite' });
+  for (const name of ['beta', 'Alpha', 'gamma']) await crm.createCompany({ name });
+  assert.deepEqual((await crm.listCompanies()).map(c => c.name), ['Alpha', 'beta', 'gamma']);
+  assert.deepEqual((await crm.listCompanies({ search: 'AMM' })).map(c => c.name), ['gamma']);
+});
+
+test('linking a contact moves its deals under the company, but not deals under another one', async () => {
+  const { crm } = await createSeededCrm();
+  const [acme, globex] = [await crm.createCompany({ name: 'Acme' }), await crm.createCompany({ name: 'Globex' })];
+  const ann = await crm.createContact({ name: 'Ann' });
+  const own = await crm.createDeal({ contactId: ann.id, title: 'Pilot' });
+  const other = await crm.createDeal({ contactId: ann.id, title: 'Referral', companyId: globex.id });
+
+  await crm.linkContacts(acme.id, [ann.id]);
+  assert.equal((await crm.getDeal(own.id)).company_id, acme.id);
+  assert.equal((await crm.getDeal(other.id)).company_id, globex.id);
+
+  await crm.unlinkContacts([ann.id]);
+  assert.equal((await crm.getDeal(own.id)).company_id, null);
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseCsvRecords, formatCsv } from '../src/csv.js';
+import { parseFieldMap, mapHeaders, recordsToContactEntries, contactsToRecords, interactionsToRecords, tasksToRecords } from '../src/records.js';
+import { createSeededCrm } from './helpers.js';
+
+test('parseCsv handles quotes, embedded newlines, CRLF and a BOM', () => {
+  const text = '﻿name,notes\r\n"Lee, Ann","said ""hi""\nthen left"\r\n\r\nBob,\n';
+  assert.deepEqual(parseCsv(text), [
+    ['name', 'notes'],
+    ['Lee, Ann', 'said "hi"\nthen left'],
+    ['Bob', '']
+  ]);
+});
+
+test('formatCsv quotes only what needs quoting and round-trips', () => {
+  const records = [{ name: 'Lee, Ann', note: 'said "hi"', pad: ' x', count: 3, empty: null }];
+  const columns = ['name', 'note', 'pad', 'count', 'empty'];
+  const text = formatCsv(records, columns);
+  assert.equal(text, 'name,note,pad,count,empty\r\n"Lee, Ann","said ""hi"""," x",3,\r\n');
+  assert.deepEqual(parseCsvRecords(text).records, [{ name: 'Lee, Ann', note: 'said "hi"', pad: ' x', count: '3', empty: '' }]);
+});
+
+test('mapHeaders recognises aliases, custom columns and --map overrides', () => {
+  const headers = ['Full Name', 'E-mail', 'Mobile', 'Organisation', 'cf_industry', 'Notes', 'id', 'Internal'];
+  const overrides = parseFieldMap('Notes=custom_fields.notes,Internal=');
+  assert.deepEqual(overrides, { Notes: 'custom_fields.notes', Internal: '' });
+
+  const { mapping, unmapped } = mapHeaders(headers, overrides);
+  assert.deepEqual(mapping, {
+    'Full Name': 'name',
+    'E-mail': 'email',
+    Mobile: 'phone',
+    Organisation: 'company',
+    cf_industry: 'custom_fields.industry',
+    Notes: 'custom_fields.notes'
+  });
+  assert.deepEqual(unmapped, []);
+  assert.deepEqual(mapHeaders(['Favourite colour']).unmapped, ['Favourite colour']);
+});
+
+test('recordsToContactEntries converts values and reports bad ones by row', () => {
+  const headers = ['Name', 'Tags', 'Amount', 'Active', 'Close Date'];
+  const { entries } = recordsToContactEntries(headers, [
+    { Name: 'Ann', Tags: 'vip; hot', Amount: '$1,500.50', Active: 'yes', 'Close Date': '2026-03-01' },
+    { Name: 'Bob', Tags: '', Amount: 'lots', Active: 'maybe', 'Close Date': 'soon' }
+  ]);
+
+  assert.deepEqual(entries[0], {
+    row: 2,
+    contact: { name: 'Ann', tags: ['vip', 'hot'], dealValue: 1500.5, isActive: true, expectedCloseAt: '2026-03-01T00:00:00.000Z' },
+    errors: []
+  });
+  assert.equal(entries[1].row, 3);
+  assert.deepEqual(entries[1].errors, [
+    'Amount: "lots" is not a number',
+    'Active: "maybe" is not true/false',
+    'Close Date: "soon" is not a date'
+  ]);
+});
+
+test('importContacts resolves stages, reports invalid rows and skips duplicates', async () => {
+  const { crm, stages } = await createSeededCrm();
+  await crm.createContact({ name: 'Ann', email: 'ann@acme.com' });
+
+  const { entries } = recordsToContactEntries(['name', 'email', 'stage'], [
+    { name: 'Ann Again', email: 'ANN@acme.com', stage: '' },
+    { name: 'Bob', email: 'bob@acme.com', stage: stages[1].name },
+    { name: 'Cat', email: 'cat@acme.com', stage: 'Nowhere' },
+    { name: 'Bob Twice', email: 'bob@acme.com', stage: '' }
+  ]);
+
+  const dry = await crm.importContacts(entries, { dryRun: true });
+  assert.equal(dry.dryRun, true);
+  assert.deepEqual([dry.created, dry.skipped, dry.invalid], [1, 2, 1]);
+  assert.equal((await crm.listContacts()).length, 1);
+
+  const report = await crm.importContacts(entries);
+  assert.deepEqual([report.total, report.created, report.updated, report.skipped, report.invalid], [4, 1, 0, 2, 1]);
+  assert.deepEqual(report.rows.map(r => r.status), ['skipped', 'created', 'invalid', 'skipped']);
+  assert.deepEqual(report.rows[2].errors, ['stage: no stage named "Nowhere"']);
+
+  const bob = (await crm.listContacts()).find(c => c.email === 'bob@acme.com');
+  assert.equal(bob.stage_id, stages[1].id);
+});
+
+test('importContacts can update duplicates, merging custom fields', async () => {
+  const { crm } = await createSeededCrm();
+  const ann = await crm.createContact({ name: 'Ann', email: 'ann@acme.com', customFields: { tier: 'gold' } });
+
+  const { entries } = recordsToContactEntries(['name', 'email', 'role', 'custom_fields.size'], [
+    { name: 'Ann', email: 'ann@acme.com', role: 'CTO', 'custom_fields.size': 'big' }
+  ]);
+  const report = await crm.importContacts(entries, { onDuplicate: 'update' });
+  assert.deepEqual(report.rows, [{ row: 2, status: 'updated', id: ann.id }]);
+
+  const updated = await crm.getContact(ann.id);
+  assert.equal(updated.role, 'CTO');
+  assert.deepEqual(updated.custom_fields, { tier: 'gold', size: 'big' });
+
+  await assert.rejects(crm.importContacts(entries, { onDuplicate: 'merge' }), { code: 'validation_failed' });
+});
+
+test('contactsToRecords exports stage names, tags and custom columns that import back', async () => {
+  const { crm, stages } = await createSeededCrm();
+  await crm.createContact({ name: 'Ann', email: 'ann@acme.com', stageId: stages[0].id, tags: ['vip', 'hot'], customFields: { tier: 'gold' } });
+  await crm.createContact({ name: 'Bob', customFields: { size: 'big' } });
+
+  const { columns, records } = contactsToRecords(await crm.listContacts());
+  // The rows' own (snake_case) names, as --output csv prints them
+  assert.deepEqual(columns.slice(6, 12), ['stage', 'stage_id', 'source', 'source_detail', 'assigned_to', 'tags']);
+  assert.deepEqual(columns.slice(-2), ['custom_fields.size', 'custom_fields.tier']);
+  const ann = records.find(r => r.name === 'Ann');
+  assert.equal(ann.stage, stages[0].name);
+  assert.equal(ann.stage_id, stages[0].id);
+  assert.equal(ann.tags, 'vip;hot');
+  assert.equal(ann['custom_fields.tier'], 'gold');
+
+  const { headers, records: parsed } = parseCsvRecords(formatCsv(records, columns));
+  const { entries, unmapped } = recordsToContactEntries(headers, parsed);
+  assert.deepEqual(unmapped, []);
+  const reimported = entries.find(e => e.contact.name === 'Ann').contact;
+  assert.equal(reimported.stageId, stages[0].id);
+  assert.deepEqual(reimported.tags, ['vip', 'hot']);
+  assert.deepEqual(reimported.customFields, { tier: 'gold' });
+});
+
+test('interactionsToRecords and tasksToRecords name columns as the rows do, with the contact\'s name', async () => {
+  const { crm } = await createSeededCrm();
+  const ann = await crm.createContact({ name: 'Ann' });
+  await crm.addInteraction({ contactId: ann.id, type: 'call', content: 'Hi', createdBy: 'louis' });
+  await crm.addTask({ title: 'Call back', contactId: ann.id, dueAt: '2026-03-02T09:00:00Z' });
+
+  const interactions = interactionsToRecords(await crm.listInteractions());
+  assert.deepEqual(interactions.columns.slice(0, 3), ['id', 'contact_id', 'contact_name']);
+  assert.ok(interactions.columns.every(column => !/[A-Z]/.test(column)));
+  assert.deepEqual([interactions.records[0].contact_name, interactions.records[0].created_by], ['Ann', 'louis']);
+
+  const tasks = tasksToRecords(await crm.listTasks());
+  assert.ok(tasks.columns.includes('due_at'));
+  assert.ok(tasks.columns.every(column => !/[A-Z]/.test(column)));
+  assert.match(formatCsv(tasks.records, tasks.columns).split('\r\n')[1], /^\d+,\d+,Ann,Call back,,2026-03-02T09:00:00/);
+});
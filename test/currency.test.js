@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConverter, convertDeals, recordsToExchangeRates, formatMoney } from '../src/currency.js';
+import { createSeededCrm, LOCAL_BACKENDS } from './helpers.js';
+
+const rate = (id, base, quote, value, date) => ({ id, base_currency: base, quote_currency: quote, rate: value, rate_date: date });
+
+test('createConverter uses the latest rate on the day, inverse pairs and a common currency', () => {
+  const rates = [
+    rate(1, 'USD', 'AUD', '1.5', '2026-01-01'),
+    rate(2, 'USD', 'AUD', '1.6', '2026-02-01'),
+    rate(3, 'USD', 'JPY', '150', '2026-01-01'),
+    rate(4, 'EUR', 'AUD', '1.7', '2026-03-01')
+  ];
+  const january = createConverter(rates, { date: '2026-01-15' });
+  assert.equal(january(10, 'USD', 'AUD'), 15);
+  assert.equal(january(15, 'AUD', 'USD'), 10);
+  assert.equal(january(1500, 'JPY', 'AUD'), 15);
+  assert.equal(january(1, 'EUR', 'AUD'), null);
+  assert.equal(january(7, 'NZD', 'NZD'), 7);
+
+  assert.equal(createConverter(rates, { date: '2026-02-15' })(10, 'USD', 'AUD'), 16);
+});
+
+test('convertDeals converts values and keeps per-currency subtotals and missing rates', () => {
+  const convert = createConverter([rate(1, 'USD', 'AUD', '2', '2026-01-01')], { date: '2026-06-01' });
+  const { deals, byCurrency, missingRates } = convertDeals([
+    { id: 1, value: '100', currency: 'USD' },
+    { id: 2, value: 50, currency: 'AUD' },
+    { id: 3, value: 1000, currency: 'JPY' },
+    { id: 4, value: 10, currency: null }
+  ], 'AUD', convert);
+
+  assert.deepEqual(deals.map(d => [d.value, d.currency, d.original_value, d.original_currency]), [
+    [200, 'AUD', 100, 'USD'], [50, 'AUD', 50, 'AUD'], [null, 'AUD', 1000, 'JPY'], [10, 'AUD', 10, 'AUD']
+  ]);
+  assert.deepEqual(byCurrency, [
+    { currency: 'USD', count: 1, value: 100, converted: 200 },
+    { currency: 'AUD', count: 2, value: 60, converted: 60 },
+    { currency: 'JPY', count: 1, value: 1000, converted: null }
+  ]);
+  assert.deepEqual(missingRates, ['JPY']);
+});
+
+test('recordsToExchangeRates accepts from/to headers in any case', () => {
+  assert.deepEqual(recordsToExchangeRates([{ Date: '2026-01-01', FROM: 'usd', To: 'aud', Rate: '1.5', Source: ' ' }]), [
+    { row: 2, rate: { date: '2026-01-01', base: 'usd', quote: 'aud', rate: '1.5' } }
+  ]);
+});
+
+test('formatMoney uses the currency symbol and locale', () => {
+  assert.equal(formatMoney(1200, 'USD', { locale: 'en-US' }), '$1,200.00');
+  assert.equal(formatMoney(1200, 'JPY', { locale: 'en-US' }), '¥1,200');
+  assert.equal(formatMoney(1200.5, 'EUR', { locale: 'de-DE', whole: true }), '1.201\u00a0€');
+  assert.equal(formatMoney('12', 'XYZ1', { locale: 'en-US' }), '12 XYZ1');
+});
+
+for (const backend of LOCAL_BACKENDS) {
+  test(`${backend}: pipeline totals are converted into the agent's reporting currency`, async () => {
+    const { crm, stages } = await createSeededCrm({ backend });
+    await crm.createContact({ name: 'Ann', stageId: stages[0].id, dealValue: 100, currency: 'usd' });
+    await crm.createContact({ name: 'Bob', stageId: stages[0].id, dealValue: 50 });
+    await crm.createContact({ name: 'Cat', stageId: stages[0].id, dealValue: 1000, currency: 'JPY' });
+    await crm.setExchangeRate({ base: 'USD', quote: 'AUD', rate: 1.5, date: '2026-01-01' });
+
+    assert.equal(await crm.getReportingCurrency(), 'AUD');
+    const stats = await crm.getPipelineStats();
+    assert.deepEqual([stats.currency, stats.totalValue, stats.missingRates], ['AUD', 200, ['JPY']]);
+    assert.deepEqual(stats.byCurrency.map(s => s.currency), ['USD', 'AUD', 'JPY']);
+
+    await crm.setReportingCurrency('usd');
+    assert.equal((await crm.getPipelineStats()).currency, 'USD');
+    assert.deepEqual(await crm.convertAmount(150, 'AUD'), { amount: 100, currency: 'USD' });
+    assert.deepEqual(await crm.convertAmount(1, 'JPY'), { amount: null, currency: 'USD' });
+    await assert.rejects(crm.setReportingCurrency('dollars'), { code: 'validation_failed' });
+  });
+}
+
+test('exchange rates replace the same pair and date, and import reports invalid rows', async () => {
+  const { crm } = await createSeededCrm();
+  await crm.setExchangeRate({ base: 'USD', quote: 'AUD', rate: 1.5, date: '2026-01-01' });
+  await crm.setExchangeRate({ base: 'USD', quote: 'AUD', rate: 1.6, date: '2026-01-01' });
+  assert.deepEqual((await crm.listExchangeRates()).map(r => Number(r.rate)), [1.6]);
+
+  const report = await crm.importExchangeRates([
+    { row: 2, rate: { base: 'EUR', quote: 'AUD', rate: '1.7', date: '2026-01-01' } },
+    { row: 3, rate: { base: 'EUR', quote: 'nope', rate: '-1' } }
+  ]);
+  assert.deepEqual([report.saved, report.invalid], [1, 1]);
+  assert.equal(report.rows[1].errors.length, 2);
+  assert.equal((await crm.listExchangeRates({ currency: 'eur' })).length, 1);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSeededCrm, LOCAL_BACKENDS } from './helpers.js';
+
+for (const backend of LOCAL_BACKENDS) {
+  test(`${backend}: a single-deal contact and its deal mirror each other, owner included`, async () => {
+    const { crm, stages } = await createSeededCrm({ backend });
+    const ann = await crm.createContact({ name: 'Ann', company: 'Acme', stageId: stages[0].id, dealValue: 500, assignedTo: 'louis' });
+    const [deal] = await crm.listDeals({ contactId: ann.id });
+    assert.deepEqual([deal.title, deal.stage_id, Number(deal.value), deal.owner], ['Acme', stages[0].id, 500, 'louis']);
+
+    await crm.updateContact(ann.id, { assignedTo: 'mia', dealValue: 750 });
+    const updated = await crm.getDeal(deal.id);
+    assert.deepEqual([updated.owner, Number(updated.value)], ['mia', 750]);
+
+    await crm.updateDeal(deal.id, { owner: 'sam', stageId: stages[2].id });
+    const contact = await crm.getContact(ann.id);
+    assert.deepEqual([contact.assigned_to, contact.stage_id], ['sam', stages[2].id]);
+
+    await crm.loseDeal(deal.id, 'No budget');
+    assert.deepEqual([(await crm.getContact(ann.id)).is_active, (await crm.getContact(ann.id)).lost_reason], [false, 'No budget']);
+    await crm.reopenDeal(deal.id);
+    assert.equal((await crm.getContact(ann.id)).is_active, true);
+  });
+}
+
+test('a contact with several deals is reassigned on its own, but its deal fields are guarded', async () => {
+  const { crm, stages } = await createSeededCrm();
+  const ann = await crm.createContact({ name: 'Ann', assignedTo: 'louis' });
+  const upsell = await crm.createDeal({ contactId: ann.id, title: 'Upsell', stageId: stages[0].id });
+  const renewal = await crm.createDeal({ contactId: ann.id, title: 'Renewal', owner: 'mia' });
+  assert.equal(upsell.owner, 'louis');
+
+  const reassigned = await crm.updateContact(ann.id, { assignedTo: 'sam' });
+  assert.equal(reassigned.assigned_to, 'sam');
+  assert.deepEqual([(await crm.getDeal(upsell.id)).owner, (await crm.getDeal(renewal.id)).owner], ['louis', 'mia']);
+
+  await assert.rejects(crm.moveStage(ann.id, stages[1].id), { code: 'conflict' });
+  await assert.rejects(crm.updateContact(ann.id, { dealValue: 10 }), { code: 'conflict' });
+});
+
+test('deals record stage moves and close times, and getFunnelStats follows reassignment', async () => {
+  const { crm, stages } = await createSeededCrm();
+  const ann = await crm.createContact({ name: 'Ann', stageId: stages[0].id, assignedTo: 'louis' });
+  const [deal] = await crm.listDeals({ contactId: ann.id });
+
+  await crm.moveDeal(deal.id, stages[1].id);
+  const won = await crm.winDeal(deal.id);
+  assert.equal(won.status, 'won');
+  assert.ok(won.closed_at);
+  assert.deepEqual((await crm.getDealHistory(deal.id)).map(h => h.to_stage_name), [stages[0].name, stages[1].name]);
+
+  assert.equal((await crm.getFunnelStats({ assignedTo: 'louis' })).cohortSize, 1);
+  await crm.updateContact(ann.id, { assignedTo: 'mia' });
+  assert.equal((await crm.getFunnelStats({ assignedTo: 'louis' })).cohortSize, 0);
+  assert.equal((await crm.getFunnelStats({ assignedTo: 'mia' })).cohortSize, 1);
+  assert.deepEqual((await crm.listDeals({ owner: 'mia' })).map(d => d.id), [deal.id]);
+});
+
+test('pipeline stats count deals, not contacts', async () => {
+  const { crm, stages } = await createSeededCrm();
+  const ann = await crm.createContact({ name: 'Ann' });
+  await crm.createDeal({ contactId: ann.id, title: 'Upsell', stageId: stages[0].id, value: 100 });
+  await crm.createDeal({ contactId: ann.id, title: 'Renewal', stageId: stages[0].id, value: 200 });
+
+  const stats = await crm.getPipelineStats();
+  assert.equal(stats.totalDeals, 2);
+  assert.equal(stats.totalContacts, 1);
+  assert.deepEqual([stats.stages[0].count, stats.stages[0].value], [2, 300]);
+});
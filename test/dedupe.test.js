@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { normalizeEmail, samePhone, scorePair, planMerge } from '../src/dedupe.js';
+import { createTestCrm, tempDir } from './helpers.js';
+
+test('normalizeEmail folds case, +tags and Gmail dots', () => {
+  assert.equal(normalizeEmail(' Ann.Lee+crm@GMAIL.com '), 'annlee@gmail.com');
+  assert.equal(normalizeEmail('ann+x@acme.com'), 'ann@acme.com');
+  assert.equal(normalizeEmail(null), null);
+});
+
+test('samePhone compares numbers in E.164', () => {
+  assert.equal(samePhone('+61 412 345 678', '0412 345 678', '61'), true);
+  assert.equal(samePhone('+61412345678', '+61 (412) 345-678'), true);
+  // Same last 9 digits, different countries
+  assert.equal(samePhone('+61412345678', '+44412345678'), false);
+  assert.equal(samePhone('+61412345678', '0412 345 678', '44'), false);
+});
+
+test('samePhone falls back to the last 9 digits without a country code', () => {
+  assert.equal(samePhone('+61412345678', '0412 345 678'), true);
+  assert.equal(samePhone('0412 345 678', '0412345678'), true);
+  assert.equal(samePhone('0412 345 678', '0412 345 679'), false);
+  assert.equal(samePhone('123', '123'), false);
+});
+
+test('scorePair adds up email, phone, name and company evidence', () => {
+  const ann = { name: 'Ann Lee', email: 'ann@acme.com', phone: '+61412345678', company: 'Acme Pty Ltd' };
+
+  const same = scorePair(ann, { name: 'Lee Ann', email: 'ANN@acme.com', phone: '+61412345678', company: 'Acme' });
+  assert.equal(same.score, 1);
+  assert.deepEqual(same.reasons, ['same email', 'same phone', 'same name', 'same company']);
+
+  const abroad = scorePair(ann, { name: 'Bob Stone', phone: '+44412345678' });
+  assert.equal(abroad.score, 0);
+
+  const otherCompany = scorePair(ann, { name: 'Ann Lee', company: 'Globex' });
+  assert.ok(Math.abs(otherCompany.score - 0.1) < 1e-9);
+});
+
+test('planMerge fills empty fields, unions tags and merges custom fields', () => {
+  const primary = { name: 'Ann', email: null, tags: ['vip'], custom_fields: { tier: 'gold' }, updated_at: '2026-01-01' };
+  const duplicate = { name: 'Ann Lee', email: 'ann@acme.com', tags: ['hot', 'vip'], custom_fields: { tier: 'silver', size: 'big' }, updated_at: '2026-02-01' };
+
+  assert.deepEqual(planMerge(primary, [duplicate]), {
+    email: 'ann@acme.com',
+    tags: ['vip', 'hot'],
+    customFields: { tier: 'gold', size: 'big' }
+  });
+  assert.equal(planMerge(primary, [duplicate], 'newest').name, 'Ann Lee');
+  assert.equal(planMerge(primary, [duplicate], 'primary').email, undefined);
+  assert.throws(() => planMerge(primary, [duplicate], 'oldest'), { code: 'validation_failed' });
+});
+
+test('findDuplicates uses the CRM default country code', async () => {
+  const crm = createTestCrm({ defaultCountryCode: '61' });
+  await crm.createContact({ name: 'Ann Lee', phone: '+61412345678' });
+  await crm.createContact({ name: 'A. Lee', phone: '0412 345 678' });
+  await crm.createContact({ name: 'Bob Stone', phone: '+44412345678' });
+
+  const pairs = await crm.findDuplicates();
+  assert.equal(pairs.length, 1);
+  assert.deepEqual(pairs[0].contacts.map(c => c.name), ['Ann Lee', 'A. Lee']);
+  assert.ok(pairs[0].reasons.includes('same phone'));
+});
+
+test('mergeContacts moves history to the primary and trashes the duplicates', async () => {
+  const crm = createTestCrm();
+  const primary = await crm.createContact({ name: 'Ann', tags: ['vip'] });
+  const duplicate = await crm.createContact({ name: 'Ann Lee', email: 'ann@acme.com', tags: ['hot'], dealValue: 500 });
+  await crm.addNote(duplicate.id, 'Asked for pricing', 'louis');
+  await crm.addTask({ title: 'Send pricing', contactId: duplicate.id });
+
+  const result = await crm.mergeContacts(primary.id, [duplicate.id]);
+
+  assert.equal(result.contact.email, 'ann@acme.com');
+  assert.deepEqual(result.contact.tags, ['vip', 'hot']);
+  assert.deepEqual(result.reassigned, { deals: 1, interactions: 1, tasks: 1, stageTransitions: 0 });
+  assert.equal((await crm.listInteractions({ contactId: primary.id })).length, 1);
+  assert.equal((await crm.listTasks({ contactId: primary.id })).length, 1);
+  assert.equal((await crm.listDeals({ contactId: primary.id }))[0].value, 500);
+  assert.deepEqual((await crm.listTrash({ entity: 'contact' })).map(c => c.id), [duplicate.id]);
+  await assert.rejects(crm.mergeContacts(primary.id, [primary.id]), { code: 'validation_failed' });
+});
+
+test('a merge whose fields fail validation changes nothing', async () => {
+  const file = join(tempDir(), 'crm.db');
+  const lenient = createTestCrm({ backend: 'sqlite', file });
+  const primary = await lenient.createContact({ name: 'Ann' });
+  const duplicate = await lenient.createContact({ name: 'Ann Lee', phone: '555 CALL ANN', dealValue: 500 });
+  await lenient.addNote(duplicate.id, 'Asked for pricing', 'louis');
+  lenient.close();
+
+  // The duplicate's phone would fill the primary's, which strict validation rejects
+  const crm = createTestCrm({ backend: 'sqlite', file, phoneValidation: 'strict' });
+  await assert.rejects(crm.mergeContacts(primary.id, [duplicate.id]), { code: 'validation_failed' });
+
+  assert.equal((await crm.listInteractions({ contactId: duplicate.id })).length, 1);
+  assert.equal((await crm.listDeals({ contactId: duplicate.id })).length, 1);
+  assert.deepEqual(await crm.listDeals({ contactId: primary.id }), []);
+  assert.deepEqual(await crm.listTrash(), []);
+  crm.close();
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeHeader, htmlToText, parseAddresses, parseEmail, parseMailFile } from '../src/email.js';
+import { createSeededCrm } from './helpers.js';
+
+// Messages are read as latin1, so UTF-8 bytes arrive one char per byte
+const latin1 = text => Buffer.from(text, 'utf8').toString('latin1');
+
+const message = ({ id, from, to, subject = 'Hello', date = 'Mon, 2 Mar 2026 10:00:00 +1100', extra = '' }) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  `Date: ${date}`,
+  ...(id ? [`Message-ID: <${id}>`] : []),
+  ...(extra ? [extra] : []),
+  '',
+  'Body text',
+  ''
+].join('\r\n');
+
+test('decodeHeader decodes encoded words and 8-bit UTF-8', () => {
+  assert.equal(decodeHeader('=?utf-8?Q?Caf=C3=A9?= =?utf-8?B?bWVudQ==?= today'), 'Cafémenu today');
+  assert.equal(decodeHeader('=?iso-8859-1?q?na=EFve_plan?='), 'naïve plan');
+  assert.equal(decodeHeader(latin1('Grüße')), 'Grüße');
+});
+
+test('parseAddresses reads quoted names, comments and groups', () => {
+  assert.deepEqual(parseAddresses('"Smith, Jo" <Jo@Acme.com>, sam@example.org (Sam), Team: ann@x.io;'), [
+    { name: 'Smith, Jo', email: 'jo@acme.com' },
+    { name: 'Sam', email: 'sam@example.org' },
+    { name: null, email: 'ann@x.io' }
+  ]);
+  assert.deepEqual(parseAddresses('undisclosed-recipients:;'), []);
+});
+
+test('htmlToText keeps paragraphs and list items and drops styles', () => {
+  assert.equal(htmlToText('<style>p{}</style><p>Hi&nbsp;Ann,</p><ul><li>one</li><li>two &amp; three</li></ul>'), 'Hi Ann,\n- one\n- two & three');
+});
+
+test('parseEmail reads multipart bodies, charsets, attachments and threading', () => {
+  const raw = latin1([
+    'From: "Ann Lee" <Ann@Acme.com>',
+    'To: louis@us.com',
+    'Subject: =?utf-8?Q?Re:_Pricing?=',
+    'Date: Mon, 2 Mar 2026 10:00:00 +1100 (AEDT)',
+    'Message-ID: <b@acme.com>',
+    'In-Reply-To: <a@us.com>',
+    'References: <root@us.com> <a@us.com>',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    'preamble',
+    '--outer',
+    'Content-Type: multipart/alternative; boundary=inner',
+    '',
+    '--inner',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Caf=C3=A9 at 10=',
+    '?',
+    '--inner',
+    'Content-Type: text/html',
+    '',
+    '<p>Café at 10?</p>',
+    '--inner--',
+    '--outer',
+    'Content-Type: application/pdf; name="quote.pdf"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    'JVBERi0xLjQ=',
+    '--outer--',
+    ''
+  ].join('\r\n'));
+
+  const email = parseEmail(raw);
+  assert.equal(email.subject, 'Re: Pricing');
+  assert.equal(email.date, '2026-03-01T23:00:00.000Z');
+  assert.deepEqual(email.from, { name: 'Ann Lee', email: 'ann@acme.com' });
+  assert.equal(email.text, 'Café at 10?');
+  assert.equal(email.html, '<p>Café at 10?</p>');
+  assert.deepEqual(email.attachments, [{ filename: 'quote.pdf', contentType: 'application/pdf', size: 8 }]);
+  assert.deepEqual([email.messageId, email.inReplyTo, email.threadId], ['b@acme.com', 'a@us.com', 'root@us.com']);
+});
+
+test('parseMailFile splits an mbox and messages without an ID get a stable one', () => {
+  const first = message({ from: 'ann@acme.com', to: 'louis@us.com', extra: '' });
+  const mbox = `From ann@acme.com Mon Mar  2 10:00:00 2026\n${first}\nFrom bob@acme.com Mon Mar  2 11:00:00 2026\n${message({ id: 'x@acme.com', from: 'bob@acme.com', to: 'louis@us.com' })}`;
+  const messages = parseMailFile(mbox);
+  assert.equal(messages.length, 2);
+  assert.match(messages[0].messageId, /^[0-9a-f]{32}@crm\.local$/);
+  assert.equal(parseMailFile(first)[0].messageId, messages[0].messageId);
+  assert.equal(messages[1].messageId, 'x@acme.com');
+});
+
+test('importEmails logs messages on matching contacts once, with direction and participants', async () => {
+  const { crm } = await createSeededCrm();
+  const ann = await crm.createContact({ name: 'Ann', email: 'Ann@acme.com' });
+  const bob = await crm.createContact({ name: 'Bob', email: 'bob@acme.com' });
+  const entries = [
+    message({ id: 'in@acme.com', from: 'Ann <ann@acme.com>', to: 'louis@us.com' }),
+    message({ id: 'out@us.com', from: 'louis@us.com', to: 'ann@acme.com, bob@acme.com', date: 'Tue, 3 Mar 2026 10:00:00 +1100' }),
+    message({ id: 'stranger@else.com', from: 'Zed <zed@else.com>', to: 'louis@us.com' }),
+    message({ id: 'news@else.com', from: 'noreply@else.com', to: 'louis@us.com' }),
+    'Subject: no sender\r\n\r\nbody'
+  ].map((raw, index) => ({ row: index + 1, message: parseEmail(raw) }));
+  const options = { ownAddresses: ['Louis@us.com'] };
+
+  const report = await crm.importEmails(entries, options);
+  assert.deepEqual([report.imported, report.interactions, report.unmatched, report.invalid], [2, 3, 2, 1]);
+
+  const [outbound, inbound] = await crm.listInteractions({ contactId: ann.id });
+  assert.deepEqual([inbound.metadata.direction, outbound.metadata.direction], ['inbound', 'outbound']);
+  assert.equal(inbound.created_by, 'email-import');
+  assert.deepEqual(outbound.metadata.to.map(p => p.email), ['ann@acme.com', 'bob@acme.com']);
+  assert.equal((await crm.listInteractions({ contactId: bob.id })).length, 1);
+
+  const again = await crm.importEmails(entries, { ...options, createContacts: true });
+  assert.deepEqual([again.imported, again.duplicates, again.contactsCreated], [1, 2, 1]);
+  const zed = (await crm.listContacts()).find(c => c.email === 'zed@else.com');
+  assert.deepEqual([zed.name, zed.source], ['Zed', 'email']);
+  assert.equal((await crm.listContacts()).some(c => c.email === 'noreply@else.com'), false);
+
+  await assert.rejects(crm.importEmails(entries, { createContacts: true }), err => err.details[0].field === 'ownAddresses');
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { customFieldKey, customFieldPath } from '../src/fields.js';
+import { mapHeaders, parseFieldMap } from '../src/records.js';
+import { parseSearchQuery } from '../src/search.js';
+import { fieldValue } from '../src/rules.js';
+import { createSeededCrm } from './helpers.js';
+
+test('custom_fields.<key> names a custom field; older spellings still resolve', () => {
+  assert.equal(customFieldPath('industry'), 'custom_fields.industry');
+  assert.equal(customFieldKey('custom_fields.industry'), 'industry');
+  for (const alias of ['customFields.industry', 'custom.industry', 'custom:industry', 'cf.industry', 'cf_industry', 'CF_industry']) {
+    assert.equal(customFieldKey(alias), 'industry', alias);
+  }
+  assert.equal(customFieldKey('industry'), null);
+  assert.equal(customFieldKey('custom_fields'), null);
+});
+
+test('import mappings, search, rules and output share the path syntax', () => {
+  const overrides = parseFieldMap('A=custom_fields.industry,B=customFields.size,C=cf.tier');
+  assert.deepEqual(mapHeaders(['A', 'B', 'C'], overrides).mapping, {
+    A: 'custom_fields.industry',
+    B: 'custom_fields.size',
+    C: 'custom_fields.tier'
+  });
+
+  assert.deepEqual(parseSearchQuery('custom_fields.seats>50').filters, parseSearchQuery('cf.seats>50').filters);
+
+  const contact = { custom_fields: { industry: 'SaaS' } };
+  assert.equal(fieldValue(contact, 'custom_fields.industry'), 'SaaS');
+  assert.equal(fieldValue(contact, 'customFields.industry'), 'SaaS');
+});
+
+test('search and rule conditions match on custom_fields.<key>', async () => {
+  const { crm } = await createSeededCrm();
+  const ann = await crm.createContact({ name: 'Ann', customFields: { industry: 'SaaS', seats: 80 } });
+  await crm.createContact({ name: 'Bob', customFields: { industry: 'Retail', seats: 5 } });
+
+  assert.deepEqual((await crm.search('custom_fields.industry:saas')).map(c => c.id), [ann.id]);
+  assert.deepEqual((await crm.search('custom_fields.seats>50')).map(c => c.id), [ann.id]);
+
+  const rule = await crm.createRule({
+    name: 'SaaS',
+    trigger: { type: 'contact_created' },
+    conditions: [{ field: 'custom_fields.industry', op: 'eq', value: 'saas' }],
+    actions: [{ type: 'add_tag', tag: 'saas' }]
+  });
+  const cat = await crm.createContact({ name: 'Cat', customFields: { industry: 'saas' } });
+  await crm.createContact({ name: 'Dan', customFields: { industry: 'retail' } });
+  assert.deepEqual((await crm.getRuleRuns({ ruleId: rule.id })).map(r => r.contact_id), [cat.id]);
+});
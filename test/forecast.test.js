@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { periodOf } from '../src/analytics.js';
+import { createSeededCrm } from './helpers.js';
+
+test('initializeDefaultStages seeds win probabilities', async () => {
+  const { stages } = await createSeededCrm();
+  assert.deepEqual(stages.map(s => s.win_probability), [10, 20, 40, 60, 80, 100]);
+});
+
+test('getForecast weights deals by stage and buckets them by close month', async () => {
+  const { crm, stages } = await createSeededCrm();
+  const [lead, , , proposal, , won] = stages;
+  await crm.createContact({ name: 'Ann', stageId: lead.id, dealValue: 1000, expectedCloseAt: '2026-03-10' });
+  await crm.createContact({ name: 'Bob', stageId: proposal.id, dealValue: 2000, expectedCloseAt: '2026-03-28' });
+  await crm.createContact({ name: 'Cat', stageId: won.id, dealValue: 500, expectedCloseAt: '2026-05-02' });
+  await crm.createContact({ name: 'Dan', stageId: proposal.id, dealValue: 100 });
+
+  const forecast = await crm.getForecast();
+  assert.equal(forecast.currency, 'AUD');
+  assert.deepEqual(forecast.buckets.map(b => [b.period, b.count, b.weighted, b.bestCase, b.worstCase]), [
+    ['2026-03', 2, 1300, 3000, 0],
+    ['2026-05', 1, 500, 500, 500]
+  ]);
+  assert.deepEqual(forecast.unscheduled, { count: 1, value: 100, weighted: 60, bestCase: 100, worstCase: 0 });
+  assert.equal(forecast.totals.weighted, 1860);
+});
+
+test('getForecast buckets by quarter and rejects other periods', async () => {
+  const { crm, stages } = await createSeededCrm();
+  await crm.createContact({ name: 'Ann', stageId: stages[0].id, dealValue: 1000, expectedCloseAt: '2026-02-10' });
+  await crm.createContact({ name: 'Bob', stageId: stages[0].id, dealValue: 1000, expectedCloseAt: '2026-03-10' });
+
+  const forecast = await crm.getForecast({ period: 'quarter' });
+  assert.deepEqual(forecast.buckets.map(b => [b.period, b.count]), [['2026-Q1', 2]]);
+  await assert.rejects(crm.getForecast({ period: 'week' }), { code: 'validation_failed' });
+});
+
+test('periodOf gives UTC bounds', () => {
+  assert.deepEqual(periodOf(new Date('2026-12-31T23:00:00Z'), 'month'), {
+    key: '2026-12',
+    start: '2026-12-01T00:00:00.000Z',
+    end: '2027-01-01T00:00:00.000Z'
+  });
+  assert.equal(periodOf(new Date('2026-04-01T00:00:00Z'), 'quarter').key, '2026-Q2');
+});
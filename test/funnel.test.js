@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { funnel } from '../src/analytics.js';
+import { createSeededCrm } from './helpers.js';
+
+// Lead -> Contacted -> Qualified -> Proposal -> Negotiation -> Won
+async function seedFunnel() {
+  const { crm, stages } = await createSeededCrm();
+  const [lead, contacted, qualified] = stages;
+  const add = (name, assignedTo) => crm.createContact({ name, stageId: lead.id, assignedTo });
+
+  const ann = await add('Ann', 'louis');
+  const bob = await add('Bob', 'louis');
+  const cat = await add('Cat', 'mia');
+  await add('Dan', 'mia');
+
+  await crm.moveStage(ann.id, contacted.id);
+  await crm.moveStage(ann.id, qualified.id);
+  await crm.moveStage(bob.id, contacted.id);
+  await crm.markLost(bob.id, 'Too expensive');
+  await crm.markLost(cat.id, 'No budget');
+  return { crm, stages };
+}
+
+test('getFunnelStats converts a cohort from stage to stage', async () => {
+  const { crm } = await seedFunnel();
+  const funnel = await crm.getFunnelStats();
+  const [lead, contacted, qualified, proposal] = funnel.stages;
+
+  assert.equal(funnel.cohortSize, 4);
+  assert.deepEqual([lead.reached, contacted.reached, qualified.reached, proposal.reached], [4, 2, 1, 0]);
+  assert.equal(lead.conversionRate, 0.5);
+  // Cat was lost in Lead; Dan is still there, so hasn't dropped off
+  assert.equal(lead.dropOff, 1);
+  assert.equal(lead.inProgress, 1);
+  assert.equal(contacted.conversionRate, 0.5);
+  assert.equal(qualified.inProgress, 1);
+});
+
+test('getFunnelStats breaks drop-off down by lost reason', async () => {
+  const { crm } = await seedFunnel();
+  const funnel = await crm.getFunnelStats();
+  const [lead, contacted] = funnel.stages;
+
+  assert.deepEqual(lead.lostReasons, { 'No budget': 1 });
+  assert.deepEqual(contacted.lostReasons, { 'Too expensive': 1 });
+  assert.equal(funnel.lost, 2);
+  assert.equal(funnel.won, 0);
+  assert.equal(funnel.winRate, 0);
+  assert.equal(funnel.closedWinRate, 0);
+});
+
+test('getFunnelStats filters by assignee and creation window', async () => {
+  const { crm } = await seedFunnel();
+
+  const louis = await crm.getFunnelStats({ assignedTo: 'louis' });
+  assert.equal(louis.cohortSize, 2);
+  assert.equal(louis.stages[1].reached, 2);
+
+  const future = await crm.getFunnelStats({ since: new Date(Date.now() + 60000).toISOString() });
+  assert.equal(future.cohortSize, 0);
+  assert.equal(future.winRate, null);
+});
+
+test('funnel counts a stage at position 0 as a stage', () => {
+  // Rows from before positions were validated can start at 0
+  const stages = [{ id: 1, name: 'Intake', position: 0 }, { id: 2, name: 'Lead', position: 1 }];
+  const deals = [
+    { id: 1, stage_id: 1, status: 'open' },
+    { id: 2, stage_id: 1, status: 'lost', lost_reason: 'No budget' },
+    { id: 3, stage_id: null, status: 'open' }
+  ];
+  const result = funnel(deals, [{ deal_id: 1, to_stage_id: 2 }], stages);
+
+  assert.equal(result.unstaged.count, 1);
+  assert.deepEqual(result.stages.map(s => [s.name, s.reached]), [['Intake', 2], ['Lead', 1]]);
+  assert.deepEqual([result.stages[0].dropOff, result.stages[0].lost], [1, 1]);
+  assert.equal(result.lost, 1);
+});
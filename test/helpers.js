@@ -0,0 +1,75 @@
+/**
+ * Test helpers
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { spawnSync } from 'child_process';
+import { after } from 'node:test';
+import { CRM } from '../src/crm.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+// Backends every CRM test can run against without a network
+export const LOCAL_BACKENDS = ['memory', 'sqlite'];
+
+/**
+ * A CRM on a throwaway database; webhooks and environment settings off
+ * @param {Object} config - CRM config overrides, e.g. { backend: 'sqlite' }
+ */
+export function createTestCrm(config = {}) {
+  const backend = config.backend || 'memory';
+  return new CRM({
+    agentId: 'test',
+    webhooks: false,
+    interactionTypes: [],
+    reportingCurrency: 'AUD',
+    defaultCountryCode: '',
+    ...config,
+    backend,
+    ...(backend === 'sqlite' && { file: config.file || ':memory:' })
+  });
+}
+
+/**
+ * A CRM with the default pipeline stages
+ * @returns {Promise<{ crm: CRM, stages: Object[] }>}
+ */
+export async function createSeededCrm(config = {}) {
+  const crm = createTestCrm(config);
+  const { stages } = await crm.initializeDefaultStages();
+  return { crm, stages };
+}
+
+/**
+ * Collect an async iterator into an array
+ */
+export async function collect(iterator) {
+  const rows = [];
+  for await (const row of iterator) rows.push(row);
+  return rows;
+}
+
+/**
+ * A temporary directory, removed when the tests finish
+ */
+export function tempDir() {
+  const dir = mkdtempSync(join(tmpdir(), 'crm-test-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Run the CLI in a child process with only the given environment
+ * @returns {Object} { status, stdout, stderr }
+ */
+export function runCli(args, env = {}) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { PATH: process.env.PATH, ...env }
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
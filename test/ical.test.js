@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseICalendar, icalendarToEntries, toICalendar } from '../src/ical.js';
+import { createTestCrm } from './helpers.js';
+
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+const meeting = (scheduledAt, metadata = {}) => ({
+  id: 7,
+  contact_id: 1,
+  type: 'meeting',
+  subject: 'Quarterly review',
+  scheduled_at: scheduledAt,
+  created_at: '2026-01-01T00:00:00Z',
+  metadata: { duration: 45, ...metadata },
+  crm_contacts: { name: 'Ann', email: 'ann@acme.com' }
+});
+
+const observances = ics => {
+  const [calendar] = parseICalendar(ics);
+  const [zone] = calendar.components.filter(c => c.name === 'VTIMEZONE');
+  return (zone?.components || []).map(c => ({
+    name: c.name,
+    ...Object.fromEntries(c.properties.map(p => [p.name, p.value]))
+  }));
+};
+
+test('VTIMEZONEs hold only real offset changes', () => {
+  const ics = toICalendar([], [meeting('2026-03-02T23:00:00Z', { timezone: 'Australia/Sydney' })], { now: NOW });
+  const sydney = observances(ics);
+
+  assert.ok(sydney.length > 2);
+  for (const observance of sydney) {
+    assert.notEqual(observance.TZOFFSETFROM, observance.TZOFFSETTO);
+    assert.equal(observance.name, observance.TZOFFSETTO === '+1100' ? 'DAYLIGHT' : 'STANDARD');
+  }
+  // The change in force when 2026 begins is daylight saving starting in October 2025
+  assert.deepEqual(sydney[0], {
+    name: 'DAYLIGHT', DTSTART: '20251005T020000', TZOFFSETFROM: '+1000', TZOFFSETTO: '+1100'
+  });
+  assert.equal(sydney[1].DTSTART, '20260405T030000');
+});
+
+test('a zone without offset changes gets one STANDARD observance', () => {
+  const ics = toICalendar([], [meeting('2026-03-02T23:00:00Z', { timezone: 'Australia/Brisbane' })], { now: NOW });
+  assert.deepEqual(observances(ics), [
+    { name: 'STANDARD', DTSTART: '19700101T000000', TZOFFSETFROM: '+1000', TZOFFSETTO: '+1000' }
+  ]);
+  assert.match(ics, /DTSTART;TZID=Australia\/Brisbane:20260303T090000/);
+});
+
+test('UTC times are written with Z and no VTIMEZONE', () => {
+  const ics = toICalendar([], [meeting('2026-03-02T23:00:00Z')], { timezone: 'UTC', now: NOW });
+  assert.doesNotMatch(ics, /VTIMEZONE/);
+  assert.match(ics, /DTSTART:20260302T230000Z/);
+});
+
+test('meetings and recurring tasks read back at the same times', () => {
+  const task = {
+    id: 3, contact_id: 1, title: 'Weekly check-in', due_at: '2026-03-06T14:00:00Z', recurrence: 'FREQ=WEEKLY',
+    priority: 'high', completed: false, created_at: '2026-01-01T00:00:00Z'
+  };
+  const ics = toICalendar([task], [meeting('2026-03-10T14:00:00Z', { timezone: 'America/New_York' })], {
+    timezone: 'Europe/London', now: NOW
+  });
+
+  // Read with a zone of their own, the times can only come from the file
+  const [todo, event] = icalendarToEntries(ics, { timezone: 'Asia/Tokyo' });
+  assert.equal(todo.kind, 'todo');
+  assert.equal(todo.item.due, task.due_at.replace('Z', '.000Z'));
+  assert.equal(todo.item.recurrence, 'FREQ=WEEKLY');
+  assert.equal(todo.item.priority, 'high');
+
+  assert.equal(event.kind, 'event');
+  assert.equal(event.item.start, '2026-03-10T14:00:00.000Z');
+  assert.equal(event.item.duration, 45);
+  assert.equal(event.item.timezone, 'America/New_York');
+  assert.deepEqual(event.item.attendees.map(a => a.email), ['ann@acme.com']);
+});
+
+test('a time in a zone the file defines is read through its VTIMEZONE', () => {
+  // Written in Sydney, then renamed so the reader can't look the zone up
+  const ics = toICalendar([], [meeting('2026-07-01T00:00:00Z', { timezone: 'Australia/Sydney' })], { now: NOW })
+    .replaceAll('Australia/Sydney', 'AUS Eastern Standard Time');
+  const [event] = icalendarToEntries(ics, { timezone: 'UTC' });
+  assert.equal(event.item.start, '2026-07-01T00:00:00.000Z');
+  assert.equal(event.item.timezone, null);
+});
+
+test('importCalendar logs events as meetings on contacts matched by email', async () => {
+  const crm = createTestCrm();
+  const ann = await crm.createContact({ name: 'Ann', email: 'ann@acme.com' });
+  const entries = icalendarToEntries(toICalendar([], [meeting('2026-03-10T14:00:00Z')], { timezone: 'UTC', now: NOW }));
+
+  const report = await crm.importCalendar(entries);
+  assert.deepEqual([report.meetings, report.unmatched], [1, 0]);
+  const [logged] = await crm.listInteractions({ contactId: ann.id });
+  assert.equal(logged.type, 'meeting');
+  assert.equal(logged.subject, 'Quarterly review');
+  assert.equal(new Date(logged.scheduled_at).toISOString(), '2026-03-10T14:00:00.000Z');
+
+  const again = await crm.importCalendar(entries);
+  assert.equal(again.duplicates, 1);
+});
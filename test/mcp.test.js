@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { callTool, handleMcpMessage, serveMcp, toolDefinitions, MCP_PROTOCOL_VERSION } from '../src/mcp.js';
+import { createSeededCrm } from './helpers.js';
+
+const rpc = (crm, id, method, params, options) => handleMcpMessage(crm, { jsonrpc: '2.0', id, method, params }, options);
+
+test('toolDefinitions gives the same tools in MCP, OpenAI and Anthropic form', () => {
+  const mcp = toolDefinitions();
+  const openai = toolDefinitions('openai', { interactionTypes: ['call', 'demo'] });
+  const anthropic = toolDefinitions('anthropic');
+  assert.deepEqual(openai.map(t => t.function.name), mcp.map(t => t.name));
+  assert.deepEqual(anthropic.map(t => t.name), mcp.map(t => t.name));
+
+  const search = mcp.find(t => t.name === 'search_contacts');
+  assert.deepEqual(search.inputSchema.required, ['query']);
+  assert.equal(search.annotations.readOnlyHint, true);
+  assert.equal(mcp.find(t => t.name === 'create_contact').annotations.readOnlyHint, false);
+  assert.deepEqual(openai.find(t => t.function.name === 'log_interaction').function.parameters.properties.type.enum, ['call', 'demo']);
+  assert.equal(anthropic.find(t => t.name === 'add_task').input_schema.type, 'object');
+  assert.throws(() => toolDefinitions('xml'), { code: 'validation_failed' });
+});
+
+test('callTool runs CRM operations as the actor and answers in short text', async () => {
+  const { crm } = await createSeededCrm();
+  const created = await callTool(crm, 'create_contact', { name: 'Ann', email: 'ann@acme.com', company: 'Acme', tags: 'vip, hot' });
+  assert.match(created, /^Created #\d+ Ann <ann@acme\.com> \| Acme \| stage: none \| .*tags: vip, hot/);
+  const id = parseInt(created.match(/#(\d+)/)[1]);
+
+  // Numbers sent as strings are accepted, and stages can be named
+  assert.match(await callTool(crm, 'move_stage', { contactId: String(id), stage: 'proposal' }), /stage: Proposal/);
+  assert.match(await callTool(crm, 'add_note', { contactId: id, content: 'Wants a demo' }, { actor: 'louis' }), / note \| with Ann \(#\d+\) \| by louis \| Wants a demo$/);
+  assert.match(await callTool(crm, 'search_contacts', { query: 'tag:vip' }), /^1 contacts:\n#\d+ Ann/);
+  assert.equal(await callTool(crm, 'search_contacts', { query: 'nobody' }), 'No contacts found.');
+
+  const task = await callTool(crm, 'add_task', { title: 'Send quote', contactId: id, recurrence: 'weekly', dueAt: '2026-03-02T09:00:00Z' });
+  const taskId = parseInt(task.match(/#(\d+)/)[1]);
+  const completed = await callTool(crm, 'complete_task', { taskId });
+  assert.match(completed, /^Completed #\d+ \[x\] Send quote/);
+  assert.match(completed, /\nNext: #\d+ \[ \] Send quote \| due 2026-03-09/);
+
+  const card = await callTool(crm, 'get_contact', { contactId: id });
+  assert.match(card, /Recent interactions:\n {2}#\d+ \S+ note/);
+  assert.match(card, /Open tasks:\n {2}#\d+ \[ \] Send quote/);
+
+  const [note] = await crm.listInteractions({ contactId: id });
+  assert.equal(note.created_by, 'louis');
+});
+
+test('callTool rejects bad arguments and unknown tools', async () => {
+  const { crm } = await createSeededCrm();
+  await assert.rejects(callTool(crm, 'add_note', { contactId: 'three' }), err => {
+    assert.equal(err.code, 'validation_failed');
+    assert.deepEqual(err.details.map(d => d.field), ['contactId', 'content']);
+    return true;
+  });
+  await assert.rejects(callTool(crm, 'list_tasks', { priority: 'urgent' }), { code: 'validation_failed' });
+  await assert.rejects(callTool(crm, 'move_stage', { contactId: 1, stage: 'Nowhere' }), { code: 'validation_failed' });
+  await assert.rejects(callTool(crm, 'drop_tables', {}), { code: 'not_found' });
+});
+
+test('handleMcpMessage answers the protocol, reporting tool failures as results', async () => {
+  const { crm } = await createSeededCrm();
+
+  const init = await rpc(crm, 1, 'initialize', { protocolVersion: '2099-01-01' });
+  assert.equal(init.result.protocolVersion, MCP_PROTOCOL_VERSION);
+  assert.equal(init.result.serverInfo.name, 'crm');
+  assert.equal((await rpc(crm, 2, 'initialize', { protocolVersion: '2024-11-05' })).result.protocolVersion, '2024-11-05');
+  assert.deepEqual(await rpc(crm, 3, 'ping'), { jsonrpc: '2.0', id: 3, result: {} });
+  assert.ok((await rpc(crm, 4, 'tools/list')).result.tools.some(t => t.name === 'forecast'));
+
+  const called = await rpc(crm, 5, 'tools/call', { name: 'create_contact', arguments: { name: 'Ann' } }, { actor: 'bot' });
+  assert.match(called.result.content[0].text, /^Created #\d+ Ann/);
+  assert.equal(called.result.isError, undefined);
+
+  // A CRM error is a result the model can read and fix, not a protocol error
+  const failed = await rpc(crm, 6, 'tools/call', { name: 'get_contact', arguments: {} });
+  assert.equal(failed.result.isError, true);
+  assert.equal(failed.result.content[0].text, 'Error (validation_failed): Invalid arguments for get_contact\n- contactId: is required');
+  const missing = await rpc(crm, 7, 'tools/call', { name: 'get_contact', arguments: { contactId: 999 } });
+  assert.match(missing.result.content[0].text, /^Error \(not_found\)/);
+
+  assert.equal((await rpc(crm, 8, 'tools/call', { name: 'nope' })).error.code, -32602);
+  assert.equal((await rpc(crm, 9, 'no/such/method')).error.code, -32601);
+  assert.equal(await handleMcpMessage(crm, { jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  assert.deepEqual(await handleMcpMessage(crm, { id: 10, method: 'ping' }), {
+    jsonrpc: '2.0', id: 10, error: { code: -32600, message: 'Invalid JSON-RPC request' }
+  });
+});
+
+test('resources summarise the pipeline, open tasks and one contact', async () => {
+  const { crm, stages } = await createSeededCrm();
+  const ann = await crm.createContact({ name: 'Ann', stageId: stages[3].id, dealValue: 5000, currency: 'AUD' });
+  await crm.addTask({ title: 'Call Ann', contactId: ann.id });
+
+  const { result: { resources } } = await rpc(crm, 1, 'resources/list');
+  assert.deepEqual(resources.map(r => r.uri), ['crm://pipeline', 'crm://contacts/next', 'crm://tasks/open']);
+  const templates = (await rpc(crm, 2, 'resources/templates/list')).result.resourceTemplates;
+  assert.equal(templates[0].uriTemplate, 'crm://contacts/{id}');
+
+  const read = async uri => (await rpc(crm, 3, 'resources/read', { uri })).result.contents[0].text;
+  assert.match(await read('crm://pipeline'), /^Pipeline \(AUD\): 1 open deals/);
+  assert.match(await read('crm://tasks/open'), /^1 tasks:\n#\d+ \[ \] Call Ann/);
+  assert.match(await read(`crm://contacts/${ann.id}`), new RegExp(`^#${ann.id} Ann \\| stage: Proposal`));
+
+  for (const uri of ['crm://contacts/999', 'crm://nothing']) {
+    const { error } = await rpc(crm, 4, 'resources/read', { uri });
+    assert.deepEqual([error.code, error.data], [-32002, { uri }]);
+  }
+});
+
+test('serveMcp answers one line per request and skips notifications', async () => {
+  const { crm } = await createSeededCrm();
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const served = serveMcp(crm, { input, output });
+
+  input.end([
+    JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }),
+    JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+    '',
+    '{not json',
+    JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'list_stages', arguments: {} } })
+  ].join('\n') + '\n');
+  await served;
+
+  const responses = output.read().toString().trim().split('\n').map(text => JSON.parse(text));
+  assert.deepEqual(responses.map(r => r.id), [1, null, 2]);
+  assert.equal(responses[1].error.code, -32700);
+  assert.match(responses[2].result.content[0].text, /^6 stages:\n#\d+ Lead/);
+});
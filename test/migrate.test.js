@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import { createDatabase } from '../src/db.js';
+import { CrmBackendError } from '../src/errors.js';
+import { SQLiteDriver, sqliteVersions, migrationScript, pendingMigrations } from '../src/migrate.js';
+import { MIGRATIONS } from '../src/migrations/index.js';
+import { runCli, tempDir } from './helpers.js';
+
+// A PostgREST stand-in that serves the given crm_schema_migrations rows
+async function withRestServer(rows, fn) {
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(rows));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const supabase = supabaseUrl => createDatabase({ backend: 'supabase', supabaseUrl, supabaseKey: 'key', agentId: 'test' });
+
+test('Supabase ready() rejects when the schema is behind, and so does every request', async () => {
+  await withRestServer([{ version: 1, name: 'initial', applied_at: null }], async url => {
+    const db = supabase(url);
+    await assert.rejects(db.ready(), err => err instanceof CrmBackendError && /crm migrate up/.test(err.message));
+    await assert.rejects(db.listStages(), err => err instanceof CrmBackendError && /crm migrate up/.test(err.message));
+  });
+});
+
+test('Supabase ready() resolves when every migration is applied', async () => {
+  const rows = MIGRATIONS.map(({ version, name }) => ({ version, name, applied_at: null }));
+  await withRestServer(rows, async url => {
+    await supabase(url).ready();
+  });
+});
+
+test('Supabase ready() rejects with CrmBackendError when the check cannot reach the database', async () => {
+  const db = supabase('http://127.0.0.1:1');
+  await assert.rejects(db.ready(), CrmBackendError);
+});
+
+test('the full SQLite migration script builds a versioned database', () => {
+  const sqlite = new Database(':memory:');
+  try {
+    sqlite.exec(migrationScript(pendingMigrations([]), 'up', 'sqlite'));
+    assert.deepEqual(sqliteVersions(new SQLiteDriver(sqlite)), MIGRATIONS.map(m => m.version));
+  } finally {
+    sqlite.close();
+  }
+});
+
+test('crm migrate --dry-run prints SQL without a database', () => {
+  const up = runCli(['migrate', 'up', '--dry-run'], { CRM_BACKEND: 'supabase' });
+  assert.equal(up.status, 0, up.stderr);
+  assert.match(up.stdout, /create table if not exists crm_schema_migrations/);
+  assert.match(up.stdout, /on conflict \(version\) do nothing/);
+  assert.match(up.stderr, /a new database/);
+
+  const down = runCli(['migrate', 'down', '--dry-run'], { CRM_BACKEND: 'supabase' });
+  assert.equal(down.status, 0, down.stderr);
+  assert.match(down.stdout, new RegExp(`delete from crm_schema_migrations where version = ${MIGRATIONS.at(-1).version};`));
+
+  const file = join(tempDir(), 'missing.db');
+  const sqlite = runCli(['migrate', 'up', '--dry-run', '--db', file], { CRM_BACKEND: 'sqlite' });
+  assert.equal(sqlite.status, 0, sqlite.stderr);
+  assert.equal(existsSync(file), false);
+
+  const live = runCli(['migrate', 'up'], { CRM_BACKEND: 'supabase' });
+  assert.equal(live.status, 2);
+  assert.match(live.stderr, /--dry-run/);
+});
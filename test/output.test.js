@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { formatOutput, snakeCaseKeys } from '../src/output.js';
+import { parseCsvRecords } from '../src/csv.js';
+import { runCli, tempDir } from './helpers.js';
+
+test('snakeCaseKeys converts camelCase keys but not data keys or stored JSON', () => {
+  const result = snakeCaseKeys({
+    totalDeals: 2,
+    byCurrency: [{ currency: 'EUR', convertedValue: 10 }],
+    byMonth: { '2026-03': 1, AUD: 2 },
+    contact: { id: 1, custom_fields: { leadSource: 'expo' }, metadata: { recurrenceId: 'x' } },
+    nextCursor: null
+  });
+  assert.deepEqual(result, {
+    total_deals: 2,
+    by_currency: [{ currency: 'EUR', converted_value: 10 }],
+    by_month: { '2026-03': 1, AUD: 2 },
+    contact: { id: 1, custom_fields: { leadSource: 'expo' }, metadata: { recurrenceId: 'x' } },
+    next_cursor: null
+  });
+});
+
+test('formatOutput uses snake_case names in every format, and --fields picks by them', () => {
+  const stats = { totalDeals: 1, stages: [{ stageId: 3, weightedValue: 50 }] };
+  assert.deepEqual(JSON.parse(formatOutput(stats, 'json')), { total_deals: 1, stages: [{ stage_id: 3, weighted_value: 50 }] });
+  assert.equal(formatOutput(stats, 'csv', { rows: stats.stages }), 'stage_id,weighted_value\r\n3,50\r\n');
+  assert.equal(formatOutput(stats.stages, 'ndjson', { fields: ['weighted_value'] }), '{"weighted_value":50}\n');
+  assert.throws(() => formatOutput(stats.stages, 'json', { fields: ['weightedValue'] }), /Unknown field: weightedValue/);
+
+  const model = { dealValue: [{ min: 1, points: 2 }] };
+  assert.deepEqual(JSON.parse(formatOutput(model, 'json', { keepKeys: true })), model);
+});
+
+// A CLI on a fresh SQLite file, with the default stages
+function cliDatabase() {
+  const env = { CRM_BACKEND: 'sqlite', CRM_SQLITE_FILE: join(tempDir(), 'crm.db'), CRM_REPORTING_CURRENCY: 'AUD' };
+  const crm = (...args) => runCli(args, env);
+  assert.equal(crm('init').status, 0);
+  return crm;
+}
+
+test('every command\'s JSON output is snake_case', () => {
+  const crm = cliDatabase();
+  const created = crm('contacts', 'create', 'Ann', '--email', 'ann@acme.com', '--stage', '1', '--value', '500', '--output', 'json');
+  assert.equal(created.status, 0, created.stderr);
+  const ann = JSON.parse(created.stdout);
+
+  const pipeline = JSON.parse(crm('stats', 'pipeline', '--output', 'json').stdout);
+  assert.equal(pipeline.total_deals, 1);
+  assert.equal(pipeline.weighted_value, 50);
+  assert.equal(pipeline.stages[0].weighted_value, 50);
+
+  const [migration] = JSON.parse(crm('migrate', 'status', '--output', 'json').stdout);
+  assert.equal(migration.applied, true);
+  assert.ok(migration.applied_at);
+
+  const explained = JSON.parse(crm('scores', 'explain', String(ann.id), '--output', 'json').stdout);
+  assert.equal(explained.contact_id, ann.id);
+  assert.deepEqual(explained.reasons.map(r => r.reason), ['has email']);
+
+  const page = JSON.parse(crm('contacts', 'list', '--cursor', '--limit', '1', '--output', 'json').stdout);
+  assert.deepEqual(Object.keys(page), ['items', 'next_cursor']);
+
+  const model = JSON.parse(crm('scores', 'model', '--output', 'json').stdout);
+  assert.ok(model.dealValue);
+});
+
+test('contacts export and --output csv name shared columns the same way', () => {
+  const crm = cliDatabase();
+  crm('contacts', 'create', 'Ann', '--email', 'ann@acme.com', '--stage', '1', '--value', '500');
+
+  const exported = parseCsvRecords(crm('contacts', 'export').stdout);
+  const listed = parseCsvRecords(crm('contacts', 'list', '--output', 'csv').stdout);
+  assert.deepEqual(exported.headers.filter(h => h !== 'stage' && !listed.headers.includes(h)), []);
+  assert.equal(exported.records[0].stage_id, listed.records[0].stage_id);
+  assert.equal(exported.records[0].deal_value, '500');
+});
+
+test('fx convert without a rate exits as not found', () => {
+  const crm = cliDatabase();
+  const text = crm('fx', 'convert', '10', 'EUR');
+  assert.equal(text.status, 4);
+  assert.match(text.stderr, /Exchange rate EUR\/AUD not found/);
+
+  const json = crm('fx', 'convert', '10', 'EUR', '--output', 'json');
+  assert.equal(json.status, 4);
+  assert.deepEqual(JSON.parse(json.stderr).error, {
+    code: 'not_found', message: 'Exchange rate EUR/AUD not found', exit_code: 4, details: { resource: 'exchange rate', id: 'EUR/AUD' }
+  });
+
+  assert.equal(crm('fx', 'set', 'EUR', 'AUD', '1.5', '--date', '2020-01-01').status, 0);
+  assert.deepEqual(JSON.parse(crm('fx', 'convert', '10', 'EUR', '--output', 'json').stdout), { amount: 15, currency: 'AUD' });
+});
@@ -0,0 +1,105 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyQuery } from '../src/adapters/local.js';
+import { LOCAL_BACKENDS, createTestCrm, collect } from './helpers.js';
+
+test('applyQuery filters, orders and pages rows', () => {
+  const rows = [
+    { id: 1, name: 'b', score: 5, tags: ['x'], at: '2026-01-02' },
+    { id: 2, name: 'A', score: null, tags: [], at: '2026-01-03' },
+    { id: 3, name: 'c', score: 9, tags: ['y', 'x'], at: '2026-01-02' },
+    { id: 4, name: 'd', score: 1, tags: ['z'], at: '2026-01-01' }
+  ];
+  const ids = query => applyQuery(rows, query).map(r => r.id);
+
+  assert.deepEqual(ids({ where: [{ column: 'tags', op: 'overlaps', value: ['x', 'z'] }] }), [1, 3, 4]);
+  assert.deepEqual(ids({ where: [{ column: 'score', op: 'gte', value: 2 }] }), [1, 3]);
+  assert.deepEqual(ids({ where: [{ or: [{ column: 'id', op: 'eq', value: 4 }, { column: 'score', op: 'null' }] }] }), [2, 4]);
+  assert.deepEqual(ids({ orderBy: [{ column: 'score', desc: true, nullsLast: true }] }), [3, 1, 4, 2]);
+  assert.deepEqual(ids({ orderBy: [{ column: 'score' }] }), [2, 4, 1, 3]);
+  assert.deepEqual(ids({ orderBy: [{ column: 'name', nocase: true }] }), [2, 1, 3, 4]);
+  assert.deepEqual(ids({ orderBy: [{ column: 'at', desc: true }, { column: 'id', desc: true }], offset: 1, limit: 2 }), [3, 1]);
+  assert.deepEqual(ids({ where: [{ column: 'at', op: 'before', value: { value: '2026-01-02', id: 3 } }] }), [1, 4]);
+  assert.throws(() => ids({ where: [{ column: 'id', op: 'like', value: 1 }] }), /Unknown query operator/);
+});
+
+for (const backend of LOCAL_BACKENDS) {
+  describe(`${backend} pagination`, () => {
+    test('cursor pages walk every contact once, newest first', async () => {
+      const crm = createTestCrm({ backend });
+      for (let i = 1; i <= 7; i++) {
+        await crm.createContact({ name: `Contact ${i}`, tags: i % 2 ? ['odd'] : [] });
+      }
+      const expected = (await crm.listContacts()).map(c => c.id);
+
+      const first = await crm.pageContacts({ limit: 3 });
+      assert.equal(first.items.length, 3);
+      // A contact added mid-walk sorts before the cursor, so later pages don't shift
+      await crm.createContact({ name: 'Late' });
+      const second = await crm.pageContacts({ limit: 3, cursor: first.nextCursor });
+      const third = await crm.pageContacts({ limit: 3, cursor: second.nextCursor });
+      assert.equal(third.nextCursor, null);
+      assert.deepEqual([...first.items, ...second.items, ...third.items].map(c => c.id), expected);
+
+      const odd = await collect(crm.iterateContacts({ tags: ['odd'], pageSize: 2 }));
+      assert.deepEqual(odd.map(c => c.name).sort(), ['Contact 1', 'Contact 3', 'Contact 5', 'Contact 7']);
+
+      await assert.rejects(crm.pageContacts({ cursor: 'not-a-cursor' }), { code: 'validation_failed' });
+      crm.close();
+    });
+
+    test('tasks list open ones first, by due date, undated last', async () => {
+      const crm = createTestCrm({ backend });
+      const late = await crm.addTask({ title: 'Late', dueAt: '2026-03-01T00:00:00Z' });
+      const undated = await crm.addTask({ title: 'Undated' });
+      const soon = await crm.addTask({ title: 'Soon', dueAt: '2026-02-01T00:00:00Z' });
+      const done = await crm.addTask({ title: 'Done', dueAt: '2026-01-01T00:00:00Z' });
+      await crm.completeTask(done.id);
+
+      assert.deepEqual((await crm.listTasks()).map(t => t.id), [soon.id, late.id, undated.id, done.id]);
+      assert.deepEqual((await crm.listTasks({ completed: false, limit: 2 })).map(t => t.id), [soon.id, late.id]);
+      crm.close();
+    });
+
+    test('contacts sort by score with unscored contacts last', async () => {
+      const crm = createTestCrm({ backend });
+      const ann = await crm.createContact({ name: 'Ann' });
+      const bob = await crm.createContact({ name: 'Bob' });
+      const cat = await crm.createContact({ name: 'Cat' });
+      await crm.db.updateContactScore(ann.id, { score: 10, reasons: [] });
+      await crm.db.updateContactScore(cat.id, { score: 40, reasons: [] });
+
+      assert.deepEqual((await crm.listContacts({ sort: 'score' })).map(c => c.id), [cat.id, ann.id, bob.id]);
+      assert.deepEqual((await crm.listContacts({ minScore: 20 })).map(c => c.id), [cat.id]);
+      crm.close();
+    });
+  });
+}
+
+test('the sqlite backend filters, sorts and limits in SQL', async () => {
+  const crm = createTestCrm({ backend: 'sqlite' });
+  for (let i = 1; i <= 5; i++) {
+    await crm.createContact({ name: `Contact ${i}`, tags: ['vip'], isActive: i !== 3 });
+  }
+
+  const statements = [];
+  const prepare = crm.db.sqlite.prepare.bind(crm.db.sqlite);
+  crm.db.sqlite.prepare = sql => {
+    statements.push(sql);
+    return prepare(sql);
+  };
+
+  const page = await crm.pageContacts({ tags: ['vip'], isActive: true, limit: 2 });
+  assert.equal(page.items.length, 2);
+  const [listing] = statements.filter(sql => sql.startsWith('select * from crm_contacts where agent_id'));
+  assert.match(listing, /is_active = \?/);
+  assert.match(listing, /json_each/);
+  assert.match(listing, /order by updated_at desc, id desc limit 3 offset 0$/);
+
+  // Text search can't be expressed in SQL, so it's filtered before limiting
+  statements.length = 0;
+  assert.equal((await crm.searchContacts('contact', { limit: 2 })).length, 2);
+  const [search] = statements.filter(sql => sql.startsWith('select * from crm_contacts where agent_id'));
+  assert.doesNotMatch(search, /limit/);
+  crm.close();
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRecurrence, nextOccurrence } from '../src/recurrence.js';
+import { createTestCrm } from './helpers.js';
+
+test('normalizeRecurrence accepts shorthand and RRULEs in canonical form', () => {
+  assert.equal(normalizeRecurrence('weekly;byday=MO'), normalizeRecurrence('FREQ=WEEKLY;BYDAY=MO'));
+  assert.throws(() => normalizeRecurrence('fortnightly'));
+});
+
+test('nextOccurrence steps from the current due date and honours COUNT', () => {
+  const due = new Date(2026, 0, 5, 9, 0);
+  const next = nextOccurrence('weekly', due, 1);
+  assert.equal(next.getTime(), new Date(2026, 0, 12, 9, 0).getTime());
+  assert.equal(nextOccurrence('FREQ=DAILY;COUNT=2', due, 2), null);
+});
+
+test('completing a recurring task schedules the next occurrence once', async () => {
+  const crm = createTestCrm();
+  const task = await crm.addTask({ title: 'Weekly check-in', dueAt: new Date(2026, 0, 5, 9, 0).toISOString(), recurrence: 'weekly' });
+
+  const completed = await crm.completeTask(task.id);
+  assert.equal(completed.next_task.occurrence, 2);
+  assert.equal(completed.next_task.series_id, task.id);
+  assert.equal(new Date(completed.next_task.due_at).getTime(), new Date(2026, 0, 12, 9, 0).getTime());
+
+  const again = await crm.completeTask(task.id);
+  assert.equal(again.next_task.id, completed.next_task.id);
+
+  const { stopped } = await crm.stopRecurrence(task.id);
+  assert.equal(stopped, 1);
+  assert.equal((await crm.completeTask(completed.next_task.id)).next_task, undefined);
+});
+
+test('a recurring task needs a due date', async () => {
+  const crm = createTestCrm();
+  const dueAtError = err => err.code === 'validation_failed' && err.details.some(d => d.field === 'dueAt');
+
+  await assert.rejects(crm.addTask({ title: 'Drifts', recurrence: 'weekly' }), dueAtError);
+  await assert.rejects(crm.addTask({ title: 'Drifts', dueAt: null, recurrence: 'weekly' }), dueAtError);
+
+  const plain = await crm.addTask({ title: 'One-off' });
+  await assert.rejects(crm.updateTask(plain.id, { recurrence: 'weekly' }), dueAtError);
+  const recurring = await crm.updateTask(plain.id, { recurrence: 'weekly', dueAt: '2026-01-05T09:00:00Z' });
+  assert.equal(recurring.recurrence, normalizeRecurrence('weekly'));
+
+  await assert.rejects(crm.updateTask(plain.id, { dueAt: null }), dueAtError);
+  const stopped = await crm.updateTask(plain.id, { recurrence: null, dueAt: null });
+  assert.equal(stopped.recurrence, null);
+  assert.equal(stopped.due_at, null);
+});
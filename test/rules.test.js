@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTrigger, parseCondition, parseAction, parseDuration, validateRule, testCondition, renderTemplate } from '../src/rules.js';
+import { createSeededCrm } from './helpers.js';
+
+test('CLI specs parse into triggers, conditions and actions', () => {
+  assert.deepEqual(parseTrigger('stage:Proposal'), { type: 'stage_entered', stage: 'Proposal' });
+  assert.deepEqual(parseTrigger('no_contact:14'), { type: 'no_contact', days: 14 });
+  assert.deepEqual(parseCondition('dealValue>=5000'), { field: 'dealValue', op: 'gte', value: '5000' });
+  assert.deepEqual(parseCondition('!phone'), { field: 'phone', op: 'missing' });
+  assert.deepEqual(parseAction('task:Chase {{name}};due=3d;priority=high'), {
+    type: 'create_task', title: 'Chase {{name}}', dueIn: '3d', priority: 'high'
+  });
+  assert.deepEqual(parseAction('tag:hot'), { type: 'add_tag', tag: 'hot' });
+  assert.equal(parseDuration('2w'), 14 * 24 * 60 * 60 * 1000);
+  assert.throws(() => parseDuration('soon'), /Invalid duration/);
+});
+
+test('validateRule lists every problem', () => {
+  assert.deepEqual(validateRule({
+    trigger: { type: 'stage_entered' },
+    conditions: [{ field: 'score', op: 'between' }],
+    actions: [{ type: 'create_task', title: 'x', dueIn: 'later' }, { type: 'email' }]
+  }), [
+    'name: required',
+    'trigger: stage_entered needs a stage',
+    'condition score: operator must be one of eq, neq, gt, gte, lt, lte, contains, not_contains, exists, missing',
+    'create_task: Invalid duration: later (expected e.g. 30m, 12h, 3d, 2w)',
+    'action: email is not one of create_task, add_tag, assign, move_stage, add_note'
+  ]);
+});
+
+test('conditions compare numbers, text, tags and custom fields', () => {
+  const contact = { deal_value: '7500', source: 'Referral', tags: ['vip'], custom_fields: { industry: 'SaaS' }, phone: null };
+  assert.equal(testCondition({ field: 'dealValue', op: 'gte', value: '5000' }, contact), true);
+  assert.equal(testCondition({ field: 'dealValue', op: 'lt', value: '10000' }, contact), true);
+  assert.equal(testCondition({ field: 'source', op: 'eq', value: 'referral' }, contact), true);
+  assert.equal(testCondition({ field: 'tags', op: 'contains', value: 'VIP' }, contact), true);
+  assert.equal(testCondition({ field: 'customFields.industry', op: 'eq', value: 'saas' }, contact), true);
+  assert.equal(testCondition({ field: 'phone', op: 'missing' }, contact), true);
+  assert.equal(testCondition({ field: 'phone', op: 'gt', value: '0' }, contact), false);
+  assert.equal(renderTemplate('Chase {{name}} ({{ tags }})', { name: 'Ann', tags: ['a', 'b'] }), 'Chase Ann (a, b)');
+});
+
+test('a stage_entered rule runs its actions when its conditions hold', async () => {
+  const { crm, stages } = await createSeededCrm();
+  const rule = await crm.createRule({
+    name: 'Big proposal',
+    trigger: { type: 'stage_entered', stage: stages[2].name },
+    conditions: [{ field: 'dealValue', op: 'gte', value: 5000 }],
+    actions: [
+      { type: 'create_task', title: 'Chase {{name}}', dueIn: '3d', priority: 'high' },
+      { type: 'add_tag', tag: 'big' }
+    ]
+  });
+  assert.deepEqual(rule.trigger_params, { stageId: stages[2].id });
+
+  const big = await crm.createContact({ name: 'Ann', dealValue: 8000 });
+  const small = await crm.createContact({ name: 'Bob', dealValue: 100 });
+  await crm.moveStage(big.id, stages[2].id);
+  await crm.moveStage(small.id, stages[2].id);
+
+  const tasks = await crm.listTasks();
+  assert.deepEqual(tasks.map(t => [t.contact_id, t.title, t.priority]), [[big.id, 'Chase Ann', 'high']]);
+  assert.deepEqual((await crm.getContact(big.id)).tags, ['big']);
+
+  const runs = await crm.getRuleRuns({ ruleId: rule.id });
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].status, 'success');
+  assert.equal(runs[0].contact_id, big.id);
+
+  const dryRun = await crm.testRule(rule.id, small.id);
+  assert.equal(dryRun.matched, false);
+  assert.equal(dryRun.actions[0].title, 'Chase Bob');
+
+  await crm.disableRule(rule.id);
+  const later = await crm.createContact({ name: 'Cat', dealValue: 9000 });
+  await crm.moveStage(later.id, stages[2].id);
+  assert.equal((await crm.listTasks()).length, 1);
+});
+
+test('rules are rejected with unknown stages', async () => {
+  const { crm } = await createSeededCrm();
+  await assert.rejects(crm.createRule({
+    name: 'Nowhere',
+    trigger: { type: 'stage_entered', stage: 'Nowhere' },
+    actions: [{ type: 'add_tag', tag: 'x' }]
+  }), err => err.code === 'validation_failed' && err.details[0].field === 'stage');
+});
+
+test('scheduled rules fire once per overdue task', async () => {
+  const { crm } = await createSeededCrm();
+  await crm.createRule({
+    name: 'Overdue',
+    trigger: { type: 'task_overdue' },
+    actions: [{ type: 'add_note', content: 'Overdue task for {{name}}' }]
+  });
+  const ann = await crm.createContact({ name: 'Ann' });
+  await crm.addTask({ title: 'Call', contactId: ann.id, dueAt: '2026-01-01T00:00:00Z' });
+
+  const first = await crm.runScheduledRules({ now: '2026-02-01T00:00:00Z' });
+  assert.equal(first.runs.length, 1);
+  const second = await crm.runScheduledRules({ now: '2026-02-02T00:00:00Z' });
+  assert.equal(second.runs.length, 0);
+
+  const notes = await crm.listInteractions({ contactId: ann.id });
+  assert.deepEqual(notes.map(n => n.content), ['Overdue task for Ann']);
+});
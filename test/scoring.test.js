@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreLead, validateScoringModel, DEFAULT_SCORING_MODEL } from '../src/scoring.js';
+import { createSeededCrm, LOCAL_BACKENDS } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T00:00:00Z');
+const daysAgo = days => new Date(now - days * DAY).toISOString();
+
+test('scoreLead adds up fields, source, tags, deal value, stage, interactions and recency', () => {
+  const stages = [{ id: 1, name: 'Lead', position: 1 }, { id: 2, name: 'Proposal', position: 4 }];
+  const contact = { id: 1, is_active: true, email: 'ann@acme.com', source: 'Referral', tags: ['VIP'], custom_fields: { tier: 'gold' } };
+  const model = { ...DEFAULT_SCORING_MODEL, fields: { email: 5, phone: 5, 'custom_fields.tier': 3 } };
+
+  const { score, reasons } = scoreLead(contact, {
+    model,
+    stages,
+    deals: [{ stage_id: 1, value: 8000 }, { stage_id: 2, value: 4000 }],
+    interactions: [
+      { type: 'meeting', created_at: daysAgo(1) },
+      { type: 'call', created_at: daysAgo(5) },
+      { type: 'call', created_at: daysAgo(60) }
+    ],
+    currency: 'AUD',
+    now
+  });
+
+  assert.deepEqual(reasons.map(r => [r.points, r.reason]), [
+    [20, 'tagged VIP'],
+    [20, 'in Proposal'],
+    [15, 'source Referral'],
+    [15, 'open deals worth A$12,000'],
+    [15, '1 meeting, 1 call in the last 30 days'],
+    [15, 'contacted within 3 days'],
+    [5, 'has email'],
+    [3, 'has custom_fields.tier']
+  ]);
+  assert.equal(score, 108);
+});
+
+test('scoreLead caps interaction points, decays with inactivity and gives lost contacts 0', () => {
+  const model = { ...DEFAULT_SCORING_MODEL, interactions: { withinDays: 30, types: { call: 10 }, max: 15 } };
+  const calls = Array.from({ length: 3 }, () => ({ type: 'call', created_at: daysAgo(10) }));
+  const capped = scoreLead({ is_active: true }, { model, interactions: calls, now });
+  assert.ok(capped.reasons.some(r => r.points === 15 && /capped at 15/.test(r.reason)));
+
+  const idle = scoreLead({ is_active: true, tags: ['vip'], last_contact_at: daysAgo(60) }, { model: DEFAULT_SCORING_MODEL, now });
+  assert.equal(idle.score, 10);
+  assert.deepEqual(idle.reasons.at(-1), { points: -10, reason: 'no interaction for 60 days' });
+
+  assert.deepEqual(scoreLead({ is_active: false, tags: ['vip'] }, { model: DEFAULT_SCORING_MODEL, now }), {
+    score: 0, reasons: [{ points: 0, reason: 'lost' }]
+  });
+});
+
+test('validateScoringModel fills in missing sections and lists every problem', () => {
+  assert.deepEqual(validateScoringModel({ tags: { vip: 50 } }).tags, { vip: 50 });
+  assert.equal(validateScoringModel({}).decay, DEFAULT_SCORING_MODEL.decay);
+
+  assert.throws(() => validateScoringModel({ colour: {}, tags: { vip: 'lots' }, recency: [{ days: -1, points: 1 }], decay: { afterDays: 1, halfLifeDays: 0 } }),
+    err => err.details.map(d => d.field).join() === 'colour,tags.vip,recency[0],decay.halfLifeDays');
+});
+
+for (const backend of LOCAL_BACKENDS) {
+  test(`${backend}: scores follow changes, sort contacts and explain themselves`, async () => {
+    const { crm } = await createSeededCrm({ backend });
+    const ann = await crm.createContact({ name: 'Ann', tags: ['vip'] });
+    const bob = await crm.createContact({ name: 'Bob', email: 'bob@acme.com' });
+    await crm.createContact({ name: 'Cat', tags: ['hot'], isActive: false });
+    assert.equal((await crm.getContact(ann.id)).score, 20);
+
+    await crm.addInteraction({ contactId: bob.id, type: 'meeting', subject: 'Kickoff', createdBy: 'louis' });
+    const explained = await crm.explainScore(bob.id);
+    assert.equal(explained.score, 30);
+    assert.equal((await crm.getContact(bob.id)).score, 30);
+
+    assert.deepEqual((await crm.nextContacts()).map(c => c.name), ['Bob', 'Ann']);
+    assert.deepEqual((await crm.listContacts({ minScore: 25 })).map(c => c.name), ['Bob']);
+    assert.deepEqual((await crm.nextContacts({ limit: 1 }))[0].score_reasons, explained.reasons);
+
+    const { model, scored } = await crm.setScoringModel({ tags: { vip: 100 } });
+    assert.equal(model.tags.vip, 100);
+    assert.equal(scored, 3);
+    assert.equal((await crm.nextContacts())[0].name, 'Ann');
+    await assert.rejects(crm.setScoringModel({ tags: [] }), { code: 'validation_failed' });
+  });
+}
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { connect } from 'net';
+import { createServer, parseApiKeys, openApiDocument } from '../src/server.js';
+import { createTestCrm, tempDir } from './helpers.js';
+
+const CRM_CONFIG = { webhooks: false, interactionTypes: [], reportingCurrency: 'AUD', defaultCountryCode: '' };
+
+// A server on a free port, with fetch bound to it and an API key
+async function startServer(options = {}) {
+  const file = join(tempDir(), 'crm.db');
+  const server = createServer({
+    apiKeys: parseApiKeys('k-sales:sales,k-support:support'),
+    crmConfig: { ...CRM_CONFIG, backend: 'sqlite', file },
+    ...options
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { key = 'k-sales', body, headers = {} } = {}) => {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        ...(key && { Authorization: `Bearer ${key}` }),
+        ...(body && { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+  };
+  return { server, file, request };
+}
+
+test('parseApiKeys reads key:agent pairs and rejects malformed ones', () => {
+  assert.deepEqual([...parseApiKeys(' a:sales , b:c:support ')], [['a', 'sales'], ['b:c', 'support']]);
+  assert.throws(() => parseApiKeys('s3cret'), /expected <key>:<agentId>/);
+});
+
+test('requests need a known key, and each agent only sees its own data', async () => {
+  const { server, request } = await startServer();
+  try {
+    assert.equal((await request('GET', '/v1/contacts', { key: null })).status, 401);
+    assert.equal((await request('GET', '/v1/contacts', { key: 'nope' })).body.error.code, 'unauthorized');
+    assert.equal((await request('GET', '/openapi.json', { key: null })).status, 200);
+
+    const created = await request('POST', '/v1/contacts', { body: { name: 'Ann', email: 'ann@acme.com' } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.name, 'Ann');
+
+    const other = await request('GET', `/v1/contacts/${created.body.data.id}`, { key: 'k-support' });
+    assert.equal(other.status, 404);
+    assert.deepEqual(other.body.error.details, { resource: 'contact', id: created.body.data.id });
+
+    const invalid = await request('POST', '/v1/contacts', { body: { name: 'Bob', email: 'bob@' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.details[0].field, 'email');
+  } finally {
+    await server.closeAll();
+  }
+});
+
+test('responses leave out agent_id, as the OpenAPI document describes them', async () => {
+  const { server, request } = await startServer();
+  try {
+    const { body: { data: ann } } = await request('POST', '/v1/contacts', { body: { name: 'Ann', customFields: { agent_id: 'kept' } } });
+    assert.equal('agent_id' in ann, false);
+    assert.deepEqual(ann.custom_fields, { agent_id: 'kept' });
+
+    const { body: { data: task } } = await request('POST', '/v1/tasks', {
+      body: { title: 'Call', contactId: ann.id, dueAt: '2026-03-02T09:00:00Z', recurrence: 'FREQ=WEEKLY' }
+    });
+    const completed = await request('POST', `/v1/tasks/${task.id}/complete`);
+    assert.equal('agent_id' in completed.body.data, false);
+    assert.equal('agent_id' in completed.body.data.next_task, false);
+
+    const page = await request('GET', '/v1/tasks');
+    assert.ok(page.body.data.length > 0);
+    assert.ok(page.body.data.every(row => !('agent_id' in row)));
+
+    const { Contact, Task } = openApiDocument().components.schemas;
+    assert.equal(Contact.properties.agent_id, undefined);
+    assert.equal(Task.properties.agent_id, undefined);
+  } finally {
+    await server.closeAll();
+  }
+});
+
+test('the actor is the key\'s agent; X-Actor only counts when the server trusts it', async () => {
+  const untrusted = await startServer();
+  let ann;
+  try {
+    ann = (await untrusted.request('POST', '/v1/contacts', { body: { name: 'Ann' }, headers: { 'X-Actor': 'mallory' } })).body.data;
+    const { body } = await untrusted.request('POST', '/v1/interactions', {
+      body: { contactId: ann.id, type: 'note', content: 'Hi', createdBy: 'mallory' }, headers: { 'X-Actor': 'mallory' }
+    });
+    assert.equal(body.data.created_by, 'sales');
+  } finally {
+    await untrusted.server.closeAll();
+  }
+  const crm = createTestCrm({ backend: 'sqlite', file: untrusted.file, agentId: 'sales' });
+  assert.deepEqual((await crm.getAuditLog({ entity: 'contact', id: ann.id })).map(e => e.actor), ['sales']);
+  crm.close();
+
+  const trusted = await startServer({ trustActorHeader: true, corsOrigin: '*' });
+  try {
+    const contact = (await trusted.request('POST', '/v1/contacts', { body: { name: 'Bob' } })).body.data;
+    const { body } = await trusted.request('POST', '/v1/interactions', {
+      body: { contactId: contact.id, type: 'note', content: 'Hi' }, headers: { 'X-Actor': 'louis' }
+    });
+    assert.equal(body.data.created_by, 'louis');
+
+    const preflight = await fetch(`http://127.0.0.1:${trusted.server.address().port}/v1/contacts`, { method: 'OPTIONS' });
+    assert.match(preflight.headers.get('access-control-allow-headers'), /X-Actor/);
+  } finally {
+    await trusted.server.closeAll();
+  }
+});
+
+test('a malformed request target gets a 400, and the server keeps answering', async () => {
+  const { server, request } = await startServer();
+  try {
+    const raw = await new Promise((resolve, reject) => {
+      const socket = connect(server.address().port, '127.0.0.1', () => {
+        socket.end('GET //[ HTTP/1.1\r\nHost: x\r\nConnection: close\r\n\r\n');
+      });
+      let text = '';
+      socket.on('data', chunk => { text += chunk; });
+      socket.on('end', () => resolve(text));
+      socket.on('error', reject);
+    });
+    assert.match(raw, /^HTTP\/1\.1 400 /);
+    assert.equal(JSON.parse(raw.slice(raw.indexOf('\r\n\r\n') + 4)).error.code, 'invalid_request');
+
+    assert.equal((await request('GET', '/v1/contacts')).status, 200);
+  } finally {
+    await server.closeAll();
+  }
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stageVelocity } from '../src/analytics.js';
+import { createSeededCrm } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('records a transition for the stage set on create and for every move', async () => {
+  const { crm, stages } = await createSeededCrm();
+  const [lead, contacted, qualified] = stages;
+  const contact = await crm.createContact({ name: 'Ann', stageId: lead.id });
+  await crm.moveStage(contact.id, contacted.id, { actor: 'louis' });
+  await crm.updateContact(contact.id, { stageId: qualified.id });
+
+  const history = await crm.getStageHistory(contact.id);
+  assert.deepEqual(history.map(h => [h.from_stage_name, h.to_stage_name]), [
+    [null, 'Lead'],
+    ['Lead', 'Contacted'],
+    ['Contacted', 'Qualified']
+  ]);
+  assert.equal(history[1].actor, 'louis');
+  assert.equal(history[0].actor, 'test');
+  assert.equal(typeof history[0].time_in_stage_ms, 'number');
+  assert.equal(history[2].time_in_stage_ms, null);
+});
+
+test('stageVelocity averages and medians the time spent in each stage', () => {
+  const stages = [{ id: 1, name: 'Lead', position: 1 }, { id: 2, name: 'Won', position: 2 }];
+  const at = days => new Date(Date.UTC(2026, 0, 1) + days * DAY).toISOString();
+  const transitions = [
+    { deal_id: 1, contact_id: 1, from_stage_id: null, to_stage_id: 1, created_at: at(0) },
+    { deal_id: 1, contact_id: 1, from_stage_id: 1, to_stage_id: 2, created_at: at(2) },
+    { deal_id: 2, contact_id: 2, from_stage_id: null, to_stage_id: 1, created_at: at(0) },
+    { deal_id: 2, contact_id: 2, from_stage_id: 1, to_stage_id: 2, created_at: at(4) },
+    { deal_id: 3, contact_id: 3, from_stage_id: null, to_stage_id: 1, created_at: at(0) }
+  ];
+
+  const [lead, won] = stageVelocity(transitions, stages, { now: new Date(at(10)) });
+  assert.equal(lead.entered, 3);
+  assert.equal(lead.exited, 2);
+  assert.equal(lead.current, 1);
+  assert.equal(lead.averageDays, 3);
+  assert.equal(lead.medianDays, 3);
+  assert.equal(won.averageMs, null);
+
+  const open = stageVelocity(transitions, stages, { now: new Date(at(10)), includeOpen: true });
+  assert.equal(open[0].medianDays, 4);
+});
@@ -0,0 +1,33 @@
+/**
+ * CRM test suite - run with npm test
+ *
+ * Everything runs against the in-memory and SQLite backends, so no
+ * Supabase project or network access is needed. Each feature's tests
+ * live in their own file, imported here.
+ */
+
+import './backends.test.js';
+import './stage-history.test.js';
+import './funnel.test.js';
+import './forecast.test.js';
+import './dedupe.test.js';
+import './csv.test.js';
+import './vcard.test.js';
+import './recurrence.test.js';
+import './webhooks.test.js';
+import './rules.test.js';
+import './fields.test.js';
+import './pagination.test.js';
+import './migrate.test.js';
+import './validation.test.js';
+import './trash.test.js';
+import './audit.test.js';
+import './companies.test.js';
+import './deals.test.js';
+import './currency.test.js';
+import './scoring.test.js';
+import './email.test.js';
+import './ical.test.js';
+import './server.test.js';
+import './mcp.test.js';
+import './output.test.js';
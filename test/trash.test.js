@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSeededCrm, LOCAL_BACKENDS } from './helpers.js';
+
+for (const backend of LOCAL_BACKENDS) {
+  test(`${backend}: a trashed contact leaves lists, search and stats, and comes back whole`, async () => {
+    const { crm, stages } = await createSeededCrm({ backend });
+    const ann = await crm.createContact({ name: 'Ann', email: 'ann@acme.com', stageId: stages[0].id, dealValue: 100 });
+    await crm.addNote(ann.id, 'Called about pricing', 'louis');
+    await crm.addTask({ title: 'Follow up', contactId: ann.id });
+
+    await crm.deleteContact(ann.id, { actor: 'louis' });
+    assert.deepEqual(await crm.listContacts(), []);
+    assert.deepEqual(await crm.searchContacts('Ann'), []);
+    assert.deepEqual(await crm.listInteractions(), []);
+    assert.deepEqual(await crm.listTasks(), []);
+    assert.equal((await crm.getPipelineStats()).totalDeals, 0);
+    await assert.rejects(crm.getContact(ann.id), { code: 'not_found' });
+
+    const trash = await crm.listTrash();
+    assert.deepEqual(trash.map(row => row.entity).sort(), ['contact', 'deal', 'interaction', 'task']);
+    assert.equal(trash.find(row => row.entity === 'contact').deleted_by, 'louis');
+
+    await assert.rejects(crm.restore('task', trash.find(row => row.entity === 'task').id), { code: 'conflict' });
+    await crm.restore('contact', ann.id);
+    assert.equal((await crm.listInteractions()).length, 1);
+    assert.equal((await crm.listTasks()).length, 1);
+    assert.deepEqual(await crm.listTrash(), []);
+  });
+}
+
+test('stage velocity leaves out contacts and deals in the trash', async () => {
+  const { crm, stages } = await createSeededCrm();
+  const ann = await crm.createContact({ name: 'Ann', stageId: stages[0].id });
+  const bob = await crm.createContact({ name: 'Bob', stageId: stages[0].id });
+  await crm.moveStage(ann.id, stages[1].id);
+  await crm.moveStage(bob.id, stages[1].id);
+  const entered = async () => (await crm.getStageVelocity()).stages.find(s => s.id === stages[1].id).entered;
+  assert.equal(await entered(), 2);
+
+  await crm.deleteContact(bob.id);
+  assert.equal(await entered(), 1);
+  assert.equal((await crm.getStageVelocity()).transitions, 2);
+
+  const [deal] = await crm.listDeals({ contactId: ann.id });
+  await crm.deleteDeal(deal.id);
+  assert.equal(await entered(), 0);
+
+  await crm.restore('contact', bob.id);
+  assert.equal(await entered(), 1);
+});
+
+test('a permanent delete skips the trash', async () => {
+  const { crm } = await createSeededCrm();
+  const ann = await crm.createContact({ name: 'Ann' });
+  await crm.deleteContact(ann.id, { permanent: true });
+  assert.deepEqual(await crm.listTrash(), []);
+  await assert.rejects(crm.restore('contact', ann.id), { code: 'not_found' });
+});
+
+test('purging the trash deletes each row once, with one event each', async () => {
+  const { crm, stages } = await createSeededCrm();
+  const contact = await crm.createContact({ name: 'Ann', stageId: stages[0].id, dealValue: 100 });
+  await crm.addNote(contact.id, 'Called', 'louis');
+  await crm.addTask({ title: 'Follow up', contactId: contact.id });
+  await crm.deleteContact(contact.id);
+
+  const deleted = [];
+  crm.on('event', event => {
+    if (event.type.endsWith('.deleted')) deleted.push(`${event.type} ${event.data.before.id}`);
+  });
+  const result = await crm.purgeTrash({ entity: 'contact' });
+
+  assert.deepEqual(deleted.sort(), ['contact.deleted 1', 'deal.deleted 1', 'interaction.deleted 1', 'task.deleted 1']);
+  assert.deepEqual(result, { purged: 4, byEntity: { interaction: 1, task: 1, deal: 1, contact: 1 } });
+  assert.deepEqual(await crm.listTrash(), []);
+
+  const purgedAgain = await crm.purgeTrash({});
+  assert.equal(purgedAgain.purged, 0);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhone, validateContact } from '../src/validation.js';
+import { CrmValidationError } from '../src/errors.js';
+import { createTestCrm, createSeededCrm } from './helpers.js';
+
+const stageIdError = err => err instanceof CrmValidationError && err.details[0].field === 'stageId';
+
+test('normalizePhone produces E.164, using the default country code for local numbers', () => {
+  assert.equal(normalizePhone('+61 (412) 345-678'), '+61412345678');
+  assert.equal(normalizePhone('0061 412 345 678'), '+61412345678');
+  assert.equal(normalizePhone('0412 345 678', '61'), '+61412345678');
+  assert.equal(normalizePhone('0412 345 678'), null);
+  assert.equal(normalizePhone('ext 12'), null);
+});
+
+test('phone numbers that cannot be normalized are kept as entered unless validation is strict', () => {
+  assert.equal(validateContact({ name: 'Ann', phone: ' 0412 345 678 ' }).phone, '0412 345 678');
+  assert.equal(validateContact({ name: 'Ann', phone: '0412 345 678' }, { defaultCountryCode: '61' }).phone, '+61412345678');
+
+  assert.throws(() => validateContact({ name: 'Ann', phone: '0412 345 678' }, { strictPhones: true }),
+    err => /needs a country code/.test(err.details[0].message));
+  assert.throws(() => validateContact({ name: 'Ann', phone: '+1 23' }, { strictPhones: true }),
+    err => /is not a valid phone number/.test(err.details[0].message));
+});
+
+test('CRM phoneValidation defaults to lenient and can be made strict', async () => {
+  const lenient = createTestCrm();
+  const ann = await lenient.createContact({ name: 'Ann', phone: '0412 345 678' });
+  assert.equal(ann.phone, '0412 345 678');
+
+  const strict = createTestCrm({ phoneValidation: 'strict' });
+  await assert.rejects(strict.createContact({ name: 'Ann', phone: '0412 345 678' }), { code: 'validation_failed' });
+  assert.equal((await strict.createContact({ name: 'Bob', phone: '+61 412 345 678' })).phone, '+61412345678');
+
+  assert.throws(() => createTestCrm({ phoneValidation: 'picky' }), CrmValidationError);
+});
+
+test('an unknown stage is a validation error however a contact or deal is moved', async () => {
+  const { crm } = await createSeededCrm();
+  const contact = await crm.createContact({ name: 'Ann' });
+  const deal = await crm.createDeal({ contactId: contact.id, title: 'Pilot' });
+
+  await assert.rejects(crm.moveStage(contact.id, 999), stageIdError);
+  await assert.rejects(crm.updateContact(contact.id, { stageId: 999 }), stageIdError);
+  await assert.rejects(crm.moveDeal(deal.id, 999), stageIdError);
+  await assert.rejects(crm.updateDeal(deal.id, { stageId: 999 }), stageIdError);
+  await assert.rejects(crm.moveStage(contact.id, undefined), stageIdError);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVCards, cardToContact, contactToVCard, vcardsToContactEntries } from '../src/vcard.js';
+import { createTestCrm } from './helpers.js';
+
+const CARD = [
+  'BEGIN:VCARD',
+  'VERSION:3.0',
+  'FN:Ann Lee',
+  'N:Lee;Ann;;;',
+  'EMAIL;TYPE=INTERNET,HOME:ann@home.example',
+  'EMAIL;TYPE=INTERNET,WORK,PREF:ann@acme.com',
+  'TEL;TYPE=CELL:+61 412 345 678',
+  'ORG:Acme',
+  'TITLE:CTO',
+  'CATEGORIES:vip,hot',
+  'NOTE:Met at the expo\\, twice',
+  'ADR;TYPE=WORK:;;1 Main St;Sydney;NSW;2000;Australia',
+  'END:VCARD'
+].join('\r\n') + '\r\n';
+
+test('cardToContact maps the preferred email and phone with their types', () => {
+  const [card] = parseVCards(CARD);
+  const { contact, errors } = cardToContact(card);
+  assert.deepEqual(errors, []);
+  assert.equal(contact.name, 'Ann Lee');
+  assert.equal(contact.email, 'ann@acme.com');
+  assert.equal(contact.phone, '+61 412 345 678');
+  assert.deepEqual(contact.tags, ['vip', 'hot']);
+  assert.deepEqual(contact.customFields, {
+    email_type: 'work',
+    phone_type: 'cell',
+    note: 'Met at the expo, twice',
+    vcard: ['EMAIL;TYPE=INTERNET,HOME:ann@home.example', 'ADR;TYPE=WORK:;;1 Main St;Sydney;NSW;2000;Australia']
+  });
+});
+
+test('contactToVCard writes the primary email and phone types back', () => {
+  const contact = {
+    name: 'Ann Lee',
+    email: 'ann@acme.com',
+    phone: '+61412345678',
+    tags: [],
+    custom_fields: { email_type: 'work', phone_type: 'cell,voice', tier: 'gold', seats: 5 }
+  };
+
+  const v3 = contactToVCard(contact).split('\r\n');
+  assert.ok(v3.includes('EMAIL;TYPE=INTERNET,WORK:ann@acme.com'));
+  assert.ok(v3.includes('TEL;TYPE=CELL,VOICE:+61412345678'));
+  assert.ok(v3.includes('X-CRM-FIELD;KEY=tier:gold'));
+  assert.ok(v3.includes('X-CRM-FIELD;KEY=seats;VALUE=json:5'));
+  assert.ok(!v3.some(line => line.includes('email_type') || line.includes('phone_type')));
+
+  const v4 = contactToVCard(contact, { version: '4.0' }).split('\r\n');
+  assert.ok(v4.includes('EMAIL;TYPE=work:ann@acme.com'));
+  assert.ok(v4.includes('TEL;TYPE=cell,voice:+61412345678'));
+
+  const plain = contactToVCard({ name: 'Bob', email: 'bob@acme.com', phone: '+61412345679' }, { version: '4.0' });
+  assert.match(plain, /\r\nEMAIL:bob@acme\.com\r\nTEL:\+61412345679\r\n/);
+  assert.throws(() => contactToVCard(contact, { version: '2.1' }), /Unsupported vCard version/);
+});
+
+test('a card survives import and export unchanged', async () => {
+  const crm = createTestCrm();
+  const report = await crm.importContacts(vcardsToContactEntries(CARD));
+  assert.equal(report.created, 1);
+
+  const [contact] = await crm.listContacts();
+  const [card] = parseVCards(contactToVCard(contact));
+  const lines = card.map(p => p.raw);
+  assert.ok(lines.includes('EMAIL;TYPE=INTERNET,WORK:ann@acme.com'));
+  assert.ok(lines.includes('EMAIL;TYPE=INTERNET,HOME:ann@home.example'));
+  // Phones are stored in E.164
+  assert.ok(lines.includes('TEL;TYPE=CELL:+61412345678'));
+  assert.ok(lines.includes('NOTE:Met at the expo\\, twice'));
+
+  const { phone, ...reimported } = cardToContact(card).contact;
+  const { phone: original, ...imported } = cardToContact(parseVCards(CARD)[0]).contact;
+  assert.deepEqual(reimported, imported);
+});
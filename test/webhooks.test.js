@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { join } from 'path';
+import { changedColumns, matchesEvent } from '../src/events.js';
+import { WebhookDispatcher, signPayload, verifySignature, readDeadLetters, webhookOptionsFromEnv } from '../src/webhooks.js';
+import { createSeededCrm, createTestCrm, tempDir } from './helpers.js';
+
+// A local receiver answering each request with the next status in the list
+async function receiver(statuses = [200]) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  return { url, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('changedColumns ignores bookkeeping and embedded rows', () => {
+  const before = { name: 'Ann', tags: ['a'], updated_at: '1', crm_stages: { name: 'Lead' } };
+  const after = { name: 'Ann', tags: ['a', 'b'], updated_at: '2', crm_stages: { name: 'Won' } };
+  assert.deepEqual(changedColumns(before, after), ['tags']);
+  assert.deepEqual(changedColumns(null, after), []);
+});
+
+test('matchesEvent supports exact types, prefixes and *', () => {
+  assert.equal(matchesEvent('*', 'task.created'), true);
+  assert.equal(matchesEvent('task.*', 'task.created'), true);
+  assert.equal(matchesEvent('task.*', 'contact.created'), false);
+  assert.equal(matchesEvent('contact.created', 'contact.created'), true);
+});
+
+test('mutations emit typed events with before, after and changes', async () => {
+  const { crm, stages } = await createSeededCrm();
+  const events = [];
+  crm.on('event', event => events.push(event));
+
+  const contact = await crm.createContact({ name: 'Ann' }, { actor: 'alice' });
+  await crm.moveStage(contact.id, stages[1].id);
+
+  const created = events.find(e => e.type === 'contact.created');
+  assert.equal(created.actor, 'alice');
+  assert.equal(created.agentId, 'test');
+  assert.equal(created.data.before, null);
+  assert.equal(created.data.after.id, contact.id);
+
+  const moved = events.find(e => e.type === 'contact.stage_changed');
+  assert.equal(moved.actor, 'test');
+  assert.equal(moved.data.toStageId, stages[1].id);
+  assert.ok(moved.data.changes.includes('stage_id'));
+});
+
+test('signatures verify only with the right secret, body and time', () => {
+  const body = '{"type":"ping"}';
+  const header = signPayload('s3cret', body);
+  assert.equal(verifySignature('s3cret', body, header), true);
+  assert.equal(verifySignature('other', body, header), false);
+  assert.equal(verifySignature('s3cret', body + ' ', header), false);
+  assert.equal(verifySignature('s3cret', body, signPayload('s3cret', body, Math.floor(Date.now() / 1000) - 600)), false);
+  assert.equal(verifySignature('s3cret', body, 'garbage'), false);
+});
+
+test('webhookOptionsFromEnv reads endpoints, events and secret', () => {
+  assert.equal(webhookOptionsFromEnv({}), null);
+  assert.deepEqual(webhookOptionsFromEnv({
+    CRM_WEBHOOK_URLS: 'https://a.example/hook, https://b.example/hook',
+    CRM_WEBHOOK_SECRET: 'x',
+    CRM_WEBHOOK_EVENTS: 'contact.*,task.created'
+  }).endpoints, [
+    { url: 'https://a.example/hook', events: ['contact.*', 'task.created'] },
+    { url: 'https://b.example/hook', events: ['contact.*', 'task.created'] }
+  ]);
+  assert.throws(() => new WebhookDispatcher({ endpoints: [{ url: 'https://a.example/hook' }] }), /secret is required/);
+});
+
+test('subscribed events are POSTed signed to the endpoint', async () => {
+  const server = await receiver();
+  try {
+    const crm = createTestCrm({ webhooks: { endpoints: [{ url: server.url, events: ['contact.*'] }], secret: 'hook-secret' } });
+    const contact = await crm.createContact({ name: 'Ann' });
+    await crm.addTask({ title: 'Not subscribed', contactId: contact.id });
+    await crm.flushWebhooks();
+
+    assert.equal(server.requests.length, 1);
+    const [{ headers, body }] = server.requests;
+    assert.equal(headers['x-crm-event'], 'contact.created');
+    assert.equal(headers['x-crm-delivery'], JSON.parse(body).id);
+    assert.equal(verifySignature('hook-secret', body, headers['x-crm-signature']), true);
+    assert.equal(JSON.parse(body).data.after.name, 'Ann');
+  } finally {
+    await server.close();
+  }
+});
+
+test('failed deliveries are retried, then dead-lettered and redelivered', async () => {
+  const server = await receiver([503, 200, 400, 200]);
+  const deadLetterFile = join(tempDir(), 'dead.jsonl');
+  try {
+    const dispatcher = new WebhookDispatcher({
+      endpoints: [{ url: server.url }],
+      secret: 'hook-secret',
+      backoffMs: 1,
+      deadLetterFile
+    });
+    const event = { id: 'e1', type: 'contact.created', data: {} };
+
+    const [first] = await Promise.all(dispatcher.dispatch(event));
+    assert.equal(first.delivered, true);
+    assert.equal(first.attempts, 2);
+
+    // 400 isn't retried
+    const [second] = await Promise.all(dispatcher.dispatch({ ...event, id: 'e2' }));
+    assert.equal(second.delivered, false);
+    assert.equal(second.attempts, 1);
+    assert.equal(second.status, 400);
+
+    const dead = await readDeadLetters(deadLetterFile);
+    assert.deepEqual(dead.map(d => [d.event.id, d.error]), [['e2', 'HTTP 400']]);
+
+    const [again] = await dispatcher.redeliver(dead);
+    assert.equal(again.delivered, true);
+    assert.equal(server.requests.length, 4);
+    assert.deepEqual(await readDeadLetters(join(tempDir(), 'missing.jsonl')), []);
+  } finally {
+    await server.close();
+  }
+});